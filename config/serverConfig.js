@@ -5,6 +5,13 @@ module.exports = {
         SHOP_DOMAIN: process.env.SHOPIFY_SHOP_DOMAIN,
         ACCESS_TOKEN: process.env.SHOPIFY_ACCESS_TOKEN,
         API_VERSION: process.env.SHOPIFY_API_VERSION || '2024-01',
+        // App credentials (Partner dashboard): the API key is the `aud` of POS session tokens,
+        // the API secret signs them
+        API_KEY: process.env.SHOPIFY_API_KEY,
+        API_SECRET: process.env.SHOPIFY_API_SECRET,
+        // Signs webhook deliveries (X-Shopify-Hmac-Sha256). Apps created in the Shopify admin show a
+        // separate signing secret; Partner apps sign with the API secret
+        WEBHOOK_SECRET: process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET,
         // Comma-separated list of allowed collection handles. Empty = all collections allowed
         COLLECTIONS_WHITELIST: process.env.SHOPIFY_COLLECTIONS_WHITELIST 
             ? process.env.SHOPIFY_COLLECTIONS_WHITELIST.split(',').map(c => c.trim()).filter(Boolean)
@@ -12,7 +19,117 @@ module.exports = {
     },
     WISHLIST: {
         EXPIRATION_HOURS: parseInt(process.env.WISHLIST_EXPIRATION_HOURS || '24', 10),
-        MAX_ITEMS: parseInt(process.env.MAX_ITEMS_PER_WISHLIST || '50', 10)
+        // Max distinct lines (variants) per wishlist
+        MAX_ITEMS: parseInt(process.env.MAX_ITEMS_PER_WISHLIST || '50', 10),
+        MAX_QUANTITY_PER_ITEM: parseInt(process.env.MAX_QUANTITY_PER_ITEM || '20', 10),
+        // Max units across all lines of a wishlist
+        MAX_TOTAL_UNITS: parseInt(process.env.MAX_UNITS_PER_WISHLIST || '200', 10),
+        // Resolve posted items against Shopify on create: unknown variants are rejected
+        // and product title, price, barcode and image are taken from Shopify, not the client
+        STRICT_CATALOGUE: process.env.WISHLIST_STRICT_CATALOGUE === 'true'
+    },
+    POS: {
+        // What completing a wishlist at POS does in Shopify:
+        // 'none' (only record the caller's shopify_order_id), 'draft_order' or 'order' (draft order completed into an order)
+        CHECKOUT_MODE: process.env.POS_CHECKOUT_MODE || 'none',
+        // Re-check price and stock of every item in Shopify when a wishlist is scanned
+        REVALIDATE_ON_SCAN: process.env.POS_REVALIDATE_ON_SCAN !== 'false',
+        // Keep accepting the shared POS_SECRET_TOKEN while tills migrate to per-device API keys
+        ACCEPT_SHARED_SECRET: process.env.POS_ACCEPT_SHARED_SECRET !== 'false',
+        // How long a device's previous API key keeps working after a rotation (overridable per rotation)
+        KEY_ROTATION_OVERLAP_MINUTES: parseInt(process.env.POS_KEY_ROTATION_OVERLAP_MINUTES || '60', 10),
+        // Leeway for exp/nbf of Shopify POS session tokens (they live one minute)
+        SESSION_TOKEN_CLOCK_TOLERANCE_SECONDS: parseInt(process.env.POS_SESSION_TOKEN_CLOCK_TOLERANCE_SECONDS || '5', 10)
+    },
+    BFF: {
+        // Comma-separated secrets the BFF may sign service tokens with (all are accepted, to allow rotation).
+        // Empty disables the check outside production; required in production
+        JWT_SECRETS: (process.env.BFF_JWT_SECRETS || '')
+            .split(',')
+            .map(secret => secret.trim())
+            .filter(Boolean),
+        ISSUER: process.env.BFF_JWT_ISSUER || 'complex-bff',
+        AUDIENCE: process.env.BFF_JWT_AUDIENCE || 'complex-shopify-service',
+        CLOCK_TOLERANCE_SECONDS: parseInt(process.env.BFF_JWT_CLOCK_TOLERANCE_SECONDS || '5', 10)
+    },
+    ANALYTICS: {
+        // Range of GET /api/analytics/* when `from` is not given, and the widest range allowed
+        DEFAULT_RANGE_DAYS: parseInt(process.env.ANALYTICS_DEFAULT_RANGE_DAYS || '30', 10),
+        MAX_RANGE_DAYS: parseInt(process.env.ANALYTICS_MAX_RANGE_DAYS || '366', 10)
+    },
+    ADMIN: {
+        // `aud` of the staff tokens the BFF signs for /api/admin (same secrets and issuer as BFF tokens)
+        JWT_AUDIENCE: process.env.ADMIN_JWT_AUDIENCE || 'complex-shopify-service-admin',
+        // Most rows GET /api/admin/wishlists and GET /api/admin/audit return per page
+        MAX_PAGE_SIZE: parseInt(process.env.ADMIN_MAX_PAGE_SIZE || '200', 10)
+    },
+    QR: {
+        // Signing keys as comma-separated `keyId:secret` pairs. Every listed key is accepted when
+        // verifying; remove a key to invalidate the QR codes it signed
+        SIGNING_KEYS: Object.fromEntries(
+            (process.env.QR_SIGNING_KEYS || '')
+                .split(',')
+                .map(entry => entry.trim())
+                .filter(Boolean)
+                .map(entry => [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1)])
+        ),
+        // Key used to sign new QR codes (defaults to the first of QR_SIGNING_KEYS)
+        ACTIVE_KEY_ID: process.env.QR_SIGNING_ACTIVE_KEY_ID || null,
+        // How long a signed QR code can be scanned; the app fetches a fresh one after that
+        TTL_SECONDS: parseInt(process.env.QR_TTL_SECONDS || '300', 10),
+        // Tolerated clock difference between instances when checking `iat`/`exp`
+        CLOCK_SKEW_SECONDS: parseInt(process.env.QR_CLOCK_SKEW_SECONDS || '30', 10),
+        // Keep issuing and accepting bare qr_token values while POS clients migrate
+        ACCEPT_LEGACY_TOKENS: process.env.QR_ACCEPT_LEGACY_TOKENS !== 'false',
+        // Server-rendered QR images (GET .../qr.png and .../qr.svg); size/ecc/caption can be overridden per request
+        IMAGE: {
+            DEFAULT_SIZE: parseInt(process.env.QR_IMAGE_DEFAULT_SIZE || '300', 10),
+            MIN_SIZE: parseInt(process.env.QR_IMAGE_MIN_SIZE || '100', 10),
+            MAX_SIZE: parseInt(process.env.QR_IMAGE_MAX_SIZE || '1024', 10),
+            // L, M, Q or H - higher levels survive more damage but need a denser code
+            ERROR_CORRECTION: process.env.QR_IMAGE_ERROR_CORRECTION || 'M',
+            // Branded text under the code (e.g. the store name), empty for none
+            CAPTION: process.env.QR_IMAGE_CAPTION || ''
+        }
+    },
+    WEBHOOKS: {
+        // A PROCESSING delivery older than this is assumed to have crashed and is handled again on retry
+        PROCESSING_TIMEOUT_SECONDS: parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_SECONDS || '60', 10),
+        // Largest webhook body accepted (orders with many lines can be large)
+        MAX_BODY_SIZE: process.env.WEBHOOK_MAX_BODY_SIZE || '5mb',
+        // Note attribute / line item property (or `<name>:<wishlist_id>` tag) linking an order to its wishlist
+        ORDER_WISHLIST_ATTRIBUTE: process.env.WEBHOOK_ORDER_WISHLIST_ATTRIBUTE || 'wishlist_id'
+    },
+    IDEMPOTENCY: {
+        // A PROCESSING key older than this is assumed to belong to a crashed request and may be retried
+        PROCESSING_TIMEOUT_SECONDS: parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS || '60', 10),
+        // Records (and the responses they replay) are deleted after this many days
+        RETENTION_DAYS: parseInt(process.env.IDEMPOTENCY_RETENTION_DAYS || '7', 10),
+        // Drop the stored request payload once the request completed; only its hash is needed to match retries
+        REDACT_PAYLOAD: process.env.IDEMPOTENCY_REDACT_PAYLOAD !== 'false'
+    },
+    JOBS: {
+        WISHLIST_EXPIRY: {
+            // Set to 'false' to disable the in-process expiry sweeper
+            ENABLED: process.env.WISHLIST_EXPIRY_JOB_ENABLED !== 'false',
+            INTERVAL_SECONDS: parseInt(process.env.WISHLIST_EXPIRY_JOB_INTERVAL_SECONDS || '300', 10),
+            BATCH_SIZE: parseInt(process.env.WISHLIST_EXPIRY_JOB_BATCH_SIZE || '500', 10),
+            // PROCESSING wishlists get extra time past expires_at so an in-flight POS checkout is not cut off
+            PROCESSING_GRACE_MINUTES: parseInt(process.env.WISHLIST_EXPIRY_PROCESSING_GRACE_MINUTES || '60', 10)
+        },
+        POS_SESSION_RELEASE: {
+            // Set to 'false' to keep abandoned PROCESSING wishlists until they expire
+            ENABLED: process.env.POS_SESSION_RELEASE_JOB_ENABLED !== 'false',
+            INTERVAL_SECONDS: parseInt(process.env.POS_SESSION_RELEASE_JOB_INTERVAL_SECONDS || '60', 10),
+            BATCH_SIZE: parseInt(process.env.POS_SESSION_RELEASE_JOB_BATCH_SIZE || '100', 10),
+            // PROCESSING wishlists scanned longer ago than this go back to ACTIVE
+            TIMEOUT_MINUTES: parseInt(process.env.POS_SESSION_TIMEOUT_MINUTES || '30', 10)
+        },
+        IDEMPOTENCY_PURGE: {
+            ENABLED: process.env.IDEMPOTENCY_PURGE_JOB_ENABLED !== 'false',
+            INTERVAL_SECONDS: parseInt(process.env.IDEMPOTENCY_PURGE_JOB_INTERVAL_SECONDS || '3600', 10),
+            BATCH_SIZE: parseInt(process.env.IDEMPOTENCY_PURGE_JOB_BATCH_SIZE || '1000', 10)
+        }
     },
     USER_SERVICE_URL: process.env.USER_SERVICE_URL || 'http://localhost:3001'
 };
@@ -0,0 +1,654 @@
+const { fn, col, Op, QueryTypes } = require('sequelize');
+const { StatusCodes } = require('http-status-codes');
+const { sequelize } = require('complex-common-utils');
+const {
+    Idempotency,
+    PosDevice,
+    Wishlist,
+    WishlistItem,
+    WishlistQrRotation,
+    AdminAuditLog
+} = require('../models');
+const {
+    registerDevice,
+    rotateDeviceKey,
+    revokeDevice
+} = require('../services/posDevice.service');
+const { TRANSITIONS, transitionWishlist, getStatusHistory } = require('../services/wishlistStatus.service');
+const { releaseWishlist } = require('../services/posSession.service');
+const { replaceQrToken } = require('../services/qrToken.service');
+const { adminActor, recordAdminAction } = require('../services/adminAudit.service');
+const { clearCache } = require('../utils/cache');
+const config = require('../config/serverConfig');
+
+/**
+ * Admin Controller
+ *
+ * Operational endpoints for support and store managers. Routes are guarded by role
+ * (see middleware/adminAuth); every change, and every read of customer wishlists, is recorded
+ * in admin_audit_log. Changes to wishlists are committed together with their audit entry.
+ */
+
+// Statuses staff may force a wishlist into. ACTIVE releases a stuck POS session;
+// COMPLETED and PARTIALLY_COMPLETED are only reached through a POS checkout
+const FORCEABLE_STATUSES = ['ACTIVE', 'CANCELLED', 'EXPIRED'];
+
+// Cache key patterns cleared by POST /api/admin/cache/purge (null clears everything)
+const CACHE_PURGE_SCOPES = {
+    all: [null],
+    products: ['products:*', 'product:*'],
+    variants: ['variant:*']
+};
+
+/**
+ * limit/offset query parameters, capped at ADMIN_MAX_PAGE_SIZE
+ *
+ * @returns {Object} { limit, offset } or { error }
+ */
+function parsePage(query) {
+    const limit = query.limit === undefined ? 50 : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > config.ADMIN.MAX_PAGE_SIZE) {
+        return { error: `limit must be an integer between 1 and ${config.ADMIN.MAX_PAGE_SIZE}` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+    }
+
+    return { limit, offset };
+}
+
+/**
+ * Trimmed reason from the request body, or null when missing/blank
+ */
+function readReason(body) {
+    const reason = body?.reason;
+    return typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+}
+
+/**
+ * Wishlist attributes returned by the admin API - the QR token would let staff present
+ * the customer's code at a till, so it is never included
+ */
+const WISHLIST_ATTRIBUTES = { exclude: ['qr_code_token'] };
+
+async function findWishlistForAdmin(wishlistId) {
+    return Wishlist.findByPk(wishlistId, {
+        attributes: WISHLIST_ATTRIBUTES,
+        include: [{
+            model: WishlistItem,
+            as: 'items'
+        }]
+    });
+}
+
+/**
+ * Size of a table on disk, including indexes and TOAST (Postgres only)
+ */
+async function tableSizeBytes(tableName) {
+    if (sequelize.getDialect() !== 'postgres') {
+        return null;
+    }
+
+    const [row] = await sequelize.query(
+        'SELECT pg_total_relation_size(:tableName) AS bytes',
+        { replacements: { tableName }, type: QueryTypes.SELECT }
+    );
+
+    return row ? Number(row.bytes) : null;
+}
+
+/**
+ * Idempotency table size, oldest record and retention status
+ * GET /api/admin/idempotency/stats
+ */
+exports.getIdempotencyStats = async (req, res, next) => {
+    try {
+        const retentionDays = config.IDEMPOTENCY.RETENTION_DAYS;
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+        const [byStatusRows, oldest, pastRetention, sizeBytes] = await Promise.all([
+            Idempotency.findAll({
+                attributes: ['status', [fn('COUNT', col('idempotency_id')), 'count']],
+                group: ['status'],
+                raw: true
+            }),
+            Idempotency.min('created_at'),
+            Idempotency.count({ where: { created_at: { [Op.lt]: cutoff } } }),
+            tableSizeBytes(Idempotency.getTableName())
+        ]);
+
+        const byStatus = { PROCESSING: 0, COMPLETED: 0, FAILED: 0 };
+        for (const row of byStatusRows) {
+            byStatus[row.status] = Number(row.count);
+        }
+
+        const oldestCreatedAt = oldest ? new Date(oldest) : null;
+
+        res.status(StatusCodes.OK).json({
+            total_rows: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+            by_status: byStatus,
+            table_size_bytes: sizeBytes,
+            oldest_created_at: oldestCreatedAt,
+            oldest_age_seconds: oldestCreatedAt ? Math.floor((Date.now() - oldestCreatedAt.getTime()) / 1000) : null,
+            retention_days: retentionDays,
+            // Non-zero means the purge job is behind or disabled
+            rows_past_retention: pastRetention
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Device as returned by the admin API - key hashes never leave the service
+ */
+function toPosDeviceResponse(device) {
+    const { key_hash, previous_key_hash, ...rest } = device.toJSON();
+    return {
+        ...rest,
+        previous_key_active: Boolean(rest.previous_key_id && rest.previous_key_expires_at > new Date())
+    };
+}
+
+/**
+ * List POS devices
+ * GET /api/admin/pos-devices
+ */
+exports.listPosDevices = async (req, res, next) => {
+    try {
+        const { location_id, status } = req.query;
+
+        if (status && !['ACTIVE', 'REVOKED'].includes(status)) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'status must be ACTIVE or REVOKED'
+            });
+        }
+
+        const where = {};
+        if (location_id) {
+            where.location_id = location_id;
+        }
+        if (status) {
+            where.status = status;
+        }
+
+        const devices = await PosDevice.findAll({
+            where,
+            order: [['created_at', 'ASC']]
+        });
+
+        res.status(StatusCodes.OK).json({
+            devices: devices.map(toPosDeviceResponse),
+            count: devices.length
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Register a POS device and issue its API key (only returned in this response)
+ * POST /api/admin/pos-devices
+ */
+exports.createPosDevice = async (req, res, next) => {
+    try {
+        const { name, location_id, location_name } = req.body;
+
+        if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'name is required (at most 255 characters)'
+            });
+        }
+
+        // A key is never issued without its audit entry
+        const { device, api_key } = await sequelize.transaction(async (transaction) => {
+            const registered = await registerDevice({
+                name: name.trim(),
+                location_id,
+                location_name,
+                created_by: adminActor(req)
+            }, { transaction });
+
+            await recordAdminAction(req, 'pos_device.registered', {
+                targetType: 'pos_device',
+                targetId: registered.device.device_id,
+                details: { name: registered.device.name, location_id: registered.device.location_id, key_id: registered.device.key_id },
+                transaction
+            });
+
+            return registered;
+        });
+
+        res.status(StatusCodes.CREATED).json({
+            message: 'POS device registered successfully',
+            device: toPosDeviceResponse(device),
+            api_key
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a POS device
+ * GET /api/admin/pos-devices/:deviceId
+ */
+exports.getPosDevice = async (req, res, next) => {
+    try {
+        const device = await PosDevice.findByPk(req.params.deviceId);
+
+        if (!device) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'POS device not found'
+            });
+        }
+
+        res.status(StatusCodes.OK).json({ device: toPosDeviceResponse(device) });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Issue a new API key; the old one keeps working for overlap_minutes
+ * POST /api/admin/pos-devices/:deviceId/rotate
+ */
+exports.rotatePosDeviceKey = async (req, res, next) => {
+    try {
+        const { overlap_minutes } = req.body;
+
+        const device = await PosDevice.findByPk(req.params.deviceId);
+
+        if (!device) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'POS device not found'
+            });
+        }
+
+        const rotated = await sequelize.transaction(async (transaction) => {
+            const result = await rotateDeviceKey(device, {
+                ...(overlap_minutes !== undefined && { overlapMinutes: overlap_minutes }),
+                transaction
+            });
+
+            await recordAdminAction(req, 'pos_device.key_rotated', {
+                targetType: 'pos_device',
+                targetId: device.device_id,
+                details: {
+                    key_id: result.device.key_id,
+                    previous_key_id: result.device.previous_key_id,
+                    previous_key_expires_at: result.device.previous_key_expires_at
+                },
+                transaction
+            });
+
+            return result;
+        });
+
+        res.status(StatusCodes.OK).json({
+            message: 'POS device key rotated successfully',
+            device: toPosDeviceResponse(rotated.device),
+            api_key: rotated.api_key
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke a POS device: all of its keys stop working immediately
+ * POST /api/admin/pos-devices/:deviceId/revoke
+ */
+exports.revokePosDevice = async (req, res, next) => {
+    try {
+        const reason = readReason(req.body);
+
+        const device = await PosDevice.findByPk(req.params.deviceId);
+
+        if (!device) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'POS device not found'
+            });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await revokeDevice(device, { actor: adminActor(req), reason, transaction });
+
+            await recordAdminAction(req, 'pos_device.revoked', {
+                targetType: 'pos_device',
+                targetId: device.device_id,
+                reason,
+                transaction
+            });
+        });
+
+        res.status(StatusCodes.OK).json({
+            message: 'POS device revoked successfully',
+            device: toPosDeviceResponse(device)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Search wishlists across all users
+ * GET /api/admin/wishlists
+ */
+exports.searchWishlists = async (req, res, next) => {
+    try {
+        const { user_id, status, source, created_after, created_before } = req.query;
+
+        const page = parsePage(req.query);
+        if (page.error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({ error: page.error });
+        }
+
+        if (status && !TRANSITIONS[status]) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `status must be one of: ${Object.keys(TRANSITIONS).join(', ')}`
+            });
+        }
+
+        const where = {};
+        if (user_id) where.user_id = user_id;
+        if (status) where.status = status;
+        if (source) where.source = source;
+
+        for (const [param, operator] of [['created_after', Op.gte], ['created_before', Op.lt]]) {
+            const value = req.query[param];
+            if (value === undefined) {
+                continue;
+            }
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                return res.status(StatusCodes.BAD_REQUEST).json({
+                    error: `${param} must be an ISO 8601 date`
+                });
+            }
+            where.created_at = { ...where.created_at, [operator]: date };
+        }
+
+        const { count, rows } = await Wishlist.findAndCountAll({
+            where,
+            attributes: WISHLIST_ATTRIBUTES,
+            include: [{
+                model: WishlistItem,
+                as: 'items'
+            }],
+            distinct: true,
+            limit: page.limit,
+            offset: page.offset,
+            order: [['created_at', 'DESC']]
+        });
+
+        await recordAdminAction(req, 'wishlist.searched', {
+            targetType: 'wishlist',
+            details: {
+                filters: { user_id, status, source, created_after, created_before },
+                limit: page.limit,
+                offset: page.offset,
+                total: count
+            }
+        });
+
+        res.status(StatusCodes.OK).json({
+            wishlists: rows,
+            total: count,
+            limit: page.limit,
+            offset: page.offset
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a wishlist with its status history and QR token replacements
+ * GET /api/admin/wishlists/:wishlistId
+ */
+exports.getWishlist = async (req, res, next) => {
+    try {
+        const { wishlistId } = req.params;
+
+        const wishlist = await findWishlistForAdmin(wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        const [history, qrRotations] = await Promise.all([
+            getStatusHistory(wishlistId),
+            WishlistQrRotation.findAll({
+                where: { wishlist_id: wishlistId },
+                order: [['created_at', 'ASC']]
+            })
+        ]);
+
+        await recordAdminAction(req, 'wishlist.viewed', {
+            targetType: 'wishlist',
+            targetId: wishlistId
+        });
+
+        res.status(StatusCodes.OK).json({
+            wishlist,
+            history,
+            qr_rotations: qrRotations
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Force a wishlist into ACTIVE (release a POS session), CANCELLED or EXPIRED
+ * POST /api/admin/wishlists/:wishlistId/status
+ */
+exports.changeWishlistStatus = async (req, res, next) => {
+    try {
+        const { wishlistId } = req.params;
+        const { status } = req.body;
+        const reason = readReason(req.body);
+
+        if (!FORCEABLE_STATUSES.includes(status)) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `status must be one of: ${FORCEABLE_STATUSES.join(', ')}`
+            });
+        }
+
+        if (!reason) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'reason is required'
+            });
+        }
+
+        const wishlist = await Wishlist.findByPk(wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        const fromStatus = wishlist.status;
+
+        if (fromStatus === status) {
+            return res.status(StatusCodes.CONFLICT).json({
+                error: `Wishlist is already ${status}`
+            });
+        }
+
+        const actor = adminActor(req);
+
+        // The change and its audit entry are committed together
+        await sequelize.transaction(async (transaction) => {
+            // Back to ACTIVE only from PROCESSING, and then the POS session is released properly
+            // (new QR token, fulfilment cleared); releaseWishlist rejects any other source status
+            if (status === 'ACTIVE') {
+                await releaseWishlist(wishlist, { actor, reason, transaction });
+            } else {
+                await transitionWishlist(wishlist, status, { actor, reason, transaction });
+            }
+
+            await recordAdminAction(req, 'wishlist.status_changed', {
+                targetType: 'wishlist',
+                targetId: wishlistId,
+                reason,
+                details: { from: fromStatus, to: status },
+                transaction
+            });
+        });
+
+        res.status(StatusCodes.OK).json({
+            message: `Wishlist status changed to ${status}`,
+            wishlist: await findWishlistForAdmin(wishlistId)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Invalidate every QR code issued for an ACTIVE wishlist; the customer's app fetches a new one
+ * POST /api/admin/wishlists/:wishlistId/qr/reset
+ */
+exports.resetWishlistQrCode = async (req, res, next) => {
+    try {
+        const { wishlistId } = req.params;
+        const reason = readReason(req.body);
+
+        if (!reason) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'reason is required'
+            });
+        }
+
+        const wishlist = await Wishlist.findByPk(wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await replaceQrToken(wishlist, {
+                action: 'REVOKED',
+                actor: adminActor(req),
+                reason,
+                transaction
+            });
+
+            await recordAdminAction(req, 'wishlist.qr_reset', {
+                targetType: 'wishlist',
+                targetId: wishlistId,
+                reason,
+                transaction
+            });
+        });
+
+        res.status(StatusCodes.OK).json({
+            message: 'QR code reset successfully',
+            wishlist: await findWishlistForAdmin(wishlistId)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Drop cached Shopify data so the next request reads it from Shopify
+ * POST /api/admin/cache/purge
+ */
+exports.purgeCache = async (req, res, next) => {
+    try {
+        const { scope = 'all' } = req.body;
+        const reason = readReason(req.body);
+
+        if (!Object.hasOwn(CACHE_PURGE_SCOPES, scope)) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `scope must be one of: ${Object.keys(CACHE_PURGE_SCOPES).join(', ')}`
+            });
+        }
+
+        const patterns = CACHE_PURGE_SCOPES[scope];
+
+        // A purge cannot be rolled back, so it is audited before the cache is touched
+        const audit = await recordAdminAction(req, 'cache.purged', {
+            targetType: 'cache',
+            reason,
+            details: { scope, patterns }
+        });
+
+        const results = await Promise.all(patterns.map(pattern => clearCache(pattern)));
+
+        // clearCache logs and swallows its own errors
+        if (results.includes(false)) {
+            await audit.update({ details: { ...audit.details, failed: true } });
+            return res.status(StatusCodes.SERVICE_UNAVAILABLE).json({
+                error: 'Cache purge failed',
+                scope
+            });
+        }
+
+        res.status(StatusCodes.OK).json({
+            message: 'Cache purged successfully',
+            scope
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List admin actions, newest first
+ * GET /api/admin/audit
+ */
+exports.listAuditLog = async (req, res, next) => {
+    try {
+        const { principal, action, target_type, target_id } = req.query;
+
+        const page = parsePage(req.query);
+        if (page.error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({ error: page.error });
+        }
+
+        const where = {};
+        if (principal) where.principal = principal;
+        if (action) where.action = action;
+        if (target_type) where.target_type = target_type;
+        if (target_id) where.target_id = target_id;
+
+        const { count, rows } = await AdminAuditLog.findAndCountAll({
+            where,
+            limit: page.limit,
+            offset: page.offset,
+            order: [['created_at', 'DESC']]
+        });
+
+        res.status(StatusCodes.OK).json({
+            entries: rows,
+            total: count,
+            limit: page.limit,
+            offset: page.offset
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
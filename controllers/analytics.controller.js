@@ -0,0 +1,105 @@
+const { StatusCodes } = require('http-status-codes');
+const { GROUP_BY_OPTIONS, getConversion, getTopVariants } = require('../services/analytics.service');
+const config = require('../config/serverConfig');
+
+/**
+ * Analytics Controller
+ *
+ * Wishlist-to-sale reporting for store operations, over the wishlists created in a date range.
+ * The figures are SQL aggregates (see services/analytics.service).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_TOP_VARIANTS = 100;
+
+/**
+ * from/to/group_by query parameters
+ *
+ * `to` defaults to now and `from` to ANALYTICS_DEFAULT_RANGE_DAYS before it; the range
+ * may span at most ANALYTICS_MAX_RANGE_DAYS.
+ *
+ * @returns {Object} { from, to, groupBy } or { error }
+ */
+function parseReportQuery(query) {
+    const to = query.to === undefined ? new Date() : new Date(query.to);
+    const from = query.from === undefined
+        ? new Date(to.getTime() - config.ANALYTICS.DEFAULT_RANGE_DAYS * DAY_MS)
+        : new Date(query.from);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: 'from and to must be ISO 8601 dates' };
+    }
+    if (from >= to) {
+        return { error: 'from must be before to' };
+    }
+    if (to - from > config.ANALYTICS.MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `The range may span at most ${config.ANALYTICS.MAX_RANGE_DAYS} days` };
+    }
+
+    const groupBy = query.group_by || null;
+    if (groupBy && !GROUP_BY_OPTIONS.includes(groupBy)) {
+        return { error: `group_by must be one of: ${GROUP_BY_OPTIONS.join(', ')}` };
+    }
+
+    return { from, to, groupBy };
+}
+
+/**
+ * Conversion funnel, expiry/cancellation rates and median time to scan
+ * GET /api/analytics/conversion
+ */
+exports.getConversion = async (req, res, next) => {
+    try {
+        const report = parseReportQuery(req.query);
+        if (report.error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({ error: report.error });
+        }
+
+        const { totals, groups } = await getConversion(report);
+
+        res.status(StatusCodes.OK).json({
+            from: report.from,
+            to: report.to,
+            group_by: report.groupBy,
+            totals,
+            groups
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Most wishlisted variants
+ * GET /api/analytics/top-variants
+ */
+exports.getTopVariants = async (req, res, next) => {
+    try {
+        const report = parseReportQuery(req.query);
+        if (report.error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({ error: report.error });
+        }
+
+        const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_VARIANTS) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `limit must be an integer between 1 and ${MAX_TOP_VARIANTS}`
+            });
+        }
+
+        const groups = await getTopVariants({ ...report, limit });
+
+        res.status(StatusCodes.OK).json({
+            from: report.from,
+            to: report.to,
+            group_by: report.groupBy,
+            limit,
+            groups
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
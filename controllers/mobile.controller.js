@@ -1,22 +1,34 @@
 const { Wishlist, WishlistItem } = require('../models');
 const { StatusCodes } = require('http-status-codes');
+const { sequelize } = require('complex-common-utils');
 const crypto = require('crypto');
+const { transitionWishlist } = require('../services/wishlistStatus.service');
+const { resolveItemsAgainstCatalogue } = require('../services/catalogue.service');
+const { validateItems } = require('../utils/itemValidation');
+const { createQrPayload } = require('../utils/qrPayload');
+const { requestUserId } = require('../utils/bffToken');
+const { QR_IMAGE_FORMATS, parseQrImageOptions, renderQrImage } = require('../utils/qrImage');
+const { replaceQrToken } = require('../services/qrToken.service');
+const { applyItemOperations, lockActiveWishlist, toItemRow } = require('../services/wishlistItems.service');
+const config = require('../config/serverConfig');
 
 /**
  * Mobile App Controller
  * 
  * Handles mobile app specific operations
- * Authentication handled by BFF - user_id passed from authenticated BFF requests
+ * Authentication handled by BFF - user_id comes from its verified service token (requestUserId)
  */
 
+const MAX_ROTATION_REASON_LENGTH = 500;
+
 /**
  * Create wishlist from mobile app
  * POST /api/mobile/wishlists
  */
 exports.createWishlist = async (req, res, next) => {
     try {
-        // User ID passed from BFF after authentication
-        const { user_id } = req.body;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.body.user_id);
 
         if (!user_id) {
             return res.status(StatusCodes.BAD_REQUEST).json({
@@ -24,12 +36,27 @@ exports.createWishlist = async (req, res, next) => {
             });
         }
 
-        const { items, metadata } = req.body;
+        const { metadata } = req.body;
+        let { items } = req.body;
 
-        if (!items || !Array.isArray(items) || items.length === 0) {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-                error: 'items array is required and must not be empty'
-            });
+        const validation = validateItems(items);
+        if (validation.errorResponse) {
+            return res.status(StatusCodes.BAD_REQUEST).json(validation.errorResponse);
+        }
+        items = validation.items;
+
+        // Strict mode: resolve every variant in Shopify and use its data for the snapshot
+        if (config.WISHLIST.STRICT_CATALOGUE) {
+            const { items: resolvedItems, itemErrors } = await resolveItemsAgainstCatalogue(items);
+
+            if (itemErrors.length > 0) {
+                return res.status(StatusCodes.BAD_REQUEST).json({
+                    error: 'Some items could not be found in the Shopify catalogue',
+                    item_errors: itemErrors
+                });
+            }
+
+            items = resolvedItems;
         }
 
         // Calculate expiration time
@@ -40,32 +67,24 @@ exports.createWishlist = async (req, res, next) => {
         // Generate QR code token
         const qrCodeToken = crypto.randomBytes(32).toString('hex');
 
-        // Create wishlist
-        const wishlist = await Wishlist.create({
-            user_id,
-            status: 'ACTIVE',
-            source: 'MOBILE_APP',
-            qr_code_token: qrCodeToken,
-            expires_at: expiresAt,
-            metadata: metadata || {}
-        });
+        // Create wishlist and items together - a failure leaves neither behind
+        const wishlist = await sequelize.transaction(async (transaction) => {
+            const created = await Wishlist.create({
+                user_id,
+                status: 'ACTIVE',
+                source: 'MOBILE_APP',
+                qr_code_token: qrCodeToken,
+                expires_at: expiresAt,
+                metadata: metadata || {}
+            }, { transaction });
+
+            await WishlistItem.bulkCreate(
+                items.map(item => ({ wishlist_id: created.wishlist_id, ...toItemRow(item) })),
+                { validate: true, transaction }
+            );
 
-        // Create wishlist items
-        await Promise.all(
-            items.map(item => WishlistItem.create({
-                wishlist_id: wishlist.wishlist_id,
-                shopify_variant_id: item.variant_id || item.variantId,
-                shopify_product_id: item.product_id || item.productId,
-                quantity: item.quantity || 1,
-                product_title: item.product_title || item.title,
-                variant_title: item.variant_title || item.variantTitle,
-                price: item.price,
-                currency: item.currency || 'HKD',
-                barcode: item.barcode,
-                image_url: item.image_url || item.imageUrl,
-                product_data: item.product_data || item
-            }))
-        );
+            return created;
+        });
 
         // Fetch complete wishlist with items
         const completeWishlist = await Wishlist.findByPk(wishlist.wishlist_id, {
@@ -90,8 +109,8 @@ exports.createWishlist = async (req, res, next) => {
  */
 exports.getMyWishlists = async (req, res, next) => {
     try {
-        // User ID passed from BFF after authentication
-        const { user_id } = req.query;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.query.user_id);
 
         if (!user_id) {
             return res.status(StatusCodes.BAD_REQUEST).json({
@@ -134,8 +153,8 @@ exports.getMyWishlists = async (req, res, next) => {
 exports.getWishlist = async (req, res, next) => {
     try {
         const { wishlistId } = req.params;
-        // User ID passed from BFF after authentication
-        const { user_id } = req.query;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.query.user_id);
 
         if (!user_id) {
             return res.status(StatusCodes.BAD_REQUEST).json({
@@ -174,7 +193,8 @@ exports.getWishlist = async (req, res, next) => {
 exports.updateWishlist = async (req, res, next) => {
     try {
         const { wishlistId } = req.params;
-        const { items, metadata, user_id } = req.body;
+        const { items, metadata } = req.body;
+        const user_id = requestUserId(req, req.body.user_id);
 
         if (!user_id) {
             return res.status(StatusCodes.BAD_REQUEST).json({
@@ -201,34 +221,48 @@ exports.updateWishlist = async (req, res, next) => {
             });
         }
 
-        // Update metadata if provided
-        if (metadata) {
-            await wishlist.update({ metadata });
-        }
-
-        // Update items if provided
-        if (items && Array.isArray(items)) {
-            // Delete existing items
-            await WishlistItem.destroy({ where: { wishlist_id: wishlistId } });
-
-            // Create new items
-            await Promise.all(
-                items.map(item => WishlistItem.create({
-                    wishlist_id: wishlistId,
-                    shopify_variant_id: item.variant_id || item.variantId,
-                    shopify_product_id: item.product_id || item.productId,
-                    quantity: item.quantity || 1,
-                    product_title: item.product_title || item.title,
-                    variant_title: item.variant_title || item.variantTitle,
-                    price: item.price,
-                    currency: item.currency || 'HKD',
-                    barcode: item.barcode,
-                    image_url: item.image_url || item.imageUrl,
-                    product_data: item.product_data || item
-                }))
-            );
+        // Validate items before touching anything, so a bad payload changes nothing
+        let validatedItems = null;
+        if (items !== undefined) {
+            const validation = validateItems(items, { allowEmpty: true });
+            if (validation.errorResponse) {
+                return res.status(StatusCodes.BAD_REQUEST).json(validation.errorResponse);
+            }
+            validatedItems = validation.items;
+        }
+
+        // Strict mode: resolve every variant in Shopify and use its data for the snapshot
+        if (config.WISHLIST.STRICT_CATALOGUE && validatedItems && validatedItems.length > 0) {
+            const { items: resolvedItems, itemErrors } = await resolveItemsAgainstCatalogue(validatedItems);
+
+            if (itemErrors.length > 0) {
+                return res.status(StatusCodes.BAD_REQUEST).json({
+                    error: 'Some items could not be found in the Shopify catalogue',
+                    item_errors: itemErrors
+                });
+            }
+
+            validatedItems = resolvedItems;
         }
 
+        // Metadata and items change together or not at all
+        await sequelize.transaction(async (transaction) => {
+            await lockActiveWishlist(wishlistId, transaction);
+
+            if (metadata) {
+                await wishlist.update({ metadata }, { transaction });
+            }
+
+            if (validatedItems) {
+                await WishlistItem.destroy({ where: { wishlist_id: wishlistId }, transaction });
+
+                await WishlistItem.bulkCreate(
+                    validatedItems.map(item => ({ wishlist_id: wishlistId, ...toItemRow(item) })),
+                    { validate: true, transaction }
+                );
+            }
+        });
+
         // Fetch updated wishlist
         const updatedWishlist = await Wishlist.findByPk(wishlistId, {
             include: [{
@@ -244,6 +278,169 @@ exports.updateWishlist = async (req, res, next) => {
     }
 };
 
+/**
+ * Load a wishlist owned by user_id
+ */
+function findOwnedWishlist(wishlistId, user_id) {
+    return Wishlist.findOne({
+        where: {
+            wishlist_id: wishlistId,
+            user_id // Ensure user owns this wishlist
+        }
+    });
+}
+
+/**
+ * Apply item operations and respond with the affected item and the updated wishlist
+ */
+async function respondWithItemOperations(res, wishlist, operations, statusCode = StatusCodes.OK) {
+    const { items, results } = await applyItemOperations(wishlist, operations);
+    const itemId = results[0].item_id;
+
+    res.status(statusCode).json({
+        item: items.find(item => item.item_id === itemId) || null,
+        wishlist: { ...wishlist.toJSON(), items }
+    });
+}
+
+/**
+ * Add an item to my wishlist
+ * POST /api/mobile/wishlists/:wishlistId/items
+ */
+exports.addWishlistItem = async (req, res, next) => {
+    try {
+        const { user_id: claimedUserId, ...item } = req.body;
+        const user_id = requestUserId(req, claimedUserId);
+
+        if (!user_id) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'user_id is required'
+            });
+        }
+
+        const wishlist = await findOwnedWishlist(req.params.wishlistId, user_id);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found or access denied'
+            });
+        }
+
+        await respondWithItemOperations(res, wishlist, [
+            { op: 'add', path: '/items/-', value: item }
+        ], StatusCodes.CREATED);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Change the quantity and/or variant of one item in my wishlist
+ * PATCH /api/mobile/wishlists/:wishlistId/items/:itemId
+ */
+exports.updateWishlistItem = async (req, res, next) => {
+    try {
+        const { wishlistId, itemId } = req.params;
+        const { user_id: claimedUserId, ...changes } = req.body;
+        const user_id = requestUserId(req, claimedUserId);
+
+        if (!user_id) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'user_id is required'
+            });
+        }
+
+        const wishlist = await findOwnedWishlist(wishlistId, user_id);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found or access denied'
+            });
+        }
+
+        await respondWithItemOperations(res, wishlist, [
+            { op: 'replace', path: `/items/${itemId}`, value: changes }
+        ]);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove one item from my wishlist
+ * DELETE /api/mobile/wishlists/:wishlistId/items/:itemId
+ */
+exports.removeWishlistItem = async (req, res, next) => {
+    try {
+        const { wishlistId, itemId } = req.params;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.query.user_id);
+
+        if (!user_id) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'user_id query parameter is required'
+            });
+        }
+
+        const wishlist = await findOwnedWishlist(wishlistId, user_id);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found or access denied'
+            });
+        }
+
+        const { items } = await applyItemOperations(wishlist, [
+            { op: 'remove', path: `/items/${itemId}` }
+        ]);
+
+        res.status(StatusCodes.OK).json({
+            message: 'Item removed successfully',
+            wishlist: { ...wishlist.toJSON(), items }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Apply several item operations to my wishlist at once, all or nothing (JSON-Patch style)
+ * PATCH /api/mobile/wishlists/:wishlistId/items
+ */
+exports.patchWishlistItems = async (req, res, next) => {
+    try {
+        const { operations } = req.body;
+        const user_id = requestUserId(req, req.body.user_id);
+
+        if (!user_id) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'user_id is required'
+            });
+        }
+
+        const wishlist = await findOwnedWishlist(req.params.wishlistId, user_id);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found or access denied'
+            });
+        }
+
+        const { items, results } = await applyItemOperations(wishlist, operations);
+
+        res.status(StatusCodes.OK).json({
+            results,
+            wishlist: { ...wishlist.toJSON(), items }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Delete wishlist
  * DELETE /api/mobile/wishlists/:wishlistId
@@ -251,8 +448,8 @@ exports.updateWishlist = async (req, res, next) => {
 exports.deleteWishlist = async (req, res, next) => {
     try {
         const { wishlistId } = req.params;
-        // User ID passed from BFF after authentication
-        const { user_id } = req.query;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.query.user_id);
 
         if (!user_id) {
             return res.status(StatusCodes.BAD_REQUEST).json({
@@ -273,7 +470,10 @@ exports.deleteWishlist = async (req, res, next) => {
             });
         }
 
-        await wishlist.update({ status: 'CANCELLED' });
+        await transitionWishlist(wishlist, 'CANCELLED', {
+            actor: `user:${user_id}`,
+            reason: 'Deleted from mobile app'
+        });
 
         res.status(StatusCodes.OK).json({
             message: 'Wishlist deleted successfully'
@@ -284,6 +484,49 @@ exports.deleteWishlist = async (req, res, next) => {
     }
 };
 
+/**
+ * QR code response for a wishlist loaded with its items
+ * The app encodes qr_payload; it expires after QR_TTL_SECONDS, call again for a fresh one
+ */
+function toQrCodeResponse(wishlist) {
+    const signed = createQrPayload(wishlist);
+
+    const response = {
+        qr_payload: signed.payload,
+        qr_payload_expires_at: signed.expires_at,
+        expires_at: wishlist.expires_at
+    };
+
+    // Bare token and item list for clients that still encode them (QR_ACCEPT_LEGACY_TOKENS)
+    if (config.QR.ACCEPT_LEGACY_TOKENS) {
+        response.qr_data = {
+            wishlist_id: wishlist.wishlist_id,
+            qr_token: wishlist.qr_code_token,
+            items: wishlist.items.map(item => ({
+                variant_id: item.shopify_variant_id,
+                quantity: item.quantity
+            }))
+        };
+        response.qr_token = wishlist.qr_code_token;
+    }
+
+    return response;
+}
+
+/**
+ * Validate the optional reason given for replacing a QR code
+ * Returns { reason } or { error }
+ */
+function readRotationReason(reason) {
+    if (reason === undefined || reason === null || reason === '') {
+        return { reason: null };
+    }
+    if (typeof reason !== 'string' || reason.length > MAX_ROTATION_REASON_LENGTH) {
+        return { error: `reason must be a string of at most ${MAX_ROTATION_REASON_LENGTH} characters` };
+    }
+    return { reason };
+}
+
 /**
  * Generate QR code for wishlist
  * POST /api/mobile/wishlists/:wishlistId/qr
@@ -291,8 +534,8 @@ exports.deleteWishlist = async (req, res, next) => {
 exports.generateQRCode = async (req, res, next) => {
     try {
         const { wishlistId } = req.params;
-        // User ID passed from BFF after authentication
-        const { user_id } = req.body;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.body.user_id);
 
         if (!user_id) {
             return res.status(StatusCodes.BAD_REQUEST).json({
@@ -325,26 +568,181 @@ exports.generateQRCode = async (req, res, next) => {
 
         // Check if expired
         if (new Date() > new Date(wishlist.expires_at)) {
-            await wishlist.update({ status: 'EXPIRED' });
+            await transitionWishlist(wishlist, 'EXPIRED', {
+                actor: `user:${user_id}`,
+                reason: 'Expired when generating QR code'
+            });
             return res.status(StatusCodes.GONE).json({
                 error: 'Wishlist has expired'
             });
         }
 
-        // Return QR code data
-        const qrData = {
-            wishlist_id: wishlist.wishlist_id,
-            qr_token: wishlist.qr_code_token,
-            items: wishlist.items.map(item => ({
-                variant_id: item.shopify_variant_id,
-                quantity: item.quantity
-            }))
-        };
+        res.status(StatusCodes.OK).json(toQrCodeResponse(wishlist));
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Render the QR code of my wishlist as an image
+ * GET /api/mobile/wishlists/:wishlistId/qr.png
+ * GET /api/mobile/wishlists/:wishlistId/qr.svg
+ */
+exports.getQRCodeImage = async (req, res, next) => {
+    try {
+        const { wishlistId, format } = req.params;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.query.user_id);
+
+        if (!QR_IMAGE_FORMATS.includes(format)) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: `Unsupported QR image format, use ${QR_IMAGE_FORMATS.join(' or ')}`
+            });
+        }
+
+        if (!user_id) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'user_id query parameter is required'
+            });
+        }
+
+        const { options, error } = parseQrImageOptions(req.query);
+        if (error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({ error });
+        }
+
+        const wishlist = await findOwnedWishlist(wishlistId, user_id);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found or access denied'
+            });
+        }
+
+        if (wishlist.status !== 'ACTIVE') {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `Cannot generate QR code for wishlist with status: ${wishlist.status}`
+            });
+        }
+
+        // Check if expired
+        if (new Date() > new Date(wishlist.expires_at)) {
+            await transitionWishlist(wishlist, 'EXPIRED', {
+                actor: `user:${user_id}`,
+                reason: 'Expired when generating QR code'
+            });
+            return res.status(StatusCodes.GONE).json({
+                error: 'Wishlist has expired'
+            });
+        }
+
+        // The image encodes a fresh signed payload, so it must not be cached past its expiry
+        const signed = createQrPayload(wishlist);
+        const { contentType, body } = renderQrImage(signed.payload, format, options);
+
+        res.set({
+            'Content-Type': contentType,
+            'Cache-Control': 'no-store',
+            'X-QR-Expires-At': signed.expires_at.toISOString()
+        });
+        res.status(StatusCodes.OK).send(body);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the QR code of my wishlist: the old code stops working, a new one is returned
+ * POST /api/mobile/wishlists/:wishlistId/qr/rotate
+ */
+exports.rotateQRCode = async (req, res, next) => {
+    try {
+        const { wishlistId } = req.params;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.body.user_id);
+
+        if (!user_id) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'user_id is required'
+            });
+        }
+
+        const { reason, error } = readRotationReason(req.body.reason);
+        if (error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({ error });
+        }
+
+        const wishlist = await Wishlist.findOne({
+            where: {
+                wishlist_id: wishlistId,
+                user_id // Ensure user owns this wishlist
+            },
+            include: [{
+                model: WishlistItem,
+                as: 'items'
+            }]
+        });
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found or access denied'
+            });
+        }
+
+        await replaceQrToken(wishlist, {
+            action: 'ROTATED',
+            actor: `user:${user_id}`,
+            reason
+        });
+
+        res.status(StatusCodes.OK).json(toQrCodeResponse(wishlist));
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke the QR code of my wishlist without issuing a new one
+ * (POST /api/mobile/wishlists/:wishlistId/qr returns a code for the new token later)
+ * DELETE /api/mobile/wishlists/:wishlistId/qr
+ */
+exports.revokeQRCode = async (req, res, next) => {
+    try {
+        const { wishlistId } = req.params;
+        // User from the verified BFF token
+        const user_id = requestUserId(req, req.query.user_id);
+
+        if (!user_id) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'user_id query parameter is required'
+            });
+        }
+
+        const { reason, error } = readRotationReason(req.query.reason);
+        if (error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({ error });
+        }
+
+        const wishlist = await findOwnedWishlist(wishlistId, user_id);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found or access denied'
+            });
+        }
+
+        await replaceQrToken(wishlist, {
+            action: 'REVOKED',
+            actor: `user:${user_id}`,
+            reason
+        });
 
         res.status(StatusCodes.OK).json({
-            qr_data: qrData,
-            qr_token: wishlist.qr_code_token,
-            expires_at: wishlist.expires_at
+            message: 'QR code revoked successfully',
+            wishlist_id: wishlist.wishlist_id
         });
 
     } catch (error) {
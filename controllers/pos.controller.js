@@ -1,5 +1,15 @@
 const { Wishlist, WishlistItem } = require('../models');
 const { StatusCodes } = require('http-status-codes');
+const {
+    transitionWishlist,
+    InvalidStatusTransitionError
+} = require('../services/wishlistStatus.service');
+const shopifyService = require('../services/shopify.service');
+const { summariseFulfilment, toDraftOrderLineItems } = require('../services/wishlistItems.service');
+const { releaseWishlist: releasePosSession } = require('../services/posSession.service');
+const { isSameShopifyId } = require('../services/orderLink.service');
+const { verifyQrPayload, matchesQrCodeToken } = require('../utils/qrPayload');
+const config = require('../config/serverConfig');
 
 /**
  * POS Controller
@@ -8,27 +18,319 @@ const { StatusCodes } = require('http-status-codes');
  * Authentication handled by BFF - service sits behind BFF
  */
 
+const FULFILMENT_STATUSES = ['PICKED', 'UNAVAILABLE', 'SUBSTITUTED'];
+const EXPIRABLE_STATUSES = ['ACTIVE', 'PROCESSING'];
+
 /**
- * Fetch wishlist by QR token only (real QR scan scenario)
- * POST /api/pos/wishlists/fetch-by-qr
+ * Compare one item snapshot with the live Shopify variant
  */
-exports.fetchByQRToken = async (req, res, next) => {
+function liveItemData(item, variant) {
+    if (!variant) {
+        return { found: false, available_for_sale: false, has_discrepancy: true };
+    }
+
+    const snapshotPrice = item.price === null || item.price === undefined ? null : Number(item.price);
+    const priceDelta = snapshotPrice === null
+        ? null
+        : Number((Number(variant.price) - snapshotPrice).toFixed(2));
+    const inventory = variant.inventoryQuantity ?? null;
+    const insufficientStock = inventory !== null && inventory < item.quantity;
+
+    return {
+        found: true,
+        current_price: variant.price,
+        compare_at_price: variant.compareAtPrice,
+        price_delta: priceDelta,
+        available_for_sale: variant.availableForSale,
+        inventory_quantity: inventory,
+        insufficient_stock: insufficientStock,
+        has_discrepancy: (priceDelta !== null && priceDelta !== 0) || !variant.availableForSale || insufficientStock
+    };
+}
+
+/**
+ * Serialise a wishlist for the till with each item annotated with live price/stock
+ * A Shopify outage must never block a scan, so failures are reported instead of thrown
+ */
+async function withLiveItemData(wishlist) {
+    const data = wishlist.toJSON();
+
+    if (!config.POS.REVALIDATE_ON_SCAN) {
+        return { wishlist: data };
+    }
+
     try {
-        const { qr_token } = req.body;
+        const variants = await shopifyService.fetchVariants(data.items.map(item => item.shopify_variant_id));
+
+        data.items = data.items.map(item => ({
+            ...item,
+            live: liveItemData(item, variants[shopifyService.toVariantGid(item.shopify_variant_id)])
+        }));
+
+        return {
+            wishlist: data,
+            revalidation: {
+                status: 'OK',
+                checked_at: new Date(),
+                items_with_discrepancies: data.items.filter(item => item.live.has_discrepancy).length
+            }
+        };
 
-        if (!qr_token) {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-                error: 'qr_token is required'
+    } catch (error) {
+        console.error('Live revalidation of wishlist items failed:', error.message);
+        return {
+            wishlist: data,
+            revalidation: { status: 'UNAVAILABLE', error: error.message }
+        };
+    }
+}
+
+/**
+ * Build a Shopify draft order from the wishlist items and store its ID on the wishlist
+ * The wishlist_id custom attribute lets Shopify orders be traced back to the wishlist
+ */
+async function createShopifyDraftOrder(wishlist, items) {
+    const draftOrder = await shopifyService.createDraftOrder({
+        lineItems: toDraftOrderLineItems(items),
+        note: `Wishlist ${wishlist.wishlist_id}`,
+        tags: ['wishlist', `wishlist-${wishlist.source.toLowerCase()}`],
+        customAttributes: [{ key: 'wishlist_id', value: wishlist.wishlist_id }]
+    });
+
+    await wishlist.update({ shopify_draft_order_id: draftOrder.id });
+
+    return draftOrder;
+}
+
+/**
+ * Actor recorded for POS actions
+ *
+ * An authenticated identity always wins over `claimed` (a free-text body field such as
+ * processed_by): the staff member of a verified session token, then the device whose key was
+ * used. Only callers on the shared secret, who have no identity, are recorded as `claimed` (or POS).
+ */
+function posActor(req, claimed = null) {
+    if (req.posSession) {
+        return `staff:${req.posSession.staff_id}`;
+    }
+    if (req.posDevice) {
+        return `POS:${req.posDevice.device_id}`;
+    }
+    return claimed || 'POS';
+}
+
+/**
+ * Whether the wishlist is already completed from this Shopify order (e.g. by the orders/create webhook)
+ */
+function completedFromOrder(wishlist, shopifyOrderId) {
+    return ['COMPLETED', 'PARTIALLY_COMPLETED'].includes(wishlist.status)
+        && isSameShopifyId(wishlist.metadata?.shopify_order_id, shopifyOrderId);
+}
+
+/**
+ * Free-text name the till sent alongside an authenticated identity (kept for reference only)
+ */
+function reportedName(req, claimed) {
+    return claimed && (req.posSession || req.posDevice) ? String(claimed) : null;
+}
+
+/**
+ * Redeem a scanned QR code and respond with the wishlist ready for processing
+ *
+ * Redemption is one conditional UPDATE (ACTIVE and QR not used yet), so when two tills
+ * scan the same code at once exactly one gets the wishlist and the other gets 409.
+ */
+async function redeemScannedWishlist(wishlist, res, actor) {
+    // Check if QR code already used
+    if (wishlist.qr_code_used_at) {
+        return res.status(StatusCodes.CONFLICT).json({
+            error: 'QR code has already been used',
+            used_at: wishlist.qr_code_used_at
+        });
+    }
+
+    // Check if wishlist expired - final statuses keep their own response below
+    if (EXPIRABLE_STATUSES.includes(wishlist.status) && new Date() > new Date(wishlist.expires_at)) {
+        await transitionWishlist(wishlist, 'EXPIRED', {
+            actor,
+            reason: 'Expired when scanned at POS'
+        });
+        return res.status(StatusCodes.GONE).json({
+            error: 'Wishlist has expired',
+            expired_at: wishlist.expires_at
+        });
+    }
+
+    // Check wishlist status
+    if (wishlist.status !== 'ACTIVE') {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+            error: `Wishlist is ${wishlist.status} and cannot be processed`
+        });
+    }
+
+    // Mark QR code as used and update status - only one concurrent scan can match
+    try {
+        await transitionWishlist(wishlist, 'PROCESSING', {
+            actor,
+            reason: 'QR code scanned',
+            changes: { qr_code_used_at: new Date() },
+            // Not used yet, and not rotated since it was read
+            where: { qr_code_used_at: null, qr_code_token: wishlist.qr_code_token }
+        });
+    } catch (error) {
+        if (!(error instanceof InvalidStatusTransitionError)) {
+            throw error;
+        }
+
+        // Lost the race: another scan redeemed (or cancelled, or rotated) the wishlist in between
+        const scannedToken = wishlist.qr_code_token;
+        await wishlist.reload();
+
+        if (wishlist.qr_code_token !== scannedToken) {
+            return res.status(StatusCodes.FORBIDDEN).json({
+                error: 'QR code is no longer valid'
             });
         }
 
-        const wishlist = await Wishlist.findOne({
-            where: { qr_code_token: qr_token },
-            include: [{
-                model: WishlistItem,
-                as: 'items'
-            }]
+        return res.status(StatusCodes.CONFLICT).json({
+            error: wishlist.qr_code_used_at
+                ? 'QR code has already been used'
+                : `Wishlist is ${wishlist.status} and cannot be processed`,
+            used_at: wishlist.qr_code_used_at
         });
+    }
+
+    // Fetch updated wishlist
+    const updatedWishlist = await Wishlist.findByPk(wishlist.wishlist_id, {
+        include: [{
+            model: WishlistItem,
+            as: 'items'
+        }]
+    });
+
+    const { wishlist: annotated, revalidation } = await withLiveItemData(updatedWishlist);
+
+    res.status(StatusCodes.OK).json({
+        wishlist: annotated,
+        ...(revalidation && { revalidation }),
+        message: 'Wishlist ready for processing'
+    });
+}
+
+/**
+ * Find the wishlist a scan refers to
+ *
+ * A signed `qr_payload` is verified (signature, key, expiry) before the database is
+ * touched; a bare `qr_token` is only accepted while QR_ACCEPT_LEGACY_TOKENS is on.
+ * Returns { wishlist } or { errorResponse: { status, body } }.
+ */
+async function findScannedWishlist(body, wishlistId = null) {
+    const { qr_payload, qr_token } = body || {};
+    const include = [{
+        model: WishlistItem,
+        as: 'items'
+    }];
+
+    if (qr_payload) {
+        // Throws QrPayloadError (401) for forged, unknown-key or expired payloads
+        const claims = verifyQrPayload(qr_payload);
+
+        if (wishlistId && claims.wishlist_id !== wishlistId) {
+            return { errorResponse: { status: StatusCodes.FORBIDDEN, body: { error: 'Invalid QR code token' } } };
+        }
+
+        const wishlist = await Wishlist.findByPk(claims.wishlist_id, { include });
+
+        if (!wishlist) {
+            return { errorResponse: { status: StatusCodes.NOT_FOUND, body: { error: 'Wishlist not found' } } };
+        }
+
+        // Signed for a token that has since been replaced
+        if (!matchesQrCodeToken(claims, wishlist.qr_code_token)) {
+            return { errorResponse: { status: StatusCodes.FORBIDDEN, body: { error: 'QR code is no longer valid' } } };
+        }
+
+        return { wishlist };
+    }
+
+    if (!qr_token) {
+        return { errorResponse: { status: StatusCodes.BAD_REQUEST, body: { error: 'qr_payload is required' } } };
+    }
+
+    if (!config.QR.ACCEPT_LEGACY_TOKENS) {
+        return {
+            errorResponse: {
+                status: StatusCodes.BAD_REQUEST,
+                body: { error: 'Unsigned QR tokens are no longer accepted, qr_payload is required' }
+            }
+        };
+    }
+
+    const wishlist = wishlistId
+        ? await Wishlist.findByPk(wishlistId, { include })
+        : await Wishlist.findOne({ where: { qr_code_token: qr_token }, include });
+
+    if (!wishlist) {
+        return { errorResponse: { status: StatusCodes.NOT_FOUND, body: { error: 'Wishlist not found' } } };
+    }
+
+    // Validate QR token
+    if (wishlist.qr_code_token !== qr_token) {
+        return { errorResponse: { status: StatusCodes.FORBIDDEN, body: { error: 'Invalid QR code token' } } };
+    }
+
+    return { wishlist };
+}
+
+/**
+ * Fetch wishlist by QR code only (real QR scan scenario)
+ * POST /api/pos/wishlists/fetch-by-qr
+ */
+exports.fetchByQRToken = async (req, res, next) => {
+    try {
+        const { wishlist, errorResponse } = await findScannedWishlist(req.body);
+
+        if (errorResponse) {
+            return res.status(errorResponse.status).json(errorResponse.body);
+        }
+
+        await redeemScannedWishlist(wishlist, res, posActor(req));
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Fetch wishlist for POS processing
+ * Validates the QR code and marks it as used
+ * POST /api/pos/wishlists/:wishlistId/fetch
+ */
+exports.fetchWishlist = async (req, res, next) => {
+    try {
+        const { wishlist, errorResponse } = await findScannedWishlist(req.body, req.params.wishlistId);
+
+        if (errorResponse) {
+            return res.status(errorResponse.status).json(errorResponse.body);
+        }
+
+        await redeemScannedWishlist(wishlist, res, posActor(req));
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Mark wishlist as completed
+ * POST /api/pos/wishlists/:wishlistId/complete
+ */
+exports.completeWishlist = async (req, res, next) => {
+    try {
+        const { wishlistId } = req.params;
+        const { processed_by, shopify_order_id } = req.body;
+
+        const wishlist = await Wishlist.findByPk(wishlistId);
 
         if (!wishlist) {
             return res.status(StatusCodes.NOT_FOUND).json({
@@ -36,47 +338,101 @@ exports.fetchByQRToken = async (req, res, next) => {
             });
         }
 
-        // Check if QR code already used
-        if (wishlist.qr_code_used_at) {
-            return res.status(StatusCodes.CONFLICT).json({
-                error: 'QR code has already been used',
-                used_at: wishlist.qr_code_used_at
+        // The orders/create webhook may have completed it from this order already
+        if (completedFromOrder(wishlist, shopify_order_id)) {
+            return res.status(StatusCodes.OK).json({
+                message: 'Wishlist already completed from its Shopify order',
+                wishlist
             });
         }
 
-        // Check if wishlist expired
-        if (new Date() > new Date(wishlist.expires_at)) {
-            await wishlist.update({ status: 'EXPIRED' });
-            return res.status(StatusCodes.GONE).json({
-                error: 'Wishlist has expired',
-                expired_at: wishlist.expires_at
+        if (wishlist.status !== 'PROCESSING') {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `Cannot complete wishlist with status: ${wishlist.status}`
             });
         }
 
-        // Check wishlist status
-        if (wishlist.status !== 'ACTIVE') {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-                error: `Wishlist is ${wishlist.status} and cannot be processed`
-            });
+        const items = await WishlistItem.findAll({ where: { wishlist_id: wishlistId } });
+        const fulfilment = summariseFulfilment(items);
+
+        // Update metadata with order information
+        const metadata = { ...wishlist.metadata };
+        if (shopify_order_id) {
+            metadata.shopify_order_id = shopify_order_id;
+        }
+        if (req.posSession) {
+            metadata.pos_session = {
+                shop: req.posSession.shop,
+                staff_id: req.posSession.staff_id,
+                // Client-reported (x-pos-location-id), unlike shop and staff_id
+                reported_location_id: req.posSession.reported_location_id
+            };
+        }
+        if (req.posDevice) {
+            metadata.pos_device = {
+                device_id: req.posDevice.device_id,
+                name: req.posDevice.name,
+                location_id: req.posDevice.location_id
+            };
+        }
+        if (reportedName(req, processed_by)) {
+            metadata.reported_processed_by = reportedName(req, processed_by);
         }
 
-        // Mark QR code as used and update status
-        await wishlist.update({
-            qr_code_used_at: new Date(),
-            status: 'PROCESSING'
-        });
+        // Optionally check out in Shopify (see POS_CHECKOUT_MODE)
+        const checkoutMode = config.POS.CHECKOUT_MODE;
+        const sellsSomething = toDraftOrderLineItems(items).length > 0;
+        if ((checkoutMode === 'draft_order' || checkoutMode === 'order') && sellsSomething) {
+            if (!wishlist.shopify_draft_order_id) {
+                await createShopifyDraftOrder(wishlist, items);
+            }
+
+            // A caller-supplied order ID means the order already exists
+            if (checkoutMode === 'order' && !metadata.shopify_order_id) {
+                const order = await shopifyService.completeDraftOrder(wishlist.shopify_draft_order_id);
+                metadata.shopify_order_id = order.id;
+                metadata.shopify_order_name = order.name;
+            }
+        }
 
-        // Fetch updated wishlist
-        const updatedWishlist = await Wishlist.findByPk(wishlist.wishlist_id, {
-            include: [{
-                model: WishlistItem,
-                as: 'items'
-            }]
-        });
+        const finalStatus = fulfilment.fully_fulfilled ? 'COMPLETED' : 'PARTIALLY_COMPLETED';
+
+        try {
+            await transitionWishlist(wishlist, finalStatus, {
+                actor: posActor(req, processed_by),
+                reason: fulfilment.fully_fulfilled ? null : 'Not all items were picked',
+                changes: {
+                    processed_at: new Date(),
+                    processed_by: posActor(req, processed_by),
+                    metadata
+                }
+            });
+        } catch (error) {
+            if (!(error instanceof InvalidStatusTransitionError)) {
+                throw error;
+            }
+
+            // The order just created here can reach the orders/create webhook first - same sale, not a conflict
+            await wishlist.reload();
+            if (!completedFromOrder(wishlist, metadata.shopify_order_id)) {
+                throw error;
+            }
+
+            // Keep what the till knows (who rang it up) next to what the webhook stored
+            await wishlist.update({ metadata: { ...metadata, ...wishlist.metadata } });
+
+            return res.status(StatusCodes.OK).json({
+                message: 'Wishlist already completed from its Shopify order',
+                wishlist
+            });
+        }
 
         res.status(StatusCodes.OK).json({
-            wishlist: updatedWishlist,
-            message: 'Wishlist ready for processing'
+            message: fulfilment.fully_fulfilled
+                ? 'Wishlist completed successfully'
+                : 'Wishlist partially completed',
+            wishlist,
+            ...(fulfilment.tracked && { fulfilment })
         });
 
     } catch (error) {
@@ -85,27 +441,27 @@ exports.fetchByQRToken = async (req, res, next) => {
 };
 
 /**
- * Fetch wishlist for POS processing
- * Validates QR token and marks it as used
- * POST /api/pos/wishlists/:wishlistId/fetch
+ * Record the fulfilment of one wishlist item at the till
+ * POST /api/pos/wishlists/:wishlistId/items/:itemId/fulfil
  */
-exports.fetchWishlist = async (req, res, next) => {
+exports.fulfilItem = async (req, res, next) => {
     try {
-        const { wishlistId } = req.params;
-        const { qr_token } = req.body;
+        const { wishlistId, itemId } = req.params;
+        const { status, picked_quantity, substitute_variant_id } = req.body;
 
-        if (!qr_token) {
+        if (!FULFILMENT_STATUSES.includes(status)) {
             return res.status(StatusCodes.BAD_REQUEST).json({
-                error: 'qr_token is required'
+                error: `status must be one of: ${FULFILMENT_STATUSES.join(', ')}`
             });
         }
 
-        const wishlist = await Wishlist.findByPk(wishlistId, {
-            include: [{
-                model: WishlistItem,
-                as: 'items'
-            }]
-        });
+        if (status === 'SUBSTITUTED' && !substitute_variant_id) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'substitute_variant_id is required for SUBSTITUTED items'
+            });
+        }
+
+        const wishlist = await Wishlist.findByPk(wishlistId);
 
         if (!wishlist) {
             return res.status(StatusCodes.NOT_FOUND).json({
@@ -113,54 +469,56 @@ exports.fetchWishlist = async (req, res, next) => {
             });
         }
 
-        // Validate QR token
-        if (wishlist.qr_code_token !== qr_token) {
-            return res.status(StatusCodes.FORBIDDEN).json({
-                error: 'Invalid QR code token'
+        if (wishlist.status !== 'PROCESSING') {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `Cannot fulfil items of wishlist with status: ${wishlist.status}`
             });
         }
 
-        // Check if QR code already used
-        if (wishlist.qr_code_used_at) {
+        // The draft order is built from fulfilment, so it must not drift afterwards
+        if (wishlist.shopify_draft_order_id) {
             return res.status(StatusCodes.CONFLICT).json({
-                error: 'QR code has already been used',
-                used_at: wishlist.qr_code_used_at
+                error: 'A Shopify draft order was already created for this wishlist',
+                draft_order_id: wishlist.shopify_draft_order_id
             });
         }
 
-        // Check if wishlist expired
-        if (new Date() > new Date(wishlist.expires_at)) {
-            await wishlist.update({ status: 'EXPIRED' });
-            return res.status(StatusCodes.GONE).json({
-                error: 'Wishlist has expired',
-                expired_at: wishlist.expires_at
+        const item = await WishlistItem.findOne({
+            where: { item_id: itemId, wishlist_id: wishlistId }
+        });
+
+        if (!item) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist item not found'
             });
         }
 
-        // Check wishlist status
-        if (wishlist.status !== 'ACTIVE') {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-                error: `Wishlist is ${wishlist.status} and cannot be processed`
-            });
+        let pickedQuantity;
+        if (status === 'UNAVAILABLE') {
+            pickedQuantity = 0;
+        } else if (picked_quantity === undefined || picked_quantity === null) {
+            pickedQuantity = item.quantity;
+        } else {
+            pickedQuantity = Number(picked_quantity);
+            if (!Number.isInteger(pickedQuantity) || pickedQuantity < 1 || pickedQuantity > item.quantity) {
+                return res.status(StatusCodes.BAD_REQUEST).json({
+                    error: `picked_quantity must be an integer between 1 and ${item.quantity}`
+                });
+            }
         }
 
-        // Mark QR code as used and update status
-        await wishlist.update({
-            qr_code_used_at: new Date(),
-            status: 'PROCESSING'
+        await item.update({
+            fulfilment_status: status,
+            picked_quantity: pickedQuantity,
+            substitute_variant_id: status === 'SUBSTITUTED' ? String(substitute_variant_id) : null,
+            fulfilled_at: new Date()
         });
 
-        // Fetch updated wishlist
-        const updatedWishlist = await Wishlist.findByPk(wishlistId, {
-            include: [{
-                model: WishlistItem,
-                as: 'items'
-            }]
-        });
+        const items = await WishlistItem.findAll({ where: { wishlist_id: wishlistId } });
 
         res.status(StatusCodes.OK).json({
-            wishlist: updatedWishlist,
-            message: 'Wishlist ready for processing'
+            item,
+            fulfilment: summariseFulfilment(items)
         });
 
     } catch (error) {
@@ -169,15 +527,19 @@ exports.fetchWishlist = async (req, res, next) => {
 };
 
 /**
- * Mark wishlist as completed
- * POST /api/pos/wishlists/:wishlistId/complete
+ * Create a Shopify draft order for a wishlist being processed
+ * POST /api/pos/wishlists/:wishlistId/draft-order
  */
-exports.completeWishlist = async (req, res, next) => {
+exports.createDraftOrder = async (req, res, next) => {
     try {
         const { wishlistId } = req.params;
-        const { processed_by, shopify_order_id } = req.body;
 
-        const wishlist = await Wishlist.findByPk(wishlistId);
+        const wishlist = await Wishlist.findByPk(wishlistId, {
+            include: [{
+                model: WishlistItem,
+                as: 'items'
+            }]
+        });
 
         if (!wishlist) {
             return res.status(StatusCodes.NOT_FOUND).json({
@@ -187,25 +549,31 @@ exports.completeWishlist = async (req, res, next) => {
 
         if (wishlist.status !== 'PROCESSING') {
             return res.status(StatusCodes.BAD_REQUEST).json({
-                error: `Cannot complete wishlist with status: ${wishlist.status}`
+                error: `Cannot create draft order for wishlist with status: ${wishlist.status}`
             });
         }
 
-        // Update metadata with order information
-        const metadata = { ...wishlist.metadata };
-        if (shopify_order_id) {
-            metadata.shopify_order_id = shopify_order_id;
+        // Only one draft order per wishlist - repeated calls return the existing one
+        if (wishlist.shopify_draft_order_id) {
+            return res.status(StatusCodes.OK).json({
+                message: 'Draft order already exists',
+                draft_order_id: wishlist.shopify_draft_order_id,
+                wishlist
+            });
         }
 
-        await wishlist.update({
-            status: 'COMPLETED',
-            processed_at: new Date(),
-            processed_by: processed_by || 'POS',
-            metadata
-        });
+        if (toDraftOrderLineItems(wishlist.items).length === 0) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'Wishlist has no items to order'
+            });
+        }
 
-        res.status(StatusCodes.OK).json({
-            message: 'Wishlist completed successfully',
+        const draftOrder = await createShopifyDraftOrder(wishlist, wishlist.items);
+
+        res.status(StatusCodes.CREATED).json({
+            message: 'Draft order created successfully',
+            draft_order: draftOrder,
+            draft_order_id: draftOrder.id,
             wishlist
         });
 
@@ -237,9 +605,10 @@ exports.cancelWishlist = async (req, res, next) => {
             metadata.cancellation_reason = reason;
         }
 
-        await wishlist.update({
-            status: 'CANCELLED',
-            metadata
+        await transitionWishlist(wishlist, 'CANCELLED', {
+            actor: posActor(req),
+            reason: reason || null,
+            changes: { metadata }
         });
 
         res.status(StatusCodes.OK).json({
@@ -252,6 +621,58 @@ exports.cancelWishlist = async (req, res, next) => {
     }
 };
 
+/**
+ * Release a wishlist whose POS session was aborted: back to ACTIVE with a new QR code
+ * POST /api/pos/wishlists/:wishlistId/release
+ */
+exports.releaseWishlist = async (req, res, next) => {
+    try {
+        const { wishlistId } = req.params;
+        const { reason, released_by } = req.body;
+
+        const wishlist = await Wishlist.findByPk(wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        if (wishlist.status !== 'PROCESSING') {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `Cannot release wishlist with status: ${wishlist.status}`
+            });
+        }
+
+        // Past expires_at there is nothing to return to
+        if (new Date() > new Date(wishlist.expires_at)) {
+            await transitionWishlist(wishlist, 'EXPIRED', {
+                actor: posActor(req),
+                reason: 'Expired when released at POS'
+            });
+            return res.status(StatusCodes.GONE).json({
+                error: 'Wishlist has expired',
+                expired_at: wishlist.expires_at
+            });
+        }
+
+        const releasedBy = reportedName(req, released_by);
+
+        await releasePosSession(wishlist, {
+            actor: posActor(req, released_by),
+            reason: (reason || 'Released at POS') + (releasedBy ? ` (reported by ${releasedBy})` : '')
+        });
+
+        res.status(StatusCodes.OK).json({
+            message: 'Wishlist released successfully',
+            wishlist
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Get wishlist status
  * GET /api/pos/wishlists/:wishlistId/status
@@ -49,6 +49,60 @@ exports.getProducts = async (req, res, next) => {
     }
 };
 
+// Upper bound on ids + barcodes resolved in one request
+const MAX_VARIANT_LOOKUP = 250;
+
+/**
+ * Parse a comma-separated (or repeated) query parameter into a list
+ */
+function parseList(value) {
+    if (!value) return [];
+    return [].concat(value)
+        .join(',')
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Get current variant data by IDs and/or barcodes
+ * GET /api/products/variants?ids=123,456&barcodes=4890000000001
+ */
+exports.getVariants = async (req, res, next) => {
+    try {
+        const ids = parseList(req.query.ids);
+        const barcodes = parseList(req.query.barcodes);
+
+        if (ids.length === 0 && barcodes.length === 0) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'ids or barcodes query parameter is required'
+            });
+        }
+
+        if (ids.length + barcodes.length > MAX_VARIANT_LOOKUP) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `At most ${MAX_VARIANT_LOOKUP} ids and barcodes can be resolved per request`
+            });
+        }
+
+        const byId = ids.length > 0 ? await shopifyService.fetchVariants(ids) : {};
+        const byBarcode = barcodes.length > 0 ? await shopifyService.fetchVariantsByBarcode(barcodes) : {};
+
+        const missingKeys = (map) => Object.keys(map).filter(key => !map[key]);
+
+        res.status(StatusCodes.OK).json({
+            variants: [...Object.values(byId), ...Object.values(byBarcode)].filter(Boolean),
+            not_found: {
+                ids: missingKeys(byId),
+                barcodes: missingKeys(byBarcode)
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Get single product by ID
  * GET /api/products/:productId
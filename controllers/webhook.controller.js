@@ -0,0 +1,89 @@
+const { StatusCodes } = require('http-status-codes');
+const { verifyWebhookHmac, claimDelivery, processDelivery } = require('../services/shopifyWebhook.service');
+const config = require('../config/serverConfig');
+
+/**
+ * Webhook Controller
+ *
+ * Receives webhook deliveries from Shopify. The body arrives as a raw Buffer (see index.js)
+ * because the HMAC is computed over the exact bytes Shopify sent.
+ */
+
+/**
+ * Receive a Shopify webhook
+ * POST /api/webhooks/shopify
+ */
+exports.receiveShopifyWebhook = async (req, res, next) => {
+    try {
+        const secret = config.SHOPIFY.WEBHOOK_SECRET;
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+        if (!secret) {
+            if (process.env.NODE_ENV === 'production') {
+                console.error('SHOPIFY_WEBHOOK_SECRET not configured in production environment');
+                return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+                    error: 'Service configuration error'
+                });
+            }
+            console.warn('SHOPIFY_WEBHOOK_SECRET not configured - accepting unsigned webhook in non-production environment');
+        } else if (!verifyWebhookHmac(rawBody, req.get('x-shopify-hmac-sha256'), secret)) {
+            return res.status(StatusCodes.UNAUTHORIZED).json({
+                error: 'Invalid webhook signature'
+            });
+        }
+
+        const topic = req.get('x-shopify-topic');
+        const webhookId = req.get('x-shopify-webhook-id');
+
+        if (!topic || !webhookId) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'X-Shopify-Topic and X-Shopify-Webhook-Id headers are required'
+            });
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'Webhook body is not valid JSON'
+            });
+        }
+
+        const triggeredAt = new Date(req.get('x-shopify-triggered-at'));
+
+        const claim = await claimDelivery({
+            webhookId,
+            topic,
+            shopDomain: req.get('x-shopify-shop-domain') || null,
+            apiVersion: req.get('x-shopify-api-version') || null,
+            triggeredAt: Number.isNaN(triggeredAt.getTime()) ? null : triggeredAt
+        });
+
+        if (claim.duplicate) {
+            return res.status(StatusCodes.OK).json({
+                webhook_id: webhookId,
+                status: claim.duplicate.status,
+                duplicate: true
+            });
+        }
+
+        // Shopify retries non-2xx deliveries; by then the first attempt has finished
+        if (claim.inProgress) {
+            return res.status(StatusCodes.CONFLICT).json({
+                error: 'Webhook is already being processed'
+            });
+        }
+
+        const delivery = await processDelivery(claim.delivery, payload);
+
+        res.status(StatusCodes.OK).json({
+            webhook_id: webhookId,
+            status: delivery.status,
+            duplicate: false
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
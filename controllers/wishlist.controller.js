@@ -1,6 +1,15 @@
-const { Wishlist, WishlistItem, Idempotency } = require('../models');
+const { Wishlist, WishlistItem } = require('../models');
 const { StatusCodes } = require('http-status-codes');
+const { sequelize } = require('complex-common-utils');
 const crypto = require('crypto');
+const { transitionWishlist, getStatusHistory } = require('../services/wishlistStatus.service');
+const { resolveItemsAgainstCatalogue } = require('../services/catalogue.service');
+const { validateItems } = require('../utils/itemValidation');
+const { createQrPayload } = require('../utils/qrPayload');
+const { requestUserId } = require('../utils/bffToken');
+const { QR_IMAGE_FORMATS, parseQrImageOptions, renderQrImage } = require('../utils/qrImage');
+const { applyItemOperations, lockActiveWishlist, toItemRow } = require('../services/wishlistItems.service');
+const config = require('../config/serverConfig');
 
 /**
  * Wishlist Controller
@@ -8,13 +17,40 @@ const crypto = require('crypto');
  * Handles general wishlist operations
  */
 
+/**
+ * Restrict :wishlistId routes to the token's user when the BFF token names one
+ * (router.param handler; service-level tokens, e.g. the kiosk's, reach every wishlist)
+ */
+exports.checkWishlistOwnership = async (req, res, next, wishlistId) => {
+    try {
+        const userId = req.bffAuth?.user_id;
+
+        if (userId) {
+            const owned = await Wishlist.count({ where: { wishlist_id: wishlistId, user_id: userId } });
+
+            // Same answer as for a wishlist that does not exist
+            if (owned === 0) {
+                return res.status(StatusCodes.NOT_FOUND).json({
+                    error: 'Wishlist not found'
+                });
+            }
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Create a new wishlist
  * POST /api/wishlists
  */
 exports.createWishlist = async (req, res, next) => {
     try {
-        const { user_id, items, source = 'KIOSK', metadata } = req.body;
+        const { source = 'KIOSK', metadata } = req.body;
+        const user_id = requestUserId(req, req.body.user_id);
+        let { items } = req.body;
 
         // Validation
         if (!user_id) {
@@ -23,40 +59,24 @@ exports.createWishlist = async (req, res, next) => {
             });
         }
 
-        if (!items || !Array.isArray(items) || items.length === 0) {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-                error: 'items array is required and must not be empty'
-            });
+        const validation = validateItems(items);
+        if (validation.errorResponse) {
+            return res.status(StatusCodes.BAD_REQUEST).json(validation.errorResponse);
         }
+        items = validation.items;
 
-        // Check idempotency key if provided
-        const idempotencyKey = req.headers['idempotency-key'];
-        if (idempotencyKey) {
-            const existing = await Idempotency.findOne({
-                where: { idempotency_key: idempotencyKey }
-            });
+        // Strict mode: resolve every variant in Shopify and use its data for the snapshot
+        if (config.WISHLIST.STRICT_CATALOGUE) {
+            const { items: resolvedItems, itemErrors } = await resolveItemsAgainstCatalogue(items);
 
-            if (existing) {
-                if (existing.status === 'COMPLETED') {
-                    // Return cached response
-                    return res.status(StatusCodes.OK).json(existing.response_data);
-                } else if (existing.status === 'PROCESSING') {
-                    return res.status(StatusCodes.CONFLICT).json({
-                        error: 'Request is already being processed'
-                    });
-                }
+            if (itemErrors.length > 0) {
+                return res.status(StatusCodes.BAD_REQUEST).json({
+                    error: 'Some items could not be found in the Shopify catalogue',
+                    item_errors: itemErrors
+                });
             }
-        }
 
-        // Create idempotency record if key provided
-        let idempotencyRecord = null;
-        if (idempotencyKey) {
-            idempotencyRecord = await Idempotency.create({
-                idempotency_key: idempotencyKey,
-                operation_type: 'CREATE_WISHLIST',
-                request_payload: req.body,
-                status: 'PROCESSING'
-            });
+            items = resolvedItems;
         }
 
         // Calculate expiration time
@@ -71,34 +91,26 @@ exports.createWishlist = async (req, res, next) => {
         const firstItem = items[0];
         const collectionId = firstItem?.collection_id || firstItem?.collectionId || null;
 
-        // Create wishlist
-        const wishlist = await Wishlist.create({
-            user_id,
-            collection_id: collectionId,
-            status: 'ACTIVE',
-            source,
-            qr_code_token: qrCodeToken,
-            expires_at: expiresAt,
-            metadata: metadata || {}
+        // Create wishlist and items together - a failure leaves neither behind
+        const wishlist = await sequelize.transaction(async (transaction) => {
+            const created = await Wishlist.create({
+                user_id,
+                collection_id: collectionId,
+                status: 'ACTIVE',
+                source,
+                qr_code_token: qrCodeToken,
+                expires_at: expiresAt,
+                metadata: metadata || {}
+            }, { transaction });
+
+            await WishlistItem.bulkCreate(
+                items.map(item => ({ wishlist_id: created.wishlist_id, ...toItemRow(item) })),
+                { validate: true, transaction }
+            );
+
+            return created;
         });
 
-        // Create wishlist items
-        const wishlistItems = await Promise.all(
-            items.map(item => WishlistItem.create({
-                wishlist_id: wishlist.wishlist_id,
-                shopify_variant_id: item.variant_id || item.variantId,
-                shopify_product_id: item.product_id || item.productId,
-                quantity: item.quantity || 1,
-                product_title: item.product_title || item.title || 'Unknown Product',
-                variant_title: item.variant_title || item.variantTitle,
-                price: item.price,
-                currency: item.currency || 'HKD',
-                barcode: item.barcode,
-                image_url: item.image_url || item.imageUrl,
-                product_data: item.product_data || item
-            }))
-        );
-
         // Fetch complete wishlist with items
         const completeWishlist = await Wishlist.findByPk(wishlist.wishlist_id, {
             include: [{
@@ -107,20 +119,16 @@ exports.createWishlist = async (req, res, next) => {
             }]
         });
 
+        // Signed payload for the kiosk to display as QR code
+        const signed = createQrPayload(completeWishlist);
+
         const response = {
             wishlist: completeWishlist,
-            qr_code_token: qrCodeToken
+            qr_payload: signed.payload,
+            qr_payload_expires_at: signed.expires_at,
+            ...(config.QR.ACCEPT_LEGACY_TOKENS && { qr_code_token: qrCodeToken })
         };
 
-        // Update idempotency record if exists
-        if (idempotencyRecord) {
-            await idempotencyRecord.update({
-                wishlist_id: wishlist.wishlist_id,
-                response_data: response,
-                status: 'COMPLETED'
-            });
-        }
-
         res.status(StatusCodes.CREATED).json(response);
 
     } catch (error) {
@@ -162,7 +170,9 @@ exports.getWishlist = async (req, res, next) => {
  */
 exports.searchWishlists = async (req, res, next) => {
     try {
-        const { user_id, status, source, limit = 50, offset = 0 } = req.query;
+        const { status, source, limit = 50, offset = 0 } = req.query;
+        // A token bound to a user only ever searches that user's wishlists
+        const user_id = requestUserId(req, req.query.user_id);
 
         const where = {};
         if (user_id) where.user_id = user_id;
@@ -215,25 +225,38 @@ exports.updateWishlistItems = async (req, res, next) => {
             });
         }
 
-        // Delete existing items
-        await WishlistItem.destroy({ where: { wishlist_id: wishlistId } });
-
-        // Create new items
-        await Promise.all(
-            items.map(item => WishlistItem.create({
-                wishlist_id: wishlistId,
-                shopify_variant_id: item.variant_id || item.variantId,
-                shopify_product_id: item.product_id || item.productId,
-                quantity: item.quantity || 1,
-                product_title: item.product_title || item.title,
-                variant_title: item.variant_title || item.variantTitle,
-                price: item.price,
-                currency: item.currency || 'HKD',
-                barcode: item.barcode,
-                image_url: item.image_url || item.imageUrl,
-                product_data: item.product_data || item
-            }))
-        );
+        const validation = validateItems(items, { allowEmpty: true });
+        if (validation.errorResponse) {
+            return res.status(StatusCodes.BAD_REQUEST).json(validation.errorResponse);
+        }
+
+        let newItems = validation.items;
+
+        // Strict mode: resolve every variant in Shopify and use its data for the snapshot
+        if (config.WISHLIST.STRICT_CATALOGUE && newItems.length > 0) {
+            const { items: resolvedItems, itemErrors } = await resolveItemsAgainstCatalogue(newItems);
+
+            if (itemErrors.length > 0) {
+                return res.status(StatusCodes.BAD_REQUEST).json({
+                    error: 'Some items could not be found in the Shopify catalogue',
+                    item_errors: itemErrors
+                });
+            }
+
+            newItems = resolvedItems;
+        }
+
+        // Replace items atomically - a failure keeps the previous items
+        await sequelize.transaction(async (transaction) => {
+            await lockActiveWishlist(wishlistId, transaction);
+
+            await WishlistItem.destroy({ where: { wishlist_id: wishlistId }, transaction });
+
+            await WishlistItem.bulkCreate(
+                newItems.map(item => ({ wishlist_id: wishlistId, ...toItemRow(item) })),
+                { validate: true, transaction }
+            );
+        });
 
         // Fetch updated wishlist
         const updatedWishlist = await Wishlist.findByPk(wishlistId, {
@@ -250,6 +273,123 @@ exports.updateWishlistItems = async (req, res, next) => {
     }
 };
 
+/**
+ * Apply item operations and respond with the affected item and the updated wishlist
+ */
+async function respondWithItemOperations(res, wishlist, operations, statusCode = StatusCodes.OK) {
+    const { items, results } = await applyItemOperations(wishlist, operations);
+    const itemId = results[0].item_id;
+
+    res.status(statusCode).json({
+        item: items.find(item => item.item_id === itemId) || null,
+        wishlist: { ...wishlist.toJSON(), items }
+    });
+}
+
+/**
+ * Add an item (adding a variant already in the wishlist increases its quantity)
+ * POST /api/wishlists/:wishlistId/items
+ */
+exports.addWishlistItem = async (req, res, next) => {
+    try {
+        const wishlist = await Wishlist.findByPk(req.params.wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        await respondWithItemOperations(res, wishlist, [
+            { op: 'add', path: '/items/-', value: req.body }
+        ], StatusCodes.CREATED);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Change the quantity and/or variant of one item
+ * PATCH /api/wishlists/:wishlistId/items/:itemId
+ */
+exports.updateWishlistItem = async (req, res, next) => {
+    try {
+        const { wishlistId, itemId } = req.params;
+
+        const wishlist = await Wishlist.findByPk(wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        await respondWithItemOperations(res, wishlist, [
+            { op: 'replace', path: `/items/${itemId}`, value: req.body }
+        ]);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove one item
+ * DELETE /api/wishlists/:wishlistId/items/:itemId
+ */
+exports.removeWishlistItem = async (req, res, next) => {
+    try {
+        const { wishlistId, itemId } = req.params;
+
+        const wishlist = await Wishlist.findByPk(wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        const { items } = await applyItemOperations(wishlist, [
+            { op: 'remove', path: `/items/${itemId}` }
+        ]);
+
+        res.status(StatusCodes.OK).json({
+            message: 'Item removed successfully',
+            wishlist: { ...wishlist.toJSON(), items }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Apply several item operations at once, all or nothing (JSON-Patch style)
+ * PATCH /api/wishlists/:wishlistId/items
+ */
+exports.patchWishlistItems = async (req, res, next) => {
+    try {
+        const wishlist = await Wishlist.findByPk(req.params.wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        const { items, results } = await applyItemOperations(wishlist, req.body?.operations);
+
+        res.status(StatusCodes.OK).json({
+            results,
+            wishlist: { ...wishlist.toJSON(), items }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Cancel/delete wishlist
  * DELETE /api/wishlists/:wishlistId
@@ -266,7 +406,10 @@ exports.cancelWishlist = async (req, res, next) => {
             });
         }
 
-        await wishlist.update({ status: 'CANCELLED' });
+        await transitionWishlist(wishlist, 'CANCELLED', {
+            actor: 'API',
+            reason: req.body?.reason || null
+        });
 
         res.status(StatusCodes.OK).json({
             message: 'Wishlist cancelled successfully',
@@ -294,7 +437,10 @@ exports.expireWishlist = async (req, res, next) => {
             });
         }
 
-        await wishlist.update({ status: 'EXPIRED' });
+        await transitionWishlist(wishlist, 'EXPIRED', {
+            actor: 'API',
+            reason: 'Manually expired'
+        });
 
         res.status(StatusCodes.OK).json({
             message: 'Wishlist expired successfully',
@@ -305,3 +451,94 @@ exports.expireWishlist = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * Render the QR code of a wishlist as an image (kiosk display)
+ * GET /api/wishlists/:wishlistId/qr.png
+ * GET /api/wishlists/:wishlistId/qr.svg
+ */
+exports.getQRCodeImage = async (req, res, next) => {
+    try {
+        const { wishlistId, format } = req.params;
+
+        if (!QR_IMAGE_FORMATS.includes(format)) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: `Unsupported QR image format, use ${QR_IMAGE_FORMATS.join(' or ')}`
+            });
+        }
+
+        const { options, error } = parseQrImageOptions(req.query);
+        if (error) {
+            return res.status(StatusCodes.BAD_REQUEST).json({ error });
+        }
+
+        const wishlist = await Wishlist.findByPk(wishlistId);
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        if (wishlist.status !== 'ACTIVE') {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: `Cannot generate QR code for wishlist with status: ${wishlist.status}`
+            });
+        }
+
+        if (new Date() > new Date(wishlist.expires_at)) {
+            await transitionWishlist(wishlist, 'EXPIRED', {
+                actor: 'API',
+                reason: 'Expired when generating QR code'
+            });
+            return res.status(StatusCodes.GONE).json({
+                error: 'Wishlist has expired'
+            });
+        }
+
+        // The image encodes a fresh signed payload, so it must not be cached past its expiry
+        const signed = createQrPayload(wishlist);
+        const { contentType, body } = renderQrImage(signed.payload, format, options);
+
+        res.set({
+            'Content-Type': contentType,
+            'Cache-Control': 'no-store',
+            'X-QR-Expires-At': signed.expires_at.toISOString()
+        });
+        res.status(StatusCodes.OK).send(body);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get wishlist status transition history
+ * GET /api/wishlists/:wishlistId/history
+ */
+exports.getWishlistHistory = async (req, res, next) => {
+    try {
+        const { wishlistId } = req.params;
+
+        const wishlist = await Wishlist.findByPk(wishlistId, {
+            attributes: ['wishlist_id', 'status']
+        });
+
+        if (!wishlist) {
+            return res.status(StatusCodes.NOT_FOUND).json({
+                error: 'Wishlist not found'
+            });
+        }
+
+        const history = await getStatusHistory(wishlistId);
+
+        res.status(StatusCodes.OK).json({
+            wishlist_id: wishlist.wishlist_id,
+            status: wishlist.status,
+            history
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
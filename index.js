@@ -73,6 +73,10 @@ require('./models');
 
 const { initializeDatabase, performanceLogger } = require('complex-common-utils');
 const { initializeRedis } = require('./utils/cache');
+const { startExpiryJob } = require('./jobs/wishlistExpiry.job');
+const { startIdempotencyPurgeJob } = require('./jobs/idempotencyPurge.job');
+const { startPosSessionReleaseJob } = require('./jobs/posSessionRelease.job');
+const config = require('./config/serverConfig');
 
 const app = express();
 
@@ -80,6 +84,8 @@ const app = express();
 const swaggerDocument = YAML.load(path.join(__dirname, 'swagger.yaml'));
 
 // Middleware
+// Shopify signs the exact bytes of a webhook body, so webhooks are not JSON-parsed here
+app.use('/api/webhooks', bodyParser.raw({ type: '*/*', limit: config.WEBHOOKS.MAX_BODY_SIZE }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -99,6 +105,22 @@ app.use(performanceLogger({
   winstonLogger: logger
 }));
 
+// POS device or staff session that made the request (set by posAuth), for log entries
+const posCallerContext = (req) => {
+  if (req.posSession) {
+    return {
+      staff_id: req.posSession.staff_id,
+      shop: req.posSession.shop,
+      reported_location_id: req.posSession.reported_location_id
+    };
+  }
+  return req.posDevice && {
+    device_id: req.posDevice.device_id,
+    name: req.posDevice.name,
+    location_id: req.posDevice.location_id
+  };
+};
+
 // Response logging middleware - systematically logs all 4xx/5xx responses
 app.use((req, res, next) => {
   const originalSend = res.send;
@@ -129,7 +151,9 @@ app.use((req, res, next) => {
         ip: req.ip,
         responseBody: typeof responseBody === 'string' ? responseBody.substring(0, 500) : responseBody,
         query: req.query,
-        params: req.params
+        params: req.params,
+        posCaller: posCallerContext(req),
+        adminPrincipal: req.adminPrincipal
       });
     }
     
@@ -144,7 +168,9 @@ app.use((req, res, next) => {
         responseBody: typeof responseBody === 'string' ? responseBody.substring(0, 500) : responseBody,
         query: req.query,
         params: req.params,
-        body: req.body
+        body: req.body,
+        posCaller: posCallerContext(req),
+        adminPrincipal: req.adminPrincipal
       });
     }
   });
@@ -188,6 +214,8 @@ app.use((err, req, res, next) => {
         query: req.query,
         params: req.params,
         body: req.body,
+        posCaller: posCallerContext(req),
+        adminPrincipal: req.adminPrincipal,
         // Sequelize/Database error properties
         sql: err.sql,
         parameters: err.parameters,
@@ -197,6 +225,7 @@ app.use((err, req, res, next) => {
     
     res.status(statusCode).json({
         error: err.message || 'Internal server error',
+        ...(err.details && { details: err.details }),
         ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
     });
 });
@@ -207,6 +236,11 @@ const startServer = async () => {
     try {
         await initializeDatabase();
         await initializeRedis();
+
+        // Background jobs (only started when running as a server, never in tests)
+        startExpiryJob();
+        startIdempotencyPurgeJob();
+        startPosSessionReleaseJob();
         
         app.listen(PORT, () => {
             console.log(`Complex Shopify Service running on port ${PORT}`);
@@ -0,0 +1,110 @@
+const { Op } = require('sequelize');
+const { Idempotency } = require('../models');
+const config = require('../config/serverConfig');
+
+/**
+ * Idempotency Purge Job
+ *
+ * Deletes idempotency records older than IDEMPOTENCY_RETENTION_DAYS. After that
+ * window a retry is no longer expected, and the stored responses contain customer data.
+ * Deleting is idempotent, so every instance may run it without a leader lock.
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Delete expired records in batches
+ * Returns the number of deleted rows
+ */
+async function runPurge(options = {}) {
+    const jobConfig = config.JOBS.IDEMPOTENCY_PURGE;
+    const {
+        now = new Date(),
+        retentionDays = config.IDEMPOTENCY.RETENTION_DAYS,
+        batchSize = jobConfig.BATCH_SIZE
+    } = options;
+
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+    let purged = 0;
+
+    while (true) {
+        // Select ids first: DELETE ... LIMIT is not portable
+        const expired = await Idempotency.findAll({
+            attributes: ['idempotency_id'],
+            where: { created_at: { [Op.lt]: cutoff } },
+            order: [['created_at', 'ASC']],
+            limit: batchSize
+        });
+
+        if (expired.length === 0) {
+            break;
+        }
+
+        purged += await Idempotency.destroy({
+            where: { idempotency_id: expired.map(row => row.idempotency_id) }
+        });
+
+        if (expired.length < batchSize) {
+            break;
+        }
+    }
+
+    if (purged > 0) {
+        console.log(`🧹 Purged ${purged} idempotency records older than ${retentionDays} days`);
+    }
+
+    return { purged, cutoff };
+}
+
+/**
+ * Start the periodic purge (no-op if disabled or already started)
+ */
+function startIdempotencyPurgeJob() {
+    const jobConfig = config.JOBS.IDEMPOTENCY_PURGE;
+
+    if (!jobConfig.ENABLED) {
+        console.log('⏸️  Idempotency purge job disabled');
+        return;
+    }
+
+    if (timer) {
+        return;
+    }
+
+    const tick = async () => {
+        // Never overlap purges within the same process
+        if (running) return;
+        running = true;
+        try {
+            await runPurge();
+        } catch (error) {
+            console.error('❌ Idempotency purge failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, jobConfig.INTERVAL_SECONDS * 1000);
+    timer.unref();
+
+    console.log(`⏰ Idempotency purge job started (every ${jobConfig.INTERVAL_SECONDS}s, retention ${config.IDEMPOTENCY.RETENTION_DAYS} days)`);
+
+    tick();
+}
+
+/**
+ * Stop the periodic purge
+ */
+function stopIdempotencyPurgeJob() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runPurge,
+    startIdempotencyPurgeJob,
+    stopIdempotencyPurgeJob
+};
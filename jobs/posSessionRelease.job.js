@@ -0,0 +1,123 @@
+const { Op } = require('sequelize');
+const { Wishlist } = require('../models');
+const { releaseWishlist } = require('../services/posSession.service');
+const { InvalidStatusTransitionError } = require('../services/wishlistStatus.service');
+const config = require('../config/serverConfig');
+
+/**
+ * POS Session Release Job
+ *
+ * Returns PROCESSING wishlists to ACTIVE when their QR code was scanned more than
+ * POS_SESSION_TIMEOUT_MINUTES ago and the till never completed or cancelled them
+ * (see posSession.service). Wishlists already past expires_at are left to the expiry job.
+ * Each release is a conditional update on status, so instances running the job
+ * concurrently skip wishlists another instance has just released.
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Release timed-out POS sessions in batches
+ * Returns the number of released wishlists
+ */
+async function runSessionRelease(options = {}) {
+    const jobConfig = config.JOBS.POS_SESSION_RELEASE;
+    const {
+        now = new Date(),
+        timeoutMinutes = jobConfig.TIMEOUT_MINUTES,
+        batchSize = jobConfig.BATCH_SIZE
+    } = options;
+
+    const cutoff = new Date(now.getTime() - timeoutMinutes * 60 * 1000);
+    let released = 0;
+
+    while (true) {
+        const abandoned = await Wishlist.findAll({
+            where: {
+                status: 'PROCESSING',
+                qr_code_used_at: { [Op.lt]: cutoff },
+                expires_at: { [Op.gt]: now }
+            },
+            order: [['qr_code_used_at', 'ASC']],
+            limit: batchSize
+        });
+
+        for (const wishlist of abandoned) {
+            try {
+                await releaseWishlist(wishlist, {
+                    actor: 'SYSTEM:pos-session-release-job',
+                    reason: `Not completed within ${timeoutMinutes} minutes of scanning`
+                });
+                released += 1;
+            } catch (error) {
+                // Completed, cancelled or released elsewhere since we read it
+                if (!(error instanceof InvalidStatusTransitionError)) {
+                    throw error;
+                }
+            }
+        }
+
+        if (abandoned.length < batchSize) {
+            break;
+        }
+    }
+
+    if (released > 0) {
+        console.log(`🔓 Released ${released} abandoned POS sessions`);
+    }
+
+    return { released };
+}
+
+/**
+ * Start the periodic release (no-op if disabled or already started)
+ */
+function startPosSessionReleaseJob() {
+    const jobConfig = config.JOBS.POS_SESSION_RELEASE;
+
+    if (!jobConfig.ENABLED) {
+        console.log('⏸️  POS session release job disabled');
+        return;
+    }
+
+    if (timer) {
+        return;
+    }
+
+    const tick = async () => {
+        // Never overlap runs within the same process
+        if (running) return;
+        running = true;
+        try {
+            await runSessionRelease();
+        } catch (error) {
+            console.error('❌ POS session release failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, jobConfig.INTERVAL_SECONDS * 1000);
+    timer.unref();
+
+    console.log(`⏰ POS session release job started (every ${jobConfig.INTERVAL_SECONDS}s, timeout ${jobConfig.TIMEOUT_MINUTES} minutes)`);
+
+    tick();
+}
+
+/**
+ * Stop the periodic release
+ */
+function stopPosSessionReleaseJob() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runSessionRelease,
+    startPosSessionReleaseJob,
+    stopPosSessionReleaseJob
+};
@@ -0,0 +1,169 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize } = require('complex-common-utils');
+const { Wishlist } = require('../models');
+const { bulkTransitionWishlists } = require('../services/wishlistStatus.service');
+const config = require('../config/serverConfig');
+
+/**
+ * Wishlist Expiry Job
+ *
+ * Periodically moves ACTIVE wishlists (and abandoned PROCESSING ones) past
+ * expires_at to EXPIRED, so search and "my wishlists" stop returning dead wishlists.
+ * Runs in-process; every ECS task starts it, but a Postgres advisory lock
+ * ensures only one task sweeps at a time.
+ */
+
+// Arbitrary application-wide key for pg_try_advisory_xact_lock
+const LEADER_LOCK_KEY = 720431001;
+
+let timer = null;
+let running = false;
+
+/**
+ * Try to take the leader lock for the current transaction.
+ * The lock is released automatically on commit/rollback.
+ * Non-Postgres dialects (SQLite in tests) have no advisory locks and always win.
+ */
+async function acquireLeaderLock(transaction) {
+    if (sequelize.getDialect() !== 'postgres') {
+        return true;
+    }
+
+    const [row] = await sequelize.query(
+        'SELECT pg_try_advisory_xact_lock(:key) AS locked',
+        {
+            replacements: { key: LEADER_LOCK_KEY },
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return !!(row && row.locked);
+}
+
+/**
+ * Expire one batch of stale wishlists
+ * Returns the number of expired wishlists, or null if another task holds the lock
+ */
+async function expireBatch({ now, batchSize, processingGraceMinutes }) {
+    const processingCutoff = new Date(now.getTime() - processingGraceMinutes * 60 * 1000);
+
+    return sequelize.transaction(async (transaction) => {
+        if (!await acquireLeaderLock(transaction)) {
+            return null;
+        }
+
+        const stale = await Wishlist.findAll({
+            attributes: ['wishlist_id', 'status'],
+            where: {
+                [Op.or]: [
+                    { status: 'ACTIVE', expires_at: { [Op.lt]: now } },
+                    { status: 'PROCESSING', expires_at: { [Op.lt]: processingCutoff } }
+                ]
+            },
+            order: [['expires_at', 'ASC']],
+            limit: batchSize,
+            lock: transaction.LOCK.UPDATE,
+            skipLocked: true,
+            transaction
+        });
+
+        if (stale.length === 0) {
+            return 0;
+        }
+
+        return bulkTransitionWishlists(stale, 'EXPIRED', {
+            actor: 'SYSTEM:expiry-job',
+            reason: 'Passed expires_at',
+            transaction
+        });
+    });
+}
+
+/**
+ * Run a full sweep, batch by batch, until no stale wishlists are left
+ */
+async function runExpirySweep(options = {}) {
+    const jobConfig = config.JOBS.WISHLIST_EXPIRY;
+    const {
+        now = new Date(),
+        batchSize = jobConfig.BATCH_SIZE,
+        processingGraceMinutes = jobConfig.PROCESSING_GRACE_MINUTES
+    } = options;
+
+    let expired = 0;
+
+    while (true) {
+        const count = await expireBatch({ now, batchSize, processingGraceMinutes });
+
+        if (count === null) {
+            console.log('⏭️  Wishlist expiry sweep skipped - another instance holds the lock');
+            return { expired, skipped: true };
+        }
+
+        expired += count;
+
+        if (count < batchSize) {
+            break;
+        }
+    }
+
+    if (expired > 0) {
+        console.log(`⌛ Expired ${expired} stale wishlists`);
+    }
+
+    return { expired, skipped: false };
+}
+
+/**
+ * Start the periodic sweep (no-op if disabled or already started)
+ */
+function startExpiryJob() {
+    const jobConfig = config.JOBS.WISHLIST_EXPIRY;
+
+    if (!jobConfig.ENABLED) {
+        console.log('⏸️  Wishlist expiry job disabled');
+        return;
+    }
+
+    if (timer) {
+        return;
+    }
+
+    const tick = async () => {
+        // Never overlap sweeps within the same process
+        if (running) return;
+        running = true;
+        try {
+            await runExpirySweep();
+        } catch (error) {
+            console.error('❌ Wishlist expiry sweep failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, jobConfig.INTERVAL_SECONDS * 1000);
+    timer.unref();
+
+    console.log(`⏰ Wishlist expiry job started (every ${jobConfig.INTERVAL_SECONDS}s, batch ${jobConfig.BATCH_SIZE})`);
+
+    // Sweep once on startup rather than waiting a full interval
+    tick();
+}
+
+/**
+ * Stop the periodic sweep
+ */
+function stopExpiryJob() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runExpirySweep,
+    startExpiryJob,
+    stopExpiryJob
+};
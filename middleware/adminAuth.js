@@ -0,0 +1,130 @@
+const { StatusCodes } = require('http-status-codes');
+const { BffTokenError, verifyBffToken } = require('../utils/bffToken');
+const { readBearerToken } = require('../utils/posSessionToken');
+const config = require('../config/serverConfig');
+
+/**
+ * Admin Authentication Middleware
+ *
+ * /api/admin is used by store operations staff through the BFF. Each request carries a staff
+ * token signed with one of BFF_JWT_SECRETS for aud = ADMIN_JWT_AUDIENCE (see utils/bffToken):
+ * `sub` is the staff principal and `roles` lists their admin roles. The verified principal is
+ * exposed as `req.adminPrincipal` ({ id, roles }) and every change is audited against it.
+ *
+ * Roles:
+ * - viewer:        read wishlists, operational stats and analytics (/api/analytics)
+ * - support:       viewer + force wishlist status changes and reset QR codes
+ * - store-manager: support + purge caches, manage POS devices, read the audit log
+ *
+ * Routes declare what they need with requirePermission(); unknown roles in a token are ignored.
+ */
+
+const ROLE_PERMISSIONS = {
+    viewer: [
+        'wishlists:read',
+        'operations:read',
+        'analytics:read'
+    ],
+    support: [
+        'wishlists:read',
+        'operations:read',
+        'analytics:read',
+        'wishlists:change-status',
+        'wishlists:reset-qr'
+    ],
+    'store-manager': [
+        'wishlists:read',
+        'operations:read',
+        'analytics:read',
+        'wishlists:change-status',
+        'wishlists:reset-qr',
+        'cache:purge',
+        'pos-devices:manage',
+        'audit:read'
+    ]
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const adminAuthMiddleware = (req, res, next) => {
+    // If no secret is configured, deny access in production
+    if (config.BFF.JWT_SECRETS.length === 0) {
+        if (process.env.NODE_ENV === 'production') {
+            console.error('BFF_JWT_SECRETS not configured in production environment');
+            return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+                error: 'Service configuration error'
+            });
+        }
+        // In development/test, act as an unnamed principal holding every role
+        req.adminPrincipal = { id: 'development', roles: ADMIN_ROLES };
+        return next();
+    }
+
+    const token = readBearerToken(req.headers.authorization);
+
+    if (!token) {
+        return res.status(StatusCodes.UNAUTHORIZED).json({
+            error: 'Admin authentication required',
+            message: 'Missing Authorization: Bearer staff token'
+        });
+    }
+
+    let claims;
+    try {
+        claims = verifyBffToken(token, { audience: config.ADMIN.JWT_AUDIENCE });
+    } catch (error) {
+        if (!(error instanceof BffTokenError)) {
+            return next(error);
+        }
+        return res.status(StatusCodes.UNAUTHORIZED).json({
+            error: 'Invalid staff token',
+            message: error.message,
+            details: error.details
+        });
+    }
+
+    if (!claims.user_id) {
+        return res.status(StatusCodes.UNAUTHORIZED).json({
+            error: 'Invalid staff token',
+            message: 'Staff token does not identify a principal',
+            details: { reason: 'missing_principal' }
+        });
+    }
+
+    const roles = claims.roles.filter(role => ADMIN_ROLES.includes(role));
+    if (roles.length === 0) {
+        return res.status(StatusCodes.FORBIDDEN).json({
+            error: 'Admin role required',
+            message: `Staff token must grant one of: ${ADMIN_ROLES.join(', ')}`
+        });
+    }
+
+    req.adminPrincipal = { id: claims.user_id, roles };
+    next();
+};
+
+/**
+ * Only let the request through if one of the principal's roles grants `permission`
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const roles = req.adminPrincipal?.roles || [];
+
+        if (roles.some(role => ROLE_PERMISSIONS[role].includes(permission))) {
+            return next();
+        }
+
+        return res.status(StatusCodes.FORBIDDEN).json({
+            error: 'Insufficient role',
+            message: `Requires one of: ${ADMIN_ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission)).join(', ')}`,
+            details: { permission, roles }
+        });
+    };
+}
+
+module.exports = {
+    ADMIN_ROLES,
+    ROLE_PERMISSIONS,
+    adminAuthMiddleware,
+    requirePermission
+};
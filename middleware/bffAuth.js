@@ -0,0 +1,84 @@
+const { StatusCodes } = require('http-status-codes');
+const { BffTokenError, verifyBffToken } = require('../utils/bffToken');
+const { readBearerToken } = require('../utils/posSessionToken');
+const config = require('../config/serverConfig');
+
+/**
+ * BFF Authentication Middleware
+ *
+ * Verifies that requests to BFF-facing endpoints (mobile, wishlist) come from the BFF:
+ * they must carry a service token signed with one of BFF_JWT_SECRETS (see utils/bffToken).
+ * The verified claims are exposed as `req.bffAuth`; controllers take the user from there
+ * (requestUserId) instead of the user_id query/body parameter. A user_id parameter that
+ * contradicts the token is rejected rather than silently replaced.
+ *
+ * Service-level tokens without `sub` (kiosk) are accepted here; routes that always act for an
+ * end user (mobile) add requireEndUser so such a token cannot fall back to a user_id parameter.
+ */
+
+const bffAuthMiddleware = (req, res, next) => {
+    // If no secret is configured, deny access in production
+    if (config.BFF.JWT_SECRETS.length === 0) {
+        if (process.env.NODE_ENV === 'production') {
+            console.error('BFF_JWT_SECRETS not configured in production environment');
+            return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+                error: 'Service configuration error'
+            });
+        }
+        // In development/test, trust user_id parameters as before
+        return next();
+    }
+
+    const token = readBearerToken(req.headers.authorization);
+
+    if (!token) {
+        return res.status(StatusCodes.UNAUTHORIZED).json({
+            error: 'Service authentication required',
+            message: 'Missing Authorization: Bearer service token'
+        });
+    }
+
+    try {
+        req.bffAuth = verifyBffToken(token);
+    } catch (error) {
+        if (!(error instanceof BffTokenError)) {
+            return next(error);
+        }
+        return res.status(StatusCodes.UNAUTHORIZED).json({
+            error: 'Invalid service token',
+            message: error.message,
+            details: error.details
+        });
+    }
+
+    const claimedUserId = req.query.user_id ?? req.body?.user_id;
+    if (req.bffAuth.user_id && claimedUserId !== undefined && String(claimedUserId) !== req.bffAuth.user_id) {
+        return res.status(StatusCodes.FORBIDDEN).json({
+            error: 'user_id does not match the authenticated user'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Only let the request through if its verified token names the end user (`sub`)
+ *
+ * Runs after bffAuthMiddleware. Without BFF authentication configured (development/test)
+ * there are no claims and user_id parameters are trusted as before.
+ */
+const requireEndUser = (req, res, next) => {
+    if (req.bffAuth && !req.bffAuth.user_id) {
+        return res.status(StatusCodes.FORBIDDEN).json({
+            error: 'End-user token required',
+            message: 'Service token must name the user (sub) for this endpoint'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    bffAuthMiddleware,
+    requireEndUser
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { StatusCodes } = require('http-status-codes');
+const { Idempotency } = require('../models');
+const config = require('../config/serverConfig');
+
+/**
+ * Idempotency Middleware
+ *
+ * Honours the `Idempotency-Key` header on every mutating request (POST, PUT, PATCH, DELETE)
+ * of the router it is mounted on. The first request with a key runs normally and its
+ * status code and JSON body are stored; retries with the same key and payload get the
+ * stored response back (with `Idempotent-Replayed: true`) without running the handler again.
+ *
+ * - Same key, different method/path/query/body (or BFF token user) -> 422
+ * - Same key while the first request is still running -> 409
+ * - PROCESSING rows older than IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS (crashed request) can be retried
+ * - 5xx responses mark the key FAILED so it can be retried; 401/403/429 release the key
+ * - request_payload is dropped once the request completed (IDEMPOTENCY_REDACT_PAYLOAD)
+ *
+ * Mount after authentication so unauthenticated calls cannot claim keys.
+ */
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Responses that say nothing about the operation itself - the key is released, not stored
+const RELEASE_STATUSES = [StatusCodes.UNAUTHORIZED, StatusCodes.FORBIDDEN, StatusCodes.TOO_MANY_REQUESTS];
+
+/**
+ * JSON.stringify with sorted object keys, so equal payloads hash equally
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req, path) {
+    const request = { method: req.method, path, query: req.query, body: req.body };
+
+    // The user of a BFF token is not in the payload: two users reusing a key must not match
+    if (req.bffAuth?.user_id) {
+        request.user_id = req.bffAuth.user_id;
+    }
+
+    return crypto
+        .createHash('sha256')
+        .update(stableStringify(request))
+        .digest('hex');
+}
+
+/**
+ * Take over a FAILED or stale PROCESSING row. Conditional on the row not having
+ * changed since we read it, so only one retry wins.
+ */
+async function reclaim(record) {
+    const [updated] = await Idempotency.update(
+        { status: 'PROCESSING', response_status: null, response_data: null },
+        {
+            where: {
+                idempotency_id: record.idempotency_id,
+                status: record.status,
+                updated_at: record.updated_at
+            }
+        }
+    );
+    return updated === 1;
+}
+
+async function settle(record, statusCode, body) {
+    if (RELEASE_STATUSES.includes(statusCode)) {
+        await record.destroy();
+        return;
+    }
+
+    const data = body === undefined ? null : JSON.parse(JSON.stringify(body));
+    const failed = statusCode >= StatusCodes.INTERNAL_SERVER_ERROR;
+
+    await record.update({
+        status: failed ? 'FAILED' : 'COMPLETED',
+        response_status: statusCode,
+        response_data: data,
+        wishlist_id: record.wishlist_id || data?.wishlist?.wishlist_id || data?.wishlist_id || null,
+        // Keep the payload of failed requests for debugging; completed ones only need the hash
+        ...(!failed && config.IDEMPOTENCY.REDACT_PAYLOAD && { request_payload: null })
+    });
+}
+
+const idempotencyMiddleware = async (req, res, next) => {
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    if (!idempotencyKey || !MUTATING_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    try {
+        if (idempotencyKey.length > 255) {
+            return res.status(StatusCodes.BAD_REQUEST).json({
+                error: 'Idempotency-Key must be at most 255 characters'
+            });
+        }
+
+        const path = req.originalUrl.split('?')[0];
+        const requestHash = hashRequest(req, path);
+
+        let record = await Idempotency.findOne({
+            where: { idempotency_key: idempotencyKey }
+        });
+
+        if (record) {
+            // Rows written before hashes were stored cannot be compared
+            if (record.request_hash && record.request_hash !== requestHash) {
+                return res.status(StatusCodes.UNPROCESSABLE_ENTITY).json({
+                    error: 'Idempotency-Key was already used with a different request'
+                });
+            }
+
+            if (record.status === 'COMPLETED') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(record.response_status || StatusCodes.OK).json(record.response_data);
+            }
+
+            const staleBefore = new Date(Date.now() - config.IDEMPOTENCY.PROCESSING_TIMEOUT_SECONDS * 1000);
+            const stale = record.status === 'PROCESSING' && record.updated_at < staleBefore;
+
+            if ((record.status === 'PROCESSING' && !stale) || !await reclaim(record)) {
+                return res.status(StatusCodes.CONFLICT).json({
+                    error: 'Request is already being processed'
+                });
+            }
+
+            if (stale) {
+                console.warn(`♻️  Recovering stale idempotency key ${idempotencyKey}`);
+            }
+
+            await record.reload();
+        } else {
+            try {
+                record = await Idempotency.create({
+                    idempotency_key: idempotencyKey,
+                    operation_type: `${req.method} ${path}`.slice(0, 255),
+                    request_hash: requestHash,
+                    request_payload: req.body,
+                    status: 'PROCESSING'
+                });
+            } catch (error) {
+                // Another request with the same key got there first
+                if (error instanceof UniqueConstraintError) {
+                    return res.status(StatusCodes.CONFLICT).json({
+                        error: 'Request is already being processed'
+                    });
+                }
+                throw error;
+            }
+        }
+
+        // Store the outcome before the response leaves, so an immediate retry sees it
+        let settled = false;
+        const originalJson = res.json.bind(res);
+
+        res.json = (body) => {
+            settled = true;
+            settle(record, res.statusCode, body)
+                .catch(error => console.error('❌ Failed to store idempotent response:', error.message))
+                .then(() => originalJson(body))
+                .catch(next);
+            return res;
+        };
+
+        // Non-JSON responses (res.send/res.end) are stored without a body
+        res.on('finish', () => {
+            if (!settled) {
+                settle(record, res.statusCode, undefined)
+                    .catch(error => console.error('❌ Failed to store idempotent response:', error.message));
+            }
+        });
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = idempotencyMiddleware;
@@ -1,51 +1,111 @@
+const crypto = require('crypto');
 const { StatusCodes } = require('http-status-codes');
+const { isDeviceApiKey, authenticateDeviceKey } = require('../services/posDevice.service');
+const { PosSessionTokenError, readBearerToken, verifyPosSessionToken } = require('../utils/posSessionToken');
+const config = require('../config/serverConfig');
 
 /**
  * POS Authentication Middleware
- * 
- * Validates that requests to POS endpoints include the correct secret token.
+ *
+ * Validates that requests to POS endpoints include valid POS credentials.
  * This protects POS endpoints which are exposed to the internet (Shopify POS extension).
- * 
+ *
+ * A POS UI extension can send its Shopify session token as `Authorization: Bearer <jwt>`
+ * (see utils/posSessionToken); the verified shop, staff member and reported location are
+ * exposed as `req.posSession` and make the staff member the recorded `processed_by`.
+ *
+ * Otherwise each till sends its own API key (see posDevice.service) in `x-pos-secret`; the matching
+ * device is exposed as `req.posDevice` for logging and `processed_by`. The shared
+ * POS_SECRET_TOKEN is still accepted while POS_ACCEPT_SHARED_SECRET is on (req.posDevice
+ * stays unset). Both comparisons are constant-time.
+ *
  * BFF-accessed endpoints (mobile, wishlist) do not use this middleware as they
  * are protected by the BFF's authentication layer.
  */
 
-const posAuthMiddleware = (req, res, next) => {
-    const posSecret = process.env.POS_SECRET_TOKEN;
+/**
+ * Constant-time string comparison (hashing first makes the lengths equal)
+ */
+function secretsMatch(provided, expected) {
+    const a = crypto.createHash('sha256').update(String(provided)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+const rejectInvalid = (res) => res.status(StatusCodes.FORBIDDEN).json({
+    error: 'Invalid POS credentials',
+    message: 'Invalid x-pos-secret token'
+});
+
+const posAuthMiddleware = async (req, res, next) => {
+    try {
+        const posSecret = process.env.POS_SECRET_TOKEN;
+
+        // Shopify POS session token
+        const sessionToken = readBearerToken(req.headers.authorization);
+        if (sessionToken) {
+            try {
+                req.posSession = verifyPosSessionToken(sessionToken, {
+                    locationId: req.headers['x-pos-location-id']
+                });
+            } catch (error) {
+                if (!(error instanceof PosSessionTokenError)) {
+                    throw error;
+                }
+                return res.status(StatusCodes.UNAUTHORIZED).json({
+                    error: 'Invalid POS session token',
+                    message: error.message,
+                    details: error.details
+                });
+            }
+            return next();
+        }
+
+        // Get token from header
+        const authHeader = req.headers['x-pos-secret'] || req.headers['x-pos-token'];
+
+        // Per-device API key
+        if (isDeviceApiKey(authHeader)) {
+            const device = await authenticateDeviceKey(authHeader);
+
+            if (!device) {
+                return rejectInvalid(res);
+            }
 
-    // If no secret is configured, deny access in production
-    if (!posSecret) {
-        if (process.env.NODE_ENV === 'production') {
-            console.error('POS_SECRET_TOKEN not configured in production environment');
-            return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-                error: 'Service configuration error'
+            if (device.status !== 'ACTIVE') {
+                return res.status(StatusCodes.FORBIDDEN).json({
+                    error: 'POS device revoked',
+                    message: 'This device has been revoked; request a new API key'
+                });
+            }
+
+            req.posDevice = device;
+            return next();
+        }
+
+        // In development/test, allow if no shared secret is configured
+        if (!posSecret && process.env.NODE_ENV !== 'production') {
+            console.warn('POS_SECRET_TOKEN not configured - allowing access in non-production environment');
+            return next();
+        }
+
+        if (!authHeader) {
+            return res.status(StatusCodes.UNAUTHORIZED).json({
+                error: 'POS authentication required',
+                message: 'Missing x-pos-secret header'
             });
         }
-        // In development/test, allow if not configured
-        console.warn('POS_SECRET_TOKEN not configured - allowing access in non-production environment');
-        return next();
-    }
 
-    // Get token from header
-    const authHeader = req.headers['x-pos-secret'] || req.headers['x-pos-token'];
+        // Shared secret, while tills migrate to device keys
+        if (config.POS.ACCEPT_SHARED_SECRET && posSecret && secretsMatch(authHeader, posSecret)) {
+            return next();
+        }
 
-    if (!authHeader) {
-        return res.status(StatusCodes.UNAUTHORIZED).json({
-            error: 'POS authentication required',
-            message: 'Missing x-pos-secret header'
-        });
-    }
+        return rejectInvalid(res);
 
-    // Validate token
-    if (authHeader !== posSecret) {
-        return res.status(StatusCodes.FORBIDDEN).json({
-            error: 'Invalid POS credentials',
-            message: 'Invalid x-pos-secret token'
-        });
+    } catch (error) {
+        next(error);
     }
-
-    // Token is valid, proceed
-    next();
 };
 
 module.exports = posAuthMiddleware;
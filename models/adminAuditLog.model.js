@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('complex-common-utils');
+
+/**
+ * AdminAuditLog Model
+ *
+ * Append-only record of actions taken through /api/admin.
+ * One row is written for every successful admin change (status changes, QR resets,
+ * cache purges, POS device management), naming the staff principal and the roles they held.
+ */
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+  audit_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Primary identifier for the audit entry'
+  },
+
+  principal: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Staff member who acted (sub of their admin token)'
+  },
+
+  roles: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Admin roles the principal held at the time'
+  },
+
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'What was done, e.g. wishlist.status_changed, wishlist.qr_reset, cache.purged'
+  },
+
+  target_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Kind of object acted on (wishlist, pos_device, cache)'
+  },
+
+  target_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Identifier of the object acted on, null for service-wide actions'
+  },
+
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reason given by the principal'
+  },
+
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Action-specific data (e.g. from/to status, purged scope)'
+  },
+
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false,
+    comment: 'When the action was taken'
+  }
+}, {
+  tableName: 'admin_audit_log',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['principal', 'created_at']
+    },
+    {
+      fields: ['target_type', 'target_id']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = AdminAuditLog;
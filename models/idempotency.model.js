@@ -35,9 +35,15 @@ const Idempotency = sequelize.define('Idempotency', {
   },
 
   operation_type: {
-    type: DataTypes.STRING(50),
+    type: DataTypes.STRING(255),
     allowNull: false,
-    comment: 'Type of operation (CREATE_WISHLIST, PROCESS_WISHLIST, etc.)'
+    comment: 'Operation the key was used for (method and path, e.g. POST /api/wishlists)'
+  },
+
+  request_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of method, path, query and body - a reused key must match it'
   },
 
   request_payload: {
@@ -46,6 +52,12 @@ const Idempotency = sequelize.define('Idempotency', {
     comment: 'Original request payload for debugging'
   },
 
+  response_status: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'HTTP status code of the stored response'
+  },
+
   response_data: {
     type: DataTypes.JSON,
     allowNull: true,
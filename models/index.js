@@ -8,6 +8,11 @@ const { sequelize } = require('complex-common-utils');
 const Wishlist = require('./wishlist.model');
 const WishlistItem = require('./wishlistItem.model');
 const Idempotency = require('./idempotency.model');
+const WishlistStatusHistory = require('./wishlistStatusHistory.model');
+const WishlistQrRotation = require('./wishlistQrRotation.model');
+const PosDevice = require('./posDevice.model');
+const AdminAuditLog = require('./adminAuditLog.model');
+const ShopifyWebhook = require('./shopifyWebhook.model');
 
 /**
  * Define associations between models
@@ -34,6 +39,28 @@ Idempotency.belongsTo(Wishlist, {
   as: 'wishlist'
 });
 
+// Wishlist <-> WishlistStatusHistory (one-to-many)
+Wishlist.hasMany(WishlistStatusHistory, {
+  foreignKey: 'wishlist_id',
+  as: 'statusHistory',
+  onDelete: 'CASCADE'
+});
+WishlistStatusHistory.belongsTo(Wishlist, {
+  foreignKey: 'wishlist_id',
+  as: 'wishlist'
+});
+
+// Wishlist <-> WishlistQrRotation (one-to-many)
+Wishlist.hasMany(WishlistQrRotation, {
+  foreignKey: 'wishlist_id',
+  as: 'qrRotations',
+  onDelete: 'CASCADE'
+});
+WishlistQrRotation.belongsTo(Wishlist, {
+  foreignKey: 'wishlist_id',
+  as: 'wishlist'
+});
+
 module.exports = {
   // Sequelize instance for tests
   sequelize,
@@ -41,5 +68,10 @@ module.exports = {
   // Models
   Wishlist,
   WishlistItem,
-  Idempotency
+  Idempotency,
+  WishlistStatusHistory,
+  WishlistQrRotation,
+  PosDevice,
+  AdminAuditLog,
+  ShopifyWebhook
 };
@@ -0,0 +1,139 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('complex-common-utils');
+
+/**
+ * PosDevice Model
+ *
+ * Registry of POS tills allowed to call /api/pos, one API key each.
+ * Keys are stored as SHA-256 hashes and looked up by their public key_id; while a key is
+ * being rotated the previous one stays valid until previous_key_expires_at.
+ */
+const PosDevice = sequelize.define('PosDevice', {
+  device_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Primary identifier for the device'
+  },
+
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Human-readable device name (e.g. Till 3)'
+  },
+
+  location_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Shopify location ID the device belongs to'
+  },
+
+  location_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Store name, for logs and the admin list'
+  },
+
+  status: {
+    type: DataTypes.ENUM('ACTIVE', 'REVOKED'),
+    defaultValue: 'ACTIVE',
+    allowNull: false,
+    comment: 'REVOKED devices are rejected, whichever key they present'
+  },
+
+  key_id: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true,
+    comment: 'Public part of the current API key, used for lookup'
+  },
+
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the current API key'
+  },
+
+  key_rotated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the current key was issued by a rotation'
+  },
+
+  previous_key_id: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+    comment: 'Public part of the key replaced by the last rotation'
+  },
+
+  previous_key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of the key replaced by the last rotation'
+  },
+
+  previous_key_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'The previous key is accepted until this time'
+  },
+
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last authenticated request (updated at most once a minute)'
+  },
+
+  created_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Who registered the device'
+  },
+
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the device was revoked'
+  },
+
+  revoked_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Who revoked the device'
+  },
+
+  revoked_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Why the device was revoked (lost, stolen, decommissioned, etc.)'
+  },
+
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false,
+    comment: 'Timestamp when the device was registered'
+  },
+
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false,
+    comment: 'Timestamp when the device was last updated'
+  }
+}, {
+  tableName: 'pos_devices',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['previous_key_id']
+    },
+    {
+      fields: ['location_id']
+    }
+  ]
+});
+
+module.exports = PosDevice;
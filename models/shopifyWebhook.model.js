@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('complex-common-utils');
+
+/**
+ * ShopifyWebhook Model
+ *
+ * One row per webhook delivery received from Shopify, keyed by X-Shopify-Webhook-Id.
+ * Shopify retries deliveries and may send the same one twice; the unique webhook_id
+ * makes sure each is handled once. Payloads are not stored.
+ */
+const ShopifyWebhook = sequelize.define('ShopifyWebhook', {
+  delivery_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Primary identifier'
+  },
+
+  webhook_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    comment: 'X-Shopify-Webhook-Id - identical across retries of one delivery'
+  },
+
+  topic: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'X-Shopify-Topic, e.g. products/update'
+  },
+
+  shop_domain: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'X-Shopify-Shop-Domain'
+  },
+
+  api_version: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'X-Shopify-API-Version the payload was rendered with'
+  },
+
+  triggered_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'X-Shopify-Triggered-At - when the change happened in Shopify'
+  },
+
+  status: {
+    type: DataTypes.ENUM('PROCESSING', 'PROCESSED', 'FAILED', 'IGNORED'),
+    allowNull: false,
+    defaultValue: 'PROCESSING',
+    comment: 'IGNORED: no handler for the topic'
+  },
+
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Deliveries that got as far as the handler (retries after a failure add one)'
+  },
+
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Summary returned by the handler (e.g. cache keys invalidated)'
+  },
+
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message of the last failed attempt'
+  },
+
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the handler finished'
+  },
+
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'shopify_webhooks',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['webhook_id'],
+      unique: true
+    },
+    {
+      fields: ['topic', 'created_at']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = ShopifyWebhook;
@@ -32,7 +32,7 @@ const Wishlist = sequelize.define('Wishlist', {
   },
 
   status: {
-    type: DataTypes.ENUM('ACTIVE', 'PROCESSING', 'COMPLETED', 'CANCELLED', 'EXPIRED'),
+    type: DataTypes.ENUM('ACTIVE', 'PROCESSING', 'COMPLETED', 'PARTIALLY_COMPLETED', 'CANCELLED', 'EXPIRED'),
     allowNull: false,
     defaultValue: 'ACTIVE',
     comment: 'Current wishlist status'
@@ -47,7 +47,7 @@ const Wishlist = sequelize.define('Wishlist', {
   shopify_draft_order_id: {
     type: DataTypes.STRING(100),
     allowNull: true,
-    comment: 'Legacy Shopify draft order ID (if created)'
+    comment: 'Shopify draft order ID created from this wishlist at POS (if any)'
   },
 
   qr_code_token: {
@@ -92,6 +92,34 @@ const WishlistItem = sequelize.define('WishlistItem', {
     comment: 'Complete product/variant data snapshot from Shopify'
   },
 
+  fulfilment_status: {
+    type: DataTypes.ENUM('PENDING', 'PICKED', 'UNAVAILABLE', 'SUBSTITUTED'),
+    allowNull: false,
+    defaultValue: 'PENDING',
+    comment: 'Outcome of this line at POS'
+  },
+
+  picked_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Quantity actually handed over at POS (null until fulfilled)'
+  },
+
+  substitute_variant_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Shopify variant ID sold instead of the wishlisted one (SUBSTITUTED only)'
+  },
+
+  fulfilled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Timestamp when the line fulfilment was recorded at POS'
+  },
+
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('complex-common-utils');
+
+/**
+ * WishlistQrRotation Model
+ *
+ * Append-only audit trail of QR token replacements.
+ * One row is written every time a wishlist's qr_code_token is rotated, revoked or
+ * replaced by a POS session release; the tokens themselves are never stored here.
+ */
+const WishlistQrRotation = sequelize.define('WishlistQrRotation', {
+  rotation_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Primary identifier for the rotation entry'
+  },
+
+  wishlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Foreign key to Wishlist',
+    references: {
+      model: 'wishlists',
+      key: 'wishlist_id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  action: {
+    type: DataTypes.ENUM('ROTATED', 'REVOKED', 'RELEASED'),
+    allowNull: false,
+    comment: 'ROTATED: a new QR code was issued to the caller, REVOKED: the old code was only invalidated, RELEASED: a POS session was released'
+  },
+
+  actor: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Who replaced the token (user:<id>, POS, SYSTEM, etc.)'
+  },
+
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Optional human-readable reason (e.g. code shared, screenshot leaked)'
+  },
+
+  previous_qr_code_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the replaced token had been scanned, if it had'
+  },
+
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false,
+    comment: 'Timestamp of the rotation'
+  }
+}, {
+  tableName: 'wishlist_qr_rotations',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['wishlist_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = WishlistQrRotation;
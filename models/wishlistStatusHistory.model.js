@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('complex-common-utils');
+
+/**
+ * WishlistStatusHistory Model
+ *
+ * Append-only audit trail of wishlist status transitions.
+ * One row is written for every status change made through the wishlist status service.
+ */
+const WishlistStatusHistory = sequelize.define('WishlistStatusHistory', {
+  history_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Primary identifier for the history entry'
+  },
+
+  wishlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Foreign key to Wishlist',
+    references: {
+      model: 'wishlists',
+      key: 'wishlist_id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  from_status: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    comment: 'Status before the transition'
+  },
+
+  to_status: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    comment: 'Status after the transition'
+  },
+
+  actor: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Who triggered the transition (POS staff, user, SYSTEM, etc.)'
+  },
+
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Optional human-readable reason for the transition'
+  },
+
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false,
+    comment: 'Timestamp of the transition'
+  }
+}, {
+  tableName: 'wishlist_status_history',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['wishlist_id', 'created_at']
+    },
+    {
+      fields: ['to_status']
+    }
+  ]
+});
+
+module.exports = WishlistStatusHistory;
@@ -0,0 +1,52 @@
+/**
+ * Admin Routes
+ *
+ * Store operations endpoints, reached through the BFF with a staff token (see middleware/adminAuth).
+ * Each route names the permission it needs; the roles granting it are listed in brackets.
+ *
+ * Route Structure:
+ * - GET    /api/admin/wishlists                     - Search wishlists of all users [viewer, support, store-manager]
+ * - GET    /api/admin/wishlists/:id                 - Wishlist with status history and QR resets [viewer, support, store-manager]
+ * - POST   /api/admin/wishlists/:id/status          - Force ACTIVE (release), CANCELLED or EXPIRED [support, store-manager]
+ * - POST   /api/admin/wishlists/:id/qr/reset        - Invalidate the wishlist's QR codes [support, store-manager]
+ * - POST   /api/admin/cache/purge                   - Purge cached Shopify data [store-manager]
+ * - GET    /api/admin/audit                         - Admin actions, newest first [store-manager]
+ * - GET    /api/admin/idempotency/stats             - Idempotency table size, oldest row, retention [viewer, support, store-manager]
+ * - GET    /api/admin/pos-devices                   - List POS devices (location_id, status filters) [viewer, support, store-manager]
+ * - POST   /api/admin/pos-devices                   - Register a POS device and issue its API key [store-manager]
+ * - GET    /api/admin/pos-devices/:id               - Get a POS device [viewer, support, store-manager]
+ * - POST   /api/admin/pos-devices/:id/rotate        - Issue a new API key (old one valid for an overlap window) [store-manager]
+ * - POST   /api/admin/pos-devices/:id/revoke        - Revoke a POS device [store-manager]
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const { adminAuthMiddleware, requirePermission } = require('../middleware/adminAuth');
+
+// Every admin route needs a verified staff principal
+router.use(adminAuthMiddleware);
+
+// Wishlists of all users
+router.get('/wishlists', requirePermission('wishlists:read'), adminController.searchWishlists);
+router.get('/wishlists/:wishlistId', requirePermission('wishlists:read'), adminController.getWishlist);
+router.post('/wishlists/:wishlistId/status', requirePermission('wishlists:change-status'), adminController.changeWishlistStatus);
+router.post('/wishlists/:wishlistId/qr/reset', requirePermission('wishlists:reset-qr'), adminController.resetWishlistQrCode);
+
+// Cached Shopify data
+router.post('/cache/purge', requirePermission('cache:purge'), adminController.purgeCache);
+
+// Audit log of admin actions
+router.get('/audit', requirePermission('audit:read'), adminController.listAuditLog);
+
+// Idempotency table size, oldest row and retention status
+router.get('/idempotency/stats', requirePermission('operations:read'), adminController.getIdempotencyStats);
+
+// POS device registry (per-device API keys for /api/pos)
+router.get('/pos-devices', requirePermission('operations:read'), adminController.listPosDevices);
+router.post('/pos-devices', requirePermission('pos-devices:manage'), adminController.createPosDevice);
+router.get('/pos-devices/:deviceId', requirePermission('operations:read'), adminController.getPosDevice);
+router.post('/pos-devices/:deviceId/rotate', requirePermission('pos-devices:manage'), adminController.rotatePosDeviceKey);
+router.post('/pos-devices/:deviceId/revoke', requirePermission('pos-devices:manage'), adminController.revokePosDevice);
+
+module.exports = router;
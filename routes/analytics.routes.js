@@ -0,0 +1,27 @@
+/**
+ * Analytics Routes
+ *
+ * Wishlist-to-sale reporting, reached through the BFF with the same staff tokens as /api/admin
+ * (see middleware/adminAuth). Every admin role may read it.
+ *
+ * Query parameters: from, to (ISO 8601, wishlists created in [from, to)), group_by (source,
+ * collection, day or store).
+ *
+ * Route Structure:
+ * - GET    /api/analytics/conversion            - Created -> scanned -> completed funnel, expiry and cancellation
+ *                                                 rates, median time to scan [viewer, support, store-manager]
+ * - GET    /api/analytics/top-variants          - Most wishlisted variants (limit per group) [viewer, support, store-manager]
+ */
+
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analytics.controller');
+const { adminAuthMiddleware, requirePermission } = require('../middleware/adminAuth');
+
+// Same staff principals as /api/admin
+router.use(adminAuthMiddleware);
+
+router.get('/conversion', requirePermission('analytics:read'), analyticsController.getConversion);
+router.get('/top-variants', requirePermission('analytics:read'), analyticsController.getTopVariants);
+
+module.exports = router;
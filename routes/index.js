@@ -7,6 +7,9 @@ const posRoutes = require('./pos.routes');
 const mobileRoutes = require('./mobile.routes');
 const productsRoutes = require('./products.routes');
 const collectionRoutes = require('./collections.routes')
+const adminRoutes = require('./admin.routes');
+const webhookRoutes = require('./webhooks.routes');
+const analyticsRoutes = require('./analytics.routes');
 
 // Register routes
 router.use('/wishlists', wishlistRoutes); // General wishlist operations
@@ -14,6 +17,9 @@ router.use('/pos', posRoutes); // POS extension specific endpoints
 router.use('/mobile', mobileRoutes); // Mobile app specific endpoints
 router.use('/products', productsRoutes); // Product catalog endpoints
 router.use('/collections', collectionRoutes); // collections catalog endpoints
+router.use('/admin', adminRoutes); // Operational/admin endpoints
+router.use('/webhooks', webhookRoutes); // Shopify webhook deliveries
+router.use('/analytics', analyticsRoutes); // Wishlist-to-sale reporting
 
 // Default API route
 router.get('/', (req, res) => {
@@ -28,7 +34,10 @@ router.get('/', (req, res) => {
             wishlists: '/api/wishlists',
             pos: '/api/pos',
             mobile: '/api/mobile',
-            collection: 'api/collections'
+            collection: 'api/collections',
+            admin: '/api/admin',
+            webhooks: '/api/webhooks',
+            analytics: '/api/analytics'
         }
     });
 });
@@ -2,21 +2,40 @@
  * Mobile App Routes
  * 
  * Endpoints for mobile app
- * Service sits behind BFF - authentication handled there
- * user_id passed from BFF after JWT validation
+ * Service sits behind BFF - end-user authentication handled there
+ * Calls must carry the BFF's service token (see middleware/bffAuth.js) naming the end user
+ * (`sub`, 403 without it); user_id is taken from its verified claims
  * 
+ * Mutating routes honour the Idempotency-Key header (see middleware/idempotency.js)
+ *
  * Route Structure:
  * - POST   /api/mobile/wishlists            - Create wishlist from mobile app
  * - GET    /api/mobile/wishlists            - Get my wishlists
  * - GET    /api/mobile/wishlists/:id        - Get specific wishlist
  * - PUT    /api/mobile/wishlists/:id        - Update wishlist
+ * - POST   /api/mobile/wishlists/:id/items  - Add one item
+ * - PATCH  /api/mobile/wishlists/:id/items  - Apply item operations (JSON-Patch style)
+ * - PATCH  /api/mobile/wishlists/:id/items/:itemId - Change quantity/variant of one item
+ * - DELETE /api/mobile/wishlists/:id/items/:itemId - Remove one item
  * - DELETE /api/mobile/wishlists/:id        - Delete wishlist
  * - POST   /api/mobile/wishlists/:id/qr     - Generate QR code for wishlist
+ * - GET    /api/mobile/wishlists/:id/qr.png - QR code image (also .svg)
+ * - POST   /api/mobile/wishlists/:id/qr/rotate - Replace the QR code (old one stops working)
+ * - DELETE /api/mobile/wishlists/:id/qr     - Revoke the QR code
  */
 
 const express = require('express');
 const router = express.Router();
 const mobileController = require('../controllers/mobile.controller');
+const { bffAuthMiddleware, requireEndUser } = require('../middleware/bffAuth');
+const idempotencyMiddleware = require('../middleware/idempotency');
+
+// Only the BFF may call these routes; the user comes from its service token
+router.use(bffAuthMiddleware);
+router.use(requireEndUser);
+
+// Honour Idempotency-Key on every POST/PUT/PATCH/DELETE (after auth, so unauthenticated calls cannot claim keys)
+router.use(idempotencyMiddleware);
 
 // Create wishlist from mobile app
 router.post('/wishlists', mobileController.createWishlist);
@@ -30,10 +49,23 @@ router.get('/wishlists/:wishlistId', mobileController.getWishlist);
 // Update wishlist
 router.put('/wishlists/:wishlistId', mobileController.updateWishlist);
 
+// Item-level editing
+router.post('/wishlists/:wishlistId/items', mobileController.addWishlistItem);
+router.patch('/wishlists/:wishlistId/items', mobileController.patchWishlistItems);
+router.patch('/wishlists/:wishlistId/items/:itemId', mobileController.updateWishlistItem);
+router.delete('/wishlists/:wishlistId/items/:itemId', mobileController.removeWishlistItem);
+
 // Delete wishlist
 router.delete('/wishlists/:wishlistId', mobileController.deleteWishlist);
 
 // Generate QR code for wishlist
 router.post('/wishlists/:wishlistId/qr', mobileController.generateQRCode);
 
+// QR code image (qr.png / qr.svg)
+router.get('/wishlists/:wishlistId/qr.:format', mobileController.getQRCodeImage);
+
+// Rotate / revoke QR code
+router.post('/wishlists/:wishlistId/qr/rotate', mobileController.rotateQRCode);
+router.delete('/wishlists/:wishlistId/qr', mobileController.revokeQRCode);
+
 module.exports = router;
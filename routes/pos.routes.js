@@ -4,11 +4,16 @@
  * Endpoints specifically for Shopify POS extension
  * These endpoints are internet-facing and protected with POS secret token
  * 
+ * Mutating routes honour the Idempotency-Key header (see middleware/idempotency.js)
+ *
  * Route Structure:
  * - POST   /api/pos/wishlists/fetch-by-qr    - Fetch wishlist by QR token (real QR scan)
  * - POST   /api/pos/wishlists/:id/fetch      - Fetch wishlist for processing (validates QR token)
+ * - POST   /api/pos/wishlists/:id/items/:itemId/fulfil - Record item as picked/unavailable/substituted
+ * - POST   /api/pos/wishlists/:id/draft-order - Create Shopify draft order from wishlist items
  * - POST   /api/pos/wishlists/:id/complete   - Mark wishlist as completed
  * - POST   /api/pos/wishlists/:id/cancel     - Cancel wishlist from POS
+ * - POST   /api/pos/wishlists/:id/release    - Abort the POS session, back to ACTIVE with a new QR code
  * - GET    /api/pos/wishlists/:id/status     - Check wishlist status
  */
 
@@ -16,22 +21,35 @@ const express = require('express');
 const router = express.Router();
 const posController = require('../controllers/pos.controller');
 const posAuthMiddleware = require('../middleware/posAuth');
+const idempotencyMiddleware = require('../middleware/idempotency');
 
 // Apply POS authentication middleware to all routes
 router.use(posAuthMiddleware);
 
+// Honour Idempotency-Key on every POST (after auth, so unauthenticated calls cannot claim keys)
+router.use(idempotencyMiddleware);
+
 // Fetch wishlist by QR token only (real QR scan)
 router.post('/wishlists/fetch-by-qr', posController.fetchByQRToken);
 
 // Fetch wishlist for POS processing (validates QR token)
 router.post('/wishlists/:wishlistId/fetch', posController.fetchWishlist);
 
+// Record fulfilment of a single item
+router.post('/wishlists/:wishlistId/items/:itemId/fulfil', posController.fulfilItem);
+
+// Create Shopify draft order from wishlist items
+router.post('/wishlists/:wishlistId/draft-order', posController.createDraftOrder);
+
 // Mark wishlist as completed
 router.post('/wishlists/:wishlistId/complete', posController.completeWishlist);
 
 // Cancel wishlist from POS
 router.post('/wishlists/:wishlistId/cancel', posController.cancelWishlist);
 
+// Release an aborted POS session (PROCESSING -> ACTIVE)
+router.post('/wishlists/:wishlistId/release', posController.releaseWishlist);
+
 // Check wishlist status
 router.get('/wishlists/:wishlistId/status', posController.getWishlistStatus);
 
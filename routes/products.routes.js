@@ -6,6 +6,7 @@
  * 
  * Route Structure:
  * - GET /api/products                  - Get products (with optional collection filter)
+ * - GET /api/products/variants         - Batch variant lookup by ids and/or barcodes
  * - GET /api/products/:productId       - Get single product
  */
 
@@ -16,6 +17,9 @@ const productsController = require('../controllers/products.controller');
 // Get products with optional filters
 router.get('/', productsController.getProducts);
 
+// Batch variant lookup (must be registered before /:productId)
+router.get('/variants', productsController.getVariants);
+
 // Get single product
 router.get('/:productId', productsController.getProduct);
 
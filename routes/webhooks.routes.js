@@ -0,0 +1,19 @@
+/**
+ * Webhook Routes
+ *
+ * Deliveries from Shopify. Internet-facing; each delivery is authenticated by its
+ * X-Shopify-Hmac-Sha256 signature over the raw body (kept raw by index.js) and
+ * deduplicated on X-Shopify-Webhook-Id.
+ *
+ * Route Structure:
+ * - POST   /api/webhooks/shopify             - Receive a Shopify webhook (products/update, products/delete,
+ *                                              inventory_levels/update, collections/update, orders/create)
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+
+router.post('/shopify', webhookController.receiveShopifyWebhook);
+
+module.exports = router;
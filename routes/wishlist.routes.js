@@ -3,18 +3,40 @@
  * 
  * General wishlist management endpoints
  * 
+ * Calls must carry the BFF's service token (see middleware/bffAuth.js). When the token names
+ * a user, user_id comes from it and only that user's wishlists can be reached by ID
+ *
+ * Mutating routes honour the Idempotency-Key header (see middleware/idempotency.js)
+ *
  * Route Structure:
  * - POST   /api/wishlists               - Create wishlist
  * - GET    /api/wishlists/:id           - Get wishlist by ID
  * - GET    /api/wishlists               - Search wishlists (with filters)
  * - PUT    /api/wishlists/:id/items     - Update wishlist items
+ * - POST   /api/wishlists/:id/items     - Add one item
+ * - PATCH  /api/wishlists/:id/items     - Apply item operations (JSON-Patch style)
+ * - PATCH  /api/wishlists/:id/items/:itemId - Change quantity/variant of one item
+ * - DELETE /api/wishlists/:id/items/:itemId - Remove one item
  * - DELETE /api/wishlists/:id           - Cancel/delete wishlist
  * - POST   /api/wishlists/:id/expire    - Manually expire wishlist
+ * - GET    /api/wishlists/:id/history   - Status transition history
+ * - GET    /api/wishlists/:id/qr.png    - QR code image for kiosk display (also .svg)
  */
 
 const express = require('express');
 const router = express.Router();
 const wishlistController = require('../controllers/wishlist.controller');
+const { bffAuthMiddleware } = require('../middleware/bffAuth');
+const idempotencyMiddleware = require('../middleware/idempotency');
+
+// Only the BFF may call these routes; the user comes from its service token
+router.use(bffAuthMiddleware);
+
+// Honour Idempotency-Key on every POST/PUT/PATCH/DELETE (after auth, so unauthenticated calls cannot claim keys)
+router.use(idempotencyMiddleware);
+
+// Tokens bound to a user only reach that user's wishlists
+router.param('wishlistId', wishlistController.checkWishlistOwnership);
 
 // Create a new wishlist
 router.post('/', wishlistController.createWishlist);
@@ -28,10 +50,22 @@ router.get('/', wishlistController.searchWishlists);
 // Update wishlist items
 router.put('/:wishlistId/items', wishlistController.updateWishlistItems);
 
+// Item-level editing
+router.post('/:wishlistId/items', wishlistController.addWishlistItem);
+router.patch('/:wishlistId/items', wishlistController.patchWishlistItems);
+router.patch('/:wishlistId/items/:itemId', wishlistController.updateWishlistItem);
+router.delete('/:wishlistId/items/:itemId', wishlistController.removeWishlistItem);
+
 // Cancel wishlist
 router.delete('/:wishlistId', wishlistController.cancelWishlist);
 
 // Manually expire wishlist
 router.post('/:wishlistId/expire', wishlistController.expireWishlist);
 
+// Status transition history
+router.get('/:wishlistId/history', wishlistController.getWishlistHistory);
+
+// QR code image for kiosk display (qr.png / qr.svg)
+router.get('/:wishlistId/qr.:format', wishlistController.getQRCodeImage);
+
 module.exports = router;
@@ -0,0 +1,43 @@
+const { AdminAuditLog } = require('../models');
+
+/**
+ * Admin Audit Service
+ *
+ * Records what staff did through /api/admin in admin_audit_log, against the principal
+ * verified by adminAuth. Changes made on their behalf elsewhere (status history, QR rotations,
+ * POS device fields) name them as `admin:<principal>`.
+ */
+
+/**
+ * Actor string for history rows written on behalf of the admin principal
+ */
+function adminActor(req) {
+    return `admin:${req.adminPrincipal.id}`;
+}
+
+/**
+ * Record an admin action
+ *
+ * @param {Object} req - Request authenticated by adminAuth
+ * @param {string} action - e.g. 'wishlist.status_changed'
+ * @param {Object} options - { targetType, targetId, reason, details, transaction }
+ * @returns {Promise<Object>} The AdminAuditLog row
+ */
+async function recordAdminAction(req, action, options = {}) {
+    const { targetType, targetId = null, reason = null, details = null, transaction } = options;
+
+    return AdminAuditLog.create({
+        principal: req.adminPrincipal.id,
+        roles: req.adminPrincipal.roles,
+        action,
+        target_type: targetType,
+        target_id: targetId === null ? null : String(targetId),
+        reason,
+        details
+    }, { transaction });
+}
+
+module.exports = {
+    adminActor,
+    recordAdminAction
+};
@@ -0,0 +1,259 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('complex-common-utils');
+
+/**
+ * Analytics Service
+ *
+ * Wishlist-to-sale reporting, computed with SQL aggregates over the wishlists created in
+ * [from, to). Nothing is loaded row by row, so ranges of any size cost one query per figure.
+ *
+ * A wishlist counts as scanned from its first move to PROCESSING in wishlist_status_history
+ * (qr_code_used_at is cleared when a POS session is released), falling back to qr_code_used_at
+ * for wishlists scanned before history was recorded.
+ *
+ * Results can be broken down by:
+ * - source:     KIOSK or MOBILE_APP
+ * - collection: collection_id
+ * - day:        UTC day the wishlist was created (YYYY-MM-DD)
+ * - store:      Shopify location it was completed at (POS session, POS device or linked order), numeric ID
+ *
+ * Queries run on Postgres and, for the tests, on SQLite; the few dialect-specific expressions are below.
+ */
+
+const GROUP_BY_OPTIONS = ['source', 'collection', 'day', 'store'];
+
+function isPostgres() {
+    return sequelize.getDialect() === 'postgres';
+}
+
+/**
+ * Value of a metadata JSON path as text
+ */
+function metadataText(...path) {
+    if (isPostgres()) {
+        const parents = path.slice(0, -1).map(key => `->'${key}'`).join('');
+        return `w.metadata${parents}->>'${path[path.length - 1]}'`;
+    }
+    return `CAST(json_extract(w.metadata, '$.${path.join('.')}') AS TEXT)`;
+}
+
+/**
+ * SQL expression of a breakdown (null: everything in one group)
+ */
+function dimensionExpression(groupBy) {
+    switch (groupBy) {
+        case 'source':
+            return 'w.source';
+        case 'collection':
+            return 'w.collection_id';
+        case 'day':
+            return isPostgres()
+                ? `to_char(w.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD')`
+                : `strftime('%Y-%m-%d', w.created_at)`;
+        case 'store':
+            return `REPLACE(COALESCE(${[
+                metadataText('pos_device', 'location_id'),
+                metadataText('shopify_order', 'location_id'),
+                metadataText('pos_session', 'reported_location_id')
+            ].join(', ')}), 'gid://shopify/Location/', '')`;
+        default:
+            return 'NULL';
+    }
+}
+
+function secondsBetween(start, end) {
+    return isPostgres()
+        ? `EXTRACT(EPOCH FROM (${end} - ${start}))`
+        : `((julianday(${end}) - julianday(${start})) * 86400.0)`;
+}
+
+/**
+ * Wishlists created in the range as (group_key, status, scanned_at, created_at) rows.
+ * Aggregates group by the group_key column, so the ungrouped case (group_key NULL) needs no
+ * constant in GROUP BY, which Postgres rejects.
+ */
+function wishlistRows(dimension) {
+    return `
+        SELECT ${dimension} AS group_key, w.status, w.created_at,
+            COALESCE(s.scanned_at, w.qr_code_used_at) AS scanned_at
+        FROM wishlists w
+        LEFT JOIN (
+            SELECT wishlist_id, MIN(created_at) AS scanned_at
+            FROM wishlist_status_history
+            WHERE to_status = 'PROCESSING'
+            GROUP BY wishlist_id
+        ) s ON s.wishlist_id = w.wishlist_id
+        WHERE w.created_at >= :from AND w.created_at < :to`;
+}
+
+function rate(count, total) {
+    return total > 0 ? Number((count / total).toFixed(4)) : null;
+}
+
+/**
+ * Funnel counts per group
+ */
+async function countFunnel(dimension, range) {
+    return sequelize.query(`
+        SELECT group_key,
+            COUNT(*) AS created,
+            SUM(CASE WHEN scanned_at IS NOT NULL THEN 1 ELSE 0 END) AS scanned,
+            SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END) AS completed,
+            SUM(CASE WHEN status = 'PARTIALLY_COMPLETED' THEN 1 ELSE 0 END) AS partially_completed,
+            SUM(CASE WHEN status = 'EXPIRED' THEN 1 ELSE 0 END) AS expired,
+            SUM(CASE WHEN status = 'CANCELLED' THEN 1 ELSE 0 END) AS cancelled,
+            SUM(CASE WHEN status IN ('ACTIVE', 'PROCESSING') THEN 1 ELSE 0 END) AS still_open
+        FROM (${wishlistRows(dimension)}) funnel
+        GROUP BY group_key
+        ORDER BY group_key`,
+    { replacements: range, type: QueryTypes.SELECT });
+}
+
+/**
+ * Median seconds from creation to first scan per group (middle row, or mean of the two middle rows)
+ */
+async function medianSecondsToScan(dimension, range) {
+    return sequelize.query(`
+        SELECT group_key, AVG(seconds) AS median_seconds
+        FROM (
+            SELECT group_key, seconds,
+                ROW_NUMBER() OVER (PARTITION BY group_key ORDER BY seconds) AS scan_rank,
+                COUNT(*) OVER (PARTITION BY group_key) AS scans
+            FROM (
+                SELECT group_key, ${secondsBetween('created_at', 'scanned_at')} AS seconds
+                FROM (${wishlistRows(dimension)}) funnel
+                WHERE scanned_at IS NOT NULL
+            ) scanned
+        ) ranked
+        WHERE scan_rank IN ((scans + 1) / 2, (scans + 2) / 2)
+        GROUP BY group_key`,
+    { replacements: range, type: QueryTypes.SELECT });
+}
+
+function toMetrics(row, medianSeconds) {
+    const created = Number(row.created);
+    const scanned = Number(row.scanned);
+    const completed = Number(row.completed);
+    const partiallyCompleted = Number(row.partially_completed);
+    const expired = Number(row.expired);
+    const cancelled = Number(row.cancelled);
+    const sold = completed + partiallyCompleted;
+
+    return {
+        created,
+        scanned,
+        completed,
+        partially_completed: partiallyCompleted,
+        expired,
+        cancelled,
+        open: Number(row.still_open),
+        scan_rate: rate(scanned, created),
+        completion_rate: rate(sold, created),
+        scan_to_completion_rate: rate(sold, scanned),
+        expiry_rate: rate(expired, created),
+        cancellation_rate: rate(cancelled, created),
+        median_seconds_to_scan: medianSeconds === undefined || medianSeconds === null
+            ? null
+            : Math.round(Number(medianSeconds))
+    };
+}
+
+/**
+ * Conversion funnel (created -> scanned -> completed), expiry and cancellation rates and
+ * median time to scan, overall and per group
+ *
+ * Completion counts COMPLETED and PARTIALLY_COMPLETED wishlists (`partially_completed` is the latter alone).
+ *
+ * @param {Object} options - { from, to (Dates), groupBy (one of GROUP_BY_OPTIONS, optional) }
+ * @returns {Promise<Object>} { totals, groups: [{ key, ...metrics }] }
+ */
+async function getConversion(options) {
+    const { from, to, groupBy = null } = options;
+    const range = { from, to };
+    const dimension = dimensionExpression(groupBy);
+
+    const [[totalRow], [totalMedian], rows, medians] = await Promise.all([
+        countFunnel('NULL', range),
+        medianSecondsToScan('NULL', range),
+        groupBy ? countFunnel(dimension, range) : [],
+        groupBy ? medianSecondsToScan(dimension, range) : []
+    ]);
+
+    const medianByKey = new Map(medians.map(row => [row.group_key, row.median_seconds]));
+
+    return {
+        totals: toMetrics(
+            totalRow || { created: 0, scanned: 0, completed: 0, partially_completed: 0, expired: 0, cancelled: 0, still_open: 0 },
+            totalMedian?.median_seconds
+        ),
+        groups: rows.map(row => ({
+            key: row.group_key,
+            ...toMetrics(row, medianByKey.get(row.group_key))
+        }))
+    };
+}
+
+/**
+ * Most wishlisted variants, overall or per group
+ *
+ * Variants are ranked by the number of wishlists holding them, then by quantity. Numeric IDs and
+ * GIDs of the same variant are counted together.
+ *
+ * @param {Object} options - { from, to, groupBy, limit (per group) }
+ * @returns {Promise<Array<Object>>} [{ key, variants: [{ variant_id, product_title, wishlists, quantity, completed_quantity }] }]
+ */
+async function getTopVariants(options) {
+    const { from, to, groupBy = null, limit } = options;
+    const dimension = dimensionExpression(groupBy);
+
+    const rows = await sequelize.query(`
+        SELECT group_key, variant_key, product_title, wishlists, quantity, completed_quantity
+        FROM (
+            SELECT group_key, variant_key, product_title, wishlists, quantity, completed_quantity,
+                ROW_NUMBER() OVER (
+                    PARTITION BY group_key
+                    ORDER BY wishlists DESC, quantity DESC, variant_key
+                ) AS variant_rank
+            FROM (
+                SELECT group_key, variant_key,
+                    MAX(product_title) AS product_title,
+                    COUNT(DISTINCT wishlist_id) AS wishlists,
+                    SUM(quantity) AS quantity,
+                    SUM(CASE WHEN status IN ('COMPLETED', 'PARTIALLY_COMPLETED') THEN quantity ELSE 0 END) AS completed_quantity
+                FROM (
+                    SELECT ${dimension} AS group_key,
+                        REPLACE(i.shopify_variant_id, 'gid://shopify/ProductVariant/', '') AS variant_key,
+                        i.product_title, i.quantity, w.wishlist_id, w.status
+                    FROM wishlist_items i
+                    JOIN wishlists w ON w.wishlist_id = i.wishlist_id
+                    WHERE w.created_at >= :from AND w.created_at < :to
+                ) lines
+                GROUP BY group_key, variant_key
+            ) totals
+        ) ranked
+        WHERE variant_rank <= :limit
+        ORDER BY group_key, variant_rank`,
+    { replacements: { from, to, limit }, type: QueryTypes.SELECT });
+
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row.group_key)) {
+            groups.set(row.group_key, { key: row.group_key, variants: [] });
+        }
+        groups.get(row.group_key).variants.push({
+            variant_id: `gid://shopify/ProductVariant/${row.variant_key}`,
+            product_title: row.product_title,
+            wishlists: Number(row.wishlists),
+            quantity: Number(row.quantity),
+            completed_quantity: Number(row.completed_quantity)
+        });
+    }
+
+    return [...groups.values()];
+}
+
+module.exports = {
+    GROUP_BY_OPTIONS,
+    getConversion,
+    getTopVariants
+};
@@ -0,0 +1,76 @@
+const shopifyService = require('./shopify.service');
+
+/**
+ * Catalogue Service
+ *
+ * Resolves wishlist items posted by clients against the Shopify catalogue
+ * (through the cached variant lookup) so that stored snapshots come from Shopify,
+ * not from whatever the client sent.
+ */
+
+/**
+ * Validate items against Shopify and overwrite their snapshot fields
+ *
+ * @param {Array<Object>} items - Items as posted by the client (variant_id / variantId, quantity, ...)
+ * @returns {Promise<Object>} { items, itemErrors } - items with Shopify data; one error per unknown variant
+ */
+async function resolveItemsAgainstCatalogue(items) {
+    const itemErrors = [];
+
+    const variantIds = items.map(item => item.variant_id || item.variantId);
+
+    variantIds.forEach((variantId, index) => {
+        if (!variantId) {
+            itemErrors.push({
+                index,
+                variant_id: null,
+                field: 'variant_id',
+                message: 'variant_id is required'
+            });
+        }
+    });
+
+    const variants = await shopifyService.fetchVariants(variantIds.filter(Boolean));
+
+    const resolved = items.map((item, index) => {
+        if (!variantIds[index]) {
+            return item;
+        }
+
+        const variant = variants[shopifyService.toVariantGid(variantIds[index])];
+
+        if (!variant) {
+            itemErrors.push({
+                index,
+                variant_id: variantIds[index],
+                field: 'variant_id',
+                message: 'Variant not found in Shopify catalogue'
+            });
+            return item;
+        }
+
+        // Client keeps control of quantity, collection and currency only;
+        // camelCase aliases are dropped so they cannot override the Shopify values
+        return {
+            quantity: item.quantity,
+            collection_id: item.collection_id || item.collectionId,
+            currency: item.currency,
+            variant_id: variant.id,
+            product_id: variant.product?.id,
+            product_title: variant.product?.title,
+            variant_title: variant.title === 'Default Title' ? null : variant.title,
+            price: variant.price,
+            barcode: variant.barcode || null,
+            image_url: variant.image?.url || null,
+            product_data: variant
+        };
+    });
+
+    itemErrors.sort((a, b) => a.index - b.index);
+
+    return { items: resolved, itemErrors };
+}
+
+module.exports = {
+    resolveItemsAgainstCatalogue
+};
@@ -0,0 +1,266 @@
+const { Wishlist, WishlistItem } = require('../models');
+const { transitionWishlist, InvalidStatusTransitionError } = require('./wishlistStatus.service');
+const { summariseFulfilment, toDraftOrderLineItems } = require('./wishlistItems.service');
+const config = require('../config/serverConfig');
+
+/**
+ * Order Link Service
+ *
+ * Links Shopify orders back to the wishlists they were rung up from (orders/create webhook),
+ * so a wishlist is completed even when the POS extension never calls /complete.
+ *
+ * An order names its wishlist with WEBHOOKS.ORDER_WISHLIST_ATTRIBUTE (default `wishlist_id`) as:
+ * - a note attribute (the custom attribute POS draft orders carry, see pos.controller)
+ * - a line item property - that line was sold from the wishlist
+ * - a tag `wishlist_id:<wishlist_id>`
+ *
+ * A linked ACTIVE or PROCESSING wishlist becomes COMPLETED, or PARTIALLY_COMPLETED when the
+ * till recorded that not everything was handed over. The order is stored in
+ * metadata.shopify_order (ID, totals, line items) and metadata.order_discrepancies lists
+ * wishlist lines missing from the order and order lines that were not on the wishlist.
+ * Order lines carrying another wishlist's property are not compared with this one.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ORDER_LINK_ACTOR = 'SYSTEM:shopify-order-webhook';
+
+/**
+ * Numeric part of a Shopify ID, so numeric IDs and GIDs compare equal
+ */
+function shopifyIdKey(id) {
+    return id === null || id === undefined ? null : String(id).split('/').pop();
+}
+
+function isSameShopifyId(a, b) {
+    return shopifyIdKey(a) !== null && shopifyIdKey(a) === shopifyIdKey(b);
+}
+
+/**
+ * Values of the `name` entries of a REST attribute list ([{ name, value }])
+ */
+function attributeValues(attributes, name) {
+    return (attributes || [])
+        .filter(attribute => attribute && attribute.name === name && attribute.value)
+        .map(attribute => String(attribute.value).trim().toLowerCase());
+}
+
+function lineWishlistId(line) {
+    return attributeValues(line.properties, config.WEBHOOKS.ORDER_WISHLIST_ATTRIBUTE)[0] || null;
+}
+
+/**
+ * Wishlist IDs an order refers to (malformed values are ignored)
+ *
+ * @param {Object} order - orders/create payload
+ * @returns {Array<string>}
+ */
+function findLinkedWishlistIds(order) {
+    const name = config.WEBHOOKS.ORDER_WISHLIST_ATTRIBUTE;
+    const tagPrefix = `${name}:`;
+
+    const fromTags = String(order.tags || '')
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.startsWith(tagPrefix))
+        .map(tag => tag.slice(tagPrefix.length).trim().toLowerCase());
+
+    const ids = [
+        ...attributeValues(order.note_attributes, name),
+        ...(order.line_items || []).map(lineWishlistId).filter(Boolean),
+        ...fromTags
+    ];
+
+    return [...new Set(ids)].filter(id => UUID_PATTERN.test(id));
+}
+
+/**
+ * Order fields kept on the wishlist
+ */
+function summariseOrder(order) {
+    return {
+        id: order.admin_graphql_api_id || `gid://shopify/Order/${order.id}`,
+        name: order.name || null,
+        created_at: order.created_at || null,
+        currency: order.currency || null,
+        subtotal_price: order.subtotal_price ?? null,
+        total_discounts: order.total_discounts ?? null,
+        total_tax: order.total_tax ?? null,
+        total_price: order.total_price ?? null,
+        financial_status: order.financial_status || null,
+        location_id: order.location_id ?? null,
+        line_items: (order.line_items || []).map(line => ({
+            line_item_id: line.id,
+            variant_id: line.variant_id ?? null,
+            product_id: line.product_id ?? null,
+            title: line.title,
+            variant_title: line.variant_title || null,
+            sku: line.sku || null,
+            quantity: line.quantity,
+            price: line.price
+        }))
+    };
+}
+
+/**
+ * Compare what the wishlist was expected to sell with the order lines
+ *
+ * @param {Array<Object>} items - WishlistItem rows
+ * @param {Array<Object>} lines - Order line items belonging to this wishlist
+ * @returns {Object} { missing, added } - per variant, with expected and ordered quantities
+ */
+function compareWithOrder(items, lines) {
+    const expected = new Map();
+    for (const line of toDraftOrderLineItems(items)) {
+        const key = shopifyIdKey(line.variantId);
+        const item = items.find(i => [i.shopify_variant_id, i.substitute_variant_id].some(id => shopifyIdKey(id) === key));
+        const entry = expected.get(key) || { variant_id: line.variantId, title: item?.product_title || null, quantity: 0 };
+        entry.quantity += line.quantity;
+        expected.set(key, entry);
+    }
+
+    const ordered = new Map();
+    for (const line of lines) {
+        // Custom sales have no variant; each is a line of its own
+        const key = line.variant_id ? shopifyIdKey(line.variant_id) : `line:${line.id}`;
+        const entry = ordered.get(key) || { variant_id: line.variant_id ?? null, title: line.title, quantity: 0 };
+        entry.quantity += line.quantity;
+        ordered.set(key, entry);
+    }
+
+    const missing = [];
+    for (const [key, entry] of expected) {
+        const orderedQuantity = ordered.get(key)?.quantity || 0;
+        if (orderedQuantity < entry.quantity) {
+            missing.push({
+                variant_id: entry.variant_id,
+                title: entry.title,
+                expected_quantity: entry.quantity,
+                ordered_quantity: orderedQuantity
+            });
+        }
+    }
+
+    const added = [];
+    for (const [key, entry] of ordered) {
+        const expectedQuantity = expected.get(key)?.quantity || 0;
+        if (entry.quantity > expectedQuantity) {
+            added.push({
+                variant_id: entry.variant_id,
+                title: entry.title,
+                expected_quantity: expectedQuantity,
+                ordered_quantity: entry.quantity
+            });
+        }
+    }
+
+    return { missing, added };
+}
+
+/**
+ * Store an order on one wishlist, completing it if it is still open
+ *
+ * @returns {Promise<Object>} { wishlist_id, outcome, ... } - outcome is one of
+ *   completed, updated (already completed with this order), conflict (completed with another order),
+ *   skipped (cancelled or expired) or not_found
+ */
+async function linkWishlist(wishlistId, order, retried = false) {
+    const wishlist = await Wishlist.findByPk(wishlistId);
+
+    if (!wishlist) {
+        return { wishlist_id: wishlistId, outcome: 'not_found' };
+    }
+
+    const shopifyOrder = summariseOrder(order);
+    const existingOrderId = wishlist.metadata?.shopify_order_id;
+
+    if (['CANCELLED', 'EXPIRED'].includes(wishlist.status)) {
+        return { wishlist_id: wishlistId, outcome: 'skipped', status: wishlist.status };
+    }
+
+    if (existingOrderId && !isSameShopifyId(existingOrderId, shopifyOrder.id)) {
+        return { wishlist_id: wishlistId, outcome: 'conflict', status: wishlist.status, shopify_order_id: existingOrderId };
+    }
+
+    const items = await WishlistItem.findAll({ where: { wishlist_id: wishlistId } });
+    const lines = (order.line_items || []).filter(line => {
+        const owner = lineWishlistId(line);
+        return owner === null || owner === wishlistId;
+    });
+    const discrepancies = compareWithOrder(items, lines);
+
+    const metadata = {
+        ...wishlist.metadata,
+        shopify_order_id: existingOrderId || shopifyOrder.id,
+        shopify_order_name: shopifyOrder.name,
+        shopify_order: shopifyOrder,
+        order_discrepancies: discrepancies
+    };
+
+    const result = {
+        wishlist_id: wishlistId,
+        missing_lines: discrepancies.missing.length,
+        added_lines: discrepancies.added.length
+    };
+
+    if (['COMPLETED', 'PARTIALLY_COMPLETED'].includes(wishlist.status)) {
+        await wishlist.update({ metadata });
+        return { ...result, outcome: 'updated', status: wishlist.status };
+    }
+
+    // POS orders name the staff member who rang them up
+    const actor = order.user_id ? `staff:${order.user_id}` : ORDER_LINK_ACTOR;
+    const flagged = discrepancies.missing.length + discrepancies.added.length;
+
+    // Orders created by /complete can arrive before the till reports back; keep its partial result
+    const finalStatus = wishlist.status === 'PROCESSING' && !summariseFulfilment(items).fully_fulfilled
+        ? 'PARTIALLY_COMPLETED'
+        : 'COMPLETED';
+
+    try {
+        await transitionWishlist(wishlist, finalStatus, {
+            actor,
+            reason: `Linked to Shopify order ${shopifyOrder.name || shopifyOrder.id}`
+                + (flagged > 0 ? ` (${discrepancies.missing.length} missing, ${discrepancies.added.length} added lines)` : ''),
+            changes: {
+                processed_at: new Date(),
+                processed_by: actor,
+                metadata
+            }
+        });
+    } catch (error) {
+        // The till completed (or released) it since it was read: link again against its new status
+        if (error instanceof InvalidStatusTransitionError && !retried) {
+            return linkWishlist(wishlistId, order, true);
+        }
+        throw error;
+    }
+
+    return { ...result, outcome: 'completed', status: wishlist.status };
+}
+
+/**
+ * Link an order to every wishlist it names
+ *
+ * Safe to run again for the same order: wishlists already completed with it are only updated.
+ *
+ * @param {Object} order - orders/create payload
+ * @returns {Promise<Array<Object>>} One result per wishlist (see linkWishlist)
+ */
+async function linkOrderToWishlists(order) {
+    const results = [];
+
+    for (const wishlistId of findLinkedWishlistIds(order)) {
+        results.push(await linkWishlist(wishlistId, order));
+    }
+
+    return results;
+}
+
+module.exports = {
+    ORDER_LINK_ACTOR,
+    isSameShopifyId,
+    findLinkedWishlistIds,
+    compareWithOrder,
+    linkOrderToWishlists
+};
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { StatusCodes } = require('http-status-codes');
+const { PosDevice } = require('../models');
+const config = require('../config/serverConfig');
+
+/**
+ * POS Device Service
+ *
+ * Issues and verifies per-device POS API keys. A key looks like
+ * `pos_<key_id>_<secret>`: key_id (16 hex characters) is stored in clear to find the
+ * device, the whole key only as a SHA-256 hash. Keys are 256-bit random values, so a
+ * plain hash is enough (no password stretching needed).
+ *
+ * Rotating a key moves the current one to previous_key_* where it keeps working for an
+ * overlap window, so tills can be updated one by one without downtime.
+ */
+
+const API_KEY_PATTERN = /^pos_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+// Never keep an old key alive for more than a week
+const MAX_ROTATION_OVERLAP_MINUTES = 7 * 24 * 60;
+
+// last_used_at is informational; avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Raised when a device cannot be rotated or revoked
+ */
+class PosDeviceError extends Error {
+    constructor(message, statusCode = StatusCodes.CONFLICT) {
+        super(message);
+        this.name = 'PosDeviceError';
+        this.statusCode = statusCode;
+    }
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * New random API key with its lookup ID and hash
+ */
+function generateApiKey() {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const apiKey = `pos_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    return { api_key: apiKey, key_id: keyId, key_hash: hashApiKey(apiKey) };
+}
+
+/**
+ * Whether a presented header value has the shape of a device API key
+ */
+function isDeviceApiKey(value) {
+    return typeof value === 'string' && API_KEY_PATTERN.test(value);
+}
+
+/**
+ * Constant-time comparison of two SHA-256 hex digests
+ */
+function hashesMatch(a, b) {
+    const left = Buffer.from(a || '', 'hex');
+    const right = Buffer.from(b || '', 'hex');
+    return left.length === 32 && right.length === 32 && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Register a device and issue its first API key
+ *
+ * @param {Object} attributes - { name, location_id, location_name, created_by }
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object>} { device, api_key } - the key is only ever returned here and by rotateDeviceKey
+ */
+async function registerDevice(attributes, options = {}) {
+    const { transaction } = options;
+    const { api_key, key_id, key_hash } = generateApiKey();
+
+    const device = await PosDevice.create({
+        name: attributes.name,
+        location_id: attributes.location_id || null,
+        location_name: attributes.location_name || null,
+        created_by: attributes.created_by || null,
+        key_id,
+        key_hash
+    }, { transaction });
+
+    return { device, api_key };
+}
+
+/**
+ * Issue a new API key; the current one stays valid for `overlapMinutes`
+ *
+ * The update only matches while the device still has the key we read, so two
+ * concurrent rotations cannot both report success.
+ *
+ * @param {Object} device - PosDevice instance
+ * @param {Object} options - { overlapMinutes, now, transaction }
+ * @returns {Promise<Object>} { device, api_key }
+ */
+async function rotateDeviceKey(device, options = {}) {
+    const {
+        overlapMinutes = config.POS.KEY_ROTATION_OVERLAP_MINUTES,
+        now = new Date(),
+        transaction
+    } = options;
+
+    if (device.status !== 'ACTIVE') {
+        throw new PosDeviceError(`Cannot rotate the key of a device with status: ${device.status}`);
+    }
+
+    if (!Number.isInteger(overlapMinutes) || overlapMinutes < 0 || overlapMinutes > MAX_ROTATION_OVERLAP_MINUTES) {
+        throw new PosDeviceError(
+            `overlap_minutes must be an integer between 0 and ${MAX_ROTATION_OVERLAP_MINUTES}`,
+            StatusCodes.BAD_REQUEST
+        );
+    }
+
+    const { api_key, key_id, key_hash } = generateApiKey();
+    const keepPrevious = overlapMinutes > 0;
+
+    const [updated] = await PosDevice.update(
+        {
+            key_id,
+            key_hash,
+            key_rotated_at: now,
+            previous_key_id: keepPrevious ? device.key_id : null,
+            previous_key_hash: keepPrevious ? device.key_hash : null,
+            previous_key_expires_at: keepPrevious ? new Date(now.getTime() + overlapMinutes * 60 * 1000) : null
+        },
+        { where: { device_id: device.device_id, status: 'ACTIVE', key_id: device.key_id }, transaction }
+    );
+
+    if (updated === 0) {
+        throw new PosDeviceError('Device was modified concurrently, please retry');
+    }
+
+    return { device: await device.reload({ transaction }), api_key };
+}
+
+/**
+ * Revoke a device: every key it holds stops working immediately
+ *
+ * @param {Object} device - PosDevice instance
+ * @param {Object} options - { actor, reason, transaction }
+ * @returns {Promise<Object>} The updated device
+ */
+async function revokeDevice(device, options = {}) {
+    const { actor = null, reason = null, transaction } = options;
+
+    if (device.status === 'REVOKED') {
+        throw new PosDeviceError('Device is already revoked');
+    }
+
+    return device.update({
+        status: 'REVOKED',
+        revoked_at: new Date(),
+        revoked_by: actor,
+        revoked_reason: reason,
+        previous_key_id: null,
+        previous_key_hash: null,
+        previous_key_expires_at: null
+    }, { transaction });
+}
+
+/**
+ * Find the device an API key belongs to
+ *
+ * Matches the current key, or the previous one while its overlap window is open.
+ * Revoked devices are returned too (the caller decides how to reject them) but only
+ * when the key itself is correct.
+ *
+ * @param {string} apiKey - Value of the x-pos-secret header
+ * @param {Object} options - { now }
+ * @returns {Promise<Object|null>} PosDevice instance, or null when the key is unknown or wrong
+ */
+async function authenticateDeviceKey(apiKey, options = {}) {
+    const { now = new Date() } = options;
+
+    const match = API_KEY_PATTERN.exec(apiKey || '');
+    if (!match) {
+        return null;
+    }
+
+    const keyId = match[1];
+    const device = await PosDevice.findOne({
+        where: { [Op.or]: [{ key_id: keyId }, { previous_key_id: keyId }] }
+    });
+
+    if (!device) {
+        return null;
+    }
+
+    const presentedHash = hashApiKey(apiKey);
+    const matchesCurrent = device.key_id === keyId && hashesMatch(presentedHash, device.key_hash);
+    const matchesPrevious = device.previous_key_id === keyId
+        && device.previous_key_expires_at > now
+        && hashesMatch(presentedHash, device.previous_key_hash);
+
+    if (!matchesCurrent && !matchesPrevious) {
+        return null;
+    }
+
+    if (device.status === 'ACTIVE'
+        && (!device.last_used_at || now - device.last_used_at >= LAST_USED_RESOLUTION_MS)) {
+        await PosDevice.update({ last_used_at: now }, { where: { device_id: device.device_id }, silent: true });
+        device.last_used_at = now;
+    }
+
+    return device;
+}
+
+module.exports = {
+    PosDeviceError,
+    MAX_ROTATION_OVERLAP_MINUTES,
+    generateApiKey,
+    hashApiKey,
+    isDeviceApiKey,
+    registerDevice,
+    rotateDeviceKey,
+    revokeDevice,
+    authenticateDeviceKey
+};
@@ -0,0 +1,108 @@
+const { sequelize } = require('complex-common-utils');
+const { WishlistItem, WishlistQrRotation } = require('../models');
+const { transitionWishlist, InvalidStatusTransitionError } = require('./wishlistStatus.service');
+const { generateQrCodeToken } = require('./qrToken.service');
+const shopifyService = require('./shopify.service');
+
+/**
+ * POS Session Service
+ *
+ * A POS session starts when the QR code is scanned (ACTIVE -> PROCESSING) and normally
+ * ends with complete or cancel. Releasing ends it without a sale: the wishlist goes back
+ * to ACTIVE so the customer can present it again.
+ */
+
+/**
+ * Return a PROCESSING wishlist to ACTIVE
+ *
+ * In one transaction: a fresh qr_code_token (the scanned code stays used), fulfilment
+ * recorded during the session is cleared, the draft order reference is dropped (items may
+ * change before the next scan) and the token replacement is recorded as RELEASED.
+ *
+ * The dropped draft order is deleted in Shopify once the transaction commits. The release does
+ * not depend on it: a draft that could not be deleted is kept in metadata.orphaned_draft_order_ids.
+ *
+ * @param {Object} wishlist - Wishlist instance
+ * @param {Object} options - { actor, reason, transaction (existing transaction to join) }
+ * @returns {Promise<Object>} The reloaded wishlist instance
+ * @throws {InvalidStatusTransitionError} When the wishlist is not (or no longer) PROCESSING
+ */
+async function releaseWishlist(wishlist, options = {}) {
+    const { actor = 'POS', reason = null, transaction } = options;
+
+    // transitionWishlist treats ACTIVE -> ACTIVE as a no-op; a release needs a live session
+    if (wishlist.status !== 'PROCESSING') {
+        throw new InvalidStatusTransitionError(
+            wishlist.status,
+            'ACTIVE',
+            `Cannot release wishlist with status: ${wishlist.status}`
+        );
+    }
+
+    const previousUsedAt = wishlist.qr_code_used_at;
+    const draftOrderId = wishlist.shopify_draft_order_id;
+
+    const apply = async (t) => {
+        await transitionWishlist(wishlist, 'ACTIVE', {
+            actor,
+            reason,
+            changes: {
+                qr_code_token: generateQrCodeToken(),
+                qr_code_used_at: null,
+                shopify_draft_order_id: null
+            },
+            transaction: t
+        });
+
+        await WishlistItem.update(
+            {
+                fulfilment_status: 'PENDING',
+                picked_quantity: null,
+                substitute_variant_id: null,
+                fulfilled_at: null
+            },
+            { where: { wishlist_id: wishlist.wishlist_id }, transaction: t }
+        );
+
+        await WishlistQrRotation.create({
+            wishlist_id: wishlist.wishlist_id,
+            action: 'RELEASED',
+            actor,
+            reason,
+            previous_qr_code_used_at: previousUsedAt
+        }, { transaction: t });
+
+        // Shopify is only told once the release is committed
+        if (draftOrderId) {
+            t.afterCommit(() => discardDraftOrder(wishlist, draftOrderId));
+        }
+    };
+
+    if (transaction) {
+        await apply(transaction);
+    } else {
+        await sequelize.transaction(apply);
+    }
+
+    return wishlist;
+}
+
+/**
+ * Delete the draft order of a released session, or remember it if Shopify refuses
+ */
+async function discardDraftOrder(wishlist, draftOrderId) {
+    try {
+        await shopifyService.deleteDraftOrder(draftOrderId);
+    } catch (error) {
+        console.error(`Could not delete draft order ${draftOrderId} of released wishlist ${wishlist.wishlist_id}:`, error.message);
+
+        const orphaned = wishlist.metadata?.orphaned_draft_order_ids || [];
+        await wishlist.update({
+            metadata: { ...wishlist.metadata, orphaned_draft_order_ids: [...orphaned, draftOrderId] }
+        });
+    }
+}
+
+module.exports = {
+    releaseWishlist
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { StatusCodes } = require('http-status-codes');
+const { sequelize } = require('complex-common-utils');
+const { Wishlist, WishlistQrRotation } = require('../models');
+
+/**
+ * QR Token Service
+ *
+ * Replaces a wishlist's qr_code_token. Every QR code issued for the old token - bare
+ * tokens and signed payloads alike (they carry a fingerprint of it) - stops working.
+ * Each replacement is recorded in wishlist_qr_rotations with the actor and reason.
+ */
+
+/**
+ * Raised when the token of a wishlist cannot be replaced
+ */
+class QrTokenRotationError extends Error {
+    constructor(message, statusCode = StatusCodes.CONFLICT) {
+        super(message);
+        this.name = 'QrTokenRotationError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * New random QR code token
+ */
+function generateQrCodeToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Replace the QR token of an ACTIVE wishlist
+ *
+ * The update only matches while the wishlist is still ACTIVE with the token we read,
+ * so a rotation never races a POS scan of the old code into a half-state.
+ *
+ * @param {Object} wishlist - Wishlist instance
+ * @param {Object} options - { action: 'ROTATED' | 'REVOKED', actor, reason, transaction (existing transaction to join) }
+ * @returns {Promise<Object>} The reloaded wishlist instance
+ */
+async function replaceQrToken(wishlist, options = {}) {
+    const { action = 'ROTATED', actor = 'SYSTEM', reason = null, transaction } = options;
+
+    if (wishlist.status !== 'ACTIVE') {
+        throw new QrTokenRotationError(`Cannot replace QR code of wishlist with status: ${wishlist.status}`);
+    }
+
+    if (new Date() > new Date(wishlist.expires_at)) {
+        throw new QrTokenRotationError('Wishlist has expired', StatusCodes.GONE);
+    }
+
+    const apply = async (t) => {
+        const [updated] = await Wishlist.update(
+            { qr_code_token: generateQrCodeToken(), qr_code_used_at: null },
+            {
+                where: {
+                    wishlist_id: wishlist.wishlist_id,
+                    status: 'ACTIVE',
+                    qr_code_token: wishlist.qr_code_token
+                },
+                transaction: t
+            }
+        );
+
+        if (updated === 0) {
+            throw new QrTokenRotationError('Wishlist was modified concurrently, please retry');
+        }
+
+        await WishlistQrRotation.create({
+            wishlist_id: wishlist.wishlist_id,
+            action,
+            actor,
+            reason,
+            previous_qr_code_used_at: wishlist.qr_code_used_at
+        }, { transaction: t });
+
+        await wishlist.reload({ transaction: t });
+    };
+
+    if (transaction) {
+        await apply(transaction);
+    } else {
+        await sequelize.transaction(apply);
+    }
+
+    return wishlist;
+}
+
+module.exports = {
+    QrTokenRotationError,
+    generateQrCodeToken,
+    replaceQrToken
+};
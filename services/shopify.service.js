@@ -1,5 +1,11 @@
 const axios = require('axios');
-const { getCachedData, setCachedData, generateProductsCacheKey } = require('../utils/cache');
+const {
+    getCachedData,
+    setCachedData,
+    generateProductsCacheKey,
+    productCacheTag,
+    collectionCacheTag
+} = require('../utils/cache');
 
 /**
  * Shopify Service
@@ -8,6 +14,61 @@ const { getCachedData, setCachedData, generateProductsCacheKey } = require('../u
  * Includes caching layer (in-memory or Redis)
  */
 
+/**
+ * Raised when Shopify rejects a request (GraphQL errors or mutation userErrors).
+ * Maps to 502 Bad Gateway - the failure is upstream, not in the caller's request.
+ */
+class ShopifyApiError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'ShopifyApiError';
+        this.statusCode = 502;
+        this.details = details;
+    }
+}
+
+/**
+ * Admin GraphQL endpoint
+ * SHOPIFY_API_BASE_URL overrides the shop domain (e.g. a local mock server in tests)
+ */
+function getGraphQLUrl() {
+    const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN;
+    const apiVersion = process.env.SHOPIFY_API_VERSION || '2024-01';
+    const baseUrl = process.env.SHOPIFY_API_BASE_URL || `https://${shopDomain}`;
+
+    return `${baseUrl.replace(/\/$/, '')}/admin/api/${apiVersion}/graphql.json`;
+}
+
+/**
+ * Execute an Admin GraphQL request and return its `data`
+ */
+async function shopifyGraphQL(query, variables = {}) {
+    const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN;
+    const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
+
+    if (!shopDomain || !accessToken) {
+        throw new Error('Shopify credentials not configured');
+    }
+
+    const response = await axios.post(
+        getGraphQLUrl(),
+        { query, variables },
+        {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Access-Token': accessToken
+            }
+        }
+    );
+
+    if (response.data.errors) {
+        console.error('Shopify GraphQL errors:', JSON.stringify(response.data.errors, null, 2));
+        throw new ShopifyApiError(`Shopify API error: ${response.data.errors[0].message}`, response.data.errors);
+    }
+
+    return response.data.data;
+}
+
 /**
  * Fetch products from Shopify with caching
  */
@@ -21,7 +82,6 @@ async function fetchProducts(options = {}) {
 
     const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN;
     const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
-    const apiVersion = process.env.SHOPIFY_API_VERSION || '2024-01';
 
     if (!shopDomain || !accessToken) {
         throw new Error('Shopify credentials not configured');
@@ -188,7 +248,7 @@ async function fetchProducts(options = {}) {
 
     try {
         const response = await axios.post(
-            `https://${shopDomain}/admin/api/${apiVersion}/graphql.json`,
+            getGraphQLUrl(),
             { query, variables },
             {
                 headers: {
@@ -220,8 +280,13 @@ async function fetchProducts(options = {}) {
             pageInfo: productsData.pageInfo
         };
 
-        // Cache the result (60s)
-        await setCachedData(cacheKey, result, 60);
+        // Cache the result (60s), tagged with its collection and every product on the page
+        await setCachedData(cacheKey, result, 60, {
+            tags: [
+                collectionCacheTag(collection),
+                ...result.products.map(edge => productCacheTag(edge.node.id))
+            ]
+        });
 
         console.log(`📦 Fetched ${result.products.length} products for collection: ${collection || 'ALL'}`);
 
@@ -239,7 +304,6 @@ async function fetchProducts(options = {}) {
 async function fetchProduct(productId) {
     const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN;
     const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
-    const apiVersion = process.env.SHOPIFY_API_VERSION || '2024-01';
 
     if (!shopDomain || !accessToken) {
         throw new Error('Shopify credentials not configured');
@@ -296,7 +360,7 @@ async function fetchProduct(productId) {
 
     try {
         const response = await axios.post(
-            `https://${shopDomain}/admin/api/${apiVersion}/graphql.json`,
+            getGraphQLUrl(),
             { 
                 query,
                 variables: { id: productId }
@@ -316,7 +380,7 @@ async function fetchProduct(productId) {
         const product = response.data.data.product;
 
         // Cache for 60 seconds
-        await setCachedData(cacheKey, product, 60);
+        await setCachedData(cacheKey, product, 60, { tags: [productCacheTag(productId)] });
 
         return product;
 
@@ -331,9 +395,7 @@ async function fetchCollectionsDetails(handles) {
         return [];
     }
 
-    const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN;
     const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
-    const apiVersion = process.env.SHOPIFY_API_VERSION || '2024-01';
 
     const query = `#graphql
       query GetCollections {
@@ -354,7 +416,7 @@ async function fetchCollectionsDetails(handles) {
 
     try {
         const response = await axios.post(
-            `https://${shopDomain}/admin/api/${apiVersion}/graphql.json`,
+            getGraphQLUrl(),
             { query },
             {
                 headers: {
@@ -380,8 +442,370 @@ async function fetchCollectionsDetails(handles) {
     }
 }
 
+/**
+ * Normalise a variant ID to GID format
+ */
+function toVariantGid(variantId) {
+    const id = String(variantId);
+    return id.startsWith('gid://') ? id : `gid://shopify/ProductVariant/${id}`;
+}
+
+// nodes() accepts up to 250 IDs; smaller chunks keep the query cost well below the throttle limit
+const VARIANT_CHUNK_SIZE = 100;
+
+// Short TTL - callers use variant data to revalidate price and stock
+const VARIANT_CACHE_TTL = 30;
+
+const VARIANT_FIELDS = `
+    id
+    title
+    sku
+    barcode
+    price
+    compareAtPrice
+    availableForSale
+    inventoryQuantity
+    image {
+        url
+        altText
+    }
+    product {
+        id
+        title
+        handle
+        status
+    }
+`;
+
+function chunk(list, size) {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) {
+        chunks.push(list.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Cache a variant under its GID (and its barcode, if any), tagged with its product
+ */
+async function cacheVariant(variant) {
+    const options = { tags: [productCacheTag(variant.product?.id)] };
+
+    await setCachedData(`variant:${variant.id}`, variant, VARIANT_CACHE_TTL, options);
+    if (variant.barcode) {
+        await setCachedData(`variant:barcode:${variant.barcode}`, variant, VARIANT_CACHE_TTL, options);
+    }
+}
+
+/**
+ * Fetch current data for a list of variants (price, stock, availability)
+ *
+ * Resolved with the GraphQL `nodes` query in chunks; each variant is cached individually
+ * so overlapping lists (e.g. several wishlists scanned in a row) only fetch what is missing.
+ *
+ * @param {Array<string>} variantIds - Numeric or GID variant IDs
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - IDs per nodes() query
+ * @returns {Promise<Object>} Map of variant GID -> variant (null if unknown to Shopify)
+ */
+async function fetchVariants(variantIds = [], options = {}) {
+    const { chunkSize = VARIANT_CHUNK_SIZE } = options;
+
+    const gids = [...new Set(variantIds.filter(Boolean).map(toVariantGid))];
+    const variants = {};
+    const missing = [];
+
+    for (const gid of gids) {
+        const cached = await getCachedData(`variant:${gid}`);
+        if (cached) {
+            variants[gid] = cached;
+        } else {
+            missing.push(gid);
+        }
+    }
+
+    if (missing.length === 0) {
+        return variants;
+    }
+
+    const query = `#graphql
+        query GetVariants($ids: [ID!]!) {
+            nodes(ids: $ids) {
+                ... on ProductVariant {
+                    ${VARIANT_FIELDS}
+                }
+            }
+        }
+    `;
+
+    try {
+        // Sequential on purpose - parallel chunks would burst through the API rate limit
+        for (const ids of chunk(missing, chunkSize)) {
+            const data = await shopifyGraphQL(query, { ids });
+
+            for (const [index, gid] of ids.entries()) {
+                const node = data.nodes[index];
+                // nodes() returns null (or an empty object for other types) for unknown IDs
+                variants[gid] = node && node.id ? node : null;
+                if (variants[gid]) {
+                    await cacheVariant(variants[gid]);
+                }
+            }
+        }
+
+        console.log(`📦 Fetched ${missing.length} variants (${gids.length - missing.length} from cache)`);
+
+        return variants;
+
+    } catch (error) {
+        console.error('Error fetching variants from Shopify:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Fetch current data for a list of variants by barcode
+ *
+ * Uses productVariants search (`barcode:"..." OR ...`) in chunks, with the same
+ * per-variant cache as fetchVariants. If several variants share a barcode the first wins.
+ *
+ * @param {Array<string>} barcodes
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Barcodes per search query
+ * @returns {Promise<Object>} Map of barcode -> variant (null if no variant has it)
+ */
+async function fetchVariantsByBarcode(barcodes = [], options = {}) {
+    const { chunkSize = 50 } = options;
+
+    const unique = [...new Set(barcodes.filter(Boolean).map(String))];
+    const variants = {};
+    const missing = [];
+
+    for (const barcode of unique) {
+        const cached = await getCachedData(`variant:barcode:${barcode}`);
+        if (cached) {
+            variants[barcode] = cached;
+        } else {
+            missing.push(barcode);
+        }
+    }
+
+    if (missing.length === 0) {
+        return variants;
+    }
+
+    const query = `#graphql
+        query GetVariantsByBarcode($query: String!, $first: Int!) {
+            productVariants(first: $first, query: $query) {
+                edges {
+                    node {
+                        ${VARIANT_FIELDS}
+                    }
+                }
+            }
+        }
+    `;
+
+    try {
+        for (const group of chunk(missing, chunkSize)) {
+            const search = group
+                .map(barcode => `barcode:"${barcode.replace(/(["\\])/g, '\\$1')}"`)
+                .join(' OR ');
+
+            // Allow a few duplicates per barcode before the page cuts off
+            const data = await shopifyGraphQL(query, { query: search, first: Math.min(group.length * 2, 250) });
+
+            for (const { node } of data.productVariants.edges) {
+                if (group.includes(node.barcode) && !variants[node.barcode]) {
+                    variants[node.barcode] = node;
+                    await cacheVariant(node);
+                }
+            }
+
+            for (const barcode of group) {
+                if (!variants[barcode]) {
+                    variants[barcode] = null;
+                }
+            }
+        }
+
+        console.log(`📦 Fetched ${missing.length} variants by barcode (${unique.length - missing.length} from cache)`);
+
+        return variants;
+
+    } catch (error) {
+        console.error('Error fetching variants by barcode from Shopify:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Create a draft order
+ *
+ * @param {Object} options
+ * @param {Array<{variantId: string, quantity: number}>} options.lineItems
+ * @param {string} [options.note]
+ * @param {Array<string>} [options.tags]
+ * @param {Array<{key: string, value: string}>} [options.customAttributes]
+ * @returns {Promise<Object>} { id, name, invoiceUrl, totalPrice, currencyCode }
+ */
+async function createDraftOrder(options = {}) {
+    const {
+        lineItems = [],
+        note = null,
+        tags = [],
+        customAttributes = []
+    } = options;
+
+    const query = `#graphql
+        mutation DraftOrderCreate($input: DraftOrderInput!) {
+            draftOrderCreate(input: $input) {
+                draftOrder {
+                    id
+                    name
+                    invoiceUrl
+                    totalPriceSet {
+                        shopMoney {
+                            amount
+                            currencyCode
+                        }
+                    }
+                }
+                userErrors {
+                    field
+                    message
+                }
+            }
+        }
+    `;
+
+    const input = {
+        lineItems: lineItems.map(item => ({
+            variantId: toVariantGid(item.variantId),
+            quantity: item.quantity
+        })),
+        tags,
+        customAttributes
+    };
+    if (note) input.note = note;
+
+    try {
+        const data = await shopifyGraphQL(query, { input });
+        const { draftOrder, userErrors } = data.draftOrderCreate;
+
+        if (userErrors && userErrors.length > 0) {
+            throw new ShopifyApiError(`Draft order creation failed: ${userErrors[0].message}`, userErrors);
+        }
+
+        console.log(`🧾 Created Shopify draft order ${draftOrder.name} (${draftOrder.id})`);
+
+        return {
+            id: draftOrder.id,
+            name: draftOrder.name,
+            invoiceUrl: draftOrder.invoiceUrl,
+            totalPrice: draftOrder.totalPriceSet?.shopMoney?.amount ?? null,
+            currencyCode: draftOrder.totalPriceSet?.shopMoney?.currencyCode ?? null
+        };
+
+    } catch (error) {
+        console.error('Error creating draft order in Shopify:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Complete a draft order, turning it into a real order
+ *
+ * @param {string} draftOrderId - Draft order GID
+ * @param {Object} [options]
+ * @param {boolean} [options.paymentPending=true] - Payment is collected at the till, not by Shopify
+ * @returns {Promise<Object>} { id, name } of the created order
+ */
+async function completeDraftOrder(draftOrderId, options = {}) {
+    const { paymentPending = true } = options;
+
+    const query = `#graphql
+        mutation DraftOrderComplete($id: ID!, $paymentPending: Boolean) {
+            draftOrderComplete(id: $id, paymentPending: $paymentPending) {
+                draftOrder {
+                    id
+                    order {
+                        id
+                        name
+                    }
+                }
+                userErrors {
+                    field
+                    message
+                }
+            }
+        }
+    `;
+
+    try {
+        const data = await shopifyGraphQL(query, { id: draftOrderId, paymentPending });
+        const { draftOrder, userErrors } = data.draftOrderComplete;
+
+        if (userErrors && userErrors.length > 0) {
+            throw new ShopifyApiError(`Draft order completion failed: ${userErrors[0].message}`, userErrors);
+        }
+
+        console.log(`✅ Completed draft order ${draftOrderId} -> order ${draftOrder.order.name}`);
+
+        return draftOrder.order;
+
+    } catch (error) {
+        console.error('Error completing draft order in Shopify:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Delete a draft order that will not be completed
+ *
+ * @param {string} draftOrderId - Draft order GID
+ * @returns {Promise<string>} ID of the deleted draft order
+ */
+async function deleteDraftOrder(draftOrderId) {
+    const query = `#graphql
+        mutation DraftOrderDelete($input: DraftOrderDeleteInput!) {
+            draftOrderDelete(input: $input) {
+                deletedId
+                userErrors {
+                    field
+                    message
+                }
+            }
+        }
+    `;
+
+    try {
+        const data = await shopifyGraphQL(query, { input: { id: draftOrderId } });
+        const { deletedId, userErrors } = data.draftOrderDelete;
+
+        if (userErrors && userErrors.length > 0) {
+            throw new ShopifyApiError(`Draft order deletion failed: ${userErrors[0].message}`, userErrors);
+        }
+
+        console.log(`🗑️ Deleted draft order ${deletedId}`);
+
+        return deletedId;
+
+    } catch (error) {
+        console.error('Error deleting draft order in Shopify:', error.message);
+        throw error;
+    }
+}
+
 module.exports = {
+    ShopifyApiError,
     fetchProducts,
     fetchProduct,
-    fetchCollectionsDetails
+    fetchCollectionsDetails,
+    fetchVariants,
+    fetchVariantsByBarcode,
+    toVariantGid,
+    createDraftOrder,
+    completeDraftOrder,
+    deleteDraftOrder
 };
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { ShopifyWebhook } = require('../models');
+const {
+    deleteCachedData,
+    invalidateCacheTags,
+    clearCache,
+    productCacheTag,
+    collectionCacheTag
+} = require('../utils/cache');
+const { linkOrderToWishlists } = require('./orderLink.service');
+const config = require('../config/serverConfig');
+
+/**
+ * Shopify Webhook Service
+ *
+ * Verifies, dedupes and dispatches webhook deliveries from Shopify. Handlers drop the cache
+ * entries a change makes stale (by tag where possible, see utils/cache), so kiosks and tills
+ * see it without waiting for the cache TTL. orders/create also completes the wishlist the
+ * order was rung up from.
+ *
+ * Deliveries are claimed like idempotency keys: the first one with a given X-Shopify-Webhook-Id
+ * runs its handler; retries of a PROCESSED (or IGNORED) delivery are acknowledged without running
+ * it again, FAILED and stale PROCESSING deliveries are handled again.
+ */
+
+/**
+ * Check X-Shopify-Hmac-Sha256 (base64 HMAC-SHA256 of the raw body) in constant time
+ *
+ * @param {Buffer} rawBody - Body exactly as received
+ * @param {string} hmacHeader - Value of X-Shopify-Hmac-Sha256
+ * @param {string} secret - Webhook signing secret
+ * @returns {boolean}
+ */
+function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+    if (!hmacHeader || !secret) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const provided = Buffer.from(String(hmacHeader), 'base64');
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * GraphQL ID of a REST webhook resource (payloads carry both forms)
+ */
+function toGid(type, resource) {
+    if (resource.admin_graphql_api_id) {
+        return resource.admin_graphql_api_id;
+    }
+    return resource.id ? `gid://shopify/${type}/${resource.id}` : null;
+}
+
+/**
+ * Drop cache entries by tag, by key and by key pattern
+ *
+ * @param {Object} targets - { tags, keys, patterns }
+ * @returns {Promise<Object>} { tags, keys (every key dropped by tag or by name), patterns }
+ */
+async function invalidate(targets) {
+    const { tags = [], keys = [], patterns = [] } = targets;
+
+    const [taggedKeys, ...results] = await Promise.all([
+        invalidateCacheTags(tags),
+        deleteCachedData(keys),
+        ...patterns.map(pattern => clearCache(pattern))
+    ]);
+
+    // Fail the delivery so Shopify retries it instead of the cache serving stale data
+    if (taggedKeys === null || results.includes(false)) {
+        throw new Error('Cache invalidation failed');
+    }
+
+    return {
+        tags,
+        keys: [...new Set([...taggedKeys, ...keys.filter(Boolean)])],
+        patterns
+    };
+}
+
+/**
+ * products/update, products/delete: every entry holding the product - the product itself,
+ * its variants and each listing page it appears on (see productCacheTag)
+ */
+async function handleProductChange(payload) {
+    return invalidate({ tags: [productCacheTag(toGid('Product', payload))] });
+}
+
+/**
+ * inventory_levels/update: listings filtered by location show availability. The payload only
+ * names the inventory item, so every listing is dropped and cached variants are left to their short TTL
+ */
+async function handleInventoryLevelUpdate() {
+    return invalidate({ patterns: ['products:*'] });
+}
+
+/**
+ * collections/update: listing pages of that collection
+ */
+async function handleCollectionUpdate(payload) {
+    return invalidate({ tags: [collectionCacheTag(payload.handle)] });
+}
+
+/**
+ * orders/create: stock of the ordered products went down - drop every entry holding them
+ * (variants by GID and by barcode included), and orders naming a wishlist complete it
+ * (see orderLink.service)
+ */
+async function handleOrderCreate(payload) {
+    const lineItems = payload.line_items || [];
+
+    const invalidated = await invalidate({
+        tags: [...new Set(lineItems.map(line => productCacheTag(line.product_id)).filter(Boolean))]
+    });
+
+    return {
+        ...invalidated,
+        wishlists: await linkOrderToWishlists(payload)
+    };
+}
+
+const WEBHOOK_HANDLERS = {
+    'products/update': handleProductChange,
+    'products/delete': handleProductChange,
+    'inventory_levels/update': handleInventoryLevelUpdate,
+    'collections/update': handleCollectionUpdate,
+    'orders/create': handleOrderCreate
+};
+
+/**
+ * Claim a delivery for processing
+ *
+ * @param {Object} headers - { webhookId, topic, shopDomain, apiVersion, triggeredAt }
+ * @returns {Promise<Object>} { delivery } when this request should run the handler,
+ *   { duplicate } when it already ran, { inProgress } while another request is running it
+ */
+async function claimDelivery(headers) {
+    const { webhookId, topic, shopDomain = null, apiVersion = null, triggeredAt = null } = headers;
+
+    try {
+        const delivery = await ShopifyWebhook.create({
+            webhook_id: webhookId,
+            topic,
+            shop_domain: shopDomain,
+            api_version: apiVersion,
+            triggered_at: triggeredAt
+        });
+        return { delivery };
+    } catch (error) {
+        if (!(error instanceof UniqueConstraintError)) {
+            throw error;
+        }
+    }
+
+    const existing = await ShopifyWebhook.findOne({ where: { webhook_id: webhookId } });
+
+    if (['PROCESSED', 'IGNORED'].includes(existing.status)) {
+        return { duplicate: existing };
+    }
+
+    const staleBefore = new Date(Date.now() - config.WEBHOOKS.PROCESSING_TIMEOUT_SECONDS * 1000);
+    if (existing.status === 'PROCESSING' && existing.updated_at >= staleBefore) {
+        return { inProgress: existing };
+    }
+
+    // Conditional on the row not having changed since we read it, so only one retry wins
+    const [updated] = await ShopifyWebhook.update(
+        { status: 'PROCESSING', attempts: existing.attempts + 1, error: null },
+        {
+            where: {
+                delivery_id: existing.delivery_id,
+                status: existing.status,
+                updated_at: existing.updated_at
+            }
+        }
+    );
+
+    if (updated === 0) {
+        return { inProgress: existing };
+    }
+
+    return { delivery: await existing.reload() };
+}
+
+/**
+ * Run the handler of a claimed delivery and record the outcome
+ *
+ * @param {Object} delivery - ShopifyWebhook instance claimed by claimDelivery
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Promise<Object>} The updated delivery
+ * @throws Whatever the handler throws, after marking the delivery FAILED
+ */
+async function processDelivery(delivery, payload) {
+    const handler = WEBHOOK_HANDLERS[delivery.topic];
+
+    if (!handler) {
+        return delivery.update({ status: 'IGNORED', processed_at: new Date() });
+    }
+
+    let result;
+    try {
+        result = await handler(payload, delivery);
+    } catch (error) {
+        await delivery.update({ status: 'FAILED', error: error.message });
+        throw error;
+    }
+
+    return delivery.update({
+        status: 'PROCESSED',
+        result: result || null,
+        processed_at: new Date()
+    });
+}
+
+module.exports = {
+    WEBHOOK_HANDLERS,
+    verifyWebhookHmac,
+    claimDelivery,
+    processDelivery
+};
@@ -0,0 +1,359 @@
+const { StatusCodes } = require('http-status-codes');
+const { sequelize } = require('complex-common-utils');
+const { Wishlist, WishlistItem } = require('../models');
+const { validateItems, variantKey } = require('../utils/itemValidation');
+const { resolveItemsAgainstCatalogue } = require('./catalogue.service');
+const config = require('../config/serverConfig');
+
+/**
+ * Wishlist Items Service
+ *
+ * Line-level editing of an ACTIVE wishlist, expressed as JSON-Patch-style operations:
+ *   { op: 'add',     path: '/items/-',                value: { variant_id, quantity, ... } }
+ *   { op: 'replace', path: '/items/{itemId}',         value: { quantity?, variant_id?, ... } }
+ *   { op: 'replace', path: '/items/{itemId}/quantity', value: 3 }
+ *   { op: 'remove',  path: '/items/{itemId}' }
+ *
+ * Operations are applied in order to an in-memory copy of the items, the result is
+ * checked against the wishlist limits, and only then written in one transaction.
+ * Untouched lines keep their item_id and created_at.
+ */
+
+const MAX_OPERATIONS = 100;
+
+const PATH_PATTERN = /^\/items\/([^/]+)(?:\/(quantity))?$/;
+
+/**
+ * Raised when operations cannot be applied. Nothing has been written.
+ * 404 when every problem is an unknown item, 400 otherwise.
+ */
+class WishlistItemOperationError extends Error {
+    constructor(message, operationErrors = [], statusCode = StatusCodes.BAD_REQUEST) {
+        super(message);
+        this.name = 'WishlistItemOperationError';
+        this.statusCode = statusCode;
+        this.details = operationErrors;
+    }
+}
+
+/**
+ * Re-read the wishlist inside `transaction` with a row lock and make sure it is still ACTIVE
+ *
+ * Callers check the status when they load the wishlist, but a POS scan can claim it
+ * before their transaction opens; this check is the one that holds until commit.
+ */
+async function lockActiveWishlist(wishlistId, transaction) {
+    const wishlist = await Wishlist.findByPk(wishlistId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (wishlist.status !== 'ACTIVE') {
+        throw new WishlistItemOperationError(`Cannot update wishlist with status: ${wishlist.status}`);
+    }
+
+    return wishlist;
+}
+
+/**
+ * Map a validated item (see utils/itemValidation) to WishlistItem columns
+ */
+function toItemRow(item) {
+    return {
+        shopify_variant_id: item.variant_id,
+        shopify_product_id: item.product_id,
+        quantity: item.quantity,
+        product_title: item.product_title,
+        variant_title: item.variant_title,
+        price: item.price,
+        currency: item.currency || 'HKD',
+        barcode: item.barcode,
+        image_url: item.image_url,
+        product_data: item.product_data
+    };
+}
+
+/**
+ * Summarise per-item fulfilment recorded at POS
+ * `tracked` is false when no line has been fulfilled yet (all-or-nothing completion);
+ * otherwise every line not handed over in full makes the wishlist partial.
+ */
+function summariseFulfilment(items) {
+    const summary = {
+        tracked: items.some(item => item.fulfilment_status !== 'PENDING'),
+        total_lines: items.length,
+        pending: 0,
+        picked: 0,
+        unavailable: 0,
+        substituted: 0,
+        incomplete_lines: 0
+    };
+
+    for (const item of items) {
+        summary[item.fulfilment_status.toLowerCase()] += 1;
+        if (item.fulfilment_status !== 'PENDING' && item.picked_quantity < item.quantity) {
+            summary.incomplete_lines += 1;
+        }
+    }
+
+    summary.fully_fulfilled = !summary.tracked
+        || (summary.pending === 0 && summary.incomplete_lines === 0);
+
+    return summary;
+}
+
+/**
+ * Lines the customer is buying: what was actually handed over when fulfilment was recorded,
+ * otherwise the wishlist as-is. Used for Shopify draft orders and to check linked orders
+ */
+function toDraftOrderLineItems(items) {
+    return items
+        .map(item => {
+            if (item.fulfilment_status === 'PENDING') {
+                return { variantId: item.shopify_variant_id, quantity: item.quantity };
+            }
+            return {
+                variantId: item.fulfilment_status === 'SUBSTITUTED'
+                    ? item.substitute_variant_id
+                    : item.shopify_variant_id,
+                quantity: item.picked_quantity
+            };
+        })
+        .filter(line => line.quantity > 0);
+}
+
+/**
+ * Apply item operations to a wishlist
+ *
+ * @param {Object} wishlist - Wishlist instance (must be ACTIVE)
+ * @param {Array<Object>} operations - JSON-Patch-style operations (see above)
+ * @returns {Promise<Object>} { items, results } - all items after the change, and per operation { index, op, item_id }
+ */
+async function applyItemOperations(wishlist, operations) {
+    if (wishlist.status !== 'ACTIVE') {
+        throw new WishlistItemOperationError(`Cannot update wishlist with status: ${wishlist.status}`);
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new WishlistItemOperationError('operations array is required and must not be empty');
+    }
+
+    if (operations.length > MAX_OPERATIONS) {
+        throw new WishlistItemOperationError(`At most ${MAX_OPERATIONS} operations can be applied at once`);
+    }
+
+    const existing = await WishlistItem.findAll({
+        where: { wishlist_id: wishlist.wishlist_id },
+        order: [['created_at', 'ASC'], ['item_id', 'ASC']]
+    });
+
+    // Working copy: one entry per line, keyed by item_id (new lines get a temporary key)
+    const lines = new Map(existing.map(row => [row.item_id, {
+        row,
+        variant_id: row.shopify_variant_id,
+        quantity: row.quantity,
+        snapshot: null
+    }]));
+
+    const errors = [];
+    const results = [];
+    let newLineCount = 0;
+
+    const findLineByVariant = (variantId, exceptKey) => {
+        for (const [key, line] of lines) {
+            if (key !== exceptKey && variantKey(line.variant_id) === variantKey(variantId)) return [key, line];
+        }
+        return null;
+    };
+
+    operations.forEach((operation, index) => {
+        const { op, path, value } = operation || {};
+        const addError = (message, extra = {}) => errors.push({ index, op: op ?? null, path: path ?? null, message, ...extra });
+
+        if (op === 'add') {
+            if (path !== '/items/-' && path !== '/items') {
+                return addError('add operations must use path /items/-');
+            }
+
+            const validation = validateItems([value]);
+            if (validation.errorResponse) {
+                return addError('Invalid item', { item_errors: validation.errorResponse.item_errors });
+            }
+
+            const [item] = validation.items;
+            const match = findLineByVariant(item.variant_id);
+
+            // Adding a variant that is already in the wishlist increases that line
+            if (match) {
+                match[1].quantity += item.quantity;
+                results.push({ index, op, item_key: match[0] });
+                return;
+            }
+
+            const key = `new:${newLineCount++}`;
+            lines.set(key, { row: null, variant_id: item.variant_id, quantity: item.quantity, snapshot: item, opIndex: index });
+            results.push({ index, op, item_key: key });
+            return;
+        }
+
+        if (op !== 'replace' && op !== 'remove') {
+            return addError('op must be one of add, replace, remove');
+        }
+
+        const match = PATH_PATTERN.exec(path || '');
+        if (!match || (op === 'remove' && match[2])) {
+            return addError(`${op} operations must use path /items/{itemId}${op === 'replace' ? ' or /items/{itemId}/quantity' : ''}`);
+        }
+
+        const [, key, field] = match;
+        const line = lines.get(key);
+
+        if (!line) {
+            return addError('Wishlist item not found', { not_found: true });
+        }
+
+        if (op === 'remove') {
+            lines.delete(key);
+            results.push({ index, op, item_key: key });
+            return;
+        }
+
+        const changes = field ? { quantity: value } : value;
+
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return addError('replace value must be an object with quantity and/or variant_id');
+        }
+
+        const quantity = changes.quantity ?? line.quantity;
+        const variantId = changes.variant_id ?? changes.variantId;
+
+        if (variantId === undefined || String(variantId) === line.variant_id) {
+            // Quantity-only change: validate against the line's current data
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > config.WISHLIST.MAX_QUANTITY_PER_ITEM) {
+                return addError(`quantity must be an integer between 1 and ${config.WISHLIST.MAX_QUANTITY_PER_ITEM}`);
+            }
+            line.quantity = quantity;
+            results.push({ index, op, item_key: key });
+            return;
+        }
+
+        // Variant swap: the new variant needs a full snapshot, like an added item
+        const validation = validateItems([{ ...changes, quantity }]);
+        if (validation.errorResponse) {
+            return addError('Invalid item', { item_errors: validation.errorResponse.item_errors });
+        }
+
+        const [item] = validation.items;
+        if (findLineByVariant(item.variant_id, key)) {
+            return addError('Another item in this wishlist already has this variant; change that item instead');
+        }
+
+        Object.assign(line, { variant_id: item.variant_id, quantity: item.quantity, snapshot: item, opIndex: index });
+        results.push({ index, op, item_key: key });
+    });
+
+    if (errors.length > 0) {
+        const notFound = errors.every(error => error.not_found);
+        throw new WishlistItemOperationError(
+            notFound ? 'Wishlist item not found' : 'Invalid item operations',
+            errors.map(({ not_found, ...error }) => error),
+            notFound ? StatusCodes.NOT_FOUND : StatusCodes.BAD_REQUEST
+        );
+    }
+
+    // Limits apply to the end result, not to each intermediate step
+    const { MAX_ITEMS, MAX_QUANTITY_PER_ITEM, MAX_TOTAL_UNITS, STRICT_CATALOGUE } = config.WISHLIST;
+    const finalLines = [...lines.values()];
+
+    const overQuantity = results.filter(result => lines.get(result.item_key)?.quantity > MAX_QUANTITY_PER_ITEM);
+    if (overQuantity.length > 0) {
+        throw new WishlistItemOperationError(
+            'Invalid item operations',
+            overQuantity.map(({ index, op }) => ({
+                index,
+                op,
+                path: operations[index].path,
+                message: `Combined quantity for this variant exceeds ${MAX_QUANTITY_PER_ITEM}`
+            }))
+        );
+    }
+
+    if (finalLines.length > MAX_ITEMS) {
+        throw new WishlistItemOperationError(`A wishlist can contain at most ${MAX_ITEMS} different items`);
+    }
+
+    const totalUnits = finalLines.reduce((sum, line) => sum + line.quantity, 0);
+    if (totalUnits > MAX_TOTAL_UNITS) {
+        throw new WishlistItemOperationError(`A wishlist can contain at most ${MAX_TOTAL_UNITS} units in total`);
+    }
+
+    // Strict catalogue mode: snapshots of new variants come from Shopify
+    const withSnapshot = finalLines.filter(line => line.snapshot);
+    if (STRICT_CATALOGUE && withSnapshot.length > 0) {
+        const { items: resolved, itemErrors } = await resolveItemsAgainstCatalogue(withSnapshot.map(line => line.snapshot));
+
+        if (itemErrors.length > 0) {
+            throw new WishlistItemOperationError(
+                'Some items could not be found in the Shopify catalogue',
+                itemErrors.map(error => {
+                    const { opIndex } = withSnapshot[error.index];
+                    return {
+                        index: opIndex,
+                        op: operations[opIndex].op,
+                        path: operations[opIndex].path,
+                        message: error.message,
+                        variant_id: error.variant_id
+                    };
+                })
+            );
+        }
+
+        withSnapshot.forEach((line, i) => {
+            line.snapshot = { ...resolved[i], quantity: line.quantity };
+        });
+    }
+
+    const keep = new Set(finalLines.filter(line => line.row).map(line => line.row.item_id));
+
+    await sequelize.transaction(async (transaction) => {
+        await lockActiveWishlist(wishlist.wishlist_id, transaction);
+
+        const removed = existing.filter(row => !keep.has(row.item_id)).map(row => row.item_id);
+        if (removed.length > 0) {
+            await WishlistItem.destroy({ where: { item_id: removed }, transaction });
+        }
+
+        for (const line of finalLines) {
+            if (!line.row) {
+                line.row = await WishlistItem.create({
+                    wishlist_id: wishlist.wishlist_id,
+                    ...toItemRow({ ...line.snapshot, quantity: line.quantity })
+                }, { transaction });
+            } else if (line.snapshot) {
+                await line.row.update(toItemRow({ ...line.snapshot, quantity: line.quantity }), { transaction });
+            } else if (line.quantity !== line.row.quantity) {
+                await line.row.update({ quantity: line.quantity }, { transaction });
+            }
+        }
+    });
+
+    const items = await WishlistItem.findAll({
+        where: { wishlist_id: wishlist.wishlist_id },
+        order: [['created_at', 'ASC'], ['item_id', 'ASC']]
+    });
+
+    return {
+        items,
+        results: results.map(({ item_key, ...result }) => {
+            const line = lines.get(item_key);
+            // Removed lines report the id they had; lines added and removed in the same batch have none
+            return { ...result, item_id: line ? line.row.item_id : (item_key.startsWith('new:') ? null : item_key) };
+        })
+    };
+}
+
+module.exports = {
+    WishlistItemOperationError,
+    applyItemOperations,
+    lockActiveWishlist,
+    summariseFulfilment,
+    toItemRow,
+    toDraftOrderLineItems
+};
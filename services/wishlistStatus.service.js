@@ -0,0 +1,189 @@
+const { Op } = require('sequelize');
+const { StatusCodes } = require('http-status-codes');
+const { sequelize } = require('complex-common-utils');
+const { Wishlist, WishlistStatusHistory } = require('../models');
+
+/**
+ * Wishlist Status Service
+ *
+ * Single place where Wishlist.status is allowed to change.
+ * Enforces the status state machine and records every transition
+ * in wishlist_status_history (from, to, actor, reason, timestamp).
+ */
+
+/**
+ * Allowed transitions: current status -> statuses it may move to.
+ * PROCESSING -> ACTIVE is a released POS session (see posSession.service).
+ * ACTIVE -> COMPLETED is a Shopify order linked to a wishlist that was not (or no longer)
+ * PROCESSING, e.g. after its POS session was released (see orderLink.service).
+ * COMPLETED, PARTIALLY_COMPLETED, CANCELLED and EXPIRED are final.
+ */
+const TRANSITIONS = {
+    ACTIVE: ['PROCESSING', 'COMPLETED', 'CANCELLED', 'EXPIRED'],
+    PROCESSING: ['ACTIVE', 'COMPLETED', 'PARTIALLY_COMPLETED', 'CANCELLED', 'EXPIRED'],
+    COMPLETED: [],
+    PARTIALLY_COMPLETED: [],
+    CANCELLED: [],
+    EXPIRED: []
+};
+
+/**
+ * Raised when a transition is not allowed by the state machine,
+ * or the wishlist changed status underneath us. Maps to 409 Conflict.
+ */
+class InvalidStatusTransitionError extends Error {
+    constructor(fromStatus, toStatus, message) {
+        super(message || `Cannot change wishlist status from ${fromStatus} to ${toStatus}`);
+        this.name = 'InvalidStatusTransitionError';
+        this.statusCode = StatusCodes.CONFLICT;
+        this.details = { from: fromStatus, to: toStatus };
+    }
+}
+
+function canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Statuses from which `toStatus` can be reached
+ */
+function allowedSourceStatuses(toStatus) {
+    return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(toStatus));
+}
+
+/**
+ * Move a single wishlist to a new status
+ *
+ * Moving to the status the wishlist already has is a no-op (apart from `changes`)
+ * and is not recorded, so repeated cancel/expire calls stay idempotent.
+ *
+ * The status is changed by one conditional UPDATE, so when several callers race for the
+ * same wishlist (e.g. two tills scanning one QR code) exactly one wins and the others get
+ * InvalidStatusTransitionError. `where` narrows that UPDATE further.
+ *
+ * @param {Object} wishlist - Wishlist instance
+ * @param {string} toStatus - Target status
+ * @param {Object} options
+ * @param {string} options.actor - Who triggers the transition
+ * @param {string} [options.reason] - Optional reason stored in history
+ * @param {Object} [options.changes] - Extra wishlist fields to update alongside the status
+ * @param {Object} [options.where] - Extra conditions the wishlist row must still meet
+ * @param {Object} [options.transaction] - Existing transaction to join
+ * @returns {Promise<Object>} The reloaded wishlist instance
+ */
+async function transitionWishlist(wishlist, toStatus, options = {}) {
+    const { actor = 'SYSTEM', reason = null, changes = {}, where = {}, transaction } = options;
+    const fromStatus = wishlist.status;
+
+    if (fromStatus === toStatus) {
+        if (Object.keys(changes).length > 0) {
+            await wishlist.update(changes, { transaction });
+        }
+        return wishlist;
+    }
+
+    if (!canTransition(fromStatus, toStatus)) {
+        throw new InvalidStatusTransitionError(fromStatus, toStatus);
+    }
+
+    const apply = async (t) => {
+        // Conditional update: only succeeds if nobody changed the status since we read it
+        const [updated] = await Wishlist.update(
+            { ...changes, status: toStatus },
+            {
+                where: { ...where, wishlist_id: wishlist.wishlist_id, status: fromStatus },
+                transaction: t
+            }
+        );
+
+        if (updated === 0) {
+            throw new InvalidStatusTransitionError(
+                fromStatus,
+                toStatus,
+                `Wishlist is no longer ${fromStatus}, it was modified concurrently`
+            );
+        }
+
+        await WishlistStatusHistory.create({
+            wishlist_id: wishlist.wishlist_id,
+            from_status: fromStatus,
+            to_status: toStatus,
+            actor,
+            reason
+        }, { transaction: t });
+
+        await wishlist.reload({ transaction: t });
+    };
+
+    if (transaction) {
+        await apply(transaction);
+    } else {
+        await sequelize.transaction(apply);
+    }
+
+    return wishlist;
+}
+
+/**
+ * Move many wishlists to a new status in one statement (used by background jobs)
+ *
+ * Wishlists whose current status cannot reach `toStatus` are skipped.
+ * Callers are expected to have locked the rows within `transaction`.
+ *
+ * @param {Array<Object>} wishlists - Rows with at least wishlist_id and status
+ * @param {string} toStatus - Target status
+ * @param {Object} options - { actor, reason, transaction }
+ * @returns {Promise<number>} Number of wishlists transitioned
+ */
+async function bulkTransitionWishlists(wishlists, toStatus, options = {}) {
+    const { actor = 'SYSTEM', reason = null, transaction } = options;
+
+    const eligible = wishlists.filter(w => canTransition(w.status, toStatus));
+
+    if (eligible.length === 0) {
+        return 0;
+    }
+
+    const [updated] = await Wishlist.update(
+        { status: toStatus },
+        {
+            where: {
+                wishlist_id: eligible.map(w => w.wishlist_id),
+                status: { [Op.in]: allowedSourceStatuses(toStatus) }
+            },
+            transaction
+        }
+    );
+
+    await WishlistStatusHistory.bulkCreate(
+        eligible.map(w => ({
+            wishlist_id: w.wishlist_id,
+            from_status: w.status,
+            to_status: toStatus,
+            actor,
+            reason
+        })),
+        { transaction }
+    );
+
+    return updated;
+}
+
+/**
+ * Get the transition history of a wishlist, oldest first
+ */
+async function getStatusHistory(wishlistId) {
+    return WishlistStatusHistory.findAll({
+        where: { wishlist_id: wishlistId },
+        order: [['created_at', 'ASC']]
+    });
+}
+
+module.exports = {
+    TRANSITIONS,
+    InvalidStatusTransitionError,
+    canTransition,
+    transitionWishlist,
+    bulkTransitionWishlists,
+    getStatusHistory
+};
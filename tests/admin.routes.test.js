@@ -0,0 +1,576 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app } = require('../index');
+const {
+  Idempotency,
+  PosDevice,
+  Wishlist,
+  WishlistItem,
+  WishlistStatusHistory,
+  WishlistQrRotation,
+  AdminAuditLog
+} = require('../models');
+const { sequelize } = require('complex-common-utils');
+const { getCachedData, setCachedData } = require('../utils/cache');
+const { registerDevice } = require('../services/posDevice.service');
+const config = require('../config/serverConfig');
+
+describe('Admin Routes', () => {
+
+  beforeAll(async () => {
+    // Initialize database
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Idempotency.destroy({ where: {}, force: true });
+    await PosDevice.destroy({ where: {}, force: true });
+    await AdminAuditLog.destroy({ where: {}, force: true });
+    await WishlistQrRotation.destroy({ where: {}, force: true });
+    await WishlistStatusHistory.destroy({ where: {}, force: true });
+    await WishlistItem.destroy({ where: {}, force: true });
+    await Wishlist.destroy({ where: {}, force: true });
+  });
+
+  const createWishlist = (attributes = {}) => Wishlist.create({
+    user_id: 'user-123',
+    status: 'ACTIVE',
+    source: 'KIOSK',
+    qr_code_token: `token-${Math.random()}`,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...attributes
+  });
+
+  describe('GET /api/admin/idempotency/stats', () => {
+    it('should report counts, oldest row and retention', async () => {
+      const oldest = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+
+      const stale = await Idempotency.create({ idempotency_key: 'a', operation_type: 'POST /api/wishlists', status: 'COMPLETED' });
+      // created_at is managed by Sequelize, so backdate it after the insert
+      await stale.update({ created_at: oldest }, { silent: true });
+      await Idempotency.create({ idempotency_key: 'b', operation_type: 'POST /api/wishlists', status: 'COMPLETED' });
+      await Idempotency.create({ idempotency_key: 'c', operation_type: 'POST /api/wishlists', status: 'FAILED' });
+
+      const response = await request(app)
+        .get('/api/admin/idempotency/stats');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        total_rows: 3,
+        by_status: { PROCESSING: 0, COMPLETED: 2, FAILED: 1 },
+        retention_days: 7,
+        rows_past_retention: 1
+      });
+      expect(new Date(response.body.oldest_created_at).getTime()).toBe(oldest.getTime());
+      expect(response.body.oldest_age_seconds).toBeGreaterThanOrEqual(10 * 24 * 60 * 60);
+    });
+
+    it('should report an empty table', async () => {
+      const response = await request(app)
+        .get('/api/admin/idempotency/stats');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        total_rows: 0,
+        oldest_created_at: null,
+        oldest_age_seconds: null,
+        rows_past_retention: 0
+      });
+    });
+  });
+
+  describe('POS device registry', () => {
+    const register = (body) => request(app)
+      .post('/api/admin/pos-devices')
+      .send(body);
+
+    it('should register a device and return its API key once', async () => {
+      const response = await register({
+        name: 'Till 1',
+        location_id: 'gid://shopify/Location/1',
+        location_name: 'Flagship'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.api_key).toMatch(/^pos_[0-9a-f]{16}_[A-Za-z0-9_-]{43}$/);
+      expect(response.body.device).toMatchObject({
+        name: 'Till 1',
+        location_id: 'gid://shopify/Location/1',
+        status: 'ACTIVE',
+        previous_key_active: false
+      });
+      expect(response.body.device).not.toHaveProperty('key_hash');
+      expect(response.body.device.created_by).toBe('admin:development');
+
+      const stored = await PosDevice.findByPk(response.body.device.device_id);
+      expect(stored.key_hash).not.toContain(response.body.api_key);
+
+      const fetched = await request(app).get(`/api/admin/pos-devices/${stored.device_id}`);
+      expect(fetched.status).toBe(200);
+      expect(fetched.body).not.toHaveProperty('api_key');
+      expect(fetched.body.device).not.toHaveProperty('key_hash');
+    });
+
+    it('should require a name', async () => {
+      const response = await register({ location_id: 'gid://shopify/Location/1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('name is required');
+    });
+
+    it('should list devices filtered by location', async () => {
+      await register({ name: 'Till 1', location_id: 'loc-1' });
+      await register({ name: 'Till 2', location_id: 'loc-2' });
+
+      const response = await request(app).get('/api/admin/pos-devices?location_id=loc-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.devices[0].name).toBe('Till 1');
+    });
+
+    it('should rotate the key and keep the previous one during the overlap', async () => {
+      const created = await register({ name: 'Till 1' });
+      const deviceId = created.body.device.device_id;
+
+      const response = await request(app)
+        .post(`/api/admin/pos-devices/${deviceId}/rotate`)
+        .send({ overlap_minutes: 15 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.api_key).not.toBe(created.body.api_key);
+      expect(response.body.device.previous_key_active).toBe(true);
+      expect(response.body.device.previous_key_id).toBe(created.body.device.key_id);
+    });
+
+    it('should reject an out-of-range overlap', async () => {
+      const created = await register({ name: 'Till 1' });
+
+      const response = await request(app)
+        .post(`/api/admin/pos-devices/${created.body.device.device_id}/rotate`)
+        .send({ overlap_minutes: -1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should revoke a device once', async () => {
+      const created = await register({ name: 'Till 1' });
+      const deviceId = created.body.device.device_id;
+
+      const response = await request(app)
+        .post(`/api/admin/pos-devices/${deviceId}/revoke`)
+        .send({ reason: 'Stolen' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.device).toMatchObject({ status: 'REVOKED', revoked_reason: 'Stolen', revoked_by: 'admin:development' });
+
+      const audit = await AdminAuditLog.findAll({ where: { target_id: deviceId }, order: [['created_at', 'ASC']] });
+      expect(audit.map(entry => entry.action)).toEqual(['pos_device.registered', 'pos_device.revoked']);
+      expect(audit[1]).toMatchObject({ principal: 'development', target_type: 'pos_device', reason: 'Stolen' });
+
+      const again = await request(app)
+        .post(`/api/admin/pos-devices/${deviceId}/revoke`)
+        .send({});
+      expect(again.status).toBe(409);
+
+      const rotate = await request(app)
+        .post(`/api/admin/pos-devices/${deviceId}/rotate`)
+        .send({});
+      expect(rotate.status).toBe(409);
+    });
+
+    it('should return 404 for an unknown device', async () => {
+      const response = await request(app)
+        .post('/api/admin/pos-devices/00000000-0000-0000-0000-000000000000/revoke')
+        .send({});
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'POS device not found');
+    });
+
+    it('should not register, rotate or revoke a device when its audit entry cannot be written', async () => {
+      const { device } = await registerDevice({ name: 'Till 1' });
+      const auditSpy = jest.spyOn(AdminAuditLog, 'create').mockRejectedValue(new Error('Database unavailable'));
+
+      try {
+        expect((await register({ name: 'Till 2' })).status).toBe(500);
+        expect((await request(app).post(`/api/admin/pos-devices/${device.device_id}/rotate`).send({})).status).toBe(500);
+        expect((await request(app).post(`/api/admin/pos-devices/${device.device_id}/revoke`).send({})).status).toBe(500);
+      } finally {
+        auditSpy.mockRestore();
+      }
+
+      expect(await PosDevice.count()).toBe(1);
+      const stored = await PosDevice.findByPk(device.device_id);
+      expect(stored).toMatchObject({ status: 'ACTIVE', key_id: device.key_id, previous_key_id: null });
+    });
+  });
+
+  describe('Wishlists', () => {
+    it('should search wishlists of every user without exposing QR tokens', async () => {
+      await createWishlist({ user_id: 'user-123' });
+      await createWishlist({ user_id: 'user-456', status: 'CANCELLED' });
+
+      const all = await request(app).get('/api/admin/wishlists');
+
+      expect(all.status).toBe(200);
+      expect(all.body.total).toBe(2);
+      expect(all.body.wishlists[0]).not.toHaveProperty('qr_code_token');
+
+      const filtered = await request(app).get('/api/admin/wishlists?user_id=user-456&status=CANCELLED');
+      expect(filtered.body.total).toBe(1);
+      expect(filtered.body.wishlists[0].user_id).toBe('user-456');
+    });
+
+    it('should reject an unknown status or an oversized page', async () => {
+      const status = await request(app).get('/api/admin/wishlists?status=LOST');
+      expect(status.status).toBe(400);
+
+      const limit = await request(app).get('/api/admin/wishlists?limit=100000');
+      expect(limit.status).toBe(400);
+    });
+
+    it('should force a status change and record it against the principal', async () => {
+      const wishlist = await createWishlist();
+
+      const response = await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/status`)
+        .send({ status: 'CANCELLED', reason: 'Customer called support' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.status).toBe('CANCELLED');
+      expect(response.body.wishlist).not.toHaveProperty('qr_code_token');
+
+      const detail = await request(app).get(`/api/admin/wishlists/${wishlist.wishlist_id}`);
+      expect(detail.status).toBe(200);
+      expect(detail.body.history).toHaveLength(1);
+      expect(detail.body.history[0]).toMatchObject({
+        from_status: 'ACTIVE',
+        to_status: 'CANCELLED',
+        actor: 'admin:development',
+        reason: 'Customer called support'
+      });
+
+      const audit = await AdminAuditLog.findOne({ where: { target_id: wishlist.wishlist_id, action: 'wishlist.status_changed' } });
+      expect(audit).toMatchObject({
+        principal: 'development',
+        target_type: 'wishlist',
+        details: { from: 'ACTIVE', to: 'CANCELLED' }
+      });
+    });
+
+    it('should not change the status when its audit entry cannot be written', async () => {
+      const wishlist = await createWishlist();
+      const auditSpy = jest.spyOn(AdminAuditLog, 'create').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      try {
+        const response = await request(app)
+          .post(`/api/admin/wishlists/${wishlist.wishlist_id}/status`)
+          .send({ status: 'CANCELLED', reason: 'Customer called support' });
+
+        expect(response.status).toBe(500);
+      } finally {
+        auditSpy.mockRestore();
+      }
+
+      expect((await wishlist.reload()).status).toBe('ACTIVE');
+      expect(await WishlistStatusHistory.count({ where: { wishlist_id: wishlist.wishlist_id } })).toBe(0);
+    });
+
+    it('should audit searches and views of customer wishlists', async () => {
+      const wishlist = await createWishlist({ user_id: 'user-456' });
+
+      await request(app).get('/api/admin/wishlists?user_id=user-456&limit=10');
+      await request(app).get(`/api/admin/wishlists/${wishlist.wishlist_id}`);
+
+      const searched = await AdminAuditLog.findOne({ where: { action: 'wishlist.searched' } });
+      expect(searched).toMatchObject({ principal: 'development', target_type: 'wishlist', target_id: null });
+      expect(searched.details).toEqual({ filters: { user_id: 'user-456' }, limit: 10, offset: 0, total: 1 });
+
+      const viewed = await AdminAuditLog.findOne({ where: { action: 'wishlist.viewed' } });
+      expect(viewed).toMatchObject({ principal: 'development', target_type: 'wishlist', target_id: wishlist.wishlist_id });
+    });
+
+    it('should release a PROCESSING wishlist when forced back to ACTIVE', async () => {
+      const wishlist = await createWishlist({ status: 'PROCESSING', qr_code_used_at: new Date() });
+
+      const response = await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/status`)
+        .send({ status: 'ACTIVE', reason: 'Till crashed' });
+
+      expect(response.status).toBe(200);
+
+      await wishlist.reload();
+      expect(wishlist.status).toBe('ACTIVE');
+      expect(wishlist.qr_code_used_at).toBeNull();
+
+      const rotation = await WishlistQrRotation.findOne({ where: { wishlist_id: wishlist.wishlist_id } });
+      expect(rotation).toMatchObject({ action: 'RELEASED', actor: 'admin:development' });
+    });
+
+    it('should refuse transitions the state machine does not allow', async () => {
+      const completed = await createWishlist({ status: 'COMPLETED' });
+      const active = await createWishlist();
+
+      const fromCompleted = await request(app)
+        .post(`/api/admin/wishlists/${completed.wishlist_id}/status`)
+        .send({ status: 'EXPIRED', reason: 'Cleanup' });
+      expect(fromCompleted.status).toBe(409);
+
+      const alreadyActive = await request(app)
+        .post(`/api/admin/wishlists/${active.wishlist_id}/status`)
+        .send({ status: 'ACTIVE', reason: 'Retry' });
+      expect(alreadyActive.status).toBe(409);
+
+      const toCompleted = await request(app)
+        .post(`/api/admin/wishlists/${active.wishlist_id}/status`)
+        .send({ status: 'COMPLETED', reason: 'Paid elsewhere' });
+      expect(toCompleted.status).toBe(400);
+
+      expect(await AdminAuditLog.count()).toBe(0);
+    });
+
+    it('should require a reason', async () => {
+      const wishlist = await createWishlist();
+
+      const response = await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/status`)
+        .send({ status: 'CANCELLED', reason: '  ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('reason is required');
+    });
+
+    it('should reset the QR code of an ACTIVE wishlist', async () => {
+      const wishlist = await createWishlist({ qr_code_token: 'leaked' });
+
+      const response = await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/qr/reset`)
+        .send({ reason: 'Screenshot shared publicly' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist).not.toHaveProperty('qr_code_token');
+
+      await wishlist.reload();
+      expect(wishlist.qr_code_token).not.toBe('leaked');
+
+      const rotation = await WishlistQrRotation.findOne({ where: { wishlist_id: wishlist.wishlist_id } });
+      expect(rotation).toMatchObject({ action: 'REVOKED', actor: 'admin:development', reason: 'Screenshot shared publicly' });
+
+      const audit = await AdminAuditLog.findOne({ where: { action: 'wishlist.qr_reset' } });
+      expect(audit.target_id).toBe(wishlist.wishlist_id);
+    });
+
+    it('should not reset the QR code of a wishlist in a POS session', async () => {
+      const wishlist = await createWishlist({ status: 'PROCESSING' });
+
+      const response = await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/qr/reset`)
+        .send({ reason: 'Screenshot shared publicly' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 for an unknown wishlist', async () => {
+      const response = await request(app)
+        .get('/api/admin/wishlists/00000000-0000-0000-0000-000000000000');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/admin/cache/purge', () => {
+    it('should purge only the requested scope', async () => {
+      await setCachedData('product:gid://shopify/Product/1', { id: 1 });
+      await setCachedData('variant:gid://shopify/ProductVariant/2', { id: 2 });
+
+      const response = await request(app)
+        .post('/api/admin/cache/purge')
+        .send({ scope: 'products', reason: 'Price change' });
+
+      expect(response.status).toBe(200);
+      expect(await getCachedData('product:gid://shopify/Product/1')).toBeNull();
+      expect(await getCachedData('variant:gid://shopify/ProductVariant/2')).toEqual({ id: 2 });
+
+      const audit = await AdminAuditLog.findOne({ where: { action: 'cache.purged' } });
+      expect(audit).toMatchObject({ target_type: 'cache', target_id: null, reason: 'Price change' });
+      expect(audit.details.scope).toBe('products');
+    });
+
+    it('should reject an unknown scope', async () => {
+      const response = await request(app)
+        .post('/api/admin/cache/purge')
+        .send({ scope: 'orders' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    it('should list actions newest first, filtered by target', async () => {
+      const wishlist = await createWishlist();
+
+      await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/qr/reset`)
+        .send({ reason: 'Lost phone' });
+      await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/status`)
+        .send({ status: 'CANCELLED', reason: 'Lost phone' });
+      await request(app)
+        .post('/api/admin/cache/purge')
+        .send({});
+
+      const response = await request(app)
+        .get(`/api/admin/audit?target_type=wishlist&target_id=${wishlist.wishlist_id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(2);
+      expect(response.body.entries.map(entry => entry.action))
+        .toEqual(['wishlist.status_changed', 'wishlist.qr_reset']);
+    });
+  });
+
+  describe('Staff authentication and roles', () => {
+    const staffToken = (claims = {}, audience = 'complex-shopify-service-admin') => jwt.sign(
+      { iss: 'complex-bff', aud: audience, sub: 'alex@example.com', ...claims },
+      'test-bff-secret',
+      { algorithm: 'HS256', expiresIn: 60 }
+    );
+
+    beforeEach(() => {
+      config.BFF.JWT_SECRETS = ['test-bff-secret'];
+    });
+
+    afterAll(() => {
+      config.BFF.JWT_SECRETS = [];
+    });
+
+    it('should require a staff token', async () => {
+      const response = await request(app).get('/api/admin/wishlists');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Admin authentication required');
+    });
+
+    it('should not accept a token issued for the mobile and wishlist APIs', async () => {
+      const token = staffToken({ roles: ['store-manager'] }, 'complex-shopify-service');
+
+      const response = await request(app)
+        .get('/api/admin/wishlists')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.details).toEqual({ reason: 'invalid_audience' });
+    });
+
+    it('should require a principal and an admin role', async () => {
+      const serviceToken = jwt.sign(
+        { iss: 'complex-bff', aud: 'complex-shopify-service-admin', roles: ['viewer'] },
+        'test-bff-secret',
+        { algorithm: 'HS256', expiresIn: 60 }
+      );
+      const anonymous = await request(app)
+        .get('/api/admin/wishlists')
+        .set('Authorization', `Bearer ${serviceToken}`);
+      expect(anonymous.status).toBe(401);
+
+      const noRole = await request(app)
+        .get('/api/admin/wishlists')
+        .set('Authorization', `Bearer ${staffToken({ roles: ['cashier'] })}`);
+      expect(noRole.status).toBe(403);
+      expect(noRole.body.error).toBe('Admin role required');
+    });
+
+    it('should let viewers read but not change anything', async () => {
+      const wishlist = await createWishlist();
+      const token = staffToken({ roles: ['viewer'] });
+
+      const search = await request(app)
+        .get('/api/admin/wishlists')
+        .set('Authorization', `Bearer ${token}`);
+      expect(search.status).toBe(200);
+
+      const cancel = await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'CANCELLED', reason: 'Test' });
+      expect(cancel.status).toBe(403);
+      expect(cancel.body).toMatchObject({ error: 'Insufficient role', message: 'Requires one of: support, store-manager' });
+
+      await wishlist.reload();
+      expect(wishlist.status).toBe('ACTIVE');
+    });
+
+    it('should let support change wishlists but not purge caches or manage devices', async () => {
+      const wishlist = await createWishlist();
+      const token = staffToken({ roles: ['support'] });
+
+      const cancel = await request(app)
+        .post(`/api/admin/wishlists/${wishlist.wishlist_id}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'CANCELLED', reason: 'Duplicate' });
+      expect(cancel.status).toBe(200);
+
+      const audit = await AdminAuditLog.findOne({ where: { target_id: wishlist.wishlist_id } });
+      expect(audit).toMatchObject({ principal: 'alex@example.com', roles: ['support'] });
+
+      const purge = await request(app)
+        .post('/api/admin/cache/purge')
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+      expect(purge.status).toBe(403);
+
+      const device = await request(app)
+        .post('/api/admin/pos-devices')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Till 1' });
+      expect(device.status).toBe(403);
+    });
+
+    it('should require a staff token for idempotency stats', async () => {
+      const anonymous = await request(app).get('/api/admin/idempotency/stats');
+      expect(anonymous.status).toBe(401);
+
+      const viewer = await request(app)
+        .get('/api/admin/idempotency/stats')
+        .set('Authorization', `Bearer ${staffToken({ roles: ['viewer'] })}`);
+      expect(viewer.status).toBe(200);
+    });
+
+    it('should require a staff token to list, register, rotate or revoke POS devices', async () => {
+      const { device } = await registerDevice({ name: 'Till 1' });
+
+      const attempts = [
+        request(app).get('/api/admin/pos-devices'),
+        request(app).get(`/api/admin/pos-devices/${device.device_id}`),
+        request(app).post('/api/admin/pos-devices').send({ name: 'Till 2' }),
+        request(app).post(`/api/admin/pos-devices/${device.device_id}/rotate`).send({}),
+        request(app).post(`/api/admin/pos-devices/${device.device_id}/revoke`).send({ reason: 'Lost' })
+      ];
+
+      for (const attempt of attempts) {
+        expect((await attempt).status).toBe(401);
+      }
+      expect(await PosDevice.count()).toBe(1);
+      expect((await device.reload()).status).toBe('ACTIVE');
+    });
+
+    it('should let store managers read the audit log', async () => {
+      const manager = staffToken({ roles: ['viewer', 'store-manager'] });
+
+      const audit = await request(app)
+        .get('/api/admin/audit')
+        .set('Authorization', `Bearer ${manager}`);
+      expect(audit.status).toBe(200);
+
+      const viewer = await request(app)
+        .get('/api/admin/audit')
+        .set('Authorization', `Bearer ${staffToken({ roles: ['viewer'] })}`);
+      expect(viewer.status).toBe(403);
+    });
+  });
+});
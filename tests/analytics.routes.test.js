@@ -0,0 +1,250 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app } = require('../index');
+const { Wishlist, WishlistItem, WishlistStatusHistory } = require('../models');
+const { sequelize } = require('complex-common-utils');
+const config = require('../config/serverConfig');
+
+const RANGE = 'from=2024-05-01T00:00:00Z&to=2024-05-08T00:00:00Z';
+const LOCATION_ID = '71234567890';
+
+describe('Analytics Routes', () => {
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await WishlistStatusHistory.destroy({ where: {}, force: true });
+    await WishlistItem.destroy({ where: {}, force: true });
+    await Wishlist.destroy({ where: {}, force: true });
+  });
+
+  // created_at is managed by Sequelize, so rows are backdated after the insert
+  const createWishlist = async ({ createdAt, scans = [], items = [], ...attributes }) => {
+    const wishlist = await Wishlist.create({
+      user_id: 'user-123',
+      status: 'ACTIVE',
+      source: 'KIOSK',
+      expires_at: new Date('2024-06-01T00:00:00Z'),
+      ...attributes
+    });
+    await wishlist.update({ created_at: new Date(createdAt) }, { silent: true });
+
+    for (const scannedAt of scans) {
+      const scan = await WishlistStatusHistory.create({
+        wishlist_id: wishlist.wishlist_id,
+        from_status: 'ACTIVE',
+        to_status: 'PROCESSING',
+        actor: 'POS'
+      });
+      await scan.update({ created_at: new Date(scannedAt) }, { silent: true });
+    }
+
+    await WishlistItem.bulkCreate(items.map(([variantId, quantity, title]) => ({
+      wishlist_id: wishlist.wishlist_id,
+      shopify_variant_id: variantId,
+      quantity,
+      product_title: title
+    })));
+
+    return wishlist;
+  };
+
+  // Five wishlists in the range (three scanned after 600s, 1800s and 3600s) and one before it
+  const seed = async () => {
+    await createWishlist({
+      createdAt: '2024-05-02T10:00:00Z',
+      collection_id: 'summer',
+      status: 'COMPLETED',
+      metadata: { pos_session: { reported_location_id: `gid://shopify/Location/${LOCATION_ID}` } },
+      scans: ['2024-05-02T10:10:00Z'],
+      items: [['gid://shopify/ProductVariant/1', 2, 'Tee']]
+    });
+    await createWishlist({
+      createdAt: '2024-05-02T12:00:00Z',
+      collection_id: 'summer',
+      status: 'EXPIRED',
+      items: [['1', 1, 'Tee']]
+    });
+    // Scanned before status history was recorded
+    await createWishlist({
+      createdAt: '2024-05-03T09:00:00Z',
+      source: 'MOBILE_APP',
+      status: 'PARTIALLY_COMPLETED',
+      qr_code_used_at: new Date('2024-05-03T10:00:00Z'),
+      metadata: { pos_device: { location_id: LOCATION_ID } },
+      items: [['gid://shopify/ProductVariant/2', 1, 'Socks'], ['gid://shopify/ProductVariant/1', 1, 'Tee']]
+    });
+    await createWishlist({
+      createdAt: '2024-05-03T11:00:00Z',
+      source: 'MOBILE_APP',
+      status: 'CANCELLED',
+      items: [['3', 4, 'Cap']]
+    });
+    // Scanned, then its POS session was released (qr_code_used_at cleared)
+    await createWishlist({
+      createdAt: '2024-05-04T08:00:00Z',
+      scans: ['2024-05-04T08:30:00Z']
+    });
+    await createWishlist({
+      createdAt: '2024-04-20T08:00:00Z',
+      status: 'COMPLETED',
+      scans: ['2024-04-20T08:01:00Z'],
+      items: [['3', 9, 'Cap']]
+    });
+  };
+
+  describe('GET /api/analytics/conversion', () => {
+    it('should report the funnel, rates and median time to scan', async () => {
+      await seed();
+
+      const response = await request(app).get(`/api/analytics/conversion?${RANGE}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        from: '2024-05-01T00:00:00.000Z',
+        to: '2024-05-08T00:00:00.000Z',
+        group_by: null,
+        groups: []
+      });
+      expect(response.body.totals).toEqual({
+        created: 5,
+        scanned: 3,
+        completed: 1,
+        partially_completed: 1,
+        expired: 1,
+        cancelled: 1,
+        open: 1,
+        scan_rate: 0.6,
+        completion_rate: 0.4,
+        scan_to_completion_rate: 0.6667,
+        expiry_rate: 0.2,
+        cancellation_rate: 0.2,
+        median_seconds_to_scan: 1800
+      });
+    });
+
+    it('should break the funnel down by source', async () => {
+      await seed();
+
+      const response = await request(app).get(`/api/analytics/conversion?${RANGE}&group_by=source`);
+
+      expect(response.status).toBe(200);
+      const bySource = Object.fromEntries(response.body.groups.map(group => [group.key, group]));
+      expect(bySource.KIOSK).toMatchObject({ created: 3, scanned: 2, completed: 1, expired: 1, open: 1, median_seconds_to_scan: 1200 });
+      expect(bySource.MOBILE_APP).toMatchObject({ created: 2, scanned: 1, partially_completed: 1, cancelled: 1, median_seconds_to_scan: 3600 });
+    });
+
+    it('should break the funnel down by day, collection and store', async () => {
+      await seed();
+
+      const byDay = await request(app).get(`/api/analytics/conversion?${RANGE}&group_by=day`);
+      expect(byDay.body.groups.map(group => [group.key, group.created]))
+        .toEqual([['2024-05-02', 2], ['2024-05-03', 2], ['2024-05-04', 1]]);
+
+      const byCollection = await request(app).get(`/api/analytics/conversion?${RANGE}&group_by=collection`);
+      expect(byCollection.body.groups.find(group => group.key === 'summer'))
+        .toMatchObject({ created: 2, completed: 1, expiry_rate: 0.5 });
+
+      // Numeric IDs and GIDs of the location are one store; wishlists never completed have none
+      const byStore = await request(app).get(`/api/analytics/conversion?${RANGE}&group_by=store`);
+      expect(byStore.body.groups.find(group => group.key === LOCATION_ID))
+        .toMatchObject({ created: 2, completed: 1, partially_completed: 1, completion_rate: 1 });
+      expect(byStore.body.groups.find(group => group.key === null)).toMatchObject({ created: 3 });
+    });
+
+    it('should report an empty range', async () => {
+      const response = await request(app).get(`/api/analytics/conversion?${RANGE}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.totals).toMatchObject({ created: 0, scan_rate: null, median_seconds_to_scan: null });
+    });
+
+    it('should validate the query', async () => {
+      const badGroup = await request(app).get(`/api/analytics/conversion?${RANGE}&group_by=user`);
+      expect(badGroup.status).toBe(400);
+      expect(badGroup.body.error).toBe('group_by must be one of: source, collection, day, store');
+
+      const reversed = await request(app).get('/api/analytics/conversion?from=2024-05-08&to=2024-05-01');
+      expect(reversed.status).toBe(400);
+
+      const tooWide = await request(app).get('/api/analytics/conversion?from=2020-01-01&to=2024-05-01');
+      expect(tooWide.status).toBe(400);
+
+      const notDate = await request(app).get('/api/analytics/conversion?from=yesterday');
+      expect(notDate.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/analytics/top-variants', () => {
+    it('should rank variants by wishlists, then quantity', async () => {
+      await seed();
+
+      const response = await request(app).get(`/api/analytics/top-variants?${RANGE}&limit=2`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.groups).toEqual([{
+        key: null,
+        variants: [
+          { variant_id: 'gid://shopify/ProductVariant/1', product_title: 'Tee', wishlists: 3, quantity: 4, completed_quantity: 3 },
+          { variant_id: 'gid://shopify/ProductVariant/3', product_title: 'Cap', wishlists: 1, quantity: 4, completed_quantity: 0 }
+        ]
+      }]);
+    });
+
+    it('should rank variants within each group', async () => {
+      await seed();
+
+      const response = await request(app).get(`/api/analytics/top-variants?${RANGE}&group_by=source&limit=1`);
+
+      expect(response.status).toBe(200);
+      const bySource = Object.fromEntries(response.body.groups.map(group => [group.key, group.variants]));
+      expect(bySource.KIOSK).toEqual([
+        { variant_id: 'gid://shopify/ProductVariant/1', product_title: 'Tee', wishlists: 2, quantity: 3, completed_quantity: 2 }
+      ]);
+      expect(bySource.MOBILE_APP.map(variant => variant.variant_id)).toEqual(['gid://shopify/ProductVariant/3']);
+    });
+
+    it('should validate the limit', async () => {
+      const response = await request(app).get(`/api/analytics/top-variants?${RANGE}&limit=500`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('limit must be an integer between 1 and 100');
+    });
+  });
+
+  describe('Staff authentication', () => {
+    beforeEach(() => {
+      config.BFF.JWT_SECRETS = ['test-bff-secret'];
+    });
+
+    afterAll(() => {
+      config.BFF.JWT_SECRETS = [];
+    });
+
+    it('should require a staff token', async () => {
+      const response = await request(app).get('/api/analytics/conversion');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should let viewers read analytics', async () => {
+      const token = jwt.sign(
+        { iss: 'complex-bff', aud: 'complex-shopify-service-admin', sub: 'alex@example.com', roles: ['viewer'] },
+        'test-bff-secret',
+        { algorithm: 'HS256', expiresIn: 60 }
+      );
+
+      const response = await request(app)
+        .get('/api/analytics/conversion')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const http = require('http');
+
+/**
+ * Local mock of the Shopify Admin GraphQL API
+ *
+ * Point the service at it with SHOPIFY_API_BASE_URL. Each handler is keyed by the
+ * GraphQL operation name (e.g. `DraftOrderCreate`) and receives the request variables;
+ * whatever it returns is sent back as the response body ({ data } or { errors }).
+ */
+function createMockShopifyServer(handlers = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      const match = /(?:query|mutation)\s+(\w+)/.exec(body.query || '');
+      const operationName = match ? match[1] : null;
+
+      requests.push({
+        operationName,
+        variables: body.variables || {},
+        headers: req.headers
+      });
+
+      const handler = handlers[operationName];
+      const payload = handler
+        ? handler(body.variables || {})
+        : { errors: [{ message: `No mock handler for ${operationName}` }] };
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return {
+    requests,
+    handlers,
+
+    start() {
+      return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createMockShopifyServer };
@@ -0,0 +1,206 @@
+const request = require('supertest');
+const { app } = require('../index');
+const { Wishlist, WishlistItem, WishlistStatusHistory, Idempotency } = require('../models');
+const { sequelize } = require('complex-common-utils');
+const config = require('../config/serverConfig');
+
+// POS authentication token for tests
+const POS_SECRET = 'test-pos-secret-token';
+process.env.POS_SECRET_TOKEN = POS_SECRET;
+
+describe('Idempotency Middleware', () => {
+
+  beforeAll(async () => {
+    // Initialize database
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Idempotency.destroy({ where: {}, force: true });
+    await WishlistItem.destroy({ where: {}, force: true });
+    await WishlistStatusHistory.destroy({ where: {}, force: true });
+    await Wishlist.destroy({ where: {}, force: true });
+  });
+
+  const mobileWishlist = {
+    user_id: 'mobile-user-123',
+    items: [{ variant_id: 'gid://shopify/ProductVariant/123', product_title: 'Test Product', quantity: 1 }]
+  };
+
+  it('should replay the stored status and body for a repeated key', async () => {
+    const first = await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'mobile-create-1')
+      .send(mobileWishlist);
+
+    const second = await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'mobile-create-1')
+      .send(mobileWishlist);
+
+    expect(first.status).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+    expect(await Wishlist.count()).toBe(1);
+
+    const record = await Idempotency.findOne({ where: { idempotency_key: 'mobile-create-1' } });
+    expect(record.toJSON()).toMatchObject({
+      status: 'COMPLETED',
+      response_status: 201,
+      operation_type: 'POST /api/mobile/wishlists',
+      wishlist_id: first.body.wishlist.wishlist_id
+    });
+    expect(record.request_hash).toHaveLength(64);
+    // Only the hash is kept once the request completed
+    expect(record.request_payload).toBeNull();
+  });
+
+  it('should treat payloads with the same content in a different key order as equal', async () => {
+    await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'key-order')
+      .send(mobileWishlist);
+
+    const response = await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'key-order')
+      .send({ items: mobileWishlist.items, user_id: mobileWishlist.user_id });
+
+    expect(response.status).toBe(201);
+    expect(response.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should reject a reused key with a different payload', async () => {
+    await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'reused-key')
+      .send(mobileWishlist);
+
+    const response = await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'reused-key')
+      .send({ ...mobileWishlist, metadata: { changed: true } });
+
+    expect(response.status).toBe(422);
+    expect(await Wishlist.count()).toBe(1);
+  });
+
+  it('should reject a reused key on a different endpoint', async () => {
+    await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'cross-endpoint')
+      .send(mobileWishlist);
+
+    const response = await request(app)
+      .post('/api/wishlists')
+      .set('Idempotency-Key', 'cross-endpoint')
+      .send(mobileWishlist);
+
+    expect(response.status).toBe(422);
+  });
+
+  it('should return 409 while the first request is still processing', async () => {
+    await Idempotency.create({
+      idempotency_key: 'in-flight',
+      operation_type: 'POST /api/mobile/wishlists',
+      status: 'PROCESSING'
+    });
+
+    const response = await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'in-flight')
+      .send(mobileWishlist);
+
+    expect(response.status).toBe(409);
+    expect(await Wishlist.count()).toBe(0);
+  });
+
+  it('should recover a stale PROCESSING key left by a crashed request', async () => {
+    const record = await Idempotency.create({
+      idempotency_key: 'crashed',
+      operation_type: 'POST /api/mobile/wishlists',
+      status: 'PROCESSING'
+    });
+    const staleAt = new Date(Date.now() - (config.IDEMPOTENCY.PROCESSING_TIMEOUT_SECONDS + 5) * 1000);
+    await Idempotency.update(
+      { updated_at: staleAt },
+      { where: { idempotency_id: record.idempotency_id }, silent: true }
+    );
+
+    const response = await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'crashed')
+      .send(mobileWishlist);
+
+    expect(response.status).toBe(201);
+    expect((await record.reload()).status).toBe('COMPLETED');
+  });
+
+  it('should store client errors and replay them', async () => {
+    const invalid = { user_id: 'mobile-user-123', items: [] };
+
+    await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'bad-request')
+      .send(invalid);
+
+    const response = await request(app)
+      .post('/api/mobile/wishlists')
+      .set('Idempotency-Key', 'bad-request')
+      .send(invalid);
+
+    expect(response.status).toBe(400);
+    expect(response.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should ignore the header on GET requests', async () => {
+    const response = await request(app)
+      .get('/api/wishlists')
+      .set('Idempotency-Key', 'read-only');
+
+    expect(response.status).toBe(200);
+    expect(await Idempotency.count()).toBe(0);
+  });
+
+  it('should apply to POS endpoints after authentication', async () => {
+    const wishlist = await Wishlist.create({
+      user_id: 'user-123',
+      status: 'PROCESSING',
+      source: 'KIOSK',
+      qr_code_token: 'pos-idempotency-token',
+      expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    const unauthenticated = await request(app)
+      .post(`/api/pos/wishlists/${wishlist.wishlist_id}/complete`)
+      .set('Idempotency-Key', 'pos-complete')
+      .send({ processed_by: 'staff-1' });
+
+    expect(unauthenticated.status).toBe(401);
+    expect(await Idempotency.count()).toBe(0);
+
+    const first = await request(app)
+      .post(`/api/pos/wishlists/${wishlist.wishlist_id}/complete`)
+      .set('x-pos-secret', POS_SECRET)
+      .set('Idempotency-Key', 'pos-complete')
+      .send({ processed_by: 'staff-1' });
+
+    // Without the key this retry would be rejected, the wishlist is no longer PROCESSING
+    const retry = await request(app)
+      .post(`/api/pos/wishlists/${wishlist.wishlist_id}/complete`)
+      .set('x-pos-secret', POS_SECRET)
+      .set('Idempotency-Key', 'pos-complete')
+      .send({ processed_by: 'staff-1' });
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(await WishlistStatusHistory.count({ where: { wishlist_id: wishlist.wishlist_id } })).toBe(1);
+  });
+});
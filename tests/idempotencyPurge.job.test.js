@@ -0,0 +1,63 @@
+const { Idempotency } = require('../models');
+const { sequelize } = require('complex-common-utils');
+const { runPurge } = require('../jobs/idempotencyPurge.job');
+
+describe('Idempotency Purge Job', () => {
+
+  beforeAll(async () => {
+    // Initialize database
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Idempotency.destroy({ where: {}, force: true });
+  });
+
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  // created_at is managed by Sequelize, so backdate it after the insert
+  const createRecord = async (key, createdAt, status = 'COMPLETED') => {
+    const record = await Idempotency.create({
+      idempotency_key: key,
+      operation_type: 'POST /api/wishlists',
+      status
+    });
+    return record.update({ created_at: createdAt }, { silent: true });
+  };
+
+  it('should delete records older than the retention period', async () => {
+    await createRecord('old', daysAgo(8));
+    await createRecord('old-failed', daysAgo(30), 'FAILED');
+    await createRecord('recent', daysAgo(1));
+
+    const result = await runPurge({ retentionDays: 7 });
+
+    expect(result.purged).toBe(2);
+    const remaining = await Idempotency.findAll();
+    expect(remaining.map(r => r.idempotency_key)).toEqual(['recent']);
+  });
+
+  it('should purge in batches', async () => {
+    for (let i = 0; i < 5; i++) {
+      await createRecord(`batch-${i}`, daysAgo(10));
+    }
+
+    const result = await runPurge({ retentionDays: 7, batchSize: 2 });
+
+    expect(result.purged).toBe(5);
+    expect(await Idempotency.count()).toBe(0);
+  });
+
+  it('should do nothing when no record is past retention', async () => {
+    await createRecord('recent', daysAgo(1));
+
+    const result = await runPurge({ retentionDays: 7 });
+
+    expect(result.purged).toBe(0);
+    expect(await Idempotency.count()).toBe(1);
+  });
+});
@@ -1,7 +1,12 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const { app } = require('../index');
-const { Wishlist, WishlistItem } = require('../models');
+const { Wishlist, WishlistItem, WishlistQrRotation } = require('../models');
 const { sequelize } = require('complex-common-utils');
+const config = require('../config/serverConfig');
+const { createMockShopifyServer } = require('./helpers/mockShopifyServer');
+const { clearCache } = require('../utils/cache');
+const { verifyQrPayload } = require('../utils/qrPayload');
 
 describe('Mobile Routes', () => {
 
@@ -18,6 +23,7 @@ describe('Mobile Routes', () => {
     jest.clearAllMocks();
     // Clean database before each test
     await WishlistItem.destroy({ where: {}, force: true });
+    await WishlistQrRotation.destroy({ where: {}, force: true });
     await Wishlist.destroy({ where: {}, force: true });
   });
 
@@ -122,6 +128,36 @@ describe('Mobile Routes', () => {
       expect(response.body.error).toContain('items');
     });
 
+    it('should not leave an empty wishlist behind when items cannot be written', async () => {
+      const bulkCreate = jest.spyOn(WishlistItem, 'bulkCreate').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      try {
+        const response = await request(app)
+          .post('/api/mobile/wishlists')
+          .send({
+            user_id: 'mobile-user-123',
+            items: [{ variant_id: 'gid://shopify/ProductVariant/123', product_title: 'Test Product' }]
+          });
+
+        expect(response.status).toBe(500);
+        expect(await Wishlist.count()).toBe(0);
+      } finally {
+        bulkCreate.mockRestore();
+      }
+    });
+
+    it('should reject items with invalid fields', async () => {
+      const response = await request(app)
+        .post('/api/mobile/wishlists')
+        .send({
+          user_id: 'mobile-user-123',
+          items: [{ variant_id: 'gid://shopify/ProductVariant/123', quantity: '2', currency: 'hkd' }]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.item_errors.map(e => e.field)).toEqual(['quantity', 'product_title', 'currency']);
+    });
+
     it('should reject request with empty items array', async () => {
       const wishlistData = {
         user_id: 'mobile-user-123',
@@ -137,6 +173,160 @@ describe('Mobile Routes', () => {
     });
   });
 
+  describe('POST/PUT /api/mobile/wishlists (strict catalogue mode)', () => {
+    let shopify;
+
+    beforeAll(async () => {
+      shopify = createMockShopifyServer({
+        GetVariants: ({ ids }) => ({
+          data: {
+            nodes: ids.map(id => (id === 'gid://shopify/ProductVariant/123'
+              ? {
+                id,
+                title: 'Large',
+                barcode: '4891234567890',
+                price: '88.00',
+                compareAtPrice: null,
+                availableForSale: true,
+                inventoryQuantity: 5,
+                image: { url: 'https://cdn.shopify.com/large.jpg', altText: null },
+                product: { id: 'gid://shopify/Product/456', title: 'Catalogue Product', handle: 'catalogue-product', status: 'ACTIVE' }
+              }
+              : null))
+          }
+        })
+      });
+
+      process.env.SHOPIFY_API_BASE_URL = await shopify.start();
+      process.env.SHOPIFY_SHOP_DOMAIN = 'test-shop.myshopify.com';
+      process.env.SHOPIFY_ACCESS_TOKEN = 'test-access-token';
+    });
+
+    afterAll(async () => {
+      config.WISHLIST.STRICT_CATALOGUE = false;
+      delete process.env.SHOPIFY_API_BASE_URL;
+      delete process.env.SHOPIFY_SHOP_DOMAIN;
+      delete process.env.SHOPIFY_ACCESS_TOKEN;
+      await shopify.stop();
+    });
+
+    beforeEach(async () => {
+      await clearCache();
+      shopify.requests.length = 0;
+      config.WISHLIST.STRICT_CATALOGUE = true;
+    });
+
+    it('should store snapshot fields from Shopify instead of the client', async () => {
+      const response = await request(app)
+        .post('/api/mobile/wishlists')
+        .send({
+          user_id: 'mobile-user-123',
+          items: [{
+            variant_id: 'gid://shopify/ProductVariant/123',
+            quantity: 2,
+            product_title: 'Client Title',
+            price: '0.01',
+            barcode: 'client-barcode'
+          }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.wishlist.items[0]).toMatchObject({
+        shopify_variant_id: 'gid://shopify/ProductVariant/123',
+        shopify_product_id: 'gid://shopify/Product/456',
+        quantity: 2,
+        product_title: 'Catalogue Product',
+        variant_title: 'Large',
+        barcode: '4891234567890',
+        image_url: 'https://cdn.shopify.com/large.jpg'
+      });
+      expect(parseFloat(response.body.wishlist.items[0].price)).toBe(88);
+    });
+
+    it('should reject unknown variants with a per-item error list', async () => {
+      const response = await request(app)
+        .post('/api/mobile/wishlists')
+        .send({
+          user_id: 'mobile-user-123',
+          items: [
+            { variant_id: 'gid://shopify/ProductVariant/123', quantity: 1 },
+            { variant_id: 'gid://shopify/ProductVariant/999', quantity: 1 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.item_errors).toEqual([
+        { index: 1, variant_id: 'gid://shopify/ProductVariant/999', field: 'variant_id', message: 'Variant not found in Shopify catalogue' }
+      ]);
+      expect(await Wishlist.count()).toBe(0);
+    });
+
+    const createActiveWishlist = () => Wishlist.create({
+      user_id: 'mobile-user-123',
+      status: 'ACTIVE',
+      source: 'MOBILE_APP',
+      expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    it('should resolve updated items against the catalogue', async () => {
+      const wishlist = await createActiveWishlist();
+
+      const response = await request(app)
+        .put(`/api/mobile/wishlists/${wishlist.wishlist_id}`)
+        .send({
+          user_id: 'mobile-user-123',
+          items: [{ variant_id: 'gid://shopify/ProductVariant/123', quantity: 1, price: '0.01' }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.items[0]).toMatchObject({
+        shopify_product_id: 'gid://shopify/Product/456',
+        product_title: 'Catalogue Product',
+        variant_title: 'Large'
+      });
+      expect(parseFloat(response.body.wishlist.items[0].price)).toBe(88);
+    });
+
+    it('should keep existing items when an updated variant is not in the catalogue', async () => {
+      const wishlist = await createActiveWishlist();
+      await WishlistItem.create({
+        wishlist_id: wishlist.wishlist_id,
+        shopify_variant_id: 'var-old',
+        product_title: 'Old Product',
+        quantity: 1
+      });
+
+      const response = await request(app)
+        .put(`/api/mobile/wishlists/${wishlist.wishlist_id}`)
+        .send({
+          user_id: 'mobile-user-123',
+          items: [{ variant_id: 'gid://shopify/ProductVariant/999', quantity: 1 }]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.item_errors).toEqual([
+        { index: 0, variant_id: 'gid://shopify/ProductVariant/999', field: 'variant_id', message: 'Variant not found in Shopify catalogue' }
+      ]);
+      const items = await WishlistItem.findAll({ where: { wishlist_id: wishlist.wishlist_id } });
+      expect(items.map(item => item.shopify_variant_id)).toEqual(['var-old']);
+    });
+
+    it('should trust client data when strict mode is off', async () => {
+      config.WISHLIST.STRICT_CATALOGUE = false;
+
+      const response = await request(app)
+        .post('/api/mobile/wishlists')
+        .send({
+          user_id: 'mobile-user-123',
+          items: [{ variant_id: 'gid://shopify/ProductVariant/999', product_title: 'Client Title', price: '5.00' }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.wishlist.items[0].product_title).toBe('Client Title');
+      expect(shopify.requests).toHaveLength(0);
+    });
+  });
+
   describe('GET /api/mobile/wishlists', () => {
     beforeEach(async () => {
       // Create test wishlists
@@ -344,6 +534,45 @@ describe('Mobile Routes', () => {
       expect(response.body.wishlist.metadata.notes).toBe('Updated from mobile');
     });
 
+    it('should not apply metadata when items are invalid', async () => {
+      const response = await request(app)
+        .put(`/api/mobile/wishlists/${testWishlist.wishlist_id}`)
+        .send({
+          user_id: 'mobile-user-123',
+          metadata: { note: 'changed' },
+          items: 'not-an-array'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('items must be an array');
+      expect((await testWishlist.reload()).metadata?.note).toBeUndefined();
+    });
+
+    it('should not apply items or metadata when a POS scan claims the wishlist after it was read', async () => {
+      const stale = await Wishlist.findByPk(testWishlist.wishlist_id);
+      await testWishlist.update({ status: 'PROCESSING' });
+      const findOne = jest.spyOn(Wishlist, 'findOne').mockResolvedValueOnce(stale);
+
+      try {
+        const response = await request(app)
+          .put(`/api/mobile/wishlists/${testWishlist.wishlist_id}`)
+          .send({
+            user_id: 'mobile-user-123',
+            metadata: { note: 'changed' },
+            items: [{ variant_id: 'var-2', product_title: 'New Product', quantity: 1 }]
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Cannot update wishlist with status: PROCESSING');
+      } finally {
+        findOne.mockRestore();
+      }
+
+      await testWishlist.reload({ include: [{ model: WishlistItem, as: 'items' }] });
+      expect(testWishlist.metadata?.note).toBeUndefined();
+      expect(testWishlist.items.map(item => item.shopify_variant_id)).toEqual(['var-1']);
+    });
+
     it('should return 404 for non-existent wishlist', async () => {
       const updateData = {
         user_id: 'mobile-user-123',
@@ -400,6 +629,95 @@ describe('Mobile Routes', () => {
     });
   });
 
+  describe('Item-level editing /api/mobile/wishlists/:wishlistId/items', () => {
+    let testWishlist;
+    let existingItem;
+
+    beforeEach(async () => {
+      testWishlist = await Wishlist.create({
+        user_id: 'mobile-user-123',
+        status: 'ACTIVE',
+        source: 'MOBILE_APP',
+        qr_code_token: 'mobile-token-items',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+      existingItem = await WishlistItem.create({
+        wishlist_id: testWishlist.wishlist_id,
+        shopify_variant_id: 'gid://shopify/ProductVariant/1',
+        quantity: 1,
+        product_title: 'Existing Product'
+      });
+    });
+
+    const itemsUrl = () => `/api/mobile/wishlists/${testWishlist.wishlist_id}/items`;
+
+    it('should add an item to my wishlist', async () => {
+      const response = await request(app)
+        .post(itemsUrl())
+        .send({ user_id: 'mobile-user-123', variant_id: 'gid://shopify/ProductVariant/2', product_title: 'New Product' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.item.product_data).not.toHaveProperty('user_id');
+      expect(response.body.wishlist.items).toHaveLength(2);
+    });
+
+    it('should reject item changes from a different user', async () => {
+      const response = await request(app)
+        .patch(`${itemsUrl()}/${existingItem.item_id}`)
+        .send({ user_id: 'other-user', quantity: 3 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Wishlist not found or access denied');
+      expect((await existingItem.reload()).quantity).toBe(1);
+    });
+
+    it('should change the quantity of one item', async () => {
+      const response = await request(app)
+        .patch(`${itemsUrl()}/${existingItem.item_id}`)
+        .send({ user_id: 'mobile-user-123', quantity: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.item).toMatchObject({ item_id: existingItem.item_id, quantity: 3 });
+    });
+
+    it('should remove one item', async () => {
+      const response = await request(app)
+        .delete(`${itemsUrl()}/${existingItem.item_id}`)
+        .query({ user_id: 'mobile-user-123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.items).toHaveLength(0);
+    });
+
+    it('should require user_id', async () => {
+      const response = await request(app)
+        .delete(`${itemsUrl()}/${existingItem.item_id}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should apply bulk operations', async () => {
+      const response = await request(app)
+        .patch(itemsUrl())
+        .send({
+          user_id: 'mobile-user-123',
+          operations: [
+            { op: 'remove', path: `/items/${existingItem.item_id}` },
+            { op: 'add', path: '/items/-', value: { variant_id: 'gid://shopify/ProductVariant/2', product_title: 'New Product', quantity: 2 } }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toEqual([
+        { index: 0, op: 'remove', item_id: existingItem.item_id },
+        { index: 1, op: 'add', item_id: expect.any(String) }
+      ]);
+      expect(response.body.wishlist.items).toHaveLength(1);
+      expect(response.body.wishlist.items[0].shopify_variant_id).toBe('gid://shopify/ProductVariant/2');
+    });
+  });
+
   describe('DELETE /api/mobile/wishlists/:wishlistId', () => {
     let testWishlist;
 
@@ -475,6 +793,38 @@ describe('Mobile Routes', () => {
       expect(response.body).toHaveProperty('expires_at');
     });
 
+    it('should return a signed, short-lived payload for the QR code', async () => {
+      const response = await request(app)
+        .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr`)
+        .send({ user_id: 'mobile-user-123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.qr_payload).toMatch(/^wl1\./);
+      expect(response.body.qr_payload).not.toContain('old-token-123');
+      expect(new Date(response.body.qr_payload_expires_at).getTime())
+        .toBeLessThanOrEqual(Date.now() + config.QR.TTL_SECONDS * 1000);
+
+      const claims = verifyQrPayload(response.body.qr_payload);
+      expect(claims.wishlist_id).toBe(testWishlist.wishlist_id);
+    });
+
+    it('should omit the bare token once legacy tokens are disabled', async () => {
+      config.QR.ACCEPT_LEGACY_TOKENS = false;
+
+      try {
+        const response = await request(app)
+          .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr`)
+          .send({ user_id: 'mobile-user-123' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toHaveProperty('qr_payload');
+        expect(response.body).not.toHaveProperty('qr_token');
+        expect(response.body).not.toHaveProperty('qr_data');
+      } finally {
+        config.QR.ACCEPT_LEGACY_TOKENS = true;
+      }
+    });
+
     it('should return 404 for non-existent wishlist', async () => {
       const response = await request(app)
         .post('/api/mobile/wishlists/00000000-0000-0000-0000-000000000000/qr')
@@ -499,4 +849,372 @@ describe('Mobile Routes', () => {
       expect(response.status).toBe(400);
     });
   });
+
+  describe('QR code rotation and revocation', () => {
+    const POS_SECRET = 'test-pos-secret-token';
+    let testWishlist;
+
+    beforeAll(() => {
+      process.env.POS_SECRET_TOKEN = POS_SECRET;
+    });
+
+    afterAll(() => {
+      delete process.env.POS_SECRET_TOKEN;
+    });
+
+    beforeEach(async () => {
+      testWishlist = await Wishlist.create({
+        user_id: 'mobile-user-123',
+        status: 'ACTIVE',
+        source: 'MOBILE_APP',
+        qr_code_token: 'leaked-token-123',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+    });
+
+    const scan = body => request(app)
+      .post('/api/pos/wishlists/fetch-by-qr')
+      .set('x-pos-secret', POS_SECRET)
+      .send(body);
+
+    it('should issue a new QR code and invalidate the old one', async () => {
+      const oldCode = await request(app)
+        .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr`)
+        .send({ user_id: 'mobile-user-123' });
+
+      const response = await request(app)
+        .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr/rotate`)
+        .send({ user_id: 'mobile-user-123', reason: 'Screenshot shared' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.qr_token).not.toBe('leaked-token-123');
+      expect(response.body).toHaveProperty('qr_payload');
+
+      expect((await scan({ qr_token: 'leaked-token-123' })).status).toBe(404);
+      expect((await scan({ qr_payload: oldCode.body.qr_payload })).status).toBe(403);
+      expect((await scan({ qr_payload: response.body.qr_payload })).status).toBe(200);
+
+      const rotations = await WishlistQrRotation.findAll({ where: { wishlist_id: testWishlist.wishlist_id } });
+      expect(rotations).toHaveLength(1);
+      expect(rotations[0].toJSON()).toMatchObject({
+        action: 'ROTATED',
+        actor: 'user:mobile-user-123',
+        reason: 'Screenshot shared',
+        previous_qr_code_used_at: null
+      });
+    });
+
+    it('should let a used QR code be presented again after rotation', async () => {
+      const usedAt = new Date();
+      await testWishlist.update({ qr_code_used_at: usedAt });
+
+      const response = await request(app)
+        .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr/rotate`)
+        .send({ user_id: 'mobile-user-123' });
+
+      expect(response.status).toBe(200);
+      expect((await testWishlist.reload()).qr_code_used_at).toBeNull();
+
+      const rotation = await WishlistQrRotation.findOne({ where: { wishlist_id: testWishlist.wishlist_id } });
+      expect(rotation.reason).toBeNull();
+      expect(rotation.previous_qr_code_used_at).toEqual(usedAt);
+
+      expect((await scan({ qr_token: response.body.qr_token })).status).toBe(200);
+    });
+
+    it('should revoke the QR code without issuing a new one', async () => {
+      const response = await request(app)
+        .delete(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr`)
+        .query({ user_id: 'mobile-user-123', reason: 'Lost phone' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        message: 'QR code revoked successfully',
+        wishlist_id: testWishlist.wishlist_id
+      });
+
+      await testWishlist.reload();
+      expect(testWishlist.qr_code_token).not.toBe('leaked-token-123');
+      expect(testWishlist.status).toBe('ACTIVE');
+      expect((await scan({ qr_token: 'leaked-token-123' })).status).toBe(404);
+
+      const rotation = await WishlistQrRotation.findOne({ where: { wishlist_id: testWishlist.wishlist_id } });
+      expect(rotation.action).toBe('REVOKED');
+      expect(rotation.reason).toBe('Lost phone');
+    });
+
+    it('should reject rotation of a wishlist being processed at POS', async () => {
+      await testWishlist.update({ status: 'PROCESSING', qr_code_used_at: new Date() });
+
+      const response = await request(app)
+        .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr/rotate`)
+        .send({ user_id: 'mobile-user-123' });
+
+      expect(response.status).toBe(409);
+      expect((await testWishlist.reload()).qr_code_token).toBe('leaked-token-123');
+      expect(await WishlistQrRotation.count()).toBe(0);
+    });
+
+    it('should reject rotation of an expired wishlist', async () => {
+      await testWishlist.update({ expires_at: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr/rotate`)
+        .send({ user_id: 'mobile-user-123' });
+
+      expect(response.status).toBe(410);
+    });
+
+    it('should reject rotation by another user', async () => {
+      const response = await request(app)
+        .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr/rotate`)
+        .send({ user_id: 'different-user-999' });
+
+      expect(response.status).toBe(404);
+      expect((await testWishlist.reload()).qr_code_token).toBe('leaked-token-123');
+    });
+
+    it('should require user_id and validate the reason', async () => {
+      const noUser = await request(app)
+        .delete(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr`);
+
+      const badReason = await request(app)
+        .post(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr/rotate`)
+        .send({ user_id: 'mobile-user-123', reason: 'x'.repeat(501) });
+
+      expect(noUser.status).toBe(400);
+      expect(badReason.status).toBe(400);
+      expect(await WishlistQrRotation.count()).toBe(0);
+    });
+  });
+
+  describe('GET /api/mobile/wishlists/:wishlistId/qr.png and qr.svg', () => {
+    let testWishlist;
+
+    beforeEach(async () => {
+      testWishlist = await Wishlist.create({
+        user_id: 'mobile-user-123',
+        status: 'ACTIVE',
+        source: 'MOBILE_APP',
+        qr_code_token: 'image-token-123',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+    });
+
+    it('should render a PNG of the requested size', async () => {
+      const response = await request(app)
+        .get(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr.png`)
+        .query({ user_id: 'mobile-user-123', size: 400, ecc: 'H' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.headers['x-qr-expires-at']).toBeDefined();
+
+      const png = response.body;
+      expect(png.subarray(1, 4).toString()).toBe('PNG');
+      // IHDR width: whole pixels per module, never above the requested size
+      const width = png.readUInt32BE(16);
+      expect(width).toBeLessThanOrEqual(400);
+      expect(width).toBeGreaterThan(300);
+      expect(png.readUInt32BE(20)).toBe(width);
+    });
+
+    it('should render an SVG with an escaped caption below the code', async () => {
+      const response = await request(app)
+        .get(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr.svg`)
+        .query({ user_id: 'mobile-user-123', caption: 'Complex <Pop-up> & Co' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^image\/svg\+xml/);
+
+      const svg = response.body.toString();
+      expect(svg).toMatch(/^<svg /);
+      expect(svg).toContain('Complex &lt;Pop-up&gt; &amp; Co</text>');
+
+      const [, width, height] = svg.match(/width="(\d+)" height="(\d+)"/);
+      expect(Number(height)).toBeGreaterThan(Number(width));
+    });
+
+    it('should use the configured caption by default', async () => {
+      const originalCaption = config.QR.IMAGE.CAPTION;
+      config.QR.IMAGE.CAPTION = 'Complex Store';
+
+      try {
+        const response = await request(app)
+          .get(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr.svg`)
+          .query({ user_id: 'mobile-user-123' });
+
+        expect(response.body.toString()).toContain('Complex Store</text>');
+      } finally {
+        config.QR.IMAGE.CAPTION = originalCaption;
+      }
+    });
+
+    it('should reject invalid size, ecc and caption', async () => {
+      const url = `/api/mobile/wishlists/${testWishlist.wishlist_id}/qr.png`;
+
+      const tooLarge = await request(app).get(url).query({ user_id: 'mobile-user-123', size: 5000 });
+      const badEcc = await request(app).get(url).query({ user_id: 'mobile-user-123', ecc: 'X' });
+      const longCaption = await request(app).get(url).query({ user_id: 'mobile-user-123', caption: 'x'.repeat(41) });
+
+      expect(tooLarge.status).toBe(400);
+      expect(badEcc.status).toBe(400);
+      expect(longCaption.status).toBe(400);
+    });
+
+    it('should return 404 for an unsupported format', async () => {
+      const response = await request(app)
+        .get(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr.gif`)
+        .query({ user_id: 'mobile-user-123' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not render the QR code of another user or a non-active wishlist', async () => {
+      const otherUser = await request(app)
+        .get(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr.png`)
+        .query({ user_id: 'different-user-999' });
+
+      await testWishlist.update({ status: 'COMPLETED' });
+
+      const completed = await request(app)
+        .get(`/api/mobile/wishlists/${testWishlist.wishlist_id}/qr.png`)
+        .query({ user_id: 'mobile-user-123' });
+
+      expect(otherUser.status).toBe(404);
+      expect(completed.status).toBe(400);
+    });
+  });
+
+  describe('BFF service authentication', () => {
+    const serviceToken = (claims = {}, secret = 'test-bff-secret') => jwt.sign(
+      { iss: 'complex-bff', aud: 'complex-shopify-service', ...claims },
+      secret,
+      { algorithm: 'HS256', expiresIn: 60 }
+    );
+
+    const item = {
+      variant_id: 'gid://shopify/ProductVariant/123',
+      product_id: 'gid://shopify/Product/456',
+      quantity: 1,
+      product_title: 'Test Product',
+      price: '25.00'
+    };
+
+    beforeEach(() => {
+      config.BFF.JWT_SECRETS = ['test-bff-secret'];
+    });
+
+    afterAll(() => {
+      config.BFF.JWT_SECRETS = [];
+    });
+
+    it('should reject calls without a service token', async () => {
+      const response = await request(app)
+        .get('/api/mobile/wishlists')
+        .query({ user_id: 'mobile-user-123' });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('error', 'Service authentication required');
+    });
+
+    it('should reject forged and expired tokens', async () => {
+      const forged = await request(app)
+        .get('/api/mobile/wishlists')
+        .set('Authorization', `Bearer ${serviceToken({ sub: 'mobile-user-123' }, 'not-the-secret')}`);
+
+      expect(forged.status).toBe(401);
+      expect(forged.body.details).toEqual({ reason: 'invalid_signature' });
+
+      const expired = await request(app)
+        .get('/api/mobile/wishlists')
+        // Issued two minutes ago, valid for one
+        .set('Authorization', `Bearer ${serviceToken({ sub: 'mobile-user-123', iat: Math.floor(Date.now() / 1000) - 120 })}`);
+
+      expect(expired.status).toBe(401);
+      expect(expired.body.details).toEqual({ reason: 'expired' });
+    });
+
+    it('should take user_id from the token', async () => {
+      await Wishlist.create({
+        user_id: 'mobile-user-123',
+        status: 'ACTIVE',
+        source: 'MOBILE_APP',
+        qr_code_token: 'mine',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+      await Wishlist.create({
+        user_id: 'someone-else',
+        status: 'ACTIVE',
+        source: 'MOBILE_APP',
+        qr_code_token: 'theirs',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+      const token = serviceToken({ sub: 'mobile-user-123' });
+
+      const list = await request(app)
+        .get('/api/mobile/wishlists')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(list.status).toBe(200);
+      expect(list.body.wishlists).toHaveLength(1);
+      expect(list.body.wishlists[0].user_id).toBe('mobile-user-123');
+
+      const created = await request(app)
+        .post('/api/mobile/wishlists')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ items: [item] });
+
+      expect(created.status).toBe(201);
+      expect(created.body.wishlist.user_id).toBe('mobile-user-123');
+    });
+
+    it('should reject a service token that does not name the user', async () => {
+      const response = await request(app)
+        .post('/api/mobile/wishlists')
+        .set('Authorization', `Bearer ${serviceToken()}`)
+        .send({ user_id: 'mobile-user-123', items: [item] });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error', 'End-user token required');
+      expect(await Wishlist.count()).toBe(0);
+    });
+
+    it('should reject a user_id parameter that contradicts the token', async () => {
+      const response = await request(app)
+        .post('/api/mobile/wishlists')
+        .set('Authorization', `Bearer ${serviceToken({ sub: 'mobile-user-123' })}`)
+        .send({ user_id: 'someone-else', items: [item] });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error', 'user_id does not match the authenticated user');
+      expect(await Wishlist.count()).toBe(0);
+    });
+
+    it('should not replay one user\'s idempotent response to another user', async () => {
+      const create = (userId) => request(app)
+        .post('/api/mobile/wishlists')
+        .set('Authorization', `Bearer ${serviceToken({ sub: userId })}`)
+        .set('Idempotency-Key', 'shared-key-123')
+        .send({ items: [item] });
+
+      expect((await create('mobile-user-123')).status).toBe(201);
+
+      const other = await create('someone-else');
+      expect(other.status).toBe(422);
+      expect(await Wishlist.count({ where: { user_id: 'someone-else' } })).toBe(0);
+    });
+
+    it('should accept every configured secret during a rotation', async () => {
+      config.BFF.JWT_SECRETS = ['new-bff-secret', 'test-bff-secret'];
+
+      const response = await request(app)
+        .get('/api/mobile/wishlists')
+        .set('Authorization', `Bearer ${serviceToken({ sub: 'mobile-user-123' })}`);
+
+      expect(response.status).toBe(200);
+    });
+  });
 });
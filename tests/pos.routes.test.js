@@ -1,7 +1,15 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const { app } = require('../index');
-const { Wishlist, WishlistItem } = require('../models');
+const { Wishlist, WishlistItem, WishlistStatusHistory, WishlistQrRotation, PosDevice } = require('../models');
 const { sequelize } = require('complex-common-utils');
+const config = require('../config/serverConfig');
+const { createMockShopifyServer } = require('./helpers/mockShopifyServer');
+const { clearCache } = require('../utils/cache');
+const { createQrPayload } = require('../utils/qrPayload');
+const { registerDevice, rotateDeviceKey, revokeDevice } = require('../services/posDevice.service');
+const shopifyService = require('../services/shopify.service');
+const { linkOrderToWishlists } = require('../services/orderLink.service');
 
 // POS authentication token for tests
 const POS_SECRET = 'test-pos-secret-token';
@@ -22,6 +30,8 @@ describe('POS Routes', () => {
     jest.clearAllMocks();
     // Clean database before each test
     await WishlistItem.destroy({ where: {}, force: true });
+    await WishlistStatusHistory.destroy({ where: {}, force: true });
+    await WishlistQrRotation.destroy({ where: {}, force: true });
     await Wishlist.destroy({ where: {}, force: true });
   });
 
@@ -46,6 +56,222 @@ describe('POS Routes', () => {
       expect(response.body).toHaveProperty('error', 'Invalid POS credentials');
       expect(response.body).toHaveProperty('message', 'Invalid x-pos-secret token');
     });
+
+    describe('per-device API keys', () => {
+      let device;
+      let apiKey;
+      let testWishlist;
+
+      beforeEach(async () => {
+        await PosDevice.destroy({ where: {}, force: true });
+        ({ device, api_key: apiKey } = await registerDevice({ name: 'Till 1', location_id: 'gid://shopify/Location/1' }));
+
+        testWishlist = await Wishlist.create({
+          user_id: 'pos-user-123',
+          status: 'ACTIVE',
+          source: 'KIOSK',
+          qr_code_token: 'device-qr-token',
+          expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        });
+      });
+
+      afterEach(() => {
+        config.POS.ACCEPT_SHARED_SECRET = true;
+      });
+
+      const scan = (key) => request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', key)
+        .send({ qr_payload: createQrPayload(testWishlist).payload });
+
+      it('should accept a device key and record the device as actor', async () => {
+        const response = await scan(apiKey);
+
+        expect(response.status).toBe(200);
+
+        const history = await WishlistStatusHistory.findOne({ where: { wishlist_id: testWishlist.wishlist_id } });
+        expect(history.actor).toBe(`POS:${device.device_id}`);
+        expect((await device.reload()).last_used_at).not.toBeNull();
+      });
+
+      it('should record the device on completion', async () => {
+        await scan(apiKey);
+
+        const response = await request(app)
+          .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+          .set('x-pos-secret', apiKey)
+          .send({});
+
+        expect(response.status).toBe(200);
+        expect(response.body.wishlist.processed_by).toBe(`POS:${device.device_id}`);
+        expect(response.body.wishlist.metadata.pos_device).toEqual({
+          device_id: device.device_id,
+          name: 'Till 1',
+          location_id: 'gid://shopify/Location/1'
+        });
+      });
+
+      it('should record the device instead of the processed_by or released_by field', async () => {
+        await scan(apiKey);
+
+        const completed = await request(app)
+          .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+          .set('x-pos-secret', apiKey)
+          .send({ processed_by: 'POS_USER_001' });
+
+        expect(completed.status).toBe(200);
+        expect(completed.body.wishlist.processed_by).toBe(`POS:${device.device_id}`);
+        expect(completed.body.wishlist.metadata.reported_processed_by).toBe('POS_USER_001');
+
+        const scanned = await Wishlist.create({
+          user_id: 'pos-user-123',
+          status: 'PROCESSING',
+          source: 'KIOSK',
+          qr_code_token: 'device-release-token',
+          qr_code_used_at: new Date(),
+          expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        });
+
+        const released = await request(app)
+          .post(`/api/pos/wishlists/${scanned.wishlist_id}/release`)
+          .set('x-pos-secret', apiKey)
+          .send({ reason: 'Till crashed', released_by: 'staff:99' });
+
+        expect(released.status).toBe(200);
+        const history = await WishlistStatusHistory.findOne({ where: { wishlist_id: scanned.wishlist_id } });
+        expect(history.actor).toBe(`POS:${device.device_id}`);
+        expect(history.reason).toBe('Till crashed (reported by staff:99)');
+      });
+
+      it('should reject a key with a known key_id but the wrong secret', async () => {
+        const forged = `${apiKey.slice(0, -1)}${apiKey.endsWith('A') ? 'B' : 'A'}`;
+
+        const response = await scan(forged);
+
+        expect(response.status).toBe(403);
+        expect(response.body).toHaveProperty('error', 'Invalid POS credentials');
+      });
+
+      it('should keep the previous key valid during the rotation overlap only', async () => {
+        const rotated = await rotateDeviceKey(device, { overlapMinutes: 10 });
+
+        expect((await scan(apiKey)).status).toBe(200);
+
+        // The scan moved the wishlist on in the database; put it back for the next scan
+        await Wishlist.update(
+          { status: 'ACTIVE', qr_code_used_at: null },
+          { where: { wishlist_id: testWishlist.wishlist_id } }
+        );
+        await device.update({ previous_key_expires_at: new Date(Date.now() - 1000) });
+
+        expect((await scan(apiKey)).status).toBe(403);
+        expect((await scan(rotated.api_key)).status).toBe(200);
+      });
+
+      it('should reject every key of a revoked device', async () => {
+        await revokeDevice(device, { reason: 'Lost' });
+
+        const response = await scan(apiKey);
+
+        expect(response.status).toBe(403);
+        expect(response.body).toHaveProperty('error', 'POS device revoked');
+        expect((await testWishlist.reload()).status).toBe('ACTIVE');
+      });
+
+      it('should reject the shared secret once it is disabled', async () => {
+        config.POS.ACCEPT_SHARED_SECRET = false;
+
+        expect((await scan(POS_SECRET)).status).toBe(403);
+        expect((await scan(apiKey)).status).toBe(200);
+      });
+    });
+
+    describe('Shopify POS session tokens', () => {
+      const originalShopifyConfig = { ...config.SHOPIFY };
+      let testWishlist;
+
+      const sessionToken = (overrides = {}) => {
+        const now = Math.floor(Date.now() / 1000);
+        return jwt.sign({
+          iss: 'https://test-shop.myshopify.com/admin',
+          dest: 'https://test-shop.myshopify.com',
+          aud: 'test-app-key',
+          sub: '42',
+          exp: now + 60,
+          nbf: now,
+          iat: now,
+          ...overrides
+        }, 'test-app-secret', { algorithm: 'HS256' });
+      };
+
+      beforeEach(async () => {
+        Object.assign(config.SHOPIFY, {
+          API_KEY: 'test-app-key',
+          API_SECRET: 'test-app-secret',
+          SHOP_DOMAIN: 'test-shop.myshopify.com'
+        });
+
+        testWishlist = await Wishlist.create({
+          user_id: 'pos-user-123',
+          status: 'ACTIVE',
+          source: 'KIOSK',
+          qr_code_token: 'session-qr-token',
+          expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        });
+      });
+
+      afterAll(() => {
+        Object.assign(config.SHOPIFY, originalShopifyConfig);
+      });
+
+      const scan = (token) => request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('Authorization', `Bearer ${token}`)
+        .set('x-pos-location-id', 'gid://shopify/Location/7')
+        .send({ qr_payload: createQrPayload(testWishlist).payload });
+
+      it('should accept a valid session token without x-pos-secret', async () => {
+        const response = await scan(sessionToken());
+
+        expect(response.status).toBe(200);
+
+        const history = await WishlistStatusHistory.findOne({ where: { wishlist_id: testWishlist.wishlist_id } });
+        expect(history.actor).toBe('staff:42');
+      });
+
+      it('should record the verified staff member instead of the processed_by field', async () => {
+        const token = sessionToken();
+        await scan(token);
+
+        const response = await request(app)
+          .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+          .set('Authorization', `Bearer ${token}`)
+          .set('x-pos-location-id', 'gid://shopify/Location/7')
+          .send({ processed_by: 'someone-else' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.wishlist.processed_by).toBe('staff:42');
+        expect(response.body.wishlist.metadata.reported_processed_by).toBe('someone-else');
+        expect(response.body.wishlist.metadata.pos_session).toEqual({
+          shop: 'test-shop.myshopify.com',
+          staff_id: '42',
+          reported_location_id: 'gid://shopify/Location/7'
+        });
+      });
+
+      it('should reject an expired or foreign token with the reason', async () => {
+        const expired = await scan(sessionToken({ exp: Math.floor(Date.now() / 1000) - 60 }));
+        expect(expired.status).toBe(401);
+        expect(expired.body).toHaveProperty('error', 'Invalid POS session token');
+        expect(expired.body.details).toEqual({ reason: 'expired' });
+
+        const foreign = await scan(sessionToken({ dest: 'https://other-shop.myshopify.com' }));
+        expect(foreign.status).toBe(401);
+        expect(foreign.body.details).toEqual({ reason: 'invalid_shop' });
+
+        expect((await testWishlist.reload()).status).toBe('ACTIVE');
+      });
+    });
   });
 
   describe('POST /api/pos/wishlists/fetch-by-qr', () => {
@@ -87,14 +313,14 @@ describe('POS Routes', () => {
       expect(response.body.wishlist.items).toHaveLength(1);
     });
 
-    it('should reject request without qr_token', async () => {
+    it('should reject request without qr_payload or qr_token', async () => {
       const response = await request(app)
         .post('/api/pos/wishlists/fetch-by-qr')
         .set('x-pos-secret', POS_SECRET)
         .send({});
 
       expect(response.status).toBe(400);
-      expect(response.body).toHaveProperty('error', 'qr_token is required');
+      expect(response.body).toHaveProperty('error', 'qr_payload is required');
     });
 
     it('should return 404 for non-existent QR token', async () => {
@@ -125,6 +351,85 @@ describe('POS Routes', () => {
       expect(response.body).toHaveProperty('used_at');
     });
 
+    it('should let exactly one of several concurrent scans redeem the QR token', async () => {
+      const scan = (url) => () => request(app)
+        .post(url)
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_token: validQRToken });
+      const attempts = [
+        ...Array.from({ length: 4 }, () => scan('/api/pos/wishlists/fetch-by-qr')),
+        scan(`/api/pos/wishlists/${testWishlist.wishlist_id}/fetch`)
+      ];
+
+      // An in-memory SQLite database has one connection and cannot run the claim transactions
+      // side by side, so there the scans run one after another (the race itself is covered below)
+      const scans = [];
+      if (sequelize.getDialect() === 'sqlite') {
+        for (const attempt of attempts) {
+          scans.push(await attempt());
+        }
+      } else {
+        scans.push(...await Promise.all(attempts.map(attempt => attempt())));
+      }
+
+      const statuses = scans.map(response => response.status);
+      expect(statuses.filter(status => status === 200)).toHaveLength(1);
+      expect(statuses.filter(status => status === 409)).toHaveLength(4);
+      scans.filter(response => response.status === 409).forEach(response => {
+        expect(response.body).toHaveProperty('error', 'QR code has already been used');
+        expect(response.body.used_at).toBeTruthy();
+      });
+
+      const history = await WishlistStatusHistory.findAll({ where: { wishlist_id: testWishlist.wishlist_id } });
+      expect(history).toHaveLength(1);
+      expect(history[0].to_status).toBe('PROCESSING');
+    });
+
+    it('should return 409 when another scan redeems the token after it was read', async () => {
+      // Simulate the other till winning between our read and our update
+      const originalFindOne = Wishlist.findOne.bind(Wishlist);
+      const findOneSpy = jest.spyOn(Wishlist, 'findOne').mockImplementationOnce(async (...args) => {
+        const wishlist = await originalFindOne(...args);
+        await Wishlist.update(
+          { status: 'PROCESSING', qr_code_used_at: new Date() },
+          { where: { wishlist_id: wishlist.wishlist_id } }
+        );
+        return wishlist;
+      });
+
+      try {
+        const response = await request(app)
+          .post('/api/pos/wishlists/fetch-by-qr')
+          .set('x-pos-secret', POS_SECRET)
+          .send({ qr_token: validQRToken });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toHaveProperty('error', 'QR code has already been used');
+        expect(await WishlistStatusHistory.count({ where: { wishlist_id: testWishlist.wishlist_id } })).toBe(0);
+      } finally {
+        findOneSpy.mockRestore();
+      }
+    });
+
+    it('should leave the QR token unused when the history row cannot be written', async () => {
+      const historySpy = jest.spyOn(WishlistStatusHistory, 'create').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      try {
+        const response = await request(app)
+          .post('/api/pos/wishlists/fetch-by-qr')
+          .set('x-pos-secret', POS_SECRET)
+          .send({ qr_token: validQRToken });
+
+        expect(response.status).toBe(500);
+      } finally {
+        historySpy.mockRestore();
+      }
+
+      await testWishlist.reload();
+      expect(testWishlist.status).toBe('ACTIVE');
+      expect(testWishlist.qr_code_used_at).toBeNull();
+    });
+
     it('should reject expired wishlist QR token', async () => {
       const expiredWishlist = await Wishlist.create({
         user_id: 'pos-user-789',
@@ -155,6 +460,19 @@ describe('POS Routes', () => {
       expect(response.status).toBe(400);
       expect(response.body.error).toContain('cannot be processed');
     });
+
+    it('should report a cancelled wishlist past its expiry as cancelled', async () => {
+      await testWishlist.update({ status: 'CANCELLED', expires_at: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_token: validQRToken });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Wishlist is CANCELLED and cannot be processed');
+      expect((await testWishlist.reload()).status).toBe('CANCELLED');
+    });
   });
 
   describe('POST /api/pos/wishlists/:wishlistId/fetch', () => {
@@ -195,14 +513,14 @@ describe('POS Routes', () => {
       expect(response.body.wishlist.items).toHaveLength(1);
     });
 
-    it('should reject request without qr_token', async () => {
+    it('should reject request without qr_payload or qr_token', async () => {
       const response = await request(app)
         .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/fetch`)
         .set('x-pos-secret', POS_SECRET)
         .send({});
 
       expect(response.status).toBe(400);
-      expect(response.body).toHaveProperty('error', 'qr_token is required');
+      expect(response.body).toHaveProperty('error', 'qr_payload is required');
     });
 
     it('should reject request with invalid QR token', async () => {
@@ -276,6 +594,130 @@ describe('POS Routes', () => {
     });
   });
 
+  describe('Signed QR payloads', () => {
+    const originalQrConfig = { ...config.QR };
+    let testWishlist;
+
+    beforeEach(async () => {
+      config.QR.SIGNING_KEYS = { k1: 'test-qr-signing-secret' };
+      config.QR.ACTIVE_KEY_ID = 'k1';
+
+      testWishlist = await Wishlist.create({
+        user_id: 'pos-user-321',
+        status: 'ACTIVE',
+        source: 'MOBILE_APP',
+        qr_code_token: 'signed-qr-token-321',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+    });
+
+    afterEach(() => {
+      Object.assign(config.QR, originalQrConfig);
+    });
+
+    it('should redeem a wishlist from a signed payload', async () => {
+      const { payload } = createQrPayload(testWishlist);
+
+      const response = await request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_payload: payload });
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.wishlist_id).toBe(testWishlist.wishlist_id);
+      expect(response.body.wishlist.status).toBe('PROCESSING');
+    });
+
+    it('should reject a forged payload without reading the database', async () => {
+      const { payload } = createQrPayload(testWishlist);
+      const findSpy = jest.spyOn(Wishlist, 'findByPk');
+
+      try {
+        const response = await request(app)
+          .post('/api/pos/wishlists/fetch-by-qr')
+          .set('x-pos-secret', POS_SECRET)
+          .send({ qr_payload: `${payload.slice(0, -4)}AAAA` });
+
+        expect(response.status).toBe(401);
+        expect(response.body).toHaveProperty('details', { reason: 'invalid_signature' });
+        expect(findSpy).not.toHaveBeenCalled();
+      } finally {
+        findSpy.mockRestore();
+      }
+
+      expect((await testWishlist.reload()).status).toBe('ACTIVE');
+    });
+
+    it('should reject an expired payload', async () => {
+      const { payload } = createQrPayload(testWishlist, { now: new Date(Date.now() - 10 * 60 * 1000) });
+
+      const response = await request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_payload: payload });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('error', 'QR code has expired, refresh it in the app');
+    });
+
+    it('should reject a payload signed with a retired key', async () => {
+      const { payload } = createQrPayload(testWishlist);
+      config.QR.SIGNING_KEYS = { k2: 'next-qr-signing-secret' };
+      config.QR.ACTIVE_KEY_ID = 'k2';
+
+      const response = await request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_payload: payload });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('details', { reason: 'unknown_key' });
+    });
+
+    it('should reject a payload issued for a replaced QR token', async () => {
+      const { payload } = createQrPayload(testWishlist);
+      await testWishlist.update({ qr_code_token: 'replaced-qr-token' });
+
+      const response = await request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_payload: payload });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error', 'QR code is no longer valid');
+    });
+
+    it('should reject a payload for another wishlist on the fetch-by-id endpoint', async () => {
+      const other = await Wishlist.create({
+        user_id: 'pos-user-654',
+        status: 'ACTIVE',
+        source: 'KIOSK',
+        qr_code_token: 'other-qr-token',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/fetch`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_payload: createQrPayload(other).payload });
+
+      expect(response.status).toBe(403);
+      expect((await other.reload()).status).toBe('ACTIVE');
+    });
+
+    it('should reject bare tokens once legacy tokens are disabled', async () => {
+      config.QR.ACCEPT_LEGACY_TOKENS = false;
+
+      const response = await request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_token: testWishlist.qr_code_token });
+
+      expect(response.status).toBe(400);
+      expect((await testWishlist.reload()).status).toBe('ACTIVE');
+    });
+  });
+
   describe('POST /api/pos/wishlists/:wishlistId/complete', () => {
     let testWishlist;
 
@@ -341,6 +783,171 @@ describe('POS Routes', () => {
       expect(response.status).toBe(400);
       expect(response.body.error).toContain('Cannot complete wishlist');
     });
+
+    it('should acknowledge a wishlist already completed from the same Shopify order', async () => {
+      await testWishlist.update({
+        status: 'COMPLETED',
+        metadata: { shopify_order_id: 'gid://shopify/Order/5912345678901' }
+      });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({ shopify_order_id: '5912345678901' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Wishlist already completed from its Shopify order');
+
+      const other = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({ shopify_order_id: '5912345678999' });
+
+      expect(other.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/pos/wishlists/:wishlistId/items/:itemId/fulfil', () => {
+    let testWishlist;
+    let itemA;
+    let itemB;
+
+    beforeEach(async () => {
+      testWishlist = await Wishlist.create({
+        user_id: 'pos-user-123',
+        status: 'PROCESSING',
+        source: 'MOBILE_APP',
+        qr_code_token: 'token-fulfil',
+        qr_code_used_at: new Date(),
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+      itemA = await WishlistItem.create({
+        wishlist_id: testWishlist.wishlist_id,
+        shopify_variant_id: 'var-a',
+        quantity: 2,
+        product_title: 'Product A',
+        price: '25.00'
+      });
+
+      itemB = await WishlistItem.create({
+        wishlist_id: testWishlist.wishlist_id,
+        shopify_variant_id: 'var-b',
+        quantity: 1,
+        product_title: 'Product B',
+        price: '40.00'
+      });
+    });
+
+    const fulfil = (item, body) => request(app)
+      .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/items/${item.item_id}/fulfil`)
+      .set('x-pos-secret', POS_SECRET)
+      .send(body);
+
+    it('should mark an item as picked with full quantity by default', async () => {
+      const response = await fulfil(itemA, { status: 'PICKED' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.item.fulfilment_status).toBe('PICKED');
+      expect(response.body.item.picked_quantity).toBe(2);
+      expect(response.body.item.fulfilled_at).toBeDefined();
+      expect(response.body.fulfilment).toMatchObject({ picked: 1, pending: 1, fully_fulfilled: false });
+    });
+
+    it('should mark an item as unavailable with zero picked', async () => {
+      const response = await fulfil(itemB, { status: 'UNAVAILABLE', picked_quantity: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.item.picked_quantity).toBe(0);
+    });
+
+    it('should record a substitution', async () => {
+      const response = await fulfil(itemB, { status: 'SUBSTITUTED', substitute_variant_id: 'var-b2' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.item.fulfilment_status).toBe('SUBSTITUTED');
+      expect(response.body.item.substitute_variant_id).toBe('var-b2');
+    });
+
+    it('should reject substitution without substitute_variant_id', async () => {
+      const response = await fulfil(itemB, { status: 'SUBSTITUTED' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('substitute_variant_id');
+    });
+
+    it('should reject an unknown status', async () => {
+      const response = await fulfil(itemA, { status: 'LOST' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('status must be one of');
+    });
+
+    it('should reject picked_quantity above the wishlisted quantity', async () => {
+      const response = await fulfil(itemA, { status: 'PICKED', picked_quantity: 3 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('picked_quantity');
+    });
+
+    it('should reject fulfilment for non-processing wishlist', async () => {
+      await testWishlist.update({ status: 'ACTIVE' });
+
+      const response = await fulfil(itemA, { status: 'PICKED' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Cannot fulfil items');
+    });
+
+    it('should return 404 for an item of another wishlist', async () => {
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/items/00000000-0000-0000-0000-000000000000/fulfil`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({ status: 'PICKED' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'Wishlist item not found');
+    });
+
+    it('should complete the wishlist when every item is fully picked', async () => {
+      await fulfil(itemA, { status: 'PICKED' });
+      await fulfil(itemB, { status: 'SUBSTITUTED', substitute_variant_id: 'var-b2' });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.status).toBe('COMPLETED');
+      expect(response.body.fulfilment.fully_fulfilled).toBe(true);
+    });
+
+    it('should partially complete the wishlist when items are missing or short', async () => {
+      await fulfil(itemA, { status: 'PICKED', picked_quantity: 1 });
+      await fulfil(itemB, { status: 'UNAVAILABLE' });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('message', 'Wishlist partially completed');
+      expect(response.body.wishlist.status).toBe('PARTIALLY_COMPLETED');
+      expect(response.body.fulfilment).toMatchObject({ picked: 1, unavailable: 1, incomplete_lines: 2 });
+    });
+
+    it('should treat lines left pending as not picked once fulfilment is tracked', async () => {
+      await fulfil(itemA, { status: 'PICKED' });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      expect(response.body.wishlist.status).toBe('PARTIALLY_COMPLETED');
+    });
   });
 
   describe('POST /api/pos/wishlists/:wishlistId/cancel', () => {
@@ -393,7 +1000,7 @@ describe('POS Routes', () => {
       expect(response.body).toHaveProperty('error', 'Wishlist not found');
     });
 
-    it('should allow cancellation of already completed wishlist', async () => {
+    it('should reject cancellation of already completed wishlist', async () => {
       await testWishlist.update({ status: 'COMPLETED' });
 
       const response = await request(app)
@@ -401,8 +1008,26 @@ describe('POS Routes', () => {
         .set('x-pos-secret', POS_SECRET)
         .send({});
 
-      expect(response.status).toBe(200);
-      expect(response.body.wishlist.status).toBe('CANCELLED');
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain('from COMPLETED to CANCELLED');
+      expect(response.body.details).toEqual({ from: 'COMPLETED', to: 'CANCELLED' });
+    });
+
+    it('should record the cancellation in status history', async () => {
+      await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/cancel`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({ reason: 'Customer changed mind' });
+
+      const history = await WishlistStatusHistory.findAll({
+        where: { wishlist_id: testWishlist.wishlist_id }
+      });
+
+      expect(history).toHaveLength(1);
+      expect(history[0].from_status).toBe('PROCESSING');
+      expect(history[0].to_status).toBe('CANCELLED');
+      expect(history[0].actor).toBe('POS');
+      expect(history[0].reason).toBe('Customer changed mind');
     });
 
     it('should allow cancellation of already cancelled wishlist', async () => {
@@ -418,6 +1043,504 @@ describe('POS Routes', () => {
     });
   });
 
+  describe('POST /api/pos/wishlists/:wishlistId/release', () => {
+    let testWishlist;
+    let item;
+
+    beforeEach(async () => {
+      testWishlist = await Wishlist.create({
+        user_id: 'pos-user-123',
+        status: 'PROCESSING',
+        source: 'MOBILE_APP',
+        qr_code_token: 'token-release',
+        qr_code_used_at: new Date(),
+        shopify_draft_order_id: 'gid://shopify/DraftOrder/1',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+      item = await WishlistItem.create({
+        wishlist_id: testWishlist.wishlist_id,
+        shopify_variant_id: 'var-a',
+        quantity: 2,
+        product_title: 'Product A',
+        price: '25.00',
+        fulfilment_status: 'PICKED',
+        picked_quantity: 2,
+        fulfilled_at: new Date()
+      });
+    });
+
+    const release = (wishlistId, body = {}) => request(app)
+      .post(`/api/pos/wishlists/${wishlistId}/release`)
+      .set('x-pos-secret', POS_SECRET)
+      .send(body);
+
+    it('should return the wishlist to ACTIVE with a new QR code', async () => {
+      const response = await release(testWishlist.wishlist_id, { reason: 'Customer left the queue' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('message', 'Wishlist released successfully');
+      expect(response.body.wishlist.status).toBe('ACTIVE');
+      expect(response.body.wishlist.qr_code_used_at).toBeNull();
+      expect(response.body.wishlist.shopify_draft_order_id).toBeNull();
+
+      await testWishlist.reload();
+      expect(testWishlist.qr_code_token).not.toBe('token-release');
+    });
+
+    it('should reset fulfilment recorded during the session', async () => {
+      await release(testWishlist.wishlist_id);
+
+      await item.reload();
+      expect(item.fulfilment_status).toBe('PENDING');
+      expect(item.picked_quantity).toBeNull();
+      expect(item.fulfilled_at).toBeNull();
+    });
+
+    it('should record the release in status history and QR rotations', async () => {
+      await release(testWishlist.wishlist_id, { reason: 'Till crashed', released_by: 'staff:42' });
+
+      const history = await WishlistStatusHistory.findAll({ where: { wishlist_id: testWishlist.wishlist_id } });
+      expect(history).toHaveLength(1);
+      expect(history[0].toJSON()).toMatchObject({
+        from_status: 'PROCESSING',
+        to_status: 'ACTIVE',
+        actor: 'staff:42',
+        reason: 'Till crashed'
+      });
+
+      const rotations = await WishlistQrRotation.findAll({ where: { wishlist_id: testWishlist.wishlist_id } });
+      expect(rotations).toHaveLength(1);
+      expect(rotations[0].action).toBe('RELEASED');
+      expect(rotations[0].previous_qr_code_used_at).not.toBeNull();
+    });
+
+    it('should accept the new QR code and reject the old one', async () => {
+      const oldPayload = createQrPayload(testWishlist).payload;
+
+      await release(testWishlist.wishlist_id);
+      await testWishlist.reload();
+
+      const stale = await request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_payload: oldPayload });
+      expect(stale.status).toBe(403);
+
+      const rescan = await request(app)
+        .post('/api/pos/wishlists/fetch-by-qr')
+        .set('x-pos-secret', POS_SECRET)
+        .send({ qr_payload: createQrPayload(testWishlist).payload });
+      expect(rescan.status).toBe(200);
+      expect(rescan.body.wishlist.status).toBe('PROCESSING');
+    });
+
+    it('should reject release of a wishlist that is not PROCESSING', async () => {
+      await testWishlist.update({ status: 'ACTIVE' });
+
+      const response = await release(testWishlist.wishlist_id);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Cannot release wishlist with status: ACTIVE');
+    });
+
+    it('should expire instead of releasing a wishlist past expires_at', async () => {
+      await testWishlist.update({ expires_at: new Date(Date.now() - 1000) });
+
+      const response = await release(testWishlist.wishlist_id);
+
+      expect(response.status).toBe(410);
+      expect((await testWishlist.reload()).status).toBe('EXPIRED');
+    });
+
+    it('should return 404 for non-existent wishlist', async () => {
+      const response = await release('00000000-0000-0000-0000-000000000000');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'Wishlist not found');
+    });
+  });
+
+  describe('Shopify integration against mock GraphQL server', () => {
+    let shopify;
+    let testWishlist;
+
+    beforeAll(async () => {
+      shopify = createMockShopifyServer({
+        DraftOrderCreate: () => ({
+          data: {
+            draftOrderCreate: {
+              draftOrder: {
+                id: 'gid://shopify/DraftOrder/1001',
+                name: '#D1001',
+                invoiceUrl: 'https://test-shop.myshopify.com/invoices/abc',
+                totalPriceSet: { shopMoney: { amount: '50.00', currencyCode: 'HKD' } }
+              },
+              userErrors: []
+            }
+          }
+        }),
+        GetVariants: ({ ids }) => ({
+          data: {
+            nodes: ids.map(id => {
+              if (id === 'gid://shopify/ProductVariant/123') {
+                return { id, price: '30.00', compareAtPrice: null, availableForSale: true, inventoryQuantity: 5 };
+              }
+              if (id === 'gid://shopify/ProductVariant/124') {
+                return { id, price: '10.00', compareAtPrice: null, availableForSale: false, inventoryQuantity: 0 };
+              }
+              return null;
+            })
+          }
+        }),
+        DraftOrderComplete: () => ({
+          data: {
+            draftOrderComplete: {
+              draftOrder: {
+                id: 'gid://shopify/DraftOrder/1001',
+                order: { id: 'gid://shopify/Order/5001', name: '#5001' }
+              },
+              userErrors: []
+            }
+          }
+        }),
+        DraftOrderDelete: ({ input }) => ({
+          data: {
+            draftOrderDelete: { deletedId: input.id, userErrors: [] }
+          }
+        })
+      });
+
+      process.env.SHOPIFY_API_BASE_URL = await shopify.start();
+      process.env.SHOPIFY_SHOP_DOMAIN = 'test-shop.myshopify.com';
+      process.env.SHOPIFY_ACCESS_TOKEN = 'test-access-token';
+    });
+
+    afterAll(async () => {
+      delete process.env.SHOPIFY_API_BASE_URL;
+      delete process.env.SHOPIFY_SHOP_DOMAIN;
+      delete process.env.SHOPIFY_ACCESS_TOKEN;
+      await shopify.stop();
+    });
+
+    beforeEach(async () => {
+      await clearCache();
+      shopify.requests.length = 0;
+      config.POS.CHECKOUT_MODE = 'none';
+
+      testWishlist = await Wishlist.create({
+        user_id: 'pos-user-123',
+        status: 'PROCESSING',
+        source: 'MOBILE_APP',
+        qr_code_token: 'token-checkout',
+        qr_code_used_at: new Date(),
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+      await WishlistItem.create({
+        wishlist_id: testWishlist.wishlist_id,
+        shopify_variant_id: '123',
+        shopify_product_id: 'prod-1',
+        quantity: 2,
+        product_title: 'Test Product',
+        price: '25.00',
+        currency: 'HKD'
+      });
+    });
+
+    afterEach(() => {
+      config.POS.CHECKOUT_MODE = 'none';
+    });
+
+    describe('live revalidation on scan', () => {
+      let activeWishlist;
+
+      beforeEach(async () => {
+        activeWishlist = await Wishlist.create({
+          user_id: 'pos-user-456',
+          status: 'ACTIVE',
+          source: 'KIOSK',
+          qr_code_token: 'token-revalidate',
+          expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        });
+
+        await WishlistItem.bulkCreate([
+          { wishlist_id: activeWishlist.wishlist_id, shopify_variant_id: '123', quantity: 2, product_title: 'Price Up', price: '25.00' },
+          { wishlist_id: activeWishlist.wishlist_id, shopify_variant_id: '124', quantity: 1, product_title: 'Sold Out', price: '10.00' },
+          { wishlist_id: activeWishlist.wishlist_id, shopify_variant_id: '404', quantity: 1, product_title: 'Deleted', price: '5.00' }
+        ]);
+      });
+
+      const byTitle = (items, title) => items.find(item => item.product_title === title);
+
+      it('should annotate items with live price and stock in one batched query', async () => {
+        const response = await request(app)
+          .post('/api/pos/wishlists/fetch-by-qr')
+          .set('x-pos-secret', POS_SECRET)
+          .send({ qr_token: 'token-revalidate' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.revalidation).toMatchObject({ status: 'OK', items_with_discrepancies: 3 });
+
+        const { items } = response.body.wishlist;
+        expect(byTitle(items, 'Price Up').live).toMatchObject({
+          found: true,
+          current_price: '30.00',
+          price_delta: 5,
+          available_for_sale: true,
+          inventory_quantity: 5,
+          insufficient_stock: false
+        });
+        expect(byTitle(items, 'Sold Out').live).toMatchObject({ price_delta: 0, available_for_sale: false, has_discrepancy: true });
+        expect(byTitle(items, 'Deleted').live).toEqual({ found: false, available_for_sale: false, has_discrepancy: true });
+
+        const variantRequests = shopify.requests.filter(r => r.operationName === 'GetVariants');
+        expect(variantRequests).toHaveLength(1);
+        expect(variantRequests[0].variables.ids).toHaveLength(3);
+      });
+
+      it('should still return the wishlist when Shopify is unavailable', async () => {
+        const original = shopify.handlers.GetVariants;
+        shopify.handlers.GetVariants = () => ({ errors: [{ message: 'Internal error' }] });
+
+        const response = await request(app)
+          .post(`/api/pos/wishlists/${activeWishlist.wishlist_id}/fetch`)
+          .set('x-pos-secret', POS_SECRET)
+          .send({ qr_token: 'token-revalidate' });
+
+        shopify.handlers.GetVariants = original;
+
+        expect(response.status).toBe(200);
+        expect(response.body.wishlist.status).toBe('PROCESSING');
+        expect(response.body.revalidation.status).toBe('UNAVAILABLE');
+        expect(response.body.wishlist.items[0]).not.toHaveProperty('live');
+      });
+    });
+
+    it('should create a draft order from wishlist items', async () => {
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/draft-order`)
+        .set('x-pos-secret', POS_SECRET);
+
+      expect(response.status).toBe(201);
+      expect(response.body.draft_order_id).toBe('gid://shopify/DraftOrder/1001');
+      expect(response.body.wishlist.shopify_draft_order_id).toBe('gid://shopify/DraftOrder/1001');
+
+      expect(shopify.requests).toHaveLength(1);
+      const { operationName, variables, headers } = shopify.requests[0];
+      expect(operationName).toBe('DraftOrderCreate');
+      expect(headers['x-shopify-access-token']).toBe('test-access-token');
+      expect(variables.input.lineItems).toEqual([
+        { variantId: 'gid://shopify/ProductVariant/123', quantity: 2 }
+      ]);
+      expect(variables.input.customAttributes).toEqual([
+        { key: 'wishlist_id', value: testWishlist.wishlist_id }
+      ]);
+    });
+
+    it('should return the existing draft order on repeated calls', async () => {
+      await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/draft-order`)
+        .set('x-pos-secret', POS_SECRET);
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/draft-order`)
+        .set('x-pos-secret', POS_SECRET);
+
+      expect(response.status).toBe(200);
+      expect(response.body.draft_order_id).toBe('gid://shopify/DraftOrder/1001');
+      expect(shopify.requests).toHaveLength(1);
+    });
+
+    it('should reject draft order for non-processing wishlist', async () => {
+      await testWishlist.update({ status: 'ACTIVE' });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/draft-order`)
+        .set('x-pos-secret', POS_SECRET);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Cannot create draft order');
+    });
+
+    it('should surface Shopify userErrors as 502', async () => {
+      const original = shopify.handlers.DraftOrderCreate;
+      shopify.handlers.DraftOrderCreate = () => ({
+        data: {
+          draftOrderCreate: {
+            draftOrder: null,
+            userErrors: [{ field: ['lineItems'], message: 'Variant is not available' }]
+          }
+        }
+      });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/draft-order`)
+        .set('x-pos-secret', POS_SECRET);
+
+      shopify.handlers.DraftOrderCreate = original;
+
+      expect(response.status).toBe(502);
+      expect(response.body.error).toContain('Variant is not available');
+      expect((await testWishlist.reload()).shopify_draft_order_id).toBeNull();
+    });
+
+    it('should build draft order lines from recorded fulfilment', async () => {
+      const [item] = await WishlistItem.findAll({ where: { wishlist_id: testWishlist.wishlist_id } });
+      await item.update({ fulfilment_status: 'SUBSTITUTED', picked_quantity: 1, substitute_variant_id: '999' });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/draft-order`)
+        .set('x-pos-secret', POS_SECRET);
+
+      expect(response.status).toBe(201);
+      expect(shopify.requests[0].variables.input.lineItems).toEqual([
+        { variantId: 'gid://shopify/ProductVariant/999', quantity: 1 }
+      ]);
+    });
+
+    it('should reject item fulfilment once a draft order exists', async () => {
+      await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/draft-order`)
+        .set('x-pos-secret', POS_SECRET);
+
+      const [item] = await WishlistItem.findAll({ where: { wishlist_id: testWishlist.wishlist_id } });
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/items/${item.item_id}/fulfil`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({ status: 'UNAVAILABLE' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should not call Shopify on completion when checkout mode is none', async () => {
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(shopify.requests).toHaveLength(0);
+    });
+
+    it('should create a draft order on completion in draft_order mode', async () => {
+      config.POS.CHECKOUT_MODE = 'draft_order';
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.status).toBe('COMPLETED');
+      expect(response.body.wishlist.shopify_draft_order_id).toBe('gid://shopify/DraftOrder/1001');
+      expect(shopify.requests.map(r => r.operationName)).toEqual(['DraftOrderCreate']);
+    });
+
+    it('should create and complete a draft order on completion in order mode', async () => {
+      config.POS.CHECKOUT_MODE = 'order';
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.metadata.shopify_order_id).toBe('gid://shopify/Order/5001');
+      expect(response.body.wishlist.metadata.shopify_order_name).toBe('#5001');
+      expect(shopify.requests.map(r => r.operationName)).toEqual(['DraftOrderCreate', 'DraftOrderComplete']);
+    });
+
+    it('should accept a completion the orders/create webhook got to first', async () => {
+      config.POS.CHECKOUT_MODE = 'order';
+      await WishlistItem.update({ fulfilment_status: 'PICKED', picked_quantity: 1 }, { where: { wishlist_id: testWishlist.wishlist_id } });
+
+      // The order reaches the webhook while the till is still waiting for Shopify's response
+      const completeDraftOrder = jest.spyOn(shopifyService, 'completeDraftOrder').mockImplementationOnce(async () => {
+        await linkOrderToWishlists({
+          id: 5001,
+          name: '#5001',
+          note_attributes: [{ name: 'wishlist_id', value: testWishlist.wishlist_id }],
+          line_items: [{ id: 1, variant_id: 123, quantity: 1, title: 'Test Product' }]
+        });
+        return { id: 'gid://shopify/Order/5001', name: '#5001' };
+      });
+
+      try {
+        const response = await request(app)
+          .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+          .set('x-pos-secret', POS_SECRET)
+          .send({ processed_by: 'Till 3' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('Wishlist already completed from its Shopify order');
+      } finally {
+        completeDraftOrder.mockRestore();
+      }
+
+      await testWishlist.reload();
+      expect(testWishlist.status).toBe('PARTIALLY_COMPLETED');
+      expect(testWishlist.metadata).toMatchObject({
+        shopify_order_id: 'gid://shopify/Order/5001',
+        shopify_order: { id: 'gid://shopify/Order/5001' }
+      });
+      expect(await WishlistStatusHistory.count({ where: { wishlist_id: testWishlist.wishlist_id } })).toBe(1);
+    });
+
+    it('should leave wishlist PROCESSING when Shopify fails during completion', async () => {
+      config.POS.CHECKOUT_MODE = 'order';
+      const original = shopify.handlers.DraftOrderComplete;
+      shopify.handlers.DraftOrderComplete = () => ({ errors: [{ message: 'Throttled' }] });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/complete`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      shopify.handlers.DraftOrderComplete = original;
+
+      expect(response.status).toBe(502);
+      expect((await testWishlist.reload()).status).toBe('PROCESSING');
+    });
+
+    it('should delete the draft order of a released session', async () => {
+      await testWishlist.update({ shopify_draft_order_id: 'gid://shopify/DraftOrder/1001' });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/release`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(shopify.requests.map(r => r.operationName)).toEqual(['DraftOrderDelete']);
+      expect(shopify.requests[0].variables).toEqual({ input: { id: 'gid://shopify/DraftOrder/1001' } });
+
+      await testWishlist.reload();
+      expect(testWishlist.shopify_draft_order_id).toBeNull();
+      expect(testWishlist.metadata?.orphaned_draft_order_ids).toBeUndefined();
+    });
+
+    it('should still release and keep the draft order ID when Shopify cannot delete it', async () => {
+      await testWishlist.update({ shopify_draft_order_id: 'gid://shopify/DraftOrder/1001' });
+      const original = shopify.handlers.DraftOrderDelete;
+      shopify.handlers.DraftOrderDelete = () => ({ errors: [{ message: 'Throttled' }] });
+
+      const response = await request(app)
+        .post(`/api/pos/wishlists/${testWishlist.wishlist_id}/release`)
+        .set('x-pos-secret', POS_SECRET)
+        .send({});
+
+      shopify.handlers.DraftOrderDelete = original;
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.status).toBe('ACTIVE');
+
+      await testWishlist.reload();
+      expect(testWishlist.shopify_draft_order_id).toBeNull();
+      expect(testWishlist.metadata.orphaned_draft_order_ids).toEqual(['gid://shopify/DraftOrder/1001']);
+    });
+  });
+
   describe('GET /api/pos/wishlists/:wishlistId/status', () => {
     let testWishlist;
 
@@ -0,0 +1,96 @@
+const { Wishlist, WishlistItem, WishlistStatusHistory, WishlistQrRotation } = require('../models');
+const { sequelize } = require('complex-common-utils');
+const { runSessionRelease } = require('../jobs/posSessionRelease.job');
+
+describe('POS Session Release Job', () => {
+
+  beforeAll(async () => {
+    // Initialize database
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await WishlistItem.destroy({ where: {}, force: true });
+    await WishlistStatusHistory.destroy({ where: {}, force: true });
+    await WishlistQrRotation.destroy({ where: {}, force: true });
+    await Wishlist.destroy({ where: {}, force: true });
+  });
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  const createWishlist = (overrides) => Wishlist.create({
+    user_id: 'release-user-123',
+    status: 'PROCESSING',
+    source: 'KIOSK',
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...overrides
+  });
+
+  it('should release PROCESSING wishlists scanned longer ago than the timeout', async () => {
+    const abandoned = await createWishlist({ qr_code_token: 'abandoned', qr_code_used_at: minutesAgo(45) });
+    const inFlight = await createWishlist({ qr_code_token: 'in-flight', qr_code_used_at: minutesAgo(5) });
+
+    const result = await runSessionRelease({ timeoutMinutes: 30 });
+
+    expect(result).toEqual({ released: 1 });
+
+    await abandoned.reload();
+    expect(abandoned.status).toBe('ACTIVE');
+    expect(abandoned.qr_code_used_at).toBeNull();
+    expect(abandoned.qr_code_token).not.toBe('abandoned');
+
+    expect((await inFlight.reload()).status).toBe('PROCESSING');
+  });
+
+  it('should record each release in status history and QR rotations', async () => {
+    const abandoned = await createWishlist({ qr_code_token: 'abandoned', qr_code_used_at: minutesAgo(45) });
+
+    await runSessionRelease({ timeoutMinutes: 30 });
+
+    const history = await WishlistStatusHistory.findAll({ where: { wishlist_id: abandoned.wishlist_id } });
+    expect(history).toHaveLength(1);
+    expect(history[0].toJSON()).toMatchObject({
+      from_status: 'PROCESSING',
+      to_status: 'ACTIVE',
+      actor: 'SYSTEM:pos-session-release-job'
+    });
+
+    const rotations = await WishlistQrRotation.findAll({ where: { wishlist_id: abandoned.wishlist_id } });
+    expect(rotations).toHaveLength(1);
+    expect(rotations[0].action).toBe('RELEASED');
+  });
+
+  it('should leave expired and final wishlists alone', async () => {
+    const expired = await createWishlist({
+      qr_code_token: 'expired',
+      qr_code_used_at: minutesAgo(45),
+      expires_at: minutesAgo(1)
+    });
+    const completed = await createWishlist({
+      qr_code_token: 'completed',
+      status: 'COMPLETED',
+      qr_code_used_at: minutesAgo(45)
+    });
+
+    const result = await runSessionRelease({ timeoutMinutes: 30 });
+
+    expect(result.released).toBe(0);
+    expect((await expired.reload()).status).toBe('PROCESSING');
+    expect((await completed.reload()).status).toBe('COMPLETED');
+  });
+
+  it('should process abandoned sessions in batches', async () => {
+    for (let i = 0; i < 5; i++) {
+      await createWishlist({ qr_code_token: `batch-${i}`, qr_code_used_at: minutesAgo(45) });
+    }
+
+    const result = await runSessionRelease({ timeoutMinutes: 30, batchSize: 2 });
+
+    expect(result.released).toBe(5);
+    expect(await Wishlist.count({ where: { status: 'ACTIVE' } })).toBe(5);
+  });
+});
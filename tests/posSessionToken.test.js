@@ -0,0 +1,106 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/serverConfig');
+const { verifyPosSessionToken, readBearerToken, PosSessionTokenError } = require('../utils/posSessionToken');
+
+describe('Shopify POS session tokens', () => {
+  const originalShopifyConfig = { ...config.SHOPIFY };
+  const now = new Date('2026-01-01T10:00:00Z');
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+
+  const claims = {
+    iss: 'https://test-shop.myshopify.com/admin',
+    dest: 'https://test-shop.myshopify.com',
+    aud: 'test-app-key',
+    sub: '42',
+    exp: nowSeconds + 60,
+    nbf: nowSeconds,
+    iat: nowSeconds,
+    jti: 'token-1',
+    sid: 'session-1'
+  };
+
+  const sign = (overrides = {}, secret = 'test-app-secret') => jwt.sign({ ...claims, ...overrides }, secret, { algorithm: 'HS256' });
+
+  const signWithout = (claim) => {
+    const { [claim]: omitted, ...rest } = claims;
+    return jwt.sign(rest, 'test-app-secret', { algorithm: 'HS256' });
+  };
+
+  beforeEach(() => {
+    config.SHOPIFY.API_KEY = 'test-app-key';
+    config.SHOPIFY.API_SECRET = 'test-app-secret';
+    config.SHOPIFY.SHOP_DOMAIN = 'test-shop.myshopify.com';
+  });
+
+  afterAll(() => {
+    Object.assign(config.SHOPIFY, originalShopifyConfig);
+  });
+
+  const expectReason = (fn, reason) => {
+    try {
+      fn();
+    } catch (error) {
+      expect(error).toBeInstanceOf(PosSessionTokenError);
+      expect(error.statusCode).toBe(401);
+      expect(error.details).toEqual({ reason });
+      return;
+    }
+    throw new Error(`Expected PosSessionTokenError with reason ${reason}`);
+  };
+
+  it('should expose shop, staff and the reported location of a valid token', () => {
+    const session = verifyPosSessionToken(sign(), { now, locationId: 'gid://shopify/Location/7' });
+
+    expect(session).toEqual({
+      shop: 'test-shop.myshopify.com',
+      staff_id: '42',
+      reported_location_id: 'gid://shopify/Location/7',
+      session_id: 'session-1',
+      token_id: 'token-1',
+      expires_at: new Date('2026-01-01T10:01:00Z')
+    });
+  });
+
+  it('should ignore a location that is not a Shopify location ID', () => {
+    const session = verifyPosSessionToken(sign(), { now, locationId: '<script>' });
+    expect(session.reported_location_id).toBeNull();
+  });
+
+  it('should reject tokens signed with another secret or without a signature', () => {
+    expectReason(() => verifyPosSessionToken(sign({}, 'other-secret'), { now }), 'invalid_signature');
+    expectReason(() => verifyPosSessionToken(jwt.sign(claims, null, { algorithm: 'none' }), { now }), 'invalid_signature');
+  });
+
+  it('should reject expired tokens beyond the clock tolerance', () => {
+    const token = sign();
+    const later = (seconds) => new Date(now.getTime() + seconds * 1000);
+
+    expect(verifyPosSessionToken(token, { now: later(63) }).staff_id).toBe('42');
+    expectReason(() => verifyPosSessionToken(token, { now: later(70) }), 'expired');
+    expectReason(() => verifyPosSessionToken(sign({ nbf: nowSeconds + 60 }), { now }), 'not_yet_valid');
+  });
+
+  it('should reject tokens for another app or shop', () => {
+    expectReason(() => verifyPosSessionToken(sign({ aud: 'other-app' }), { now }), 'invalid_audience');
+    expectReason(() => verifyPosSessionToken(sign({ dest: 'https://other-shop.myshopify.com' }), { now }), 'invalid_shop');
+    expectReason(() => verifyPosSessionToken(sign({ iss: 'https://other-shop.myshopify.com/admin' }), { now }), 'invalid_issuer');
+  });
+
+  it('should reject tokens without expiry or staff member', () => {
+    expectReason(() => verifyPosSessionToken(signWithout('exp'), { now }), 'malformed');
+    expectReason(() => verifyPosSessionToken(signWithout('sub'), { now }), 'missing_staff');
+    expectReason(() => verifyPosSessionToken('not-a-jwt', { now }), 'malformed');
+  });
+
+  it('should reject every token when the app credentials are not configured', () => {
+    config.SHOPIFY.API_SECRET = undefined;
+    expectReason(() => verifyPosSessionToken(sign(), { now }), 'not_configured');
+  });
+
+  it('should read bearer tokens from the Authorization header', () => {
+    expect(readBearerToken('Bearer abc.def.ghi')).toBe('abc.def.ghi');
+    expect(readBearerToken('bearer abc')).toBe('abc');
+    expect(readBearerToken('Basic abc')).toBeNull();
+    expect(readBearerToken(undefined)).toBeNull();
+  });
+});
@@ -180,6 +180,72 @@ describe('Products Routes', () => {
     });
   });
 
+  describe('GET /api/products/variants', () => {
+    it('should resolve variants by ids', async () => {
+      shopifyService.fetchVariants.mockResolvedValue({
+        'gid://shopify/ProductVariant/456': { id: 'gid://shopify/ProductVariant/456', price: '25.00' },
+        'gid://shopify/ProductVariant/999': null
+      });
+
+      const response = await request(app)
+        .get('/api/products/variants')
+        .query({ ids: '456, 999' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.variants).toHaveLength(1);
+      expect(response.body.not_found).toEqual({
+        ids: ['gid://shopify/ProductVariant/999'],
+        barcodes: []
+      });
+      expect(shopifyService.fetchVariants).toHaveBeenCalledWith(['456', '999']);
+      expect(shopifyService.fetchVariantsByBarcode).not.toHaveBeenCalled();
+      expect(shopifyService.fetchProduct).not.toHaveBeenCalled();
+    });
+
+    it('should resolve variants by barcodes', async () => {
+      shopifyService.fetchVariantsByBarcode.mockResolvedValue({
+        '4890000000001': { id: 'gid://shopify/ProductVariant/456', barcode: '4890000000001' }
+      });
+
+      const response = await request(app)
+        .get('/api/products/variants')
+        .query({ barcodes: '4890000000001' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.variants[0].barcode).toBe('4890000000001');
+      expect(shopifyService.fetchVariantsByBarcode).toHaveBeenCalledWith(['4890000000001']);
+    });
+
+    it('should reject request without ids or barcodes', async () => {
+      const response = await request(app)
+        .get('/api/products/variants');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('ids or barcodes');
+    });
+
+    it('should reject too many ids', async () => {
+      const ids = Array.from({ length: 251 }, (_, i) => i + 1).join(',');
+
+      const response = await request(app)
+        .get('/api/products/variants')
+        .query({ ids });
+
+      expect(response.status).toBe(400);
+      expect(shopifyService.fetchVariants).not.toHaveBeenCalled();
+    });
+
+    it('should handle service errors gracefully', async () => {
+      shopifyService.fetchVariants.mockRejectedValue(new Error('Shopify API error'));
+
+      const response = await request(app)
+        .get('/api/products/variants')
+        .query({ ids: '456' });
+
+      expect(response.status).toBe(500);
+    });
+  });
+
   describe('GET /api/products/:productId', () => {
     it('should fetch a single product by numeric ID', async () => {
       const mockProduct = {
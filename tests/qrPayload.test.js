@@ -0,0 +1,102 @@
+const config = require('../config/serverConfig');
+const { createQrPayload, verifyQrPayload, matchesQrCodeToken, QrPayloadError } = require('../utils/qrPayload');
+
+describe('Signed QR payloads', () => {
+  const originalQrConfig = { ...config.QR };
+  const now = new Date('2026-01-01T10:00:00Z');
+
+  const wishlist = {
+    wishlist_id: '3f6c1a52-8c1e-4c1b-9d2a-6c8f1e2b7a10',
+    qr_code_token: 'a'.repeat(64),
+    expires_at: new Date('2026-01-02T10:00:00Z')
+  };
+
+  beforeEach(() => {
+    config.QR.SIGNING_KEYS = { k2: 'current-secret', k1: 'previous-secret' };
+    config.QR.ACTIVE_KEY_ID = 'k2';
+    config.QR.TTL_SECONDS = 300;
+    config.QR.CLOCK_SKEW_SECONDS = 30;
+  });
+
+  afterAll(() => {
+    Object.assign(config.QR, originalQrConfig);
+  });
+
+  const expectReason = (fn, reason) => {
+    try {
+      fn();
+    } catch (error) {
+      expect(error).toBeInstanceOf(QrPayloadError);
+      expect(error.statusCode).toBe(401);
+      expect(error.details).toEqual({ reason });
+      return;
+    }
+    throw new Error(`Expected QrPayloadError with reason ${reason}`);
+  };
+
+  it('should sign with the active key and verify within the time window', () => {
+    const signed = createQrPayload(wishlist, { now });
+
+    expect(signed.payload).toMatch(/^wl1\.k2\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(signed.payload).not.toContain(wishlist.qr_code_token);
+    expect(signed.expires_at).toEqual(new Date('2026-01-01T10:05:00Z'));
+
+    const claims = verifyQrPayload(signed.payload, { now: new Date('2026-01-01T10:04:00Z') });
+    expect(claims).toMatchObject({ wishlist_id: wishlist.wishlist_id, key_id: 'k2' });
+    expect(matchesQrCodeToken(claims, wishlist.qr_code_token)).toBe(true);
+    expect(matchesQrCodeToken(claims, 'b'.repeat(64))).toBe(false);
+  });
+
+  it('should never outlive the wishlist', () => {
+    const signed = createQrPayload({ ...wishlist, expires_at: new Date('2026-01-01T10:01:00Z') }, { now });
+    expect(signed.expires_at).toEqual(new Date('2026-01-01T10:01:00Z'));
+  });
+
+  it('should reject expired payloads', () => {
+    const { payload } = createQrPayload(wishlist, { now });
+    expectReason(() => verifyQrPayload(payload, { now: new Date('2026-01-01T10:06:00Z') }), 'expired');
+  });
+
+  it('should reject payloads issued in the future', () => {
+    const { payload } = createQrPayload(wishlist, { now: new Date('2026-01-01T10:10:00Z') });
+    expectReason(() => verifyQrPayload(payload, { now }), 'not_yet_valid');
+  });
+
+  it('should reject tampered claims and signatures', () => {
+    const { payload } = createQrPayload(wishlist, { now });
+    const [version, keyId, claims, signature] = payload.split('.');
+
+    const forgedClaims = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(claims, 'base64url').toString()),
+      w: '00000000-0000-0000-0000-000000000000'
+    })).toString('base64url');
+
+    expectReason(() => verifyQrPayload([version, keyId, forgedClaims, signature].join('.'), { now }), 'invalid_signature');
+    expectReason(() => verifyQrPayload([version, keyId, claims, `${signature}x`].join('.'), { now }), 'invalid_signature');
+    expectReason(() => verifyQrPayload([version, 'k1', claims, signature].join('.'), { now }), 'invalid_signature');
+  });
+
+  it('should reject malformed payloads', () => {
+    expectReason(() => verifyQrPayload('not-a-payload', { now }), 'malformed');
+    expectReason(() => verifyQrPayload(wishlist.qr_code_token, { now }), 'malformed');
+    expectReason(() => verifyQrPayload({ w: wishlist.wishlist_id }, { now }), 'malformed');
+  });
+
+  it('should keep accepting payloads of a previous key until it is removed', () => {
+    config.QR.ACTIVE_KEY_ID = 'k1';
+    const { payload } = createQrPayload(wishlist, { now });
+
+    // Rotate: sign with k2, k1 still listed
+    config.QR.ACTIVE_KEY_ID = 'k2';
+    expect(verifyQrPayload(payload, { now }).key_id).toBe('k1');
+
+    // Retire k1
+    config.QR.SIGNING_KEYS = { k2: 'current-secret' };
+    expectReason(() => verifyQrPayload(payload, { now }), 'unknown_key');
+  });
+
+  it('should fail loudly when the active key is not configured', () => {
+    config.QR.ACTIVE_KEY_ID = 'k3';
+    expect(() => createQrPayload(wishlist, { now })).toThrow('QR signing key "k3" is not configured');
+  });
+});
@@ -0,0 +1,158 @@
+const shopifyService = require('../services/shopify.service');
+const { clearCache, invalidateCacheTags, productCacheTag, collectionCacheTag } = require('../utils/cache');
+const { createMockShopifyServer } = require('./helpers/mockShopifyServer');
+
+describe('Shopify Service', () => {
+  let shopify;
+
+  const variant = (id, extra = {}) => ({
+    id: `gid://shopify/ProductVariant/${id}`,
+    price: '10.00',
+    availableForSale: true,
+    inventoryQuantity: 3,
+    product: { id: 'gid://shopify/Product/7' },
+    ...extra
+  });
+
+  const product = (id) => ({
+    id: `gid://shopify/Product/${id}`,
+    title: `Product ${id}`,
+    variants: { edges: [] }
+  });
+
+  beforeAll(async () => {
+    shopify = createMockShopifyServer({
+      GetVariants: ({ ids }) => ({
+        data: {
+          nodes: ids.map(gid => (gid.endsWith('/404') ? null : variant(gid.split('/').pop())))
+        }
+      }),
+      GetAllProducts: () => ({
+        data: {
+          products: {
+            edges: [product(1), product(2)].map(node => ({ node, cursor: node.id })),
+            pageInfo: { hasNextPage: false, endCursor: null }
+          }
+        }
+      }),
+      GetVariantsByBarcode: ({ query }) => ({
+        data: {
+          productVariants: {
+            edges: [...query.matchAll(/barcode:"([^"]+)"/g)]
+              .map(([, barcode]) => barcode)
+              .filter(barcode => barcode !== 'unknown')
+              .map(barcode => ({ node: variant(`b${barcode}`, { barcode }) }))
+          }
+        }
+      })
+    });
+
+    process.env.SHOPIFY_API_BASE_URL = await shopify.start();
+    process.env.SHOPIFY_SHOP_DOMAIN = 'test-shop.myshopify.com';
+    process.env.SHOPIFY_ACCESS_TOKEN = 'test-access-token';
+  });
+
+  afterAll(async () => {
+    delete process.env.SHOPIFY_API_BASE_URL;
+    await shopify.stop();
+  });
+
+  beforeEach(async () => {
+    await clearCache();
+    shopify.requests.length = 0;
+  });
+
+  describe('fetchVariants', () => {
+    it('should resolve numeric and GID ids with nodes()', async () => {
+      const result = await shopifyService.fetchVariants(['1', 'gid://shopify/ProductVariant/2', '404']);
+
+      expect(Object.keys(result)).toEqual([
+        'gid://shopify/ProductVariant/1',
+        'gid://shopify/ProductVariant/2',
+        'gid://shopify/ProductVariant/404'
+      ]);
+      expect(result['gid://shopify/ProductVariant/1'].price).toBe('10.00');
+      expect(result['gid://shopify/ProductVariant/404']).toBeNull();
+      expect(shopify.requests).toHaveLength(1);
+    });
+
+    it('should split large lists into chunks', async () => {
+      const ids = Array.from({ length: 5 }, (_, i) => String(i + 1));
+
+      const result = await shopifyService.fetchVariants(ids, { chunkSize: 2 });
+
+      expect(Object.values(result).filter(Boolean)).toHaveLength(5);
+      expect(shopify.requests.map(r => r.variables.ids.length)).toEqual([2, 2, 1]);
+    });
+
+    it('should only fetch variants missing from the cache', async () => {
+      await shopifyService.fetchVariants(['1', '2']);
+      shopify.requests.length = 0;
+
+      const result = await shopifyService.fetchVariants(['2', '3']);
+
+      expect(Object.keys(result)).toHaveLength(2);
+      expect(shopify.requests).toHaveLength(1);
+      expect(shopify.requests[0].variables.ids).toEqual(['gid://shopify/ProductVariant/3']);
+    });
+
+    it('should not query Shopify for an empty list', async () => {
+      expect(await shopifyService.fetchVariants([])).toEqual({});
+      expect(shopify.requests).toHaveLength(0);
+    });
+  });
+
+  describe('fetchVariantsByBarcode', () => {
+    it('should resolve barcodes and report unknown ones as null', async () => {
+      const result = await shopifyService.fetchVariantsByBarcode(['111', 'unknown']);
+
+      expect(result['111'].barcode).toBe('111');
+      expect(result.unknown).toBeNull();
+      expect(shopify.requests[0].variables.query).toBe('barcode:"111" OR barcode:"unknown"');
+    });
+
+    it('should chunk barcodes and reuse the cache', async () => {
+      await shopifyService.fetchVariantsByBarcode(['1', '2', '3'], { chunkSize: 2 });
+      expect(shopify.requests).toHaveLength(2);
+
+      shopify.requests.length = 0;
+      await shopifyService.fetchVariantsByBarcode(['1', '2', '3']);
+      expect(shopify.requests).toHaveLength(0);
+    });
+  });
+
+  describe('cache tags', () => {
+    it('should evict a product listing page only when one of its products changes', async () => {
+      await shopifyService.fetchProducts({ limit: 20 });
+      await shopifyService.fetchProducts({ limit: 20 });
+      expect(shopify.requests).toHaveLength(1);
+
+      await invalidateCacheTags([productCacheTag('3')]);
+      await shopifyService.fetchProducts({ limit: 20 });
+      expect(shopify.requests).toHaveLength(1);
+
+      await invalidateCacheTags([productCacheTag('2')]);
+      await shopifyService.fetchProducts({ limit: 20 });
+      expect(shopify.requests).toHaveLength(2);
+    });
+
+    it('should evict listing pages by collection', async () => {
+      await shopifyService.fetchProducts({ limit: 20 });
+
+      const evicted = await invalidateCacheTags([collectionCacheTag(null)]);
+
+      expect(evicted).toEqual(['products:all:limit:20']);
+    });
+
+    it('should evict the cached variants of a changed product', async () => {
+      await shopifyService.fetchVariants(['1', '2']);
+      shopify.requests.length = 0;
+
+      const evicted = await invalidateCacheTags([productCacheTag('gid://shopify/Product/7')]);
+      expect(evicted).toEqual(['variant:gid://shopify/ProductVariant/1', 'variant:gid://shopify/ProductVariant/2']);
+
+      await shopifyService.fetchVariants(['1', '2']);
+      expect(shopify.requests).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const request = require('supertest');
+const { app } = require('../index');
+const { ShopifyWebhook, Wishlist, WishlistItem, WishlistStatusHistory } = require('../models');
+const { sequelize } = require('complex-common-utils');
+const { getCachedData, setCachedData, clearCache, productCacheTag, collectionCacheTag } = require('../utils/cache');
+const config = require('../config/serverConfig');
+const { ORDER_LINK_ACTOR } = require('../services/orderLink.service');
+
+const SECRET = 'test-webhook-secret';
+const PRODUCT_ID = 'gid://shopify/Product/8123456789012';
+
+// Fixture bodies are sent byte for byte, as Shopify would
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'webhooks', `${name}.json`));
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const deliver = (topic, body, headers = {}) => request(app)
+  .post('/api/webhooks/shopify')
+  .set('Content-Type', 'application/json')
+  .set('X-Shopify-Topic', topic)
+  .set('X-Shopify-Hmac-Sha256', sign(body))
+  .set('X-Shopify-Shop-Domain', 'test-shop.myshopify.com')
+  .set('X-Shopify-API-Version', '2024-01')
+  .set('X-Shopify-Webhook-Id', crypto.randomUUID())
+  .set('X-Shopify-Triggered-At', '2024-05-14T20:40:10.000Z')
+  .set(headers)
+  // A string is sent as is; supertest would JSON-serialise a Buffer and break the signature
+  .send(body.toString('utf8'));
+
+describe('Shopify Webhooks', () => {
+  const originalSecret = config.SHOPIFY.WEBHOOK_SECRET;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    config.SHOPIFY.WEBHOOK_SECRET = SECRET;
+  });
+
+  afterAll(async () => {
+    config.SHOPIFY.WEBHOOK_SECRET = originalSecret;
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await ShopifyWebhook.destroy({ where: {}, force: true });
+    await WishlistStatusHistory.destroy({ where: {}, force: true });
+    await WishlistItem.destroy({ where: {}, force: true });
+    await Wishlist.destroy({ where: {}, force: true });
+    await clearCache();
+  });
+
+  describe('signature verification', () => {
+    it('should reject a delivery signed with another secret', async () => {
+      const body = fixture('products-update');
+
+      const response = await deliver('products/update', body, {
+        'X-Shopify-Hmac-Sha256': sign(body, 'another-secret')
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid webhook signature');
+      expect(await ShopifyWebhook.count()).toBe(0);
+    });
+
+    it('should reject a body changed after signing', async () => {
+      const body = fixture('products-update');
+      const tampered = Buffer.from(body.toString().replace('19.99', '0.01'));
+
+      const response = await deliver('products/update', tampered, {
+        'X-Shopify-Hmac-Sha256': sign(body)
+      });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject a delivery without a signature', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/shopify')
+        .set('Content-Type', 'application/json')
+        .set('X-Shopify-Topic', 'products/update')
+        .set('X-Shopify-Webhook-Id', crypto.randomUUID())
+        .send(fixture('products-update'));
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should require the topic and webhook id headers', async () => {
+      const response = await deliver('products/update', fixture('products-update'), {
+        'X-Shopify-Webhook-Id': ''
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should accept unsigned deliveries outside production when no secret is configured', async () => {
+      config.SHOPIFY.WEBHOOK_SECRET = undefined;
+
+      try {
+        const response = await deliver('products/delete', fixture('products-delete'), {
+          'X-Shopify-Hmac-Sha256': 'not-checked'
+        });
+
+        expect(response.status).toBe(200);
+      } finally {
+        config.SHOPIFY.WEBHOOK_SECRET = SECRET;
+      }
+    });
+  });
+
+  describe('deduplication', () => {
+    it('should handle a delivery once and acknowledge retries', async () => {
+      const body = fixture('products-update');
+      const webhookId = crypto.randomUUID();
+
+      const first = await deliver('products/update', body, { 'X-Shopify-Webhook-Id': webhookId });
+      expect(first.status).toBe(200);
+      expect(first.body).toEqual({ webhook_id: webhookId, status: 'PROCESSED', duplicate: false });
+
+      // Cached again after the first delivery; a replay must not drop it
+      await setCachedData(`product:${PRODUCT_ID}`, { id: 1 }, 60, { tags: [productCacheTag(PRODUCT_ID)] });
+
+      const retry = await deliver('products/update', body, { 'X-Shopify-Webhook-Id': webhookId });
+      expect(retry.status).toBe(200);
+      expect(retry.body).toEqual({ webhook_id: webhookId, status: 'PROCESSED', duplicate: true });
+      expect(await getCachedData(`product:${PRODUCT_ID}`)).toEqual({ id: 1 });
+
+      const delivery = await ShopifyWebhook.findOne({ where: { webhook_id: webhookId } });
+      expect(delivery).toMatchObject({
+        topic: 'products/update',
+        shop_domain: 'test-shop.myshopify.com',
+        api_version: '2024-01',
+        attempts: 1
+      });
+      expect(delivery.triggered_at.toISOString()).toBe('2024-05-14T20:40:10.000Z');
+    });
+
+    it('should handle a failed delivery again', async () => {
+      const webhookId = crypto.randomUUID();
+      await ShopifyWebhook.create({
+        webhook_id: webhookId,
+        topic: 'products/delete',
+        status: 'FAILED',
+        error: 'Cache invalidation failed'
+      });
+
+      const response = await deliver('products/delete', fixture('products-delete'), { 'X-Shopify-Webhook-Id': webhookId });
+
+      expect(response.status).toBe(200);
+      expect(response.body.duplicate).toBe(false);
+
+      const delivery = await ShopifyWebhook.findOne({ where: { webhook_id: webhookId } });
+      expect(delivery).toMatchObject({ status: 'PROCESSED', attempts: 2, error: null });
+    });
+
+    it('should return 409 while the same delivery is being processed', async () => {
+      const webhookId = crypto.randomUUID();
+      await ShopifyWebhook.create({ webhook_id: webhookId, topic: 'products/delete' });
+
+      const response = await deliver('products/delete', fixture('products-delete'), { 'X-Shopify-Webhook-Id': webhookId });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('handlers', () => {
+    it('products/update should drop exactly the entries holding the product', async () => {
+      const tags = [productCacheTag(PRODUCT_ID)];
+      await setCachedData(`product:${PRODUCT_ID}`, { id: 1 }, 60, { tags });
+      await setCachedData('variant:gid://shopify/ProductVariant/44123456789012', { id: 2 }, 30, { tags });
+      await setCachedData('variant:barcode:0123456789012', { id: 2 }, 30, { tags });
+      await setCachedData('products:all:limit:20', { products: [] }, 60, {
+        tags: [collectionCacheTag(null), productCacheTag(PRODUCT_ID), productCacheTag('gid://shopify/Product/1')]
+      });
+      await setCachedData('products:all:limit:20:after:abc', { products: [] }, 60, {
+        tags: [collectionCacheTag(null), productCacheTag('gid://shopify/Product/2')]
+      });
+      await setCachedData('variant:gid://shopify/ProductVariant/1', { id: 4 }, 30, {
+        tags: [productCacheTag('gid://shopify/Product/1')]
+      });
+
+      const response = await deliver('products/update', fixture('products-update'));
+
+      expect(response.status).toBe(200);
+      expect(await getCachedData(`product:${PRODUCT_ID}`)).toBeNull();
+      expect(await getCachedData('variant:gid://shopify/ProductVariant/44123456789012')).toBeNull();
+      expect(await getCachedData('variant:barcode:0123456789012')).toBeNull();
+      expect(await getCachedData('products:all:limit:20')).toBeNull();
+      expect(await getCachedData('products:all:limit:20:after:abc')).toEqual({ products: [] });
+      expect(await getCachedData('variant:gid://shopify/ProductVariant/1')).toEqual({ id: 4 });
+
+      const delivery = await ShopifyWebhook.findOne();
+      expect(delivery.result.keys).toEqual(expect.arrayContaining([`product:${PRODUCT_ID}`, 'products:all:limit:20']));
+      expect(delivery.result.keys).toHaveLength(4);
+    });
+
+    it('products/delete should drop the entries holding the product (payload has the numeric ID only)', async () => {
+      await setCachedData(`product:${PRODUCT_ID}`, { id: 1 }, 60, { tags: [productCacheTag(PRODUCT_ID)] });
+      await setCachedData('products:all:limit:20', { products: [] }, 60, { tags: [productCacheTag(PRODUCT_ID)] });
+
+      const response = await deliver('products/delete', fixture('products-delete'));
+
+      expect(response.status).toBe(200);
+      expect(await getCachedData(`product:${PRODUCT_ID}`)).toBeNull();
+      expect(await getCachedData('products:all:limit:20')).toBeNull();
+    });
+
+    it('inventory_levels/update should drop product listings', async () => {
+      await setCachedData('products:all:limit:20:loc:71234567890', { products: [] });
+
+      const response = await deliver('inventory_levels/update', fixture('inventory-levels-update'));
+
+      expect(response.status).toBe(200);
+      expect(await getCachedData('products:all:limit:20:loc:71234567890')).toBeNull();
+    });
+
+    it('collections/update should drop listings of that collection only', async () => {
+      await setCachedData('products:summer:limit:20', { products: [] }, 60, { tags: [collectionCacheTag('summer')] });
+      await setCachedData('products:summer:limit:20:after:abc', { products: [] }, 60, { tags: [collectionCacheTag('summer')] });
+      await setCachedData('products:winter:limit:20', { products: [] }, 60, { tags: [collectionCacheTag('winter')] });
+
+      const response = await deliver('collections/update', fixture('collections-update'));
+
+      expect(response.status).toBe(200);
+      expect(await getCachedData('products:summer:limit:20')).toBeNull();
+      expect(await getCachedData('products:summer:limit:20:after:abc')).toBeNull();
+      expect(await getCachedData('products:winter:limit:20')).toEqual({ products: [] });
+    });
+
+    it('orders/create should drop the ordered products, including variants cached by barcode', async () => {
+      const ordered = { tags: [productCacheTag('gid://shopify/Product/8123456789012')] };
+      await setCachedData('variant:gid://shopify/ProductVariant/44123456789012', { id: 2 }, 60, ordered);
+      await setCachedData('variant:barcode:4891234567890', { id: 2 }, 60, ordered);
+      await setCachedData('variant:gid://shopify/ProductVariant/44123456789013', { id: 3 }, 60, {
+        tags: [productCacheTag('gid://shopify/Product/8123456789013')]
+      });
+
+      const response = await deliver('orders/create', fixture('orders-create'));
+
+      expect(response.status).toBe(200);
+      expect(await getCachedData('variant:gid://shopify/ProductVariant/44123456789012')).toBeNull();
+      expect(await getCachedData('variant:barcode:4891234567890')).toBeNull();
+      expect(await getCachedData('variant:gid://shopify/ProductVariant/44123456789013')).toEqual({ id: 3 });
+    });
+
+    it('should acknowledge topics without a handler', async () => {
+      const body = Buffer.from(JSON.stringify({ id: 1 }));
+
+      const response = await deliver('customers/create', body);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('IGNORED');
+    });
+
+    it('should reject a signed body that is not JSON', async () => {
+      const response = await deliver('products/update', Buffer.from('not json'));
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('orders/create wishlist linking', () => {
+    const ORDER_ID = 'gid://shopify/Order/5912345678901';
+
+    // The fixture order, changed by `change` and serialised again
+    const order = (change) => {
+      const payload = JSON.parse(fixture('orders-create').toString());
+      change(payload);
+      return Buffer.from(JSON.stringify(payload));
+    };
+
+    const createWishlist = async (status, items = [{ variant: '44123456789012', quantity: 2 }]) => {
+      const wishlist = await Wishlist.create({
+        user_id: 'webhook-user',
+        status,
+        source: 'KIOSK',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+      await WishlistItem.bulkCreate(items.map(item => ({
+        wishlist_id: wishlist.wishlist_id,
+        shopify_variant_id: `gid://shopify/ProductVariant/${item.variant}`,
+        quantity: item.quantity,
+        product_title: `Product ${item.variant}`
+      })));
+      return wishlist;
+    };
+
+    it('should complete the wishlist named by a note attribute and store the order', async () => {
+      const wishlist = await createWishlist('PROCESSING');
+
+      const response = await deliver('orders/create', order(payload => {
+        payload.note_attributes = [{ name: 'wishlist_id', value: wishlist.wishlist_id }];
+      }));
+
+      expect(response.status).toBe(200);
+
+      await wishlist.reload();
+      expect(wishlist.status).toBe('COMPLETED');
+      expect(wishlist.processed_by).toBe(ORDER_LINK_ACTOR);
+      expect(wishlist.metadata).toMatchObject({
+        shopify_order_id: ORDER_ID,
+        shopify_order_name: '#1001',
+        shopify_order: {
+          id: ORDER_ID,
+          currency: 'USD',
+          total_price: '39.98',
+          line_items: [{ variant_id: 44123456789012, quantity: 2, price: '19.99' }]
+        },
+        order_discrepancies: { missing: [], added: [] }
+      });
+
+      const history = await WishlistStatusHistory.findOne({ where: { wishlist_id: wishlist.wishlist_id } });
+      expect(history).toMatchObject({ from_status: 'PROCESSING', to_status: 'COMPLETED', reason: 'Linked to Shopify order #1001' });
+
+      const delivery = await ShopifyWebhook.findOne();
+      expect(delivery.result.wishlists).toEqual([
+        { wishlist_id: wishlist.wishlist_id, outcome: 'completed', status: 'COMPLETED', missing_lines: 0, added_lines: 0 }
+      ]);
+    });
+
+    it('should flag lines missing from and added to the order', async () => {
+      const wishlist = await createWishlist('PROCESSING', [
+        { variant: '44123456789012', quantity: 2 },
+        { variant: '44123456789099', quantity: 1 }
+      ]);
+
+      const response = await deliver('orders/create', order(payload => {
+        const [line] = payload.line_items;
+        line.quantity = 1;
+        line.properties = [{ name: 'wishlist_id', value: wishlist.wishlist_id }];
+        payload.line_items.push({ ...line, id: 14123456789013, variant_id: 44123456789013, title: 'Example Socks', properties: [] });
+      }));
+
+      expect(response.status).toBe(200);
+
+      await wishlist.reload();
+      expect(wishlist.status).toBe('COMPLETED');
+      const { missing, added } = wishlist.metadata.order_discrepancies;
+      expect(missing).toHaveLength(2);
+      expect(missing).toEqual(expect.arrayContaining([
+        { variant_id: 'gid://shopify/ProductVariant/44123456789012', title: 'Product 44123456789012', expected_quantity: 2, ordered_quantity: 1 },
+        { variant_id: 'gid://shopify/ProductVariant/44123456789099', title: 'Product 44123456789099', expected_quantity: 1, ordered_quantity: 0 }
+      ]));
+      expect(added).toEqual([
+        { variant_id: 44123456789013, title: 'Example Socks', expected_quantity: 0, ordered_quantity: 1 }
+      ]);
+
+      const history = await WishlistStatusHistory.findOne({ where: { wishlist_id: wishlist.wishlist_id } });
+      expect(history.reason).toBe('Linked to Shopify order #1001 (2 missing, 1 added lines)');
+    });
+
+    it('should link by tag and complete an ACTIVE wishlist as the staff member who rang it up', async () => {
+      const wishlist = await createWishlist('ACTIVE');
+
+      const response = await deliver('orders/create', order(payload => {
+        payload.tags = `pos, wishlist_id:${wishlist.wishlist_id.toUpperCase()}`;
+        payload.user_id = 98765;
+      }));
+
+      expect(response.status).toBe(200);
+
+      await wishlist.reload();
+      expect(wishlist.status).toBe('COMPLETED');
+      expect(wishlist.processed_by).toBe('staff:98765');
+    });
+
+    it('should only store the order on a wishlist already completed with it', async () => {
+      const wishlist = await createWishlist('PROCESSING');
+      const body = order(payload => {
+        payload.note_attributes = [{ name: 'wishlist_id', value: wishlist.wishlist_id }];
+      });
+
+      await deliver('orders/create', body);
+      // Same order again under another webhook id (e.g. a second subscription)
+      const webhookId = crypto.randomUUID();
+      const response = await deliver('orders/create', body, { 'X-Shopify-Webhook-Id': webhookId });
+
+      expect(response.status).toBe(200);
+      const delivery = await ShopifyWebhook.findOne({ where: { webhook_id: webhookId } });
+      expect(delivery.result.wishlists[0].outcome).toBe('updated');
+      expect(await WishlistStatusHistory.count({ where: { wishlist_id: wishlist.wishlist_id } })).toBe(1);
+    });
+
+    it('should keep a partial fulfilment recorded at the till', async () => {
+      const wishlist = await createWishlist('PROCESSING');
+      await WishlistItem.update({ fulfilment_status: 'PICKED', picked_quantity: 1 }, { where: { wishlist_id: wishlist.wishlist_id } });
+
+      const response = await deliver('orders/create', order(payload => {
+        payload.note_attributes = [{ name: 'wishlist_id', value: wishlist.wishlist_id }];
+        payload.line_items[0].quantity = 1;
+      }));
+
+      expect(response.status).toBe(200);
+      expect((await wishlist.reload()).status).toBe('PARTIALLY_COMPLETED');
+    });
+
+    it('should only store the order when the till completes the wishlist after it was read', async () => {
+      const wishlist = await createWishlist('PROCESSING');
+      const stale = await Wishlist.findByPk(wishlist.wishlist_id);
+      await wishlist.update({ status: 'PARTIALLY_COMPLETED', metadata: { shopify_order_id: ORDER_ID } });
+      const findByPk = jest.spyOn(Wishlist, 'findByPk').mockResolvedValueOnce(stale);
+
+      try {
+        const response = await deliver('orders/create', order(payload => {
+          payload.note_attributes = [{ name: 'wishlist_id', value: wishlist.wishlist_id }];
+        }));
+
+        expect(response.status).toBe(200);
+      } finally {
+        findByPk.mockRestore();
+      }
+
+      const delivery = await ShopifyWebhook.findOne();
+      expect(delivery.result.wishlists[0]).toMatchObject({ outcome: 'updated', status: 'PARTIALLY_COMPLETED' });
+      expect((await wishlist.reload()).metadata.shopify_order_name).toBe('#1001');
+    });
+
+    it('should leave wishlists completed with another order, cancelled or unknown alone', async () => {
+      const completed = await createWishlist('COMPLETED');
+      await completed.update({ metadata: { shopify_order_id: 'gid://shopify/Order/1' } });
+      const cancelled = await createWishlist('CANCELLED');
+      const unknown = '00000000-0000-0000-0000-000000000000';
+
+      const response = await deliver('orders/create', order(payload => {
+        payload.note_attributes = [
+          { name: 'wishlist_id', value: completed.wishlist_id },
+          { name: 'wishlist_id', value: 'not-a-wishlist-id' }
+        ];
+        payload.tags = `wishlist_id:${cancelled.wishlist_id}, wishlist_id:${unknown}`;
+      }));
+
+      expect(response.status).toBe(200);
+
+      const delivery = await ShopifyWebhook.findOne();
+      expect(delivery.result.wishlists).toEqual([
+        { wishlist_id: completed.wishlist_id, outcome: 'conflict', status: 'COMPLETED', shopify_order_id: 'gid://shopify/Order/1' },
+        { wishlist_id: cancelled.wishlist_id, outcome: 'skipped', status: 'CANCELLED' },
+        { wishlist_id: unknown, outcome: 'not_found' }
+      ]);
+
+      await completed.reload();
+      expect(completed.metadata).toEqual({ shopify_order_id: 'gid://shopify/Order/1' });
+    });
+  });
+});
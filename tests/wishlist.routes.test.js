@@ -1,7 +1,12 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const { app } = require('../index');
-const { Wishlist, WishlistItem, Idempotency } = require('../models');
+const { Wishlist, WishlistItem, Idempotency, WishlistStatusHistory } = require('../models');
 const { sequelize } = require('complex-common-utils');
+const config = require('../config/serverConfig');
+const { createMockShopifyServer } = require('./helpers/mockShopifyServer');
+const { clearCache } = require('../utils/cache');
+const { transitionWishlist } = require('../services/wishlistStatus.service');
 
 describe('Wishlist Routes', () => {
 
@@ -18,6 +23,7 @@ describe('Wishlist Routes', () => {
     jest.clearAllMocks();
     // Clean database before each test
     await WishlistItem.destroy({ where: {}, force: true });
+    await WishlistStatusHistory.destroy({ where: {}, force: true });
     await Wishlist.destroy({ where: {}, force: true });
     await Idempotency.destroy({ where: {}, force: true });
   });
@@ -51,6 +57,8 @@ describe('Wishlist Routes', () => {
       expect(response.status).toBe(201);
       expect(response.body).toHaveProperty('wishlist');
       expect(response.body).toHaveProperty('qr_code_token');
+      expect(response.body.qr_payload).toMatch(/^wl1\./);
+      expect(response.body).toHaveProperty('qr_payload_expires_at');
       expect(response.body.wishlist.user_id).toBe('user-123');
       expect(response.body.wishlist.status).toBe('ACTIVE');
       expect(response.body.wishlist.source).toBe('KIOSK');
@@ -129,8 +137,44 @@ describe('Wishlist Routes', () => {
         .set('idempotency-key', idempotencyKey)
         .send(wishlistData);
 
-      expect(response2.status).toBe(200);
+      // The stored response is replayed, status code included
+      expect(response2.status).toBe(201);
+      expect(response2.headers['idempotent-replayed']).toBe('true');
       expect(response2.body.wishlist.wishlist_id).toBe(wishlistId1);
+      expect(await Wishlist.count()).toBe(1);
+    });
+
+    it('should roll back the wishlist and mark the idempotency key FAILED when items cannot be written', async () => {
+      const wishlistData = {
+        user_id: 'user-789',
+        items: [{ variant_id: 'gid://shopify/ProductVariant/123', product_title: 'Test Product', quantity: 1 }]
+      };
+      const bulkCreate = jest.spyOn(WishlistItem, 'bulkCreate').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      try {
+        const failed = await request(app)
+          .post('/api/wishlists')
+          .set('idempotency-key', 'failing-key')
+          .send(wishlistData);
+
+        expect(failed.status).toBe(500);
+        expect(await Wishlist.count()).toBe(0);
+
+        const record = await Idempotency.findOne({ where: { idempotency_key: 'failing-key' } });
+        expect(record.status).toBe('FAILED');
+      } finally {
+        bulkCreate.mockRestore();
+      }
+
+      // Retrying with the same key runs the request again
+      const retried = await request(app)
+        .post('/api/wishlists')
+        .set('idempotency-key', 'failing-key')
+        .send(wishlistData);
+
+      expect(retried.status).toBe(201);
+      expect(retried.body.wishlist.items).toHaveLength(1);
+      expect((await Idempotency.findOne({ where: { idempotency_key: 'failing-key' } })).status).toBe('COMPLETED');
     });
 
     it('should reject request without user_id', async () => {
@@ -181,6 +225,109 @@ describe('Wishlist Routes', () => {
       expect(response.body.error).toContain('items');
     });
 
+    it('should list every invalid item in a structured 400', async () => {
+      const response = await request(app)
+        .post('/api/wishlists')
+        .send({
+          user_id: 'user-123',
+          items: [
+            { variant_id: 'gid://shopify/ProductVariant/1', product_title: 'Valid', quantity: 1 },
+            { product_title: 'No Variant', quantity: 1 },
+            { variant_id: 'gid://shopify/ProductVariant/3', product_title: 'Bad', quantity: 0, price: 'free' },
+            'not-an-object'
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid wishlist items');
+      expect(response.body.item_errors.map(e => [e.index, e.field])).toEqual([
+        [1, 'variant_id'],
+        [2, 'quantity'],
+        [2, 'price'],
+        [3, 'item']
+      ]);
+      expect(await Wishlist.count()).toBe(0);
+    });
+
+    it('should merge lines for the same variant', async () => {
+      const response = await request(app)
+        .post('/api/wishlists')
+        .send({
+          user_id: 'user-123',
+          items: [
+            { variant_id: 'gid://shopify/ProductVariant/123', product_title: 'Test Product', quantity: 2 },
+            { variant_id: 'gid://shopify/ProductVariant/123', product_title: 'Test Product', quantity: 3 }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.wishlist.items).toHaveLength(1);
+      expect(response.body.wishlist.items[0].quantity).toBe(5);
+    });
+
+    describe('limits', () => {
+      const defaults = { ...config.WISHLIST };
+
+      afterEach(() => {
+        Object.assign(config.WISHLIST, defaults);
+      });
+
+      const item = (n, quantity = 1) => ({
+        variant_id: `gid://shopify/ProductVariant/${n}`,
+        product_title: `Product ${n}`,
+        quantity
+      });
+
+      it('should reject more lines than MAX_ITEMS', async () => {
+        config.WISHLIST.MAX_ITEMS = 2;
+
+        const response = await request(app)
+          .post('/api/wishlists')
+          .send({ user_id: 'user-123', items: [item(1), item(2), item(3)] });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ max_items: 2, item_count: 3 });
+      });
+
+      it('should reject a line above the max quantity, including merged duplicates', async () => {
+        config.WISHLIST.MAX_QUANTITY_PER_ITEM = 5;
+
+        const response = await request(app)
+          .post('/api/wishlists')
+          .send({ user_id: 'user-123', items: [item(1, 6), item(2, 3), item(2, 3)] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.item_errors.map(e => [e.index, e.field])).toEqual([
+          [0, 'quantity'],
+          [2, 'quantity']
+        ]);
+      });
+
+      it('should merge a numeric variant ID with its GID before checking the max quantity', async () => {
+        config.WISHLIST.MAX_QUANTITY_PER_ITEM = 5;
+
+        const response = await request(app)
+          .post('/api/wishlists')
+          .send({ user_id: 'user-123', items: [item(1, 3), { ...item(1, 3), variant_id: '1' }] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.item_errors).toEqual([
+          expect.objectContaining({ index: 1, variant_id: '1', field: 'quantity' })
+        ]);
+      });
+
+      it('should reject more units in total than MAX_TOTAL_UNITS', async () => {
+        config.WISHLIST.MAX_TOTAL_UNITS = 10;
+
+        const response = await request(app)
+          .post('/api/wishlists')
+          .send({ user_id: 'user-123', items: [item(1, 6), item(2, 5)] });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ max_total_units: 10, total_units: 11 });
+      });
+    });
+
     it('should default to KIOSK source if not specified', async () => {
       const wishlistData = {
         user_id: 'user-123',
@@ -204,6 +351,158 @@ describe('Wishlist Routes', () => {
     });
   });
 
+  describe('POST/PUT /api/wishlists (strict catalogue mode)', () => {
+    let shopify;
+
+    beforeAll(async () => {
+      shopify = createMockShopifyServer({
+        GetVariants: ({ ids }) => ({
+          data: {
+            nodes: ids.map(id => (id === 'gid://shopify/ProductVariant/123'
+              ? {
+                id,
+                title: 'Large',
+                barcode: '4891234567890',
+                price: '88.00',
+                compareAtPrice: null,
+                availableForSale: true,
+                inventoryQuantity: 5,
+                image: { url: 'https://cdn.shopify.com/large.jpg', altText: null },
+                product: { id: 'gid://shopify/Product/456', title: 'Catalogue Product', handle: 'catalogue-product', status: 'ACTIVE' }
+              }
+              : null))
+          }
+        })
+      });
+
+      process.env.SHOPIFY_API_BASE_URL = await shopify.start();
+      process.env.SHOPIFY_SHOP_DOMAIN = 'test-shop.myshopify.com';
+      process.env.SHOPIFY_ACCESS_TOKEN = 'test-access-token';
+    });
+
+    afterAll(async () => {
+      config.WISHLIST.STRICT_CATALOGUE = false;
+      delete process.env.SHOPIFY_API_BASE_URL;
+      delete process.env.SHOPIFY_SHOP_DOMAIN;
+      delete process.env.SHOPIFY_ACCESS_TOKEN;
+      await shopify.stop();
+    });
+
+    beforeEach(async () => {
+      await clearCache();
+      shopify.requests.length = 0;
+      config.WISHLIST.STRICT_CATALOGUE = true;
+    });
+
+    it('should store snapshot fields from Shopify instead of the client', async () => {
+      const response = await request(app)
+        .post('/api/wishlists')
+        .send({
+          user_id: 'user-123',
+          items: [{
+            variant_id: 'gid://shopify/ProductVariant/123',
+            quantity: 2,
+            product_title: 'Client Title',
+            price: '0.01',
+            barcode: 'client-barcode'
+          }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.wishlist.items[0]).toMatchObject({
+        shopify_variant_id: 'gid://shopify/ProductVariant/123',
+        shopify_product_id: 'gid://shopify/Product/456',
+        quantity: 2,
+        product_title: 'Catalogue Product',
+        variant_title: 'Large',
+        barcode: '4891234567890',
+        image_url: 'https://cdn.shopify.com/large.jpg'
+      });
+      expect(parseFloat(response.body.wishlist.items[0].price)).toBe(88);
+    });
+
+    it('should reject unknown variants with a per-item error list', async () => {
+      const response = await request(app)
+        .post('/api/wishlists')
+        .send({
+          user_id: 'user-123',
+          items: [
+            { variant_id: 'gid://shopify/ProductVariant/123', quantity: 1 },
+            { variant_id: 'gid://shopify/ProductVariant/999', quantity: 1 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.item_errors).toEqual([
+        { index: 1, variant_id: 'gid://shopify/ProductVariant/999', field: 'variant_id', message: 'Variant not found in Shopify catalogue' }
+      ]);
+      expect(await Wishlist.count()).toBe(0);
+    });
+
+    const createActiveWishlist = () => Wishlist.create({
+      user_id: 'user-123',
+      status: 'ACTIVE',
+      source: 'KIOSK',
+      expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    it('should resolve updated items against the catalogue', async () => {
+      const wishlist = await createActiveWishlist();
+
+      const response = await request(app)
+        .put(`/api/wishlists/${wishlist.wishlist_id}/items`)
+        .send({
+          items: [{ variant_id: 'gid://shopify/ProductVariant/123', quantity: 1, price: '0.01' }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.items[0]).toMatchObject({
+        shopify_product_id: 'gid://shopify/Product/456',
+        product_title: 'Catalogue Product',
+        variant_title: 'Large'
+      });
+      expect(parseFloat(response.body.wishlist.items[0].price)).toBe(88);
+    });
+
+    it('should keep existing items when an updated variant is not in the catalogue', async () => {
+      const wishlist = await createActiveWishlist();
+      await WishlistItem.create({
+        wishlist_id: wishlist.wishlist_id,
+        shopify_variant_id: 'var-old',
+        product_title: 'Old Product',
+        quantity: 1
+      });
+
+      const response = await request(app)
+        .put(`/api/wishlists/${wishlist.wishlist_id}/items`)
+        .send({
+          items: [{ variant_id: 'gid://shopify/ProductVariant/999', quantity: 1 }]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.item_errors).toEqual([
+        { index: 0, variant_id: 'gid://shopify/ProductVariant/999', field: 'variant_id', message: 'Variant not found in Shopify catalogue' }
+      ]);
+      const items = await WishlistItem.findAll({ where: { wishlist_id: wishlist.wishlist_id } });
+      expect(items.map(item => item.shopify_variant_id)).toEqual(['var-old']);
+    });
+
+    it('should trust client data when strict mode is off', async () => {
+      config.WISHLIST.STRICT_CATALOGUE = false;
+
+      const response = await request(app)
+        .post('/api/wishlists')
+        .send({
+          user_id: 'user-123',
+          items: [{ variant_id: 'gid://shopify/ProductVariant/999', product_title: 'Client Title', price: '5.00' }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.wishlist.items[0].product_title).toBe('Client Title');
+      expect(shopify.requests).toHaveLength(0);
+    });
+  });
+
   describe('GET /api/wishlists/:wishlistId', () => {
     let testWishlist;
 
@@ -392,6 +691,42 @@ describe('Wishlist Routes', () => {
       expect(response.body.wishlist.items[1].product_title).toBe('New Product 2');
     });
 
+    it('should reject a missing items array instead of crashing', async () => {
+      const response = await request(app)
+        .put(`/api/wishlists/${testWishlist.wishlist_id}/items`)
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('items must be an array');
+    });
+
+    it('should keep existing items when writing the new ones fails', async () => {
+      const bulkCreate = jest.spyOn(WishlistItem, 'bulkCreate').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      try {
+        const response = await request(app)
+          .put(`/api/wishlists/${testWishlist.wishlist_id}/items`)
+          .send({ items: [{ variant_id: 'var-new', product_title: 'New', quantity: 1 }] });
+
+        expect(response.status).toBe(500);
+      } finally {
+        bulkCreate.mockRestore();
+      }
+
+      const items = await WishlistItem.findAll({ where: { wishlist_id: testWishlist.wishlist_id } });
+      expect(items.map(item => item.shopify_variant_id)).toEqual(['var-old']);
+    });
+
+    it('should keep existing items when the payload is invalid', async () => {
+      const response = await request(app)
+        .put(`/api/wishlists/${testWishlist.wishlist_id}/items`)
+        .send({ items: [{ variant_id: 'var-new', product_title: 'New', quantity: -1 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.item_errors[0]).toMatchObject({ index: 0, variant_id: 'var-new', field: 'quantity' });
+      expect(await WishlistItem.count({ where: { wishlist_id: testWishlist.wishlist_id } })).toBe(1);
+    });
+
     it('should return 404 for non-existent wishlist', async () => {
       const updateData = {
         items: []
@@ -419,6 +754,228 @@ describe('Wishlist Routes', () => {
       expect(response.status).toBe(400);
       expect(response.body.error).toContain('Cannot update wishlist');
     });
+
+    it('should keep existing items when a POS scan claims the wishlist after it was read', async () => {
+      // The controller reads the wishlist while ACTIVE; the scan commits before the item transaction
+      const stale = await Wishlist.findByPk(testWishlist.wishlist_id);
+      await testWishlist.update({ status: 'PROCESSING' });
+      const findByPk = jest.spyOn(Wishlist, 'findByPk').mockResolvedValueOnce(stale);
+
+      try {
+        const response = await request(app)
+          .put(`/api/wishlists/${testWishlist.wishlist_id}/items`)
+          .send({ items: [{ variant_id: 'var-new', product_title: 'New', quantity: 1 }] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Cannot update wishlist with status: PROCESSING');
+      } finally {
+        findByPk.mockRestore();
+      }
+
+      const items = await WishlistItem.findAll({ where: { wishlist_id: testWishlist.wishlist_id } });
+      expect(items.map(item => item.shopify_variant_id)).toEqual(['var-old']);
+    });
+  });
+
+  describe('Item-level editing /api/wishlists/:wishlistId/items', () => {
+    let testWishlist;
+    let existingItem;
+
+    beforeEach(async () => {
+      testWishlist = await Wishlist.create({
+        user_id: 'user-123',
+        status: 'ACTIVE',
+        source: 'KIOSK',
+        qr_code_token: 'token-items',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+      existingItem = await WishlistItem.create({
+        wishlist_id: testWishlist.wishlist_id,
+        shopify_variant_id: 'gid://shopify/ProductVariant/1',
+        quantity: 1,
+        product_title: 'Existing Product',
+        price: '10.00'
+      });
+    });
+
+    const itemsUrl = () => `/api/wishlists/${testWishlist.wishlist_id}/items`;
+
+    it('should add an item without touching existing ones', async () => {
+      const response = await request(app)
+        .post(itemsUrl())
+        .send({ variant_id: 'gid://shopify/ProductVariant/2', product_title: 'New Product', quantity: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.item).toMatchObject({ shopify_variant_id: 'gid://shopify/ProductVariant/2', quantity: 2 });
+      expect(response.body.wishlist.items).toHaveLength(2);
+      expect(response.body.wishlist.items.map(i => i.item_id)).toContain(existingItem.item_id);
+    });
+
+    it('should increase the quantity when adding a variant already in the wishlist', async () => {
+      const response = await request(app)
+        .post(itemsUrl())
+        .send({ variant_id: 'gid://shopify/ProductVariant/1', product_title: 'Existing Product', quantity: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.item).toMatchObject({ item_id: existingItem.item_id, quantity: 3 });
+      expect(response.body.wishlist.items).toHaveLength(1);
+    });
+
+    it('should not add an item when a POS scan claims the wishlist after it was read', async () => {
+      const stale = await Wishlist.findByPk(testWishlist.wishlist_id);
+      await testWishlist.update({ status: 'PROCESSING' });
+      const findByPk = jest.spyOn(Wishlist, 'findByPk').mockResolvedValueOnce(stale);
+
+      try {
+        const response = await request(app)
+          .post(itemsUrl())
+          .send({ variant_id: 'gid://shopify/ProductVariant/2', product_title: 'New Product', quantity: 2 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Cannot update wishlist with status: PROCESSING');
+      } finally {
+        findByPk.mockRestore();
+      }
+
+      expect(await WishlistItem.count({ where: { wishlist_id: testWishlist.wishlist_id } })).toBe(1);
+    });
+
+    it('should match an existing line when the variant is sent as a numeric ID', async () => {
+      const response = await request(app)
+        .post(itemsUrl())
+        .send({ variant_id: '1', product_title: 'Existing Product', quantity: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.item).toMatchObject({ item_id: existingItem.item_id, quantity: 3 });
+      expect(response.body.wishlist.items).toHaveLength(1);
+    });
+
+    it('should reject an invalid item with per-field errors', async () => {
+      const response = await request(app)
+        .post(itemsUrl())
+        .send({ product_title: 'No Variant' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].item_errors[0]).toMatchObject({ field: 'variant_id' });
+    });
+
+    it('should change the quantity of one item', async () => {
+      const createdAt = existingItem.created_at;
+
+      const response = await request(app)
+        .patch(`${itemsUrl()}/${existingItem.item_id}`)
+        .send({ quantity: 4 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.item).toMatchObject({ item_id: existingItem.item_id, quantity: 4 });
+
+      const reloaded = await existingItem.reload();
+      expect(reloaded.quantity).toBe(4);
+      expect(reloaded.created_at).toEqual(createdAt);
+    });
+
+    it('should swap the variant of one item, keeping its item_id', async () => {
+      const response = await request(app)
+        .patch(`${itemsUrl()}/${existingItem.item_id}`)
+        .send({ variant_id: 'gid://shopify/ProductVariant/3', product_title: 'Other Size', variant_title: 'XL' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.item).toMatchObject({
+        item_id: existingItem.item_id,
+        shopify_variant_id: 'gid://shopify/ProductVariant/3',
+        product_title: 'Other Size',
+        variant_title: 'XL',
+        quantity: 1
+      });
+    });
+
+    it('should return 404 for an unknown item', async () => {
+      const response = await request(app)
+        .patch(`${itemsUrl()}/00000000-0000-0000-0000-000000000000`)
+        .send({ quantity: 2 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Wishlist item not found');
+    });
+
+    it('should remove one item', async () => {
+      const response = await request(app)
+        .delete(`${itemsUrl()}/${existingItem.item_id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlist.items).toHaveLength(0);
+      expect(await WishlistItem.count({ where: { wishlist_id: testWishlist.wishlist_id } })).toBe(0);
+    });
+
+    it('should reject item changes on a non-active wishlist', async () => {
+      await testWishlist.update({ status: 'PROCESSING' });
+
+      const response = await request(app)
+        .patch(`${itemsUrl()}/${existingItem.item_id}`)
+        .send({ quantity: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Cannot update wishlist');
+    });
+
+    it('should apply bulk operations in order', async () => {
+      const response = await request(app)
+        .patch(itemsUrl())
+        .send({
+          operations: [
+            { op: 'add', path: '/items/-', value: { variant_id: 'gid://shopify/ProductVariant/2', product_title: 'New Product' } },
+            { op: 'replace', path: `/items/${existingItem.item_id}/quantity`, value: 5 },
+            { op: 'add', path: '/items/-', value: { variant_id: 'gid://shopify/ProductVariant/2', product_title: 'New Product', quantity: 2 } }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toHaveLength(3);
+      expect(response.body.results[0].item_id).toBe(response.body.results[2].item_id);
+
+      const byVariant = Object.fromEntries(response.body.wishlist.items.map(i => [i.shopify_variant_id, i.quantity]));
+      expect(byVariant).toEqual({
+        'gid://shopify/ProductVariant/1': 5,
+        'gid://shopify/ProductVariant/2': 3
+      });
+    });
+
+    it('should apply nothing when any bulk operation is invalid', async () => {
+      const response = await request(app)
+        .patch(itemsUrl())
+        .send({
+          operations: [
+            { op: 'remove', path: `/items/${existingItem.item_id}` },
+            { op: 'add', path: '/items/-', value: { variant_id: 'gid://shopify/ProductVariant/2', product_title: 'New', quantity: 0 } },
+            { op: 'move', path: '/items/-' }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => d.index)).toEqual([1, 2]);
+      expect(await WishlistItem.count({ where: { wishlist_id: testWishlist.wishlist_id } })).toBe(1);
+    });
+
+    it('should enforce wishlist limits on the result of bulk operations', async () => {
+      const defaults = { ...config.WISHLIST };
+      config.WISHLIST.MAX_ITEMS = 1;
+
+      try {
+        const response = await request(app)
+          .patch(itemsUrl())
+          .send({
+            operations: [
+              { op: 'add', path: '/items/-', value: { variant_id: 'gid://shopify/ProductVariant/2', product_title: 'New' } }
+            ]
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toContain('at most 1 different items');
+      } finally {
+        Object.assign(config.WISHLIST, defaults);
+      }
+    });
   });
 
   describe('DELETE /api/wishlists/:wishlistId', () => {
@@ -502,14 +1059,210 @@ describe('Wishlist Routes', () => {
       expect(response.body.wishlist.status).toBe('EXPIRED');
     });
 
-    it('should allow expiring completed wishlist', async () => {
+    it('should reject expiring completed wishlist', async () => {
       await testWishlist.update({ status: 'COMPLETED' });
 
       const response = await request(app)
         .post(`/api/wishlists/${testWishlist.wishlist_id}/expire`);
 
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain('from COMPLETED to EXPIRED');
+    });
+  });
+
+  describe('GET /api/wishlists/:wishlistId/history', () => {
+    let testWishlist;
+
+    beforeEach(async () => {
+      testWishlist = await Wishlist.create({
+        user_id: 'user-123',
+        status: 'ACTIVE',
+        source: 'KIOSK',
+        qr_code_token: 'token-123',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+    });
+
+    it('should return an empty history for an untouched wishlist', async () => {
+      const response = await request(app)
+        .get(`/api/wishlists/${testWishlist.wishlist_id}/history`);
+
       expect(response.status).toBe(200);
-      expect(response.body.wishlist.status).toBe('EXPIRED');
+      expect(response.body).toHaveProperty('status', 'ACTIVE');
+      expect(response.body.history).toEqual([]);
+    });
+
+    it('should list every transition in order', async () => {
+      await transitionWishlist(testWishlist, 'PROCESSING', { actor: 'POS' });
+
+      await request(app)
+        .delete(`/api/wishlists/${testWishlist.wishlist_id}`)
+        .send({ reason: 'Duplicate' });
+
+      const response = await request(app)
+        .get(`/api/wishlists/${testWishlist.wishlist_id}/history`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('CANCELLED');
+      expect(response.body.history).toHaveLength(2);
+      expect(response.body.history[0]).toMatchObject({ from_status: 'ACTIVE', to_status: 'PROCESSING', actor: 'POS' });
+      expect(response.body.history[1]).toMatchObject({ from_status: 'PROCESSING', to_status: 'CANCELLED', actor: 'API', reason: 'Duplicate' });
+      expect(response.body.history[1].created_at).toBeDefined();
+    });
+
+    it('should not record a transition for a repeated status', async () => {
+      await request(app).post(`/api/wishlists/${testWishlist.wishlist_id}/expire`);
+      await request(app).post(`/api/wishlists/${testWishlist.wishlist_id}/expire`);
+
+      const response = await request(app)
+        .get(`/api/wishlists/${testWishlist.wishlist_id}/history`);
+
+      expect(response.body.history).toHaveLength(1);
+    });
+
+    it('should return 404 for non-existent wishlist', async () => {
+      const response = await request(app)
+        .get('/api/wishlists/00000000-0000-0000-0000-000000000000/history');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'Wishlist not found');
+    });
+  });
+
+  describe('GET /api/wishlists/:wishlistId/qr.png and qr.svg', () => {
+    let testWishlist;
+
+    beforeEach(async () => {
+      testWishlist = await Wishlist.create({
+        user_id: 'user-123',
+        status: 'ACTIVE',
+        source: 'KIOSK',
+        qr_code_token: 'kiosk-image-token',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+    });
+
+    it('should render the kiosk QR code as PNG with the default size', async () => {
+      const response = await request(app)
+        .get(`/api/wishlists/${testWishlist.wishlist_id}/qr.png`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body.subarray(1, 4).toString()).toBe('PNG');
+      expect(response.body.readUInt32BE(16)).toBeLessThanOrEqual(config.QR.IMAGE.DEFAULT_SIZE);
+    });
+
+    it('should render a taller PNG when a caption is added', async () => {
+      const plain = await request(app)
+        .get(`/api/wishlists/${testWishlist.wishlist_id}/qr.png`);
+      const captioned = await request(app)
+        .get(`/api/wishlists/${testWishlist.wishlist_id}/qr.png`)
+        .query({ caption: 'Scan at the till' });
+
+      expect(captioned.status).toBe(200);
+      expect(captioned.body.readUInt32BE(16)).toBe(plain.body.readUInt32BE(16));
+      expect(captioned.body.readUInt32BE(20)).toBeGreaterThan(plain.body.readUInt32BE(20));
+    });
+
+    it('should render SVG', async () => {
+      const response = await request(app)
+        .get(`/api/wishlists/${testWishlist.wishlist_id}/qr.svg`)
+        .query({ ecc: 'q' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.toString()).toMatch(/^<svg [^>]*viewBox="0 0 \d+ \d+"/);
+    });
+
+    it('should return 404 for a non-existent wishlist', async () => {
+      const response = await request(app)
+        .get('/api/wishlists/00000000-0000-0000-0000-000000000000/qr.png');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should expire the wishlist instead of rendering a QR code for it', async () => {
+      await testWishlist.update({ expires_at: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .get(`/api/wishlists/${testWishlist.wishlist_id}/qr.svg`);
+
+      expect(response.status).toBe(410);
+      expect((await testWishlist.reload()).status).toBe('EXPIRED');
+    });
+  });
+
+  describe('BFF service authentication', () => {
+    let mine;
+    let theirs;
+
+    const serviceToken = (claims = {}) => jwt.sign(
+      { iss: 'complex-bff', aud: 'complex-shopify-service', ...claims },
+      'test-bff-secret',
+      { algorithm: 'HS256', expiresIn: 60 }
+    );
+
+    beforeEach(async () => {
+      config.BFF.JWT_SECRETS = ['test-bff-secret'];
+
+      mine = await Wishlist.create({
+        user_id: 'user-123',
+        status: 'ACTIVE',
+        source: 'KIOSK',
+        qr_code_token: 'mine',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+      theirs = await Wishlist.create({
+        user_id: 'user-456',
+        status: 'ACTIVE',
+        source: 'KIOSK',
+        qr_code_token: 'theirs',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+    });
+
+    afterAll(() => {
+      config.BFF.JWT_SECRETS = [];
+    });
+
+    it('should only reach wishlists of the user named by the token', async () => {
+      const token = serviceToken({ sub: 'user-123' });
+
+      const own = await request(app)
+        .get(`/api/wishlists/${mine.wishlist_id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(own.status).toBe(200);
+
+      const other = await request(app)
+        .delete(`/api/wishlists/${theirs.wishlist_id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(other.status).toBe(404);
+      expect((await theirs.reload()).status).toBe('ACTIVE');
+    });
+
+    it('should restrict search to the user named by the token', async () => {
+      const response = await request(app)
+        .get('/api/wishlists')
+        .set('Authorization', `Bearer ${serviceToken({ sub: 'user-123' })}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.wishlists.map(w => w.wishlist_id)).toEqual([mine.wishlist_id]);
+    });
+
+    it('should let service-level tokens reach any wishlist', async () => {
+      const response = await request(app)
+        .get(`/api/wishlists/${theirs.wishlist_id}`)
+        .set('Authorization', `Bearer ${serviceToken()}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject calls without a service token', async () => {
+      const response = await request(app)
+        .delete(`/api/wishlists/${theirs.wishlist_id}`);
+
+      expect(response.status).toBe(401);
+      expect((await theirs.reload()).status).toBe('ACTIVE');
     });
   });
 });
@@ -0,0 +1,91 @@
+const { Wishlist, WishlistStatusHistory } = require('../models');
+const { sequelize } = require('complex-common-utils');
+const { runExpirySweep } = require('../jobs/wishlistExpiry.job');
+
+describe('Wishlist Expiry Job', () => {
+
+  beforeAll(async () => {
+    // Initialize database
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await WishlistStatusHistory.destroy({ where: {}, force: true });
+    await Wishlist.destroy({ where: {}, force: true });
+  });
+
+  const createWishlist = (overrides) => Wishlist.create({
+    user_id: 'expiry-user-123',
+    status: 'ACTIVE',
+    source: 'KIOSK',
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...overrides
+  });
+
+  it('should expire ACTIVE wishlists past expires_at', async () => {
+    const stale = await createWishlist({ qr_code_token: 'stale', expires_at: new Date(Date.now() - 1000) });
+    const fresh = await createWishlist({ qr_code_token: 'fresh' });
+
+    const result = await runExpirySweep();
+
+    expect(result).toEqual({ expired: 1, skipped: false });
+    expect((await stale.reload()).status).toBe('EXPIRED');
+    expect((await fresh.reload()).status).toBe('ACTIVE');
+  });
+
+  it('should record each expiry in status history', async () => {
+    const stale = await createWishlist({ qr_code_token: 'stale', expires_at: new Date(Date.now() - 1000) });
+
+    await runExpirySweep();
+
+    const history = await WishlistStatusHistory.findAll({ where: { wishlist_id: stale.wishlist_id } });
+    expect(history).toHaveLength(1);
+    expect(history[0].toJSON()).toMatchObject({ from_status: 'ACTIVE', to_status: 'EXPIRED', actor: 'SYSTEM:expiry-job' });
+  });
+
+  it('should expire abandoned PROCESSING wishlists only after the grace period', async () => {
+    const abandoned = await createWishlist({
+      qr_code_token: 'abandoned',
+      status: 'PROCESSING',
+      expires_at: new Date(Date.now() - 2 * 60 * 60 * 1000)
+    });
+    const inFlight = await createWishlist({
+      qr_code_token: 'in-flight',
+      status: 'PROCESSING',
+      expires_at: new Date(Date.now() - 1000)
+    });
+
+    await runExpirySweep({ processingGraceMinutes: 60 });
+
+    expect((await abandoned.reload()).status).toBe('EXPIRED');
+    expect((await inFlight.reload()).status).toBe('PROCESSING');
+  });
+
+  it('should not touch wishlists in a final status', async () => {
+    const completed = await createWishlist({
+      qr_code_token: 'completed',
+      status: 'COMPLETED',
+      expires_at: new Date(Date.now() - 1000)
+    });
+
+    const result = await runExpirySweep();
+
+    expect(result.expired).toBe(0);
+    expect((await completed.reload()).status).toBe('COMPLETED');
+  });
+
+  it('should process stale wishlists in batches', async () => {
+    for (let i = 0; i < 5; i++) {
+      await createWishlist({ qr_code_token: `batch-${i}`, expires_at: new Date(Date.now() - 1000) });
+    }
+
+    const result = await runExpirySweep({ batchSize: 2 });
+
+    expect(result.expired).toBe(5);
+    expect(await Wishlist.count({ where: { status: 'EXPIRED' } })).toBe(5);
+  });
+});
@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+const { StatusCodes } = require('http-status-codes');
+const config = require('../config/serverConfig');
+
+/**
+ * BFF Service Tokens
+ *
+ * The BFF calls /api/mobile and /api/wishlists with `Authorization: Bearer <token>`, a
+ * short-lived HS256 JWT it signs with a secret shared only with this service:
+ * { iss: BFF_JWT_ISSUER, aud: BFF_JWT_AUDIENCE, sub: <user_id>, exp, iat }.
+ *
+ * `sub` is the end user the BFF authenticated; it replaces any user_id in the query or
+ * body. Service-level calls (kiosk, /api/wishlists only) may omit it. Every secret in BFF_JWT_SECRETS is
+ * accepted, so the BFF can switch to a new secret before the old one is removed.
+ *
+ * Tokens for /api/admin are minted the same way for a signed-in staff member, but with
+ * aud = ADMIN_JWT_AUDIENCE, sub = the staff principal and a `roles` claim (see middleware/adminAuth).
+ * The separate audience keeps admin and end-user tokens from being accepted in each other's place.
+ */
+
+/**
+ * Raised when a BFF token is forged, expired, for another audience or malformed
+ */
+class BffTokenError extends Error {
+    constructor(message, reason, statusCode = StatusCodes.UNAUTHORIZED) {
+        super(message);
+        this.name = 'BffTokenError';
+        this.statusCode = statusCode;
+        this.details = { reason };
+    }
+}
+
+/**
+ * Map jsonwebtoken failures to a stable reason
+ */
+function toTokenError(error) {
+    if (error instanceof jwt.TokenExpiredError) {
+        return new BffTokenError('Service token has expired', 'expired');
+    }
+    if (error instanceof jwt.NotBeforeError) {
+        return new BffTokenError('Service token is not valid yet', 'not_yet_valid');
+    }
+    if (/audience/.test(error.message)) {
+        return new BffTokenError('Service token was issued for another service', 'invalid_audience');
+    }
+    if (/issuer/.test(error.message)) {
+        return new BffTokenError('Service token was not issued by the BFF', 'invalid_issuer');
+    }
+    if (/signature/.test(error.message)) {
+        return new BffTokenError('Service token signature is invalid', 'invalid_signature');
+    }
+    return new BffTokenError('Service token is malformed', 'malformed');
+}
+
+/**
+ * Verify a BFF service token
+ *
+ * @param {string} token - The JWT
+ * @param {Object} options - { audience (defaults to BFF_JWT_AUDIENCE), now }
+ * @returns {Object} { user_id, roles, token_id, expires_at } - user_id is null for service-level calls
+ * @throws {BffTokenError}
+ */
+function verifyBffToken(token, options = {}) {
+    const { JWT_SECRETS, ISSUER, AUDIENCE, CLOCK_TOLERANCE_SECONDS } = config.BFF;
+    const { audience = AUDIENCE, now = new Date() } = options;
+
+    if (JWT_SECRETS.length === 0) {
+        throw new BffTokenError('BFF authentication is not configured', 'not_configured');
+    }
+
+    let claims = null;
+    let lastError = null;
+    for (const secret of JWT_SECRETS) {
+        try {
+            claims = jwt.verify(token, secret, {
+                algorithms: ['HS256'],
+                issuer: ISSUER,
+                audience,
+                clockTolerance: CLOCK_TOLERANCE_SECONDS,
+                clockTimestamp: Math.floor(now.getTime() / 1000)
+            });
+            break;
+        } catch (error) {
+            lastError = error;
+            // Only a wrong signature can be fixed by another secret
+            if (!/signature/.test(error.message)) {
+                break;
+            }
+        }
+    }
+
+    if (!claims) {
+        throw toTokenError(lastError);
+    }
+
+    // jsonwebtoken only checks exp when present; the BFF must always set it
+    if (typeof claims.exp !== 'number') {
+        throw new BffTokenError('Service token has no expiry', 'malformed');
+    }
+
+    return {
+        user_id: claims.sub ? String(claims.sub) : null,
+        roles: Array.isArray(claims.roles) ? claims.roles.map(String) : [],
+        token_id: claims.jti || null,
+        expires_at: new Date(claims.exp * 1000)
+    };
+}
+
+/**
+ * User a request acts for
+ *
+ * With a verified token this is its subject alone. Otherwise (BFF authentication not
+ * configured) it is the user_id the caller supplied. Service-level tokens without `sub`
+ * fall back to the supplied user_id only on routes that allow them (/api/wishlists, for kiosks);
+ * /api/mobile rejects such tokens first (requireEndUser in middleware/bffAuth).
+ */
+function requestUserId(req, claimedUserId) {
+    return req.bffAuth?.user_id || claimedUserId;
+}
+
+module.exports = {
+    BffTokenError,
+    verifyBffToken,
+    requestUserId
+};
@@ -2,11 +2,27 @@ const { createClient } = require('redis');
 
 let redisClient = null;
 let inMemoryCache = new Map();
+// Tag -> keys of the in-memory entries carrying it (entries also list their tags)
+let inMemoryTags = new Map();
 
 // Cache mode configuration
 const CACHE_MODE = process.env.CACHE_MODE || 'memory'; // 'memory' or 'redis'
 const REDIS_URL = process.env.REDIS_URL;
 
+/**
+ * Tags
+ *
+ * An entry can be stored with tags naming what it contains, e.g. every product on a listing
+ * page (productCacheTag). invalidateCacheTags() then evicts exactly the entries holding a
+ * changed product instead of waiting for their TTL or clearing a whole key pattern.
+ *
+ * In Redis each tag is a set `tag:<tag>` of keys. Tag sets expire TAG_TTL_SECONDS after their
+ * last write (or with the longest-lived entry added, if later), so they outlive the entries
+ * they list; members that expired in the meantime are simply deleted again.
+ */
+const TAG_KEY_PREFIX = 'tag:';
+const TAG_TTL_SECONDS = 3600;
+
 /**
  * Initialize Redis client if in Redis mode
  */
@@ -73,7 +89,7 @@ async function getCachedData(key) {
         }
 
         if (cached) {
-            inMemoryCache.delete(key); // Remove expired
+            forgetMemoryKey(key); // Remove expired
         }
         console.log(`📭 Memory Cache MISS: ${key}`);
         return null;
@@ -83,23 +99,65 @@ async function getCachedData(key) {
     }
 }
 
+/**
+ * Remove an in-memory entry and its tag memberships
+ */
+function forgetMemoryKey(key) {
+    const entry = inMemoryCache.get(key);
+    if (!entry) {
+        return;
+    }
+
+    inMemoryCache.delete(key);
+    for (const tag of entry.tags) {
+        const keys = inMemoryTags.get(tag);
+        if (keys) {
+            keys.delete(key);
+            if (keys.size === 0) {
+                inMemoryTags.delete(tag);
+            }
+        }
+    }
+}
+
 /**
  * Set cached data with TTL
+ *
+ * @param {string} key
+ * @param {*} data - JSON-serialisable value
+ * @param {number} ttlSeconds
+ * @param {Object} [options] - { tags } - see invalidateCacheTags
  */
-async function setCachedData(key, data, ttlSeconds = 300) {
+async function setCachedData(key, data, ttlSeconds = 300, options = {}) {
+    const tags = [...new Set((options.tags || []).filter(Boolean))];
+
     try {
         if (CACHE_MODE === 'redis' && redisClient && redisClient.isOpen) {
-            await redisClient.setEx(key, ttlSeconds, JSON.stringify(data));
-            console.log(`💾 Redis Cached: ${key} (TTL: ${ttlSeconds}s)`);
+            const multi = redisClient.multi().setEx(key, ttlSeconds, JSON.stringify(data));
+            for (const tag of tags) {
+                multi
+                    .sAdd(`${TAG_KEY_PREFIX}${tag}`, key)
+                    .expire(`${TAG_KEY_PREFIX}${tag}`, Math.max(ttlSeconds, TAG_TTL_SECONDS));
+            }
+            await multi.exec();
+            console.log(`💾 Redis Cached: ${key} (TTL: ${ttlSeconds}s, tags: ${tags.length})`);
             return true;
         }
 
-        // In-memory cache
+        // In-memory cache - drop the memberships of a previous value first
+        forgetMemoryKey(key);
         inMemoryCache.set(key, {
             data,
+            tags,
             expiresAt: Date.now() + (ttlSeconds * 1000)
         });
-        console.log(`💾 Memory Cached: ${key} (TTL: ${ttlSeconds}s)`);
+        for (const tag of tags) {
+            if (!inMemoryTags.has(tag)) {
+                inMemoryTags.set(tag, new Set());
+            }
+            inMemoryTags.get(tag).add(key);
+        }
+        console.log(`💾 Memory Cached: ${key} (TTL: ${ttlSeconds}s, tags: ${tags.length})`);
         return true;
     } catch (error) {
         console.error('❌ Cache SET error:', error);
@@ -107,6 +165,70 @@ async function setCachedData(key, data, ttlSeconds = 300) {
     }
 }
 
+/**
+ * Delete specific keys (e.g. after a Shopify webhook reports a change)
+ */
+async function deleteCachedData(keys) {
+    const unique = [...new Set(keys.filter(Boolean))];
+    if (unique.length === 0) {
+        return true;
+    }
+
+    try {
+        if (CACHE_MODE === 'redis' && redisClient && redisClient.isOpen) {
+            await redisClient.del(unique);
+            console.log(`🗑️  Deleted ${unique.length} Redis keys`);
+            return true;
+        }
+
+        // In-memory cache
+        for (const key of unique) {
+            forgetMemoryKey(key);
+        }
+        console.log(`🗑️  Deleted ${unique.length} memory cache keys`);
+        return true;
+    } catch (error) {
+        console.error('❌ Cache DELETE error:', error);
+        return false;
+    }
+}
+
+/**
+ * Evict every entry stored with any of `tags`
+ *
+ * @param {Array<string>} tags
+ * @returns {Promise<Array<string>|null>} The evicted keys, or null if the cache could not be reached
+ */
+async function invalidateCacheTags(tags) {
+    const unique = [...new Set(tags.filter(Boolean))];
+    if (unique.length === 0) {
+        return [];
+    }
+
+    try {
+        if (CACHE_MODE === 'redis' && redisClient && redisClient.isOpen) {
+            const tagKeys = unique.map(tag => `${TAG_KEY_PREFIX}${tag}`);
+            const members = await Promise.all(tagKeys.map(tagKey => redisClient.sMembers(tagKey)));
+            const keys = [...new Set(members.flat())];
+
+            await redisClient.del([...keys, ...tagKeys]);
+            console.log(`🏷️  Invalidated ${keys.length} Redis keys for ${unique.length} tags`);
+            return keys;
+        }
+
+        // In-memory cache
+        const keys = [...new Set(unique.flatMap(tag => [...(inMemoryTags.get(tag) || [])]))];
+        for (const key of keys) {
+            forgetMemoryKey(key);
+        }
+        console.log(`🏷️  Invalidated ${keys.length} memory cache keys for ${unique.length} tags`);
+        return keys;
+    } catch (error) {
+        console.error('❌ Cache INVALIDATE error:', error);
+        return null;
+    }
+}
+
 /**
  * Clear cache (useful for testing)
  */
@@ -129,14 +251,15 @@ async function clearCache(pattern = null) {
         // In-memory cache
         if (pattern) {
             const regex = new RegExp(pattern.replace('*', '.*'));
-            for (const key of inMemoryCache.keys()) {
+            for (const key of [...inMemoryCache.keys()]) {
                 if (regex.test(key)) {
-                    inMemoryCache.delete(key);
+                    forgetMemoryKey(key);
                 }
             }
             console.log(`🗑️  Cleared memory cache matching: ${pattern}`);
         } else {
             inMemoryCache.clear();
+            inMemoryTags.clear();
             console.log('🗑️  Cleared all memory cache');
         }
         return true;
@@ -156,10 +279,32 @@ function generateProductsCacheKey(collection, limit, after, locations) {
     return parts.join(':');
 }
 
+/**
+ * Tag of entries containing a product (numeric ID or GID)
+ */
+function productCacheTag(productId) {
+    if (!productId) {
+        return null;
+    }
+    const gid = String(productId).startsWith('gid://') ? productId : `gid://shopify/Product/${productId}`;
+    return `product:${gid}`;
+}
+
+/**
+ * Tag of product listing pages of a collection (null: the all-products listing)
+ */
+function collectionCacheTag(handle) {
+    return `collection:${handle || 'all'}`;
+}
+
 module.exports = {
     initializeRedis,
     getCachedData,
     setCachedData,
+    deleteCachedData,
+    invalidateCacheTags,
     clearCache,
-    generateProductsCacheKey
+    generateProductsCacheKey,
+    productCacheTag,
+    collectionCacheTag
 };
@@ -0,0 +1,225 @@
+const config = require('../config/serverConfig');
+
+/**
+ * Wishlist Item Payload Validation
+ *
+ * Shared by every endpoint that writes wishlist items. Checks field types,
+ * merges lines for the same variant and enforces the line/quantity/unit limits
+ * from config.WISHLIST. Errors are collected for every item, not just the first.
+ */
+
+const MAX_ID_LENGTH = 100;
+const MAX_TITLE_LENGTH = 500;
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function isId(value) {
+    return (typeof value === 'string' && value.trim() !== '' && value.length <= MAX_ID_LENGTH)
+        || (Number.isInteger(value) && value > 0);
+}
+
+function isOptionalString(value, maxLength) {
+    return isBlank(value) || (typeof value === 'string' && value.length <= maxLength);
+}
+
+function isPrice(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0;
+    return typeof value === 'string' && /^\d+(\.\d{1,2})?$/.test(value.trim());
+}
+
+/**
+ * Merge key for a variant ID, so a numeric ID and its GID form are the same variant
+ */
+function variantKey(variantId) {
+    return String(variantId).split('/').pop();
+}
+
+/**
+ * Validate a single posted item and return it in canonical snake_case form
+ * Pushes one entry per invalid field onto `itemErrors`
+ */
+function normaliseItem(item, index, itemErrors, { requireProductTitle }) {
+    const addError = (field, message, variantId = null) => {
+        itemErrors.push({ index, variant_id: variantId, field, message });
+    };
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        addError('item', 'Item must be an object');
+        return null;
+    }
+
+    const maxQuantity = config.WISHLIST.MAX_QUANTITY_PER_ITEM;
+    const errorCount = itemErrors.length;
+
+    const variantId = item.variant_id ?? item.variantId;
+    const productId = item.product_id ?? item.productId;
+    const productTitle = item.product_title ?? item.title;
+    const variantTitle = item.variant_title ?? item.variantTitle;
+    const imageUrl = item.image_url ?? item.imageUrl;
+    const collectionId = item.collection_id ?? item.collectionId;
+    const quantity = item.quantity ?? 1;
+
+    const reportedId = isId(variantId) ? String(variantId) : null;
+
+    if (isBlank(variantId)) {
+        addError('variant_id', 'variant_id is required');
+    } else if (!isId(variantId)) {
+        addError('variant_id', `variant_id must be a string of at most ${MAX_ID_LENGTH} characters or a positive integer`);
+    }
+
+    if (!isBlank(productId) && !isId(productId)) {
+        addError('product_id', `product_id must be a string of at most ${MAX_ID_LENGTH} characters or a positive integer`, reportedId);
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantity) {
+        addError('quantity', `quantity must be an integer between 1 and ${maxQuantity}`, reportedId);
+    }
+
+    if (isBlank(productTitle)) {
+        if (requireProductTitle) {
+            addError('product_title', 'product_title is required', reportedId);
+        }
+    } else if (!isOptionalString(productTitle, MAX_TITLE_LENGTH)) {
+        addError('product_title', `product_title must be a string of at most ${MAX_TITLE_LENGTH} characters`, reportedId);
+    }
+
+    if (!isOptionalString(variantTitle, MAX_TITLE_LENGTH)) {
+        addError('variant_title', `variant_title must be a string of at most ${MAX_TITLE_LENGTH} characters`, reportedId);
+    }
+
+    if (!isBlank(item.price) && !isPrice(item.price)) {
+        addError('price', 'price must be a non-negative amount with at most 2 decimals', reportedId);
+    }
+
+    if (!isBlank(item.currency) && !(typeof item.currency === 'string' && /^[A-Z]{3}$/.test(item.currency))) {
+        addError('currency', 'currency must be a 3-letter ISO 4217 code', reportedId);
+    }
+
+    if (!isOptionalString(item.barcode, MAX_ID_LENGTH)) {
+        addError('barcode', `barcode must be a string of at most ${MAX_ID_LENGTH} characters`, reportedId);
+    }
+
+    if (!isOptionalString(imageUrl, 2048)) {
+        addError('image_url', 'image_url must be a string', reportedId);
+    }
+
+    if (!isBlank(collectionId) && !isId(collectionId)) {
+        addError('collection_id', 'collection_id must be a string or a positive integer', reportedId);
+    }
+
+    if (itemErrors.length > errorCount) {
+        return null;
+    }
+
+    return {
+        variant_id: String(variantId),
+        product_id: isBlank(productId) ? null : String(productId),
+        quantity,
+        product_title: productTitle ?? null,
+        variant_title: variantTitle ?? null,
+        price: item.price ?? null,
+        currency: item.currency || null,
+        barcode: item.barcode ?? null,
+        image_url: imageUrl ?? null,
+        collection_id: isBlank(collectionId) ? null : String(collectionId),
+        product_data: item.product_data || item
+    };
+}
+
+/**
+ * Validate and normalise a wishlist items payload
+ *
+ * Lines for the same variant are merged (quantities summed, first line's data kept).
+ *
+ * @param {*} items - The posted `items` value
+ * @param {Object} [options]
+ * @param {boolean} [options.allowEmpty=false] - Accept an empty array (replacing all items with none)
+ * @returns {Object} { items } on success, or { errorResponse } with the 400 body to send
+ */
+function validateItems(items, options = {}) {
+    const { allowEmpty = false } = options;
+    const { MAX_ITEMS, MAX_QUANTITY_PER_ITEM, MAX_TOTAL_UNITS, STRICT_CATALOGUE } = config.WISHLIST;
+
+    if (!Array.isArray(items) || (!allowEmpty && items.length === 0)) {
+        return {
+            errorResponse: {
+                error: allowEmpty
+                    ? 'items must be an array'
+                    : 'items array is required and must not be empty'
+            }
+        };
+    }
+
+    const itemErrors = [];
+    const merged = new Map();
+
+    items.forEach((item, index) => {
+        // Titles come from Shopify in strict catalogue mode, so clients may omit them
+        const normalised = normaliseItem(item, index, itemErrors, { requireProductTitle: !STRICT_CATALOGUE });
+
+        if (!normalised) {
+            return;
+        }
+
+        const key = variantKey(normalised.variant_id);
+        const existing = merged.get(key);
+
+        if (!existing) {
+            merged.set(key, { index, item: normalised });
+            return;
+        }
+
+        existing.item.quantity += normalised.quantity;
+
+        if (existing.item.quantity > MAX_QUANTITY_PER_ITEM) {
+            itemErrors.push({
+                index,
+                variant_id: normalised.variant_id,
+                field: 'quantity',
+                message: `Combined quantity for this variant exceeds ${MAX_QUANTITY_PER_ITEM}`
+            });
+        }
+    });
+
+    if (itemErrors.length > 0) {
+        return {
+            errorResponse: {
+                error: 'Invalid wishlist items',
+                item_errors: itemErrors.sort((a, b) => a.index - b.index)
+            }
+        };
+    }
+
+    const normalisedItems = [...merged.values()].map(entry => entry.item);
+
+    if (normalisedItems.length > MAX_ITEMS) {
+        return {
+            errorResponse: {
+                error: `A wishlist can contain at most ${MAX_ITEMS} different items`,
+                max_items: MAX_ITEMS,
+                item_count: normalisedItems.length
+            }
+        };
+    }
+
+    const totalUnits = normalisedItems.reduce((sum, item) => sum + item.quantity, 0);
+
+    if (totalUnits > MAX_TOTAL_UNITS) {
+        return {
+            errorResponse: {
+                error: `A wishlist can contain at most ${MAX_TOTAL_UNITS} units in total`,
+                max_total_units: MAX_TOTAL_UNITS,
+                total_units: totalUnits
+            }
+        };
+    }
+
+    return { items: normalisedItems };
+}
+
+module.exports = {
+    validateItems,
+    variantKey
+};
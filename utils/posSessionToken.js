@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const { StatusCodes } = require('http-status-codes');
+const config = require('../config/serverConfig');
+
+/**
+ * Shopify POS Session Tokens
+ *
+ * A POS UI extension can send `Authorization: Bearer <token>`, where the token is the
+ * short-lived JWT returned by `api.session.getSessionToken()`: HS256-signed with the app's
+ * API secret, `aud` = the app's API key, `dest` = https://<shop>, `sub` = the staff member.
+ *
+ * Verification checks the signature, `exp`/`nbf` (with POS_SESSION_TOKEN_CLOCK_TOLERANCE_SECONDS
+ * of leeway), `aud`, that `dest` is our shop and that `iss` belongs to the same shop.
+ * The location is not part of the token; the extension reports it in `x-pos-location-id`, so it is
+ * returned as `reported_location_id` and never treated as verified.
+ */
+
+// Numeric location ID or its GraphQL GID, as reported by the extension
+const LOCATION_ID_PATTERN = /^(gid:\/\/shopify\/Location\/)?\d{1,20}$/;
+
+/**
+ * Raised when a session token is missing a claim, forged, expired or for another shop/app
+ */
+class PosSessionTokenError extends Error {
+    constructor(message, reason, statusCode = StatusCodes.UNAUTHORIZED) {
+        super(message);
+        this.name = 'PosSessionTokenError';
+        this.statusCode = statusCode;
+        this.details = { reason };
+    }
+}
+
+/**
+ * Token from an `Authorization: Bearer <token>` header, or null
+ */
+function readBearerToken(authorization) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+    return match ? match[1] : null;
+}
+
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Map jsonwebtoken failures to a stable reason
+ */
+function toTokenError(error) {
+    if (error instanceof jwt.TokenExpiredError) {
+        return new PosSessionTokenError('POS session token has expired', 'expired');
+    }
+    if (error instanceof jwt.NotBeforeError) {
+        return new PosSessionTokenError('POS session token is not valid yet', 'not_yet_valid');
+    }
+    if (/audience/.test(error.message)) {
+        return new PosSessionTokenError('POS session token was issued for another app', 'invalid_audience');
+    }
+    if (/signature/.test(error.message)) {
+        return new PosSessionTokenError('POS session token signature is invalid', 'invalid_signature');
+    }
+    return new PosSessionTokenError('POS session token is malformed', 'malformed');
+}
+
+/**
+ * Verify a POS session token
+ *
+ * @param {string} token - The JWT
+ * @param {Object} options - { locationId (from x-pos-location-id), now }
+ * @returns {Object} { shop, staff_id, reported_location_id, session_id, token_id, expires_at }
+ * @throws {PosSessionTokenError}
+ */
+function verifyPosSessionToken(token, options = {}) {
+    const { locationId = null, now = new Date() } = options;
+    const { API_KEY, API_SECRET, SHOP_DOMAIN } = config.SHOPIFY;
+
+    if (!API_KEY || !API_SECRET || !SHOP_DOMAIN) {
+        throw new PosSessionTokenError('POS session tokens are not configured', 'not_configured');
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, API_SECRET, {
+            algorithms: ['HS256'],
+            audience: API_KEY,
+            clockTolerance: config.POS.SESSION_TOKEN_CLOCK_TOLERANCE_SECONDS,
+            clockTimestamp: Math.floor(now.getTime() / 1000)
+        });
+    } catch (error) {
+        throw toTokenError(error);
+    }
+
+    // jsonwebtoken only checks exp when present; Shopify always sets it
+    if (typeof claims.exp !== 'number') {
+        throw new PosSessionTokenError('POS session token has no expiry', 'malformed');
+    }
+
+    const shop = hostnameOf(claims.dest);
+    if (!shop || shop !== SHOP_DOMAIN.toLowerCase()) {
+        throw new PosSessionTokenError('POS session token was issued for another shop', 'invalid_shop');
+    }
+
+    // iss is https://<shop>/admin
+    if (hostnameOf(claims.iss) !== shop) {
+        throw new PosSessionTokenError('POS session token issuer does not match its shop', 'invalid_issuer');
+    }
+
+    if (!claims.sub) {
+        throw new PosSessionTokenError('POS session token does not identify a staff member', 'missing_staff');
+    }
+
+    return {
+        shop,
+        staff_id: String(claims.sub),
+        reported_location_id: LOCATION_ID_PATTERN.test(locationId || '') ? locationId : null,
+        session_id: claims.sid || null,
+        token_id: claims.jti || null,
+        expires_at: new Date(claims.exp * 1000)
+    };
+}
+
+module.exports = {
+    PosSessionTokenError,
+    readBearerToken,
+    verifyPosSessionToken
+};
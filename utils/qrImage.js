@@ -0,0 +1,203 @@
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const config = require('../config/serverConfig');
+
+/**
+ * QR Code Images
+ *
+ * Renders a QR code as PNG or SVG in-process (qrcode computes the module matrix,
+ * pngjs encodes the bitmap), so the kiosk and the app show identical codes without
+ * drawing them themselves or calling an external service.
+ *
+ * Query options (all optional):
+ * - size:    width in pixels (QR_IMAGE_MIN_SIZE..QR_IMAGE_MAX_SIZE, default QR_IMAGE_DEFAULT_SIZE);
+ *            rounded down to a whole number of pixels per module so the code stays sharp
+ * - ecc:     error-correction level L, M, Q or H (default QR_IMAGE_ERROR_CORRECTION)
+ * - caption: text under the code (default QR_IMAGE_CAPTION, empty for none). SVG renders any
+ *            text; PNG uses a built-in 5x7 pixel font (upper case ASCII, other characters become ?)
+ */
+
+const FORMATS = {
+    png: 'image/png',
+    svg: 'image/svg+xml'
+};
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const MAX_CAPTION_LENGTH = 40;
+
+// Quiet zone around the code, in modules (required by the QR spec)
+const MARGIN_MODULES = 4;
+
+// 5x7 pixel font: 7 rows per glyph, 2 hex digits per row, bit 4 is the leftmost column
+const FONT = {
+    'A': '0e11111f111111', 'B': '1e11111e11111e', 'C': '0e11101010110e',
+    'D': '1e11111111111e', 'E': '1f10101e10101f', 'F': '1f10101e101010',
+    'G': '0e11101711110f', 'H': '1111111f111111', 'I': '0e04040404040e',
+    'J': '0702020202120c', 'K': '11121418141211', 'L': '1010101010101f',
+    'M': '111b1515111111', 'N': '11111915131111', 'O': '0e11111111110e',
+    'P': '1e11111e101010', 'Q': '0e11111115120d', 'R': '1e11111e141211',
+    'S': '0f10100e01011e', 'T': '1f040404040404', 'U': '1111111111110e',
+    'V': '11111111110a04', 'W': '1111111515150a', 'X': '11110a040a1111',
+    'Y': '1111110a040404', 'Z': '1f01020408101f',
+    '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f',
+    '3': '1f02040201110e', '4': '02060a121f0202', '5': '1f101e0101110e',
+    '6': '0608101e11110e', '7': '1f010204080808', '8': '0e11110e11110e',
+    '9': '0e11110f01020c',
+    ' ': '00000000000000', '-': '0000001f000000', '.': '00000000000c0c',
+    ',': '000000000c0408', ':': '000c0c000c0c00', '\'': '0c040800000000',
+    '!': '04040404040004', '?': '0e110102040004', '&': '0c12140815120d',
+    '#': '0a0a1f0a1f0a0a', '/': '00010204081000', '(': '02040808080402',
+    ')': '08040202020408', '+': '0004041f040400'
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+// Glyph plus one column of spacing
+const GLYPH_ADVANCE = GLYPH_WIDTH + 1;
+
+/**
+ * Validate size/ecc/caption query parameters
+ * Returns { options } or { error }
+ */
+function parseQrImageOptions(query = {}) {
+    const { DEFAULT_SIZE, MIN_SIZE, MAX_SIZE, ERROR_CORRECTION, CAPTION } = config.QR.IMAGE;
+
+    const size = query.size === undefined ? DEFAULT_SIZE : Number(query.size);
+    if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+        return { error: `size must be an integer between ${MIN_SIZE} and ${MAX_SIZE}` };
+    }
+
+    const errorCorrectionLevel = String(query.ecc ?? ERROR_CORRECTION).toUpperCase();
+    if (!ERROR_CORRECTION_LEVELS.includes(errorCorrectionLevel)) {
+        return { error: `ecc must be one of ${ERROR_CORRECTION_LEVELS.join(', ')}` };
+    }
+
+    const caption = query.caption ?? CAPTION;
+    if (typeof caption !== 'string' || caption.length > MAX_CAPTION_LENGTH || /[\u0000-\u001f\u007f]/.test(caption)) {
+        return { error: `caption must be plain text of at most ${MAX_CAPTION_LENGTH} characters` };
+    }
+
+    return { options: { size, errorCorrectionLevel, caption: caption.trim() } };
+}
+
+/**
+ * Pixel layout shared by both formats
+ */
+function layout(text, { size, errorCorrectionLevel, caption }) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel });
+    const count = modules.size + 2 * MARGIN_MODULES;
+    const scale = Math.max(1, Math.floor(size / count));
+    const width = count * scale;
+
+    let captionLayout = null;
+    if (caption) {
+        // As large as fits on one line, but never taller than two modules
+        const maxFontScale = Math.max(1, Math.floor(scale * 2 / GLYPH_HEIGHT));
+        const fontScale = Math.max(1, Math.min(maxFontScale, Math.floor((width - 2 * scale) / (caption.length * GLYPH_ADVANCE))));
+        const maxChars = Math.floor((width - 2 * scale) / (GLYPH_ADVANCE * fontScale));
+
+        captionLayout = {
+            text: caption.slice(0, maxChars),
+            fontScale,
+            // Below the quiet zone, which must stay blank
+            top: width
+        };
+    }
+
+    return {
+        modules,
+        scale,
+        width,
+        height: captionLayout ? width + GLYPH_HEIGHT * captionLayout.fontScale + 2 * scale : width,
+        caption: captionLayout
+    };
+}
+
+function renderPng(text, options) {
+    const { modules, scale, width, height, caption } = layout(text, options);
+    const png = new PNG({ width, height, colorType: 0, inputColorType: 0, inputHasAlpha: false });
+    // Greyscale, one byte per pixel: start white
+    png.data = Buffer.alloc(width * height, 0xff);
+
+    const fillRect = (x, y, w, h) => {
+        for (let row = y; row < y + h; row++) {
+            png.data.fill(0x00, row * width + x, row * width + x + w);
+        }
+    };
+
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) {
+                fillRect((col + MARGIN_MODULES) * scale, (row + MARGIN_MODULES) * scale, scale, scale);
+            }
+        }
+    }
+
+    if (caption) {
+        const { text: captionText, fontScale, top } = caption;
+        let x = Math.floor((width - (captionText.length * GLYPH_ADVANCE - 1) * fontScale) / 2);
+
+        for (const char of captionText.toUpperCase()) {
+            const glyph = FONT[char] || FONT['?'];
+            for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+                for (let col = 0; col < GLYPH_WIDTH; col++) {
+                    if (bits & (1 << (GLYPH_WIDTH - 1 - col))) {
+                        fillRect(x + col * fontScale, top + row * fontScale, fontScale, fontScale);
+                    }
+                }
+            }
+            x += GLYPH_ADVANCE * fontScale;
+        }
+    }
+
+    return PNG.sync.write(png, { colorType: 0, inputColorType: 0, inputHasAlpha: false });
+}
+
+function escapeXml(value) {
+    return value.replace(/[<>&'"]/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+    }[char]));
+}
+
+function renderSvg(text, options) {
+    const { modules, scale, width, height, caption } = layout(text, options);
+
+    let path = '';
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) {
+                path += `M${(col + MARGIN_MODULES) * scale} ${(row + MARGIN_MODULES) * scale}h${scale}v${scale}h-${scale}z`;
+            }
+        }
+    }
+
+    const captionText = caption
+        ? `<text x="${width / 2}" y="${caption.top + GLYPH_HEIGHT * caption.fontScale}" font-family="sans-serif" `
+            + `font-size="${GLYPH_HEIGHT * caption.fontScale * 1.3}" text-anchor="middle" fill="#000">${escapeXml(caption.text)}</text>`
+        : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/>${captionText}</svg>`;
+}
+
+/**
+ * Render text as a QR code image
+ *
+ * @param {string} text - Content of the QR code
+ * @param {string} format - 'png' or 'svg'
+ * @param {Object} options - From parseQrImageOptions
+ * @returns {Object} { contentType, body } - body is a Buffer (PNG) or string (SVG)
+ */
+function renderQrImage(text, format, options) {
+    return {
+        contentType: FORMATS[format],
+        body: format === 'png' ? renderPng(text, options) : renderSvg(text, options)
+    };
+}
+
+module.exports = {
+    QR_IMAGE_FORMATS: Object.keys(FORMATS),
+    parseQrImageOptions,
+    renderQrImage
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { StatusCodes } = require('http-status-codes');
+const config = require('../config/serverConfig');
+
+/**
+ * Signed QR Payloads
+ *
+ * What a QR code encodes: `wl1.<keyId>.<claims>.<signature>`, where claims is the
+ * base64url JSON { w: wishlist_id, f: token fingerprint, iat, exp } and signature is the
+ * base64url HMAC-SHA256 of everything before it, with the key named by keyId.
+ *
+ * - The payload expires after QR_TTL_SECONDS (never after the wishlist), so a screenshot
+ *   stops working quickly; the app asks for a fresh one
+ * - It carries a fingerprint of qr_code_token, not the token itself: replacing the token
+ *   invalidates every payload issued for it
+ * - Signature and expiry are checked without touching the database
+ * - Rotation: sign with QR_SIGNING_ACTIVE_KEY_ID, keep the previous key in QR_SIGNING_KEYS
+ *   until its payloads have expired, then remove it
+ */
+
+const VERSION = 'wl1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Fallback key outside production, so development and tests work without configuration
+let developmentKey = null;
+
+/**
+ * Raised when a scanned payload is malformed, forged, signed with an unknown key or expired
+ */
+class QrPayloadError extends Error {
+    constructor(message, reason, statusCode = StatusCodes.UNAUTHORIZED) {
+        super(message);
+        this.name = 'QrPayloadError';
+        this.statusCode = statusCode;
+        this.details = { reason };
+    }
+}
+
+function getSigningKeys() {
+    const keys = config.QR.SIGNING_KEYS;
+
+    if (Object.keys(keys).length > 0) {
+        return keys;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        const error = new Error('QR_SIGNING_KEYS not configured');
+        error.statusCode = StatusCodes.INTERNAL_SERVER_ERROR;
+        throw error;
+    }
+
+    if (!developmentKey) {
+        console.warn('QR_SIGNING_KEYS not configured - signing QR codes with a random per-process key');
+        developmentKey = crypto.randomBytes(32).toString('hex');
+    }
+    return { dev: developmentKey };
+}
+
+function sign(keySecret, data) {
+    return crypto.createHmac('sha256', keySecret).update(data).digest('base64url');
+}
+
+/**
+ * Short, non-reversible fingerprint of the wishlist's qr_code_token
+ */
+function tokenFingerprint(qrCodeToken) {
+    return crypto.createHash('sha256').update(String(qrCodeToken)).digest('base64url').slice(0, 22);
+}
+
+/**
+ * Issue a signed payload for a wishlist
+ *
+ * @param {Object} wishlist - Wishlist instance (needs wishlist_id, qr_code_token, expires_at)
+ * @param {Object} options - { now }
+ * @returns {Object} { payload, key_id, expires_at }
+ */
+function createQrPayload(wishlist, options = {}) {
+    const { now = new Date() } = options;
+    const keys = getSigningKeys();
+    const keyId = config.QR.ACTIVE_KEY_ID || Object.keys(keys)[0];
+
+    if (!keys[keyId] || !KEY_ID_PATTERN.test(keyId)) {
+        const error = new Error(`QR signing key "${keyId}" is not configured`);
+        error.statusCode = StatusCodes.INTERNAL_SERVER_ERROR;
+        throw error;
+    }
+
+    const issuedAt = Math.floor(now.getTime() / 1000);
+    const expiresAt = Math.min(
+        issuedAt + config.QR.TTL_SECONDS,
+        Math.floor(new Date(wishlist.expires_at).getTime() / 1000)
+    );
+
+    const claims = Buffer.from(JSON.stringify({
+        w: wishlist.wishlist_id,
+        f: tokenFingerprint(wishlist.qr_code_token),
+        iat: issuedAt,
+        exp: expiresAt
+    })).toString('base64url');
+
+    const unsigned = `${VERSION}.${keyId}.${claims}`;
+
+    return {
+        payload: `${unsigned}.${sign(keys[keyId], unsigned)}`,
+        key_id: keyId,
+        expires_at: new Date(expiresAt * 1000)
+    };
+}
+
+/**
+ * Verify a scanned payload (signature, key and time window only - no database access)
+ *
+ * @param {string} payload - Scanned QR payload
+ * @param {Object} options - { now }
+ * @returns {Object} { wishlist_id, fingerprint, key_id, issued_at, expires_at }
+ * @throws {QrPayloadError}
+ */
+function verifyQrPayload(payload, options = {}) {
+    const { now = new Date() } = options;
+    const parts = typeof payload === 'string' ? payload.split('.') : [];
+
+    if (parts.length !== 4 || parts[0] !== VERSION) {
+        throw new QrPayloadError('Invalid QR code', 'malformed');
+    }
+
+    const [, keyId, claimsPart, signature] = parts;
+    const keySecret = getSigningKeys()[keyId];
+
+    if (!keySecret) {
+        throw new QrPayloadError('Invalid QR code', 'unknown_key');
+    }
+
+    const expected = Buffer.from(sign(keySecret, `${VERSION}.${keyId}.${claimsPart}`));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new QrPayloadError('Invalid QR code', 'invalid_signature');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(claimsPart, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new QrPayloadError('Invalid QR code', 'malformed');
+    }
+
+    if (!claims || typeof claims.w !== 'string' || typeof claims.f !== 'string'
+        || !Number.isInteger(claims.iat) || !Number.isInteger(claims.exp)) {
+        throw new QrPayloadError('Invalid QR code', 'malformed');
+    }
+
+    const nowSeconds = Math.floor(now.getTime() / 1000);
+    const skew = config.QR.CLOCK_SKEW_SECONDS;
+
+    if (claims.iat > nowSeconds + skew) {
+        throw new QrPayloadError('Invalid QR code', 'not_yet_valid');
+    }
+
+    if (claims.exp + skew < nowSeconds) {
+        throw new QrPayloadError('QR code has expired, refresh it in the app', 'expired');
+    }
+
+    return {
+        wishlist_id: claims.w,
+        fingerprint: claims.f,
+        key_id: keyId,
+        issued_at: new Date(claims.iat * 1000),
+        expires_at: new Date(claims.exp * 1000)
+    };
+}
+
+/**
+ * Whether verified claims were issued for the wishlist's current qr_code_token
+ */
+function matchesQrCodeToken(claims, qrCodeToken) {
+    const expected = Buffer.from(tokenFingerprint(qrCodeToken));
+    const actual = Buffer.from(claims.fingerprint);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    QrPayloadError,
+    createQrPayload,
+    verifyQrPayload,
+    matchesQrCodeToken
+};